@@ -0,0 +1,32 @@
+// Date helpers shared by the app and the quick-add parser; nothing here needs a browser.
+// Due dates are stored as local `YYYY-MM-DD` strings; arithmetic is done in UTC so DST shifts never move a day.
+
+export const parseDateString = (value) => {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+};
+
+export const formatDateString = (date) => date.toISOString().slice(0, 10);
+
+export const getTodayString = () => {
+    const now = new Date();
+    return formatDateString(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+};
+
+export const addDays = (dateString, days) => {
+    const date = parseDateString(dateString);
+    date.setUTCDate(date.getUTCDate() + days);
+    return formatDateString(date);
+};
+
+export const isValidDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && formatDateString(parseDateString(value)) === value;
+
+export const getDaysInMonth = (year, monthIndex) => new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+export const addMonths = (dateString, months) => {
+    const date = parseDateString(dateString);
+    const monthCount = date.getUTCMonth() + months;
+    const year = date.getUTCFullYear() + Math.floor(monthCount / 12);
+    const monthIndex = ((monthCount % 12) + 12) % 12;
+    return formatDateString(new Date(Date.UTC(year, monthIndex, Math.min(date.getUTCDate(), getDaysInMonth(year, monthIndex)))));
+};
@@ -0,0 +1,217 @@
+// Document store helpers shared by every backend, and the local (IndexedDB or in-memory) backend.
+// Nothing here depends on Firebase, so it runs as is under Node.
+export const MAX_BATCH_SIZE = 500; // Firestore limit on writes per batch
+
+export const generateId = () => (
+    typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+/**
+ * Normalizes the timestamp shapes the backends produce (Firestore Timestamp, Date,
+ * epoch millis) into epoch millis. Pending server timestamps read as null.
+ */
+export const toMillis = (value) => {
+    if (!value) return null;
+    if (typeof value === 'number') return value;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    return null;
+};
+
+// Ties are broken by document id, as Firestore does, so cursors always point to one position
+export const compareDocs = (a, b, [field, direction]) => {
+    const factor = direction === 'desc' ? -1 : 1;
+    const aValue = toMillis(a[field]) ?? a[field] ?? Infinity; // Pending writes sort first, as in Firestore
+    const bValue = toMillis(b[field]) ?? b[field] ?? Infinity;
+    if (aValue !== bValue) return aValue < bValue ? -factor : factor;
+    return a.id < b.id ? -factor : a.id > b.id ? factor : 0;
+};
+
+export const sortDocs = (docs, order = []) => (order[0] ? [...docs].sort((a, b) => compareDocs(a, b, order)) : docs);
+
+// Cursors are [orderBy value, document id]: `startAfter` excludes its document, `endAt` includes it
+export const pageDocs = (docs, { orderBy: order, startAfter: after, endAt: until, limit: count } = {}) => {
+    const toCursorDoc = ([value, id]) => ({ id, [order[0]]: value });
+    const inRange = docs.filter(docData => (!after || compareDocs(docData, toCursorDoc(after), order) > 0)
+        && (!until || compareDocs(docData, toCursorDoc(until), order) <= 0));
+    return count ? inRange.slice(0, count) : inRange;
+};
+
+// Range filters skip documents without the field, as Firestore does
+const matchesClause = (docData, [field, operator, value]) => {
+    const fieldValue = docData[field];
+    switch (operator) {
+        case 'array-contains': return (fieldValue || []).includes(value);
+        case 'in': return value.includes(fieldValue);
+        case '>': return fieldValue != null && fieldValue > value;
+        case '>=': return fieldValue != null && fieldValue >= value;
+        case '<=': return fieldValue != null && fieldValue <= value;
+        default: return fieldValue === value;
+    }
+};
+
+// Supports the '==', 'in', '>', '>=', '<=' and 'array-contains' filters the app queries with; every clause must match
+export const filterDocs = (docs, clauses = []) => docs.filter(docData => clauses.every(clause => matchesClause(docData, clause)));
+
+// What a query with these options returns from `docs`
+export const queryDocs = (docs, options = {}) => pageDocs(sortDocs(filterDocs(docs, options.where), options.orderBy), options);
+
+/**
+ * Document stores address documents by collection path and expose one interface, so
+ * repositories work the same on every backend:
+ *   subscribe(path, onChange, onError, options) -> unsubscribe
+ *   list(path, options)       // the same query, read once
+ *             // options: { where: [[field, operator, value], ...], orderBy: [field, 'asc' | 'desc'],
+ *             //            startAfter: [value, id], endAt: [value, id], limit }; cursors and limit need orderBy
+ *   get(path, id), add(path, data) -> id, set(path, id, data),
+ *   update(path, id, changes), remove(path, id),
+ *   batch(operations)         // [{ type: 'set' | 'update' | 'delete', path, id, data }], applied atomically;
+ *                             // rejects more than MAX_BATCH_SIZE operations without writing anything
+ *   commit(path, operations)  // [{ type, id, data }] in one collection, any number; written in batches of
+ *                             // MAX_BATCH_SIZE, each atomic, so a failure can leave earlier batches written
+ *   timestamp()               // value to store for "now"
+ * Operations without an id create a document with a generated one.
+ */
+export const assertBatchSize = (operations) => {
+    if (operations.length > MAX_BATCH_SIZE) throw new Error(`A batch holds at most ${MAX_BATCH_SIZE} writes, not ${operations.length}.`);
+};
+
+const LOCAL_STORE_NAME = 'documents';
+
+// Keeps documents in the IndexedDB database `databaseName`, or only in memory where IndexedDB is unavailable
+export const createLocalStore = (databaseName) => {
+    const collections = new Map(); // path -> Promise<Map<id, data>>
+    const listeners = new Map(); // path -> Set<() => void>
+    let databasePromise = null;
+
+    // Resolves with null when IndexedDB is unavailable (tests, private browsing), keeping data in memory only
+    const openDatabase = () => {
+        if (!databasePromise) {
+            databasePromise = new Promise((resolve) => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+                const request = indexedDB.open(databaseName, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(LOCAL_STORE_NAME, { keyPath: 'key' });
+                    store.createIndex('path', 'path');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.error("IndexedDB unavailable, using in-memory storage:", request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return databasePromise;
+    };
+
+    const loadCollection = (path) => {
+        if (!collections.has(path)) {
+            collections.set(path, openDatabase().then((database) => new Promise((resolve) => {
+                const docs = new Map();
+                if (!database) {
+                    resolve(docs);
+                    return;
+                }
+                const request = database.transaction(LOCAL_STORE_NAME).objectStore(LOCAL_STORE_NAME).index('path').getAll(path);
+                request.onsuccess = () => {
+                    request.result.forEach(record => docs.set(record.id, record.data));
+                    resolve(docs);
+                };
+                request.onerror = () => {
+                    console.error("Error reading local tasks:", request.error);
+                    resolve(docs);
+                };
+            })));
+        }
+        return collections.get(path);
+    };
+
+    const persist = async (operations) => {
+        const database = await openDatabase();
+        if (!database) return;
+        await new Promise((resolve, reject) => {
+            const transaction = database.transaction(LOCAL_STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(LOCAL_STORE_NAME);
+            operations.forEach(({ type, path, id, data }) => {
+                if (type === 'delete') store.delete(`${path}/${id}`);
+                else store.put({ key: `${path}/${id}`, path, id, data });
+            });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    };
+
+    const notify = (path) => {
+        (listeners.get(path) || new Set()).forEach(listener => listener());
+    };
+
+    const toDocs = (docs) => Array.from(docs, ([id, data]) => ({ id, ...data }));
+
+    // Every operation is checked before any is applied, and all of them persist in one transaction
+    const apply = async (operations) => {
+        const paths = Array.from(new Set(operations.map(({ path }) => path)));
+        const collectionsByPath = new Map(await Promise.all(paths.map(async path => [path, await loadCollection(path)])));
+        const pending = new Map(); // `${path}/${id}` -> data as this batch leaves it, null once deleted
+        const resolved = operations.map(({ type, path, id, data }) => {
+            const docId = id || generateId();
+            const key = `${path}/${docId}`;
+            if (type === 'update') {
+                const current = pending.has(key) ? pending.get(key) : collectionsByPath.get(path).get(docId);
+                if (!current) throw new Error(`No document to update: ${key}`);
+                pending.set(key, { ...current, ...data });
+                return { type: 'set', path, id: docId, data: pending.get(key) };
+            }
+            pending.set(key, type === 'delete' ? null : data);
+            return { type, path, id: docId, data };
+        });
+        resolved.forEach(({ type, path, id, data }) => {
+            if (type === 'delete') collectionsByPath.get(path).delete(id);
+            else collectionsByPath.get(path).set(id, data);
+        });
+        paths.forEach(notify);
+        await persist(resolved);
+        return resolved.map(({ id }) => id);
+    };
+
+    // The size limit is Firestore's; it's enforced here too so both backends behave alike
+    const batch = async (operations) => {
+        assertBatchSize(operations);
+        return apply(operations);
+    };
+
+    // Atomic as a whole here, although other backends only promise that per batch
+    const commit = (path, operations) => apply(operations.map(operation => ({ ...operation, path })));
+
+    return {
+        subscribe: (path, onChange, onError, options = {}) => {
+            let isActive = true;
+            const emit = () => loadCollection(path).then((docs) => {
+                if (isActive) onChange(queryDocs(toDocs(docs), options));
+            }).catch(onError);
+            if (!listeners.has(path)) listeners.set(path, new Set());
+            listeners.get(path).add(emit);
+            emit();
+            return () => {
+                isActive = false;
+                listeners.get(path).delete(emit);
+            };
+        },
+        list: async (path, options = {}) => queryDocs(toDocs(await loadCollection(path)), options),
+        get: async (path, id) => {
+            const docs = await loadCollection(path);
+            return docs.has(id) ? { id, ...docs.get(id) } : null;
+        },
+        add: async (path, data) => (await commit(path, [{ type: 'set', data }]))[0],
+        set: (path, id, data) => commit(path, [{ type: 'set', id, data }]),
+        update: (path, id, changes) => commit(path, [{ type: 'update', id, data: changes }]),
+        remove: (path, id) => commit(path, [{ type: 'delete', id }]),
+        batch,
+        commit,
+        timestamp: () => Date.now(),
+    };
+};
@@ -0,0 +1,1858 @@
+// UI message catalogs and the lookups over them. Nothing here needs a browser or React, so
+// catalog completeness is checked under Node (`node --test tests/`).
+export const DEFAULT_LANGUAGE = 'en';
+
+export const LANGUAGES = [
+    { code: 'en', name: 'English', dir: 'ltr' },
+    { code: 'de', name: 'Deutsch', dir: 'ltr' },
+    { code: 'ar', name: 'العربية', dir: 'rtl' },
+];
+
+/**
+ * UI messages per language. `{name}` placeholders are filled from the params passed to `t`;
+ * a message that depends on `params.count` is an object keyed by the language's plural
+ * categories (see Intl.PluralRules). English is the reference every catalog is checked against.
+ */
+export const MESSAGES = {
+    en: {
+        'app.title': 'TaskFlow Dashboard',
+        'app.language': 'Language',
+        'app.dismissNotification': 'Dismiss notification',
+        'app.undo': 'Undo',
+        'app.retry': 'Retry',
+        'app.loadingAuth': 'Loading authentication...',
+        'app.loggedOut': 'Logged out successfully!',
+        'app.logoutFailed': 'Failed to log out.',
+        'header.welcome': 'Welcome, {name}!',
+        'header.logout': 'Logout',
+        'header.login': 'Login / Register',
+        'header.settings': 'Profile and settings',
+        'priority.High': 'High',
+        'priority.Medium': 'Medium',
+        'priority.Low': 'Low',
+        'project.none': 'No project',
+        'quickAdd.label': 'Quick add:',
+        'quickAdd.placeholder': 'Send invoice to ACME next friday !high #billing',
+        'quickAdd.submit': 'Add',
+        'quickAdd.noTitle': 'No title yet',
+        'quickAdd.priority': 'Priority: {priority}',
+        'quickAdd.hint': 'Type a title with a due date like "tomorrow" or "oct 5", !high/!medium/!low and #tags.',
+        'form.emptyTitle': 'Task title cannot be empty.',
+        'form.addHeading': 'Add New Task',
+        'form.editHeading': 'Edit Task',
+        'form.title': 'Title:',
+        'form.description': 'Description (Optional):',
+        'form.dueDate': 'Due Date (Optional):',
+        'form.priority': 'Priority:',
+        'form.project': 'Project:',
+        'form.sharedLists': 'Shared lists',
+        'form.assignee': 'Assignee:',
+        'form.unassigned': 'Unassigned',
+        'form.tags': 'Tags (Optional):',
+        'form.reminder': 'Reminder:',
+        'form.reminderNeedsDueDate': 'Reminders need a due date.',
+        'form.repeat': 'Repeat:',
+        'form.repeat.none': 'Does not repeat',
+        'form.repeat.daily': 'Daily',
+        'form.repeat.weekly': 'Weekly on chosen days',
+        'form.repeat.monthly': 'Monthly on a day of the month',
+        'form.repeat.interval': 'Every N days or weeks',
+        'form.dayOfMonth': 'Day of month:',
+        'form.every': 'Every',
+        'form.intervalUnit': 'Interval unit',
+        'form.unit.days': 'days',
+        'form.unit.weeks': 'weeks',
+        'form.applyTo': 'Apply changes to:',
+        'form.scope.single': 'This occurrence only',
+        'form.scope.future': 'This and all future occurrences',
+        'form.autoComplete': 'Complete this task automatically when all subtasks are done',
+        'form.add': 'Add Task',
+        'form.update': 'Update Task',
+        'form.cancel': 'Cancel',
+        'task.select': 'Select {title}',
+        'task.due': 'Due {date} ({relative})',
+        'task.assignedTo': 'Assigned to {name}',
+        'task.priority': '{priority} Priority',
+        'task.completedOccurrences': { one: '{count} completed occurrence', other: '{count} completed occurrences' },
+        'task.occurrencesDone': '{count} done',
+        'task.addChecklist': '+ Checklist',
+        'task.complete': 'Complete',
+        'task.unmark': 'Unmark',
+        'task.edit': 'Edit',
+        'task.delete': 'Delete',
+        'bulk.label': 'Bulk actions',
+        'bulk.selected': '{count} of {total} selected',
+        'bulk.selectAll': 'Select all {count} filtered',
+        'bulk.priorityLabel': 'Set priority of selected tasks',
+        'bulk.priorityPlaceholder': 'Priority…',
+        'bulk.dueDateLabel': 'Set due date of selected tasks',
+        'bulk.clearDueDate': 'Clear due date',
+        'bulk.moveLabel': 'Move selected tasks to a project',
+        'bulk.movePlaceholder': 'Move to…',
+        'bulk.clearSelection': 'Clear selection',
+        'filters.status.All': 'All',
+        'filters.status.Active': 'Active',
+        'filters.status.Completed': 'Completed',
+        'filters.searchPlaceholder': 'Search title and description',
+        'filters.searchLabel': 'Search tasks',
+        'filters.priorityLabel': 'Filter by priority',
+        'filters.dueLabel': 'Filter by due date',
+        'filters.due.any': 'Any due date',
+        'filters.due.overdue': 'Overdue',
+        'filters.due.today': 'Due today',
+        'filters.due.week': 'Due this week',
+        'filters.due.range': 'Due between…',
+        'filters.dueFrom': 'Due from',
+        'filters.dueTo': 'Due to',
+        'filters.sortLabel': 'Sort by',
+        'filters.sortOption': 'Sort: {field}',
+        'filters.sort.created': 'Creation time',
+        'filters.sort.dueDate': 'Due date',
+        'filters.sort.priority': 'Priority',
+        'filters.sort.title': 'Title',
+        'filters.assignedToMe': 'Assigned to me',
+        'filters.sortAscending': 'Sort ascending',
+        'filters.sortDescending': 'Sort descending',
+        'filters.ascending': '↑ Asc',
+        'filters.descending': '↓ Desc',
+        'filters.removeChip': 'Remove filter {label}',
+        'filters.clearAll': 'Clear all',
+        'filters.chip.list': 'Shared list: {name}',
+        'filters.chip.project': 'Project: {name}',
+        'filters.chip.unknownProject': 'Unknown',
+        'filters.chip.priority': '{priority} priority',
+        'filters.chip.dueRange': 'Due {from} – {to}',
+        'dashboard.loginPrompt': 'Please {link} to manage your tasks.',
+        'dashboard.loginLink': 'log in',
+        'dashboard.loadingTasks': 'Loading tasks...',
+        'dashboard.viewLabel': 'Task view',
+        'dashboard.view.list': 'List',
+        'dashboard.view.board': 'Board',
+        'dashboard.view.calendar': 'Calendar',
+        'dashboard.editColumns': 'Edit columns',
+        'dashboard.importExport': 'Import / export',
+        'dashboard.noMatches': 'No tasks match your filters.',
+        'dashboard.emptyAll': 'No tasks found. Add a new task above!',
+        'dashboard.emptyActive': 'No active tasks. Time to relax!',
+        'dashboard.emptyCompleted': 'No completed tasks yet. Get to work!',
+        'dashboard.loadingCompleted': 'Loading completed tasks...',
+        'dashboard.loadOlderCompleted': 'Load older completed tasks',
+        'actions.syncNote': '{message} It will sync when you\'re back online.',
+        'actions.viewOnly': 'You have view-only access to this shared list.',
+        'actions.loginToAdd': 'Please log in to add tasks.',
+        'actions.loginToUpdate': 'Please log in to update tasks.',
+        'actions.loginToRestore': 'Please log in to restore tasks.',
+        'actions.loginToDelete': 'Please log in to delete tasks.',
+        'actions.loginToImport': 'Please log in to import tasks.',
+        'actions.added': 'Task added successfully!',
+        'actions.updated': 'Task updated successfully!',
+        'actions.completedNext': 'Task completed! Next occurrence due {date}.',
+        'actions.markedCompleted': 'Task marked as completed!',
+        'actions.markedActive': 'Task marked as active!',
+        'actions.restored': 'Task restored.',
+        'actions.trashed': 'Task moved to trash.',
+        'actions.confirmDeleteForever': { one: 'Delete this task permanently? This cannot be undone.', other: 'Delete {count} tasks permanently? This cannot be undone.' },
+        'actions.deletedForever': { one: 'Task deleted permanently.', other: '{count} tasks deleted permanently.' },
+        'actions.alreadyMatches': 'The task already matches this version.',
+        'actions.reverted': 'Task reverted to an earlier version.',
+        'actions.bulkSkipped': { one: '{count} task in view-only shared lists left unchanged.', other: '{count} tasks in view-only shared lists left unchanged.' },
+        'actions.bulkNoneEditable': 'None of the selected tasks can be changed.',
+        'actions.bulkTooMany': 'Too many tasks selected; one bulk action changes at most {count}.',
+        'actions.bulkAlreadyCompleted': 'The selected tasks are already completed.',
+        'actions.bulkAlreadyActive': 'The selected tasks are already active.',
+        'actions.bulkCompleted': { one: 'Marked {count} task as completed.', other: 'Marked {count} tasks as completed.' },
+        'actions.bulkReopened': { one: 'Marked {count} task as active.', other: 'Marked {count} tasks as active.' },
+        'actions.bulkPriority': { one: 'Set {count} task to {priority} priority.', other: 'Set {count} tasks to {priority} priority.' },
+        'actions.bulkDueDate': { one: 'Set {count} task due {date}.', other: 'Set {count} tasks due {date}.' },
+        'actions.bulkClearDueDate': { one: 'Cleared the due date of {count} task.', other: 'Cleared the due date of {count} tasks.' },
+        'actions.bulkMoved': { one: 'Moved {count} task to {project}.', other: 'Moved {count} tasks to {project}.' },
+        'actions.bulkMoveShared': 'Tasks in shared lists can\'t be moved to a project.',
+        'actions.bulkTrashed': { one: 'Moved {count} task to trash.', other: 'Moved {count} tasks to trash.' },
+        'actions.bulkRestored': { one: 'Restored {count} task.', other: 'Restored {count} tasks.' },
+        'actions.imported': { one: 'Imported {count} task.', other: 'Imported {count} tasks.' },
+        'auth.emailInUse': 'An account with this email already exists.',
+        'auth.invalidEmail': 'Please enter a valid email address.',
+        'auth.weakPassword': 'Password must be at least 6 characters.',
+        'auth.invalidCredentials': 'Invalid email or password.',
+        'auth.tooManyRequests': 'Too many attempts. Please try again later.',
+        'auth.networkError': 'Network error. Check your connection and try again.',
+        'auth.unavailable': 'Accounts are unavailable while the app runs without Firebase.',
+        'auth.recentLogin': 'For your security, please log out, log in again and retry.',
+        'auth.failed': 'An error occurred during authentication.',
+        'login.loggedInAs': 'Logged in as {email}!',
+        'login.mergedGuestTasks': { one: 'Merged {count} guest task.', other: 'Merged {count} guest tasks.' },
+        'login.skippedDuplicates': { one: 'Skipped {count} duplicate.', other: 'Skipped {count} duplicates.' },
+        'login.mergeFailed': 'Logged in, but guest tasks could not be merged.',
+        'login.notReady': 'Firebase not ready. Please wait.',
+        'login.accountCreated': 'Account created for {email}!',
+        'login.guestTasksKept': 'Your guest tasks have been kept.',
+        'login.enterEmailFirst': 'Enter your email address first.',
+        'login.resetSent': 'Password reset email sent. Check your inbox.',
+        'login.currentlyLoggedIn': 'You are currently logged in.',
+        'login.login': 'Login',
+        'login.register': 'Register',
+        'login.email': 'Email:',
+        'login.password': 'Password:',
+        'login.wait': 'Please wait...',
+        'login.forgotPassword': 'Forgot password?',
+        'login.noAccount': 'Don\'t have an account?',
+        'login.haveAccount': 'Already have an account?',
+        'login.registerHere': 'Register here',
+        'login.loginHere': 'Login here',
+        'login.settings': 'Settings',
+        'guestMerge.title': 'Bring your guest tasks along?',
+        'guestMerge.intro': { one: 'You created {count} task before signing in. It can be copied into your account.', other: 'You created {count} tasks before signing in. They can be copied into your account.' },
+        'guestMerge.duplicates': 'Tasks with the same title and due date as one already in your account are treated as duplicates and skipped.',
+        'guestMerge.additions': 'All other guest tasks are added alongside your existing tasks. Nothing in your account is overwritten.',
+        'guestMerge.leftBehind': 'If you don\'t merge, the guest tasks are left behind and will no longer be shown.',
+        'guestMerge.cancel': 'Cancel',
+        'guestMerge.skip': 'Log in without merging',
+        'guestMerge.merge': 'Merge and log in',
+        'settings.title': 'Settings',
+        'settings.back': '← Back to tasks',
+        'settings.profile': 'Profile',
+        'settings.displayName': 'Display name',
+        'settings.displayNameHint': 'Shown in the header. Leave empty to use the first part of your email address.',
+        'settings.initials': 'Avatar initials',
+        'settings.initialsHint': 'Up to {max} characters. Leave empty to use the initials of your display name.',
+        'settings.saveProfile': 'Save profile',
+        'settings.profileSaved': 'Profile saved.',
+        'settings.profileFailed': 'Failed to save your profile.',
+        'settings.signIn': 'Password and email',
+        'settings.noAccount': 'Guests have no password or email address. Register to keep your tasks in an account.',
+        'settings.changePassword': 'Change password',
+        'settings.currentPassword': 'Current password',
+        'settings.newPassword': 'New password',
+        'settings.repeatPassword': 'Repeat new password',
+        'settings.passwordMismatch': 'The new passwords don\'t match.',
+        'settings.passwordChanged': 'Password changed.',
+        'settings.changeEmail': 'Change email address',
+        'settings.currentEmail': 'Your email address is {email}.',
+        'settings.newEmail': 'New email address',
+        'settings.emailHint': 'We send a link to the new address. It replaces the current one once you open the link.',
+        'settings.emailUnchanged': 'That is already your email address.',
+        'settings.emailVerificationSent': 'Check {email} and open the link we sent to finish the change.',
+        'settings.defaults': 'Defaults',
+        'settings.defaultPriority': 'Priority of new tasks',
+        'settings.defaultFilter': 'Task list opens with',
+        'settings.weekStart': 'Weeks start on',
+        'settings.defaultsHint': 'The first day of the week applies to the calendar, the "Due this week" filter, weekly insights and repeat days.',
+        'settings.filter.all': 'All tasks',
+        'settings.filter.active': 'Active tasks',
+        'settings.filter.completed': 'Completed tasks',
+        'settings.filter.today': 'Active tasks due today',
+        'settings.filter.week': 'Active tasks due this week',
+        'settings.filter.overdue': 'Overdue tasks',
+        'settings.data': 'Your data',
+        'settings.dataHint': 'Download your tasks, their history, projects, profile and defaults as one JSON file.',
+        'settings.download': 'Download all data',
+        'settings.preparingDownload': 'Preparing download...',
+        'settings.downloadFailed': 'Failed to download your data.',
+        'settings.deleteAccount': 'Delete account',
+        'settings.deleteData': 'Delete all data',
+        'settings.deleteAccountHint': 'Deletes your tasks, their history, projects and profile, then your account. Shared lists are not deleted. This cannot be undone.',
+        'settings.deleteDataHint': 'Deletes your tasks, their history, projects and profile from this device. This cannot be undone.',
+        'settings.typeToConfirm': 'Type {word} to confirm',
+        'settings.deleteConfirmWord': 'DELETE',
+        'settings.deletePending': 'Wait until your pending changes are saved, then try again.',
+        'settings.confirmDeleteAccount': 'Delete your account and all of its data for good?',
+        'settings.confirmDeleteData': 'Delete all of your data for good?',
+        'settings.accountDeleted': 'Your account and all of its data were deleted.',
+        'settings.dataDeleted': 'All of your data was deleted.',
+        'settings.deleteFailed': 'Failed to delete your data.',
+        'sync.status': 'Task sync status',
+        'sync.offline': 'Offline',
+        'sync.pending': '⟳ {count} pending',
+        'sync.synced': '✓ {count} synced',
+        'sync.failed': '⚠ {count} failed',
+        'sync.discard': 'Discard',
+        'sync.saveFailed': { one: 'Couldn\'t save a change: {error}', other: 'Couldn\'t save {count} changes: {error}' },
+        'task.loadFailed': 'Failed to load tasks.',
+        'task.loadCompletedFailed': 'Failed to load completed tasks.',
+        'task.loadListFailed': 'Failed to load tasks of a shared list.',
+        'project.loadFailed': 'Failed to load projects.',
+        'project.created': 'Project "{name}" created!',
+        'project.deleted': 'Project deleted. Its tasks were kept.',
+        'project.deleteFailed': 'Failed to delete the project. Nothing was changed.',
+        'list.loadFailed': 'Failed to load shared lists.',
+        'list.invitationsFailed': 'Failed to load invitations.',
+        'list.created': 'Shared list "{name}" created!',
+        'list.createFailed': 'Failed to create shared list.',
+        'list.deleted': 'Shared list "{name}" deleted.',
+        'list.deleteFailed': 'Failed to delete shared list.',
+        'list.updateFailed': 'Failed to update the shared list.',
+        'list.alreadyMember': '{email} is already a member.',
+        'list.invited': 'Invited {email}.',
+        'list.left': 'You left "{name}".',
+        'list.joined': 'You joined "{name}".',
+        'list.verificationSent': 'Verification email sent to {email}.',
+        'list.notVerified': 'Your email address is not verified yet.',
+        'app.done': 'Done',
+        'reminder.none': 'No reminder',
+        'reminder.atOption': 'At a time on the due date',
+        'reminder.beforeOption': 'Before it\'s due',
+        'reminder.default': 'Default ({reminder})',
+        'reminder.isDefault': ' (default)',
+        'reminder.time': 'Reminder time',
+        'reminder.amount': 'Remind this long before',
+        'reminder.unit': 'Reminder unit',
+        'reminder.unit.hours': 'hours',
+        'reminder.unit.days': 'days',
+        'reminder.describeAt': 'At {time} on the due date',
+        'reminder.describeHours': { one: '{count} hour before due', other: '{count} hours before due' },
+        'reminder.describeDays': { one: '{count} day before due', other: '{count} days before due' },
+        'reminder.settings': 'Reminder settings',
+        'reminder.title': 'Reminders',
+        'reminder.defaultLabel': 'Default for tasks with a due date:',
+        'reminder.dueTime': 'Tasks are due at',
+        'reminder.enableNotifications': 'Turn on browser notifications',
+        'reminder.permission.granted': 'Reminders are shown as browser notifications.',
+        'reminder.permission.denied': 'Browser notifications are blocked, so reminders appear as a banner in the app.',
+        'reminder.permission.unsupported': 'This browser doesn\'t support notifications, so reminders appear as a banner in the app.',
+        'reminder.banner': '⏰ Reminder: {title} is due {date}.',
+        'reminder.viewTask': 'View task',
+        'reminder.dismiss': 'Dismiss',
+        'reminder.notificationTitle': 'Reminder: {title}',
+        'reminder.notificationBody': 'Due {date}',
+        'app.close': 'Close',
+        'commands.palette': 'Command palette',
+        'commands.search': 'Search commands and tasks',
+        'commands.placeholder': 'Type a command or task…',
+        'commands.noResults': 'No matching commands or tasks.',
+        'commands.group.help': 'Help',
+        'commands.group.tasks': 'Tasks',
+        'commands.group.filters': 'Filters',
+        'commands.group.view': 'View',
+        'commands.group.navigation': 'Navigation',
+        'commands.group.account': 'Account',
+        'commands.showShortcuts': 'Show keyboard shortcuts',
+        'commands.newTask': 'New task',
+        'commands.listView': 'Show list view',
+        'commands.boardView': 'Show board view',
+        'commands.calendarView': 'Show calendar view',
+        'commands.showActive': 'Show active tasks',
+        'commands.showCompleted': 'Show completed tasks',
+        'commands.clearFilters': 'Clear filters',
+        'commands.importExport': 'Import or export tasks',
+        'commands.goTasks': 'Go to tasks',
+        'commands.goTrash': 'Go to trash',
+        'commands.goInsights': 'Go to insights',
+        'commands.goSettings': 'Go to settings',
+        'commands.logout': 'Log out',
+        'commands.login': 'Log in or register',
+        'shortcuts.title': 'Keyboard shortcuts',
+        'shortcuts.note': 'Task shortcuts work in the list view, and never while typing in a field.',
+        'shortcuts.select': 'Select the next / previous task',
+        'shortcuts.toggle': 'Complete or reopen the selected task',
+        'shortcuts.edit': 'Edit the selected task',
+        'shortcuts.delete': 'Delete the selected task',
+        'shortcuts.palette': 'Open the command palette',
+        'shortcuts.escape': 'Close a dialog or leave the search box',
+        'recurrence.daily': 'Daily',
+        'recurrence.weekly': 'Weekly on {days}',
+        'recurrence.weeklySameDay': 'Weekly on the same day',
+        'recurrence.monthly': 'Monthly on day {day}',
+        'recurrence.everyDays': { one: 'Every day', other: 'Every {count} days' },
+        'recurrence.everyWeeks': { one: 'Every week', other: 'Every {count} weeks' },
+        'recurrence.repeats': 'Repeats',
+        'tags.placeholder': 'Add tags, e.g. billing',
+        'tags.remove': 'Remove tag {tag}',
+        'subtasks.markDone': 'Mark "{title}" as done',
+        'subtasks.markNotDone': 'Mark "{title}" as not done',
+        'subtasks.moveUp': 'Move subtask up',
+        'subtasks.moveDown': 'Move subtask down',
+        'subtasks.delete': 'Delete subtask',
+        'subtasks.placeholder': 'Add a subtask',
+        'board.columns': 'Board columns',
+        'board.columnName': 'Column name for {label}',
+        'board.removeColumn': 'Remove',
+        'board.newColumn': 'New column',
+        'board.newColumnName': 'New column name',
+        'board.addColumn': 'Add column',
+        'calendar.previous': 'Previous',
+        'calendar.today': 'Today',
+        'calendar.next': 'Next',
+        'calendar.layout': 'Calendar layout',
+        'calendar.month': 'Month',
+        'calendar.week': 'Week',
+        'calendar.agenda': 'Agenda',
+        'calendar.overdue': 'Overdue',
+        'calendar.overduePrefix': 'Overdue: ',
+        'calendar.addTaskOn': 'Add a task due {date}',
+        'calendar.nothingDue': 'Nothing due in these {count} days.',
+        'calendar.undated': { one: '{count} task has no due date and isn\'t shown here.', other: '{count} tasks have no due date and aren\'t shown here.' },
+        'transfer.format.json': 'JSON (full backup)',
+        'transfer.format.csv': 'CSV (spreadsheets)',
+        'transfer.format.ics': 'iCalendar (.ics)',
+        'transfer.error.missingTitleColumn': 'The CSV file needs a "title" column.',
+        'transfer.error.noCalendarTasks': 'No tasks (VTODO entries) were found in this calendar.',
+        'transfer.error.notAList': 'Expected a list of tasks.',
+        'transfer.error.notATask': 'Not a task.',
+        'transfer.error.missingTitle': 'Missing title.',
+        'transfer.error.invalidDueDate': 'Invalid due date "{date}" (expected YYYY-MM-DD).',
+        'transfer.error.unknownPriority': 'Unknown priority "{priority}".',
+        'transfer.readFailed': 'Couldn\'t read {name}: {error}',
+        'transfer.title': 'Import & export',
+        'transfer.exportAs': 'Export as:',
+        'transfer.filteredTasks': 'Filtered tasks ({count})',
+        'transfer.allTasks': 'All tasks ({count})',
+        'transfer.download': 'Download',
+        'transfer.importFrom': 'Import from a JSON, CSV or .ics file:',
+        'transfer.summary': '{name} — ready: {ready}, duplicates: {duplicates}, with errors: {errors}',
+        'transfer.column.title': 'Title',
+        'transfer.column.due': 'Due',
+        'transfer.column.check': 'Check',
+        'transfer.untitled': '(untitled)',
+        'transfer.duplicate': 'Duplicate',
+        'transfer.ready': 'Ready',
+        'transfer.includeDuplicates': 'Import duplicates too',
+        'transfer.importing': 'Importing...',
+        'transfer.import': { one: 'Import {count} task', other: 'Import {count} tasks' },
+        'list.role.owner': 'Owner',
+        'list.role.editor': 'Editor',
+        'list.role.viewer': 'Viewer',
+        'list.me': 'me',
+        'list.formerMember': 'a former member',
+        'list.confirmLeave': 'Leave "{name}"? You\'ll lose access to its tasks.',
+        'list.confirmDelete': 'Delete "{name}" and all of its tasks for every member? This cannot be undone.',
+        'list.roleOf': 'Role of {member}',
+        'list.removeMember': 'Remove {member}',
+        'list.invitedAs': 'Invited · {role}',
+        'list.cancelInvite': 'Cancel invitation for {email}',
+        'list.invitePlaceholder': 'Invite by email',
+        'list.inviteEmail': 'Email address to invite',
+        'list.inviteRole': 'Role for the invitation',
+        'list.invite': 'Invite',
+        'list.delete': 'Delete list',
+        'list.leave': 'Leave list',
+        'project.emptyName': 'Project name cannot be empty.',
+        'list.emptyName': 'List name cannot be empty.',
+        'project.rename': 'Rename project',
+        'project.confirmDelete': 'Delete project "{name}"? Its tasks will be kept without a project.',
+        'sidebar.projects': 'Projects',
+        'sidebar.allTasks': 'All tasks',
+        'sidebar.renameProject': 'Rename {name}',
+        'sidebar.deleteProject': 'Delete {name}',
+        'sidebar.newProject': 'New project',
+        'sidebar.newProjectName': 'New project name',
+        'sidebar.projectColor': 'Project color',
+        'sidebar.color': 'Color {color}',
+        'sidebar.sharedLists': 'Shared lists',
+        'sidebar.verifyEmail': 'Verify your email address to receive invitations.',
+        'sidebar.resendEmail': 'Resend email',
+        'sidebar.verified': 'I\'ve verified it',
+        'sidebar.invitedAs': 'invited as {role}',
+        'sidebar.accept': 'Accept',
+        'sidebar.decline': 'Decline',
+        'sidebar.viewOnly': '(view only)',
+        'sidebar.membersOf': 'Members of {name}',
+        'sidebar.newList': 'New shared list',
+        'sidebar.newListName': 'New shared list name',
+        'sidebar.createList': 'Create',
+        'sidebar.tags': 'Tags',
+        'sidebar.insights': '📊 Insights',
+        'sidebar.trash': '🗑 Trash',
+        'sidebar.settings': '⚙ Settings',
+        'board.status.todo': 'To Do',
+        'board.status.in_progress': 'In Progress',
+        'board.status.blocked': 'Blocked',
+        'board.status.done': 'Done',
+        'board.draggable': 'Draggable task',
+        'board.cardLabel': '{title}. Press space to pick up and move.',
+        'board.pickedUp': 'Picked up {title}. Use the arrow keys to move it, space to drop, escape to cancel.',
+        'board.moved': '{title} moved to {column}, position {position}.',
+        'board.position': '{column}, position {position}.',
+        'board.moveCancelled': 'Move cancelled. {title} stayed where it was.',
+        'history.field.title': 'Title',
+        'history.field.description': 'Description',
+        'history.field.dueDate': 'Due date',
+        'history.field.priority': 'Priority',
+        'history.field.completed': 'Completed',
+        'history.field.status': 'Status',
+        'history.field.projectId': 'Project',
+        'history.field.assigneeId': 'Assignee',
+        'history.field.tags': 'Tags',
+        'history.field.subtasks': 'Checklist',
+        'history.field.autoCompleteWithSubtasks': 'Auto-complete with checklist',
+        'history.field.recurrence': 'Repeats',
+        'history.field.reminder': 'Reminder',
+        'history.field.deletedAt': 'Trash',
+        'history.inTrash': 'in trash',
+        'history.notInTrash': 'not in trash',
+        'history.default': 'default',
+        'history.none': 'none',
+        'history.deletedProject': 'a deleted project',
+        'history.subtasksDone': '{done}/{total} done',
+        'history.yes': 'yes',
+        'history.no': 'no',
+        'history.created': 'created the task',
+        'history.updated': 'made changes',
+        'history.reverted': 'reverted to an earlier version',
+        'history.you': 'You',
+        'history.someone': 'Someone',
+        'history.loadFailed': 'Failed to load the task history.',
+        'history.loading': 'Loading history...',
+        'history.empty': 'No changes recorded yet.',
+        'history.revert': 'Revert to this version',
+        'detail.linkCopied': 'Link copied to clipboard!',
+        'detail.copyFailed': 'Could not copy the link.',
+        'detail.loading': 'Loading task...',
+        'detail.inTrash': 'This task is in the trash.',
+        'detail.restore': 'Restore',
+        'detail.notFound': 'This task doesn\'t exist or isn\'t shared with your account.',
+        'detail.completed': 'Completed',
+        'detail.active': 'Active',
+        'detail.dueDate': 'Due date',
+        'detail.none': 'None',
+        'detail.priority': 'Priority',
+        'detail.sharedList': 'Shared list',
+        'detail.assignee': 'Assignee',
+        'detail.completedAt': 'Completed',
+        'detail.repeats': 'Repeats',
+        'detail.reminder': 'Reminder',
+        'detail.checklist': 'Checklist',
+        'detail.copyLink': 'Copy link',
+        'detail.history': 'History',
+        'trash.loading': 'Loading trash...',
+        'trash.title': 'Trash',
+        'trash.empty': 'Empty trash',
+        'trash.retention': 'Delete trashed tasks permanently after:',
+        'trash.retentionDays': { one: '{count} day', other: '{count} days' },
+        'trash.never': 'Never',
+        'trash.deletedAt': 'Deleted {date}',
+        'trash.removedIn': { one: ' · removed for good in {count} day', other: ' · removed for good in {count} days' },
+        'trash.deleteForever': 'Delete forever',
+        'trash.isEmpty': 'Trash is empty.',
+        'insights.period': 'Period',
+        'insights.loading': 'Loading insights...',
+        'insights.weekOf': 'Week of {date}',
+        'insights.created': 'Created',
+        'insights.completed': 'Completed',
+        'insights.completionRate': 'Completion rate',
+        'insights.averageTime': 'Avg. time to complete',
+        'insights.currentStreak': 'Current streak',
+        'insights.longestStreak': 'Longest streak',
+        'insights.days': { one: '{count} day', other: '{count} days' },
+        'insights.title': 'Insights',
+        'insights.range': 'Range:',
+        'insights.lastDays': { one: 'Last day', other: 'Last {count} days' },
+        'insights.custom': 'Custom',
+        'insights.from': 'From:',
+        'insights.to': 'To:',
+        'insights.groupBy': 'Group by',
+        'insights.daily': 'Daily',
+        'insights.weekly': 'Weekly',
+        'insights.createdVsCompleted.day': 'Created vs. completed per day',
+        'insights.createdVsCompleted.week': 'Created vs. completed per week',
+        'insights.overdueAtEnd.day': 'Overdue tasks at the end of each day',
+        'insights.overdueAtEnd.week': 'Overdue tasks at the end of each week',
+        'insights.overdue': 'Overdue',
+        'insights.byPriority': 'Completion rate by priority',
+        'insights.byPriorityHint': 'Of the tasks created in this range, how many are completed now.',
+        'insights.noTasks': 'No tasks',
+        'insights.rate': '{percent}% ({completed}/{total})',
+        'notFound.text': 'Page not found.',
+        'notFound.link': 'Go to your tasks',
+        'sync.error.timeout': 'The server did not respond in time.',
+        'sync.error.conflict': 'This task was deleted on another device.',
+        'sync.error.permissionDenied': 'You don\'t have permission to make this change.',
+    },
+    de: {
+        'app.title': 'TaskFlow-Dashboard',
+        'app.language': 'Sprache',
+        'app.dismissNotification': 'Benachrichtigung schließen',
+        'app.undo': 'Rückgängig',
+        'app.retry': 'Erneut versuchen',
+        'app.loadingAuth': 'Anmeldung wird geladen...',
+        'app.loggedOut': 'Erfolgreich abgemeldet!',
+        'app.logoutFailed': 'Abmelden fehlgeschlagen.',
+        'header.welcome': 'Willkommen, {name}!',
+        'header.logout': 'Abmelden',
+        'header.login': 'Anmelden / Registrieren',
+        'header.settings': 'Profil und Einstellungen',
+        'priority.High': 'Hoch',
+        'priority.Medium': 'Mittel',
+        'priority.Low': 'Niedrig',
+        'project.none': 'Kein Projekt',
+        'quickAdd.label': 'Schnell hinzufügen:',
+        'quickAdd.placeholder': 'Rechnung an ACME senden freitag !high #buchhaltung',
+        'quickAdd.submit': 'Hinzufügen',
+        'quickAdd.noTitle': 'Noch kein Titel',
+        'quickAdd.priority': 'Priorität: {priority}',
+        'quickAdd.hint': 'Titel mit Fälligkeit wie „morgen“ oder „5. Oktober“, !high/!medium/!low und #Tags eingeben.',
+        'form.emptyTitle': 'Der Titel darf nicht leer sein.',
+        'form.addHeading': 'Neue Aufgabe',
+        'form.editHeading': 'Aufgabe bearbeiten',
+        'form.title': 'Titel:',
+        'form.description': 'Beschreibung (optional):',
+        'form.dueDate': 'Fälligkeit (optional):',
+        'form.priority': 'Priorität:',
+        'form.project': 'Projekt:',
+        'form.sharedLists': 'Geteilte Listen',
+        'form.assignee': 'Zuständig:',
+        'form.unassigned': 'Niemand',
+        'form.tags': 'Tags (optional):',
+        'form.reminder': 'Erinnerung:',
+        'form.reminderNeedsDueDate': 'Erinnerungen brauchen eine Fälligkeit.',
+        'form.repeat': 'Wiederholen:',
+        'form.repeat.none': 'Keine Wiederholung',
+        'form.repeat.daily': 'Täglich',
+        'form.repeat.weekly': 'Wöchentlich an ausgewählten Tagen',
+        'form.repeat.monthly': 'Monatlich an einem Tag des Monats',
+        'form.repeat.interval': 'Alle N Tage oder Wochen',
+        'form.dayOfMonth': 'Tag des Monats:',
+        'form.every': 'Alle',
+        'form.intervalUnit': 'Intervalleinheit',
+        'form.unit.days': 'Tage',
+        'form.unit.weeks': 'Wochen',
+        'form.applyTo': 'Änderungen anwenden auf:',
+        'form.scope.single': 'Nur dieses Vorkommen',
+        'form.scope.future': 'Dieses und alle künftigen Vorkommen',
+        'form.autoComplete': 'Diese Aufgabe automatisch erledigen, wenn alle Unteraufgaben erledigt sind',
+        'form.add': 'Aufgabe hinzufügen',
+        'form.update': 'Aufgabe speichern',
+        'form.cancel': 'Abbrechen',
+        'task.select': '{title} auswählen',
+        'task.due': 'Fällig am {date} ({relative})',
+        'task.assignedTo': 'Zugewiesen an {name}',
+        'task.priority': 'Priorität {priority}',
+        'task.completedOccurrences': { one: '{count} erledigtes Vorkommen', other: '{count} erledigte Vorkommen' },
+        'task.occurrencesDone': '{count} erledigt',
+        'task.addChecklist': '+ Checkliste',
+        'task.complete': 'Erledigt',
+        'task.unmark': 'Wieder öffnen',
+        'task.edit': 'Bearbeiten',
+        'task.delete': 'Löschen',
+        'bulk.label': 'Sammelaktionen',
+        'bulk.selected': '{count} von {total} ausgewählt',
+        'bulk.selectAll': 'Alle {count} gefilterten auswählen',
+        'bulk.priorityLabel': 'Priorität der ausgewählten Aufgaben festlegen',
+        'bulk.priorityPlaceholder': 'Priorität…',
+        'bulk.dueDateLabel': 'Fälligkeit der ausgewählten Aufgaben festlegen',
+        'bulk.clearDueDate': 'Fälligkeit entfernen',
+        'bulk.moveLabel': 'Ausgewählte Aufgaben in ein Projekt verschieben',
+        'bulk.movePlaceholder': 'Verschieben nach…',
+        'bulk.clearSelection': 'Auswahl aufheben',
+        'filters.status.All': 'Alle',
+        'filters.status.Active': 'Offen',
+        'filters.status.Completed': 'Erledigt',
+        'filters.searchPlaceholder': 'Titel und Beschreibung durchsuchen',
+        'filters.searchLabel': 'Aufgaben durchsuchen',
+        'filters.priorityLabel': 'Nach Priorität filtern',
+        'filters.dueLabel': 'Nach Fälligkeit filtern',
+        'filters.due.any': 'Beliebige Fälligkeit',
+        'filters.due.overdue': 'Überfällig',
+        'filters.due.today': 'Heute fällig',
+        'filters.due.week': 'Diese Woche fällig',
+        'filters.due.range': 'Fällig zwischen…',
+        'filters.dueFrom': 'Fällig ab',
+        'filters.dueTo': 'Fällig bis',
+        'filters.sortLabel': 'Sortieren nach',
+        'filters.sortOption': 'Sortierung: {field}',
+        'filters.sort.created': 'Erstellungszeit',
+        'filters.sort.dueDate': 'Fälligkeit',
+        'filters.sort.priority': 'Priorität',
+        'filters.sort.title': 'Titel',
+        'filters.assignedToMe': 'Mir zugewiesen',
+        'filters.sortAscending': 'Aufsteigend sortieren',
+        'filters.sortDescending': 'Absteigend sortieren',
+        'filters.ascending': '↑ Aufst.',
+        'filters.descending': '↓ Abst.',
+        'filters.removeChip': 'Filter {label} entfernen',
+        'filters.clearAll': 'Alle entfernen',
+        'filters.chip.list': 'Geteilte Liste: {name}',
+        'filters.chip.project': 'Projekt: {name}',
+        'filters.chip.unknownProject': 'Unbekannt',
+        'filters.chip.priority': 'Priorität {priority}',
+        'filters.chip.dueRange': 'Fällig {from} – {to}',
+        'dashboard.loginPrompt': 'Bitte {link}, um deine Aufgaben zu verwalten.',
+        'dashboard.loginLink': 'melde dich an',
+        'dashboard.loadingTasks': 'Aufgaben werden geladen...',
+        'dashboard.viewLabel': 'Aufgabenansicht',
+        'dashboard.view.list': 'Liste',
+        'dashboard.view.board': 'Board',
+        'dashboard.view.calendar': 'Kalender',
+        'dashboard.editColumns': 'Spalten bearbeiten',
+        'dashboard.importExport': 'Import / Export',
+        'dashboard.noMatches': 'Keine Aufgaben entsprechen deinen Filtern.',
+        'dashboard.emptyAll': 'Keine Aufgaben gefunden. Lege oben eine neue an!',
+        'dashboard.emptyActive': 'Keine offenen Aufgaben. Zeit zum Entspannen!',
+        'dashboard.emptyCompleted': 'Noch keine erledigten Aufgaben. Los geht’s!',
+        'dashboard.loadingCompleted': 'Erledigte Aufgaben werden geladen...',
+        'dashboard.loadOlderCompleted': 'Ältere erledigte Aufgaben laden',
+        'actions.syncNote': '{message} Die Änderung wird synchronisiert, sobald du wieder online bist.',
+        'actions.viewOnly': 'Du kannst diese geteilte Liste nur ansehen.',
+        'actions.loginToAdd': 'Bitte melde dich an, um Aufgaben hinzuzufügen.',
+        'actions.loginToUpdate': 'Bitte melde dich an, um Aufgaben zu ändern.',
+        'actions.loginToRestore': 'Bitte melde dich an, um Aufgaben wiederherzustellen.',
+        'actions.loginToDelete': 'Bitte melde dich an, um Aufgaben zu löschen.',
+        'actions.loginToImport': 'Bitte melde dich an, um Aufgaben zu importieren.',
+        'actions.added': 'Aufgabe hinzugefügt!',
+        'actions.updated': 'Aufgabe aktualisiert!',
+        'actions.completedNext': 'Aufgabe erledigt! Das nächste Vorkommen ist am {date} fällig.',
+        'actions.markedCompleted': 'Aufgabe als erledigt markiert!',
+        'actions.markedActive': 'Aufgabe wieder geöffnet!',
+        'actions.restored': 'Aufgabe wiederhergestellt.',
+        'actions.trashed': 'Aufgabe in den Papierkorb verschoben.',
+        'actions.confirmDeleteForever': { one: 'Diese Aufgabe endgültig löschen? Das lässt sich nicht rückgängig machen.', other: '{count} Aufgaben endgültig löschen? Das lässt sich nicht rückgängig machen.' },
+        'actions.deletedForever': { one: 'Aufgabe endgültig gelöscht.', other: '{count} Aufgaben endgültig gelöscht.' },
+        'actions.alreadyMatches': 'Die Aufgabe entspricht bereits dieser Version.',
+        'actions.reverted': 'Aufgabe auf eine frühere Version zurückgesetzt.',
+        'actions.bulkSkipped': { one: '{count} Aufgabe in schreibgeschützten geteilten Listen blieb unverändert.', other: '{count} Aufgaben in schreibgeschützten geteilten Listen blieben unverändert.' },
+        'actions.bulkNoneEditable': 'Keine der ausgewählten Aufgaben kann geändert werden.',
+        'actions.bulkTooMany': 'Zu viele Aufgaben ausgewählt; eine Sammelaktion ändert höchstens {count}.',
+        'actions.bulkAlreadyCompleted': 'Die ausgewählten Aufgaben sind bereits erledigt.',
+        'actions.bulkAlreadyActive': 'Die ausgewählten Aufgaben sind bereits offen.',
+        'actions.bulkCompleted': { one: '{count} Aufgabe als erledigt markiert.', other: '{count} Aufgaben als erledigt markiert.' },
+        'actions.bulkReopened': { one: '{count} Aufgabe wieder geöffnet.', other: '{count} Aufgaben wieder geöffnet.' },
+        'actions.bulkPriority': { one: 'Priorität von {count} Aufgabe auf {priority} gesetzt.', other: 'Priorität von {count} Aufgaben auf {priority} gesetzt.' },
+        'actions.bulkDueDate': { one: '{count} Aufgabe ist jetzt am {date} fällig.', other: '{count} Aufgaben sind jetzt am {date} fällig.' },
+        'actions.bulkClearDueDate': { one: 'Fälligkeit von {count} Aufgabe entfernt.', other: 'Fälligkeit von {count} Aufgaben entfernt.' },
+        'actions.bulkMoved': { one: '{count} Aufgabe nach {project} verschoben.', other: '{count} Aufgaben nach {project} verschoben.' },
+        'actions.bulkMoveShared': 'Aufgaben in geteilten Listen können nicht in ein Projekt verschoben werden.',
+        'actions.bulkTrashed': { one: '{count} Aufgabe in den Papierkorb verschoben.', other: '{count} Aufgaben in den Papierkorb verschoben.' },
+        'actions.bulkRestored': { one: '{count} Aufgabe wiederhergestellt.', other: '{count} Aufgaben wiederhergestellt.' },
+        'actions.imported': { one: '{count} Aufgabe importiert.', other: '{count} Aufgaben importiert.' },
+        'auth.emailInUse': 'Für diese E-Mail-Adresse gibt es bereits ein Konto.',
+        'auth.invalidEmail': 'Bitte gib eine gültige E-Mail-Adresse ein.',
+        'auth.weakPassword': 'Das Passwort muss mindestens 6 Zeichen lang sein.',
+        'auth.invalidCredentials': 'E-Mail-Adresse oder Passwort ist falsch.',
+        'auth.tooManyRequests': 'Zu viele Versuche. Bitte versuche es später erneut.',
+        'auth.networkError': 'Netzwerkfehler. Prüfe deine Verbindung und versuche es erneut.',
+        'auth.unavailable': 'Konten sind nicht verfügbar, solange die App ohne Firebase läuft.',
+        'auth.recentLogin': 'Bitte melde dich zur Sicherheit ab, wieder an und versuche es erneut.',
+        'auth.failed': 'Bei der Anmeldung ist ein Fehler aufgetreten.',
+        'login.loggedInAs': 'Angemeldet als {email}!',
+        'login.mergedGuestTasks': { one: '{count} Gastaufgabe übernommen.', other: '{count} Gastaufgaben übernommen.' },
+        'login.skippedDuplicates': { one: '{count} Duplikat übersprungen.', other: '{count} Duplikate übersprungen.' },
+        'login.mergeFailed': 'Angemeldet, aber die Gastaufgaben konnten nicht übernommen werden.',
+        'login.notReady': 'Firebase ist noch nicht bereit. Bitte warten.',
+        'login.accountCreated': 'Konto für {email} erstellt!',
+        'login.guestTasksKept': 'Deine Gastaufgaben wurden behalten.',
+        'login.enterEmailFirst': 'Gib zuerst deine E-Mail-Adresse ein.',
+        'login.resetSent': 'E-Mail zum Zurücksetzen des Passworts gesendet. Sieh in deinem Posteingang nach.',
+        'login.currentlyLoggedIn': 'Du bist angemeldet.',
+        'login.login': 'Anmelden',
+        'login.register': 'Registrieren',
+        'login.email': 'E-Mail:',
+        'login.password': 'Passwort:',
+        'login.wait': 'Bitte warten...',
+        'login.forgotPassword': 'Passwort vergessen?',
+        'login.noAccount': 'Noch kein Konto?',
+        'login.haveAccount': 'Schon ein Konto?',
+        'login.registerHere': 'Hier registrieren',
+        'login.loginHere': 'Hier anmelden',
+        'login.settings': 'Einstellungen',
+        'guestMerge.title': 'Gastaufgaben mitnehmen?',
+        'guestMerge.intro': { one: 'Du hast vor der Anmeldung {count} Aufgabe angelegt. Sie kann in dein Konto kopiert werden.', other: 'Du hast vor der Anmeldung {count} Aufgaben angelegt. Sie können in dein Konto kopiert werden.' },
+        'guestMerge.duplicates': 'Aufgaben mit demselben Titel und derselben Fälligkeit wie eine Aufgabe in deinem Konto gelten als Duplikate und werden übersprungen.',
+        'guestMerge.additions': 'Alle anderen Gastaufgaben kommen zu deinen bestehenden Aufgaben hinzu. In deinem Konto wird nichts überschrieben.',
+        'guestMerge.leftBehind': 'Ohne Übernahme bleiben die Gastaufgaben zurück und werden nicht mehr angezeigt.',
+        'guestMerge.cancel': 'Abbrechen',
+        'guestMerge.skip': 'Ohne Übernahme anmelden',
+        'guestMerge.merge': 'Übernehmen und anmelden',
+        'settings.title': 'Einstellungen',
+        'settings.back': '← Zurück zu den Aufgaben',
+        'settings.profile': 'Profil',
+        'settings.displayName': 'Anzeigename',
+        'settings.displayNameHint': 'Wird in der Kopfzeile angezeigt. Leer lassen, um den ersten Teil deiner E-Mail-Adresse zu verwenden.',
+        'settings.initials': 'Initialen für den Avatar',
+        'settings.initialsHint': 'Bis zu {max} Zeichen. Leer lassen, um die Initialen deines Anzeigenamens zu verwenden.',
+        'settings.saveProfile': 'Profil speichern',
+        'settings.profileSaved': 'Profil gespeichert.',
+        'settings.profileFailed': 'Dein Profil konnte nicht gespeichert werden.',
+        'settings.signIn': 'Passwort und E-Mail',
+        'settings.noAccount': 'Gäste haben kein Passwort und keine E-Mail-Adresse. Registriere dich, um deine Aufgaben in einem Konto zu behalten.',
+        'settings.changePassword': 'Passwort ändern',
+        'settings.currentPassword': 'Aktuelles Passwort',
+        'settings.newPassword': 'Neues Passwort',
+        'settings.repeatPassword': 'Neues Passwort wiederholen',
+        'settings.passwordMismatch': 'Die neuen Passwörter stimmen nicht überein.',
+        'settings.passwordChanged': 'Passwort geändert.',
+        'settings.changeEmail': 'E-Mail-Adresse ändern',
+        'settings.currentEmail': 'Deine E-Mail-Adresse ist {email}.',
+        'settings.newEmail': 'Neue E-Mail-Adresse',
+        'settings.emailHint': 'Wir senden einen Link an die neue Adresse. Sie ersetzt die aktuelle, sobald du den Link öffnest.',
+        'settings.emailUnchanged': 'Das ist bereits deine E-Mail-Adresse.',
+        'settings.emailVerificationSent': 'Öffne den Link, den wir an {email} gesendet haben, um die Änderung abzuschließen.',
+        'settings.defaults': 'Standardwerte',
+        'settings.defaultPriority': 'Priorität neuer Aufgaben',
+        'settings.defaultFilter': 'Aufgabenliste zeigt zuerst',
+        'settings.weekStart': 'Wochen beginnen am',
+        'settings.defaultsHint': 'Der erste Wochentag gilt für den Kalender, den Filter „Diese Woche fällig", wöchentliche Auswertungen und Wiederholungstage.',
+        'settings.filter.all': 'Alle Aufgaben',
+        'settings.filter.active': 'Offene Aufgaben',
+        'settings.filter.completed': 'Erledigte Aufgaben',
+        'settings.filter.today': 'Heute fällige offene Aufgaben',
+        'settings.filter.week': 'Diese Woche fällige offene Aufgaben',
+        'settings.filter.overdue': 'Überfällige Aufgaben',
+        'settings.data': 'Deine Daten',
+        'settings.dataHint': 'Lade deine Aufgaben, ihren Verlauf, Projekte, dein Profil und deine Standardwerte als eine JSON-Datei herunter.',
+        'settings.download': 'Alle Daten herunterladen',
+        'settings.preparingDownload': 'Download wird vorbereitet...',
+        'settings.downloadFailed': 'Deine Daten konnten nicht heruntergeladen werden.',
+        'settings.deleteAccount': 'Konto löschen',
+        'settings.deleteData': 'Alle Daten löschen',
+        'settings.deleteAccountHint': 'Löscht deine Aufgaben, ihren Verlauf, Projekte und dein Profil und danach dein Konto. Geteilte Listen werden nicht gelöscht. Das lässt sich nicht rückgängig machen.',
+        'settings.deleteDataHint': 'Löscht deine Aufgaben, ihren Verlauf, Projekte und dein Profil auf diesem Gerät. Das lässt sich nicht rückgängig machen.',
+        'settings.typeToConfirm': 'Gib zur Bestätigung {word} ein',
+        'settings.deleteConfirmWord': 'LÖSCHEN',
+        'settings.deletePending': 'Warte, bis deine ausstehenden Änderungen gespeichert sind, und versuche es dann erneut.',
+        'settings.confirmDeleteAccount': 'Dein Konto und alle zugehörigen Daten endgültig löschen?',
+        'settings.confirmDeleteData': 'Alle deine Daten endgültig löschen?',
+        'settings.accountDeleted': 'Dein Konto und alle zugehörigen Daten wurden gelöscht.',
+        'settings.dataDeleted': 'Alle deine Daten wurden gelöscht.',
+        'settings.deleteFailed': 'Deine Daten konnten nicht gelöscht werden.',
+        'sync.status': 'Synchronisierungsstatus der Aufgaben',
+        'sync.offline': 'Offline',
+        'sync.pending': '⟳ {count} ausstehend',
+        'sync.synced': '✓ {count} synchronisiert',
+        'sync.failed': '⚠ {count} fehlgeschlagen',
+        'sync.discard': 'Verwerfen',
+        'sync.saveFailed': { one: 'Eine Änderung konnte nicht gespeichert werden: {error}', other: '{count} Änderungen konnten nicht gespeichert werden: {error}' },
+        'task.loadFailed': 'Aufgaben konnten nicht geladen werden.',
+        'task.loadCompletedFailed': 'Erledigte Aufgaben konnten nicht geladen werden.',
+        'task.loadListFailed': 'Aufgaben einer geteilten Liste konnten nicht geladen werden.',
+        'project.loadFailed': 'Projekte konnten nicht geladen werden.',
+        'project.created': 'Projekt „{name}“ erstellt!',
+        'project.deleted': 'Projekt gelöscht. Seine Aufgaben bleiben erhalten.',
+        'project.deleteFailed': 'Das Projekt konnte nicht gelöscht werden. Es wurde nichts geändert.',
+        'list.loadFailed': 'Geteilte Listen konnten nicht geladen werden.',
+        'list.invitationsFailed': 'Einladungen konnten nicht geladen werden.',
+        'list.created': 'Geteilte Liste „{name}“ erstellt!',
+        'list.createFailed': 'Geteilte Liste konnte nicht erstellt werden.',
+        'list.deleted': 'Geteilte Liste „{name}“ gelöscht.',
+        'list.deleteFailed': 'Geteilte Liste konnte nicht gelöscht werden.',
+        'list.updateFailed': 'Die geteilte Liste konnte nicht aktualisiert werden.',
+        'list.alreadyMember': '{email} ist bereits Mitglied.',
+        'list.invited': '{email} wurde eingeladen.',
+        'list.left': 'Du hast „{name}“ verlassen.',
+        'list.joined': 'Du bist „{name}“ beigetreten.',
+        'list.verificationSent': 'Bestätigungs-E-Mail an {email} gesendet.',
+        'list.notVerified': 'Deine E-Mail-Adresse ist noch nicht bestätigt.',
+        'app.done': 'Fertig',
+        'reminder.none': 'Keine Erinnerung',
+        'reminder.atOption': 'Zu einer Uhrzeit am Fälligkeitstag',
+        'reminder.beforeOption': 'Vor der Fälligkeit',
+        'reminder.default': 'Standard ({reminder})',
+        'reminder.isDefault': ' (Standard)',
+        'reminder.time': 'Erinnerungszeit',
+        'reminder.amount': 'So lange vorher erinnern',
+        'reminder.unit': 'Einheit der Erinnerung',
+        'reminder.unit.hours': 'Stunden',
+        'reminder.unit.days': 'Tage',
+        'reminder.describeAt': 'Um {time} am Fälligkeitstag',
+        'reminder.describeHours': { one: '{count} Stunde vor Fälligkeit', other: '{count} Stunden vor Fälligkeit' },
+        'reminder.describeDays': { one: '{count} Tag vor Fälligkeit', other: '{count} Tage vor Fälligkeit' },
+        'reminder.settings': 'Erinnerungseinstellungen',
+        'reminder.title': 'Erinnerungen',
+        'reminder.defaultLabel': 'Standard für Aufgaben mit Fälligkeitsdatum:',
+        'reminder.dueTime': 'Aufgaben sind fällig um',
+        'reminder.enableNotifications': 'Browser-Benachrichtigungen einschalten',
+        'reminder.permission.granted': 'Erinnerungen erscheinen als Browser-Benachrichtigungen.',
+        'reminder.permission.denied': 'Browser-Benachrichtigungen sind blockiert, daher erscheinen Erinnerungen als Banner in der App.',
+        'reminder.permission.unsupported': 'Dieser Browser unterstützt keine Benachrichtigungen, daher erscheinen Erinnerungen als Banner in der App.',
+        'reminder.banner': '⏰ Erinnerung: {title} ist am {date} fällig.',
+        'reminder.viewTask': 'Aufgabe ansehen',
+        'reminder.dismiss': 'Schließen',
+        'reminder.notificationTitle': 'Erinnerung: {title}',
+        'reminder.notificationBody': 'Fällig am {date}',
+        'app.close': 'Schließen',
+        'commands.palette': 'Befehlspalette',
+        'commands.search': 'Befehle und Aufgaben durchsuchen',
+        'commands.placeholder': 'Befehl oder Aufgabe eingeben…',
+        'commands.noResults': 'Keine passenden Befehle oder Aufgaben.',
+        'commands.group.help': 'Hilfe',
+        'commands.group.tasks': 'Aufgaben',
+        'commands.group.filters': 'Filter',
+        'commands.group.view': 'Ansicht',
+        'commands.group.navigation': 'Navigation',
+        'commands.group.account': 'Konto',
+        'commands.showShortcuts': 'Tastenkürzel anzeigen',
+        'commands.newTask': 'Neue Aufgabe',
+        'commands.listView': 'Listenansicht anzeigen',
+        'commands.boardView': 'Board-Ansicht anzeigen',
+        'commands.calendarView': 'Kalenderansicht anzeigen',
+        'commands.showActive': 'Aktive Aufgaben anzeigen',
+        'commands.showCompleted': 'Erledigte Aufgaben anzeigen',
+        'commands.clearFilters': 'Filter zurücksetzen',
+        'commands.importExport': 'Aufgaben importieren oder exportieren',
+        'commands.goTasks': 'Zu den Aufgaben',
+        'commands.goTrash': 'Zum Papierkorb',
+        'commands.goInsights': 'Zu den Statistiken',
+        'commands.goSettings': 'Zu den Einstellungen',
+        'commands.logout': 'Abmelden',
+        'commands.login': 'Anmelden oder registrieren',
+        'shortcuts.title': 'Tastenkürzel',
+        'shortcuts.note': 'Aufgabenkürzel funktionieren in der Listenansicht und nie während der Eingabe in ein Feld.',
+        'shortcuts.select': 'Nächste / vorherige Aufgabe auswählen',
+        'shortcuts.toggle': 'Ausgewählte Aufgabe erledigen oder wieder öffnen',
+        'shortcuts.edit': 'Ausgewählte Aufgabe bearbeiten',
+        'shortcuts.delete': 'Ausgewählte Aufgabe löschen',
+        'shortcuts.palette': 'Befehlspalette öffnen',
+        'shortcuts.escape': 'Dialog schließen oder Suchfeld verlassen',
+        'recurrence.daily': 'Täglich',
+        'recurrence.weekly': 'Wöchentlich am {days}',
+        'recurrence.weeklySameDay': 'Wöchentlich am selben Tag',
+        'recurrence.monthly': 'Monatlich am {day}.',
+        'recurrence.everyDays': { one: 'Jeden Tag', other: 'Alle {count} Tage' },
+        'recurrence.everyWeeks': { one: 'Jede Woche', other: 'Alle {count} Wochen' },
+        'recurrence.repeats': 'Wiederholt sich',
+        'tags.placeholder': 'Tags hinzufügen, z. B. rechnung',
+        'tags.remove': 'Tag {tag} entfernen',
+        'subtasks.markDone': '„{title}“ als erledigt markieren',
+        'subtasks.markNotDone': '„{title}“ als nicht erledigt markieren',
+        'subtasks.moveUp': 'Teilaufgabe nach oben verschieben',
+        'subtasks.moveDown': 'Teilaufgabe nach unten verschieben',
+        'subtasks.delete': 'Teilaufgabe löschen',
+        'subtasks.placeholder': 'Teilaufgabe hinzufügen',
+        'board.columns': 'Board-Spalten',
+        'board.columnName': 'Spaltenname für {label}',
+        'board.removeColumn': 'Entfernen',
+        'board.newColumn': 'Neue Spalte',
+        'board.newColumnName': 'Name der neuen Spalte',
+        'board.addColumn': 'Spalte hinzufügen',
+        'calendar.previous': 'Zurück',
+        'calendar.today': 'Heute',
+        'calendar.next': 'Weiter',
+        'calendar.layout': 'Kalenderlayout',
+        'calendar.month': 'Monat',
+        'calendar.week': 'Woche',
+        'calendar.agenda': 'Agenda',
+        'calendar.overdue': 'Überfällig',
+        'calendar.overduePrefix': 'Überfällig: ',
+        'calendar.addTaskOn': 'Aufgabe fällig am {date} hinzufügen',
+        'calendar.nothingDue': 'In diesen {count} Tagen ist nichts fällig.',
+        'calendar.undated': {
+            one: '{count} Aufgabe hat kein Fälligkeitsdatum und wird hier nicht angezeigt.',
+            other: '{count} Aufgaben haben kein Fälligkeitsdatum und werden hier nicht angezeigt.',
+        },
+        'transfer.format.json': 'JSON (vollständige Sicherung)',
+        'transfer.format.csv': 'CSV (Tabellen)',
+        'transfer.format.ics': 'iCalendar (.ics)',
+        'transfer.error.missingTitleColumn': 'Die CSV-Datei braucht eine Spalte „title“.',
+        'transfer.error.noCalendarTasks': 'In diesem Kalender wurden keine Aufgaben (VTODO-Einträge) gefunden.',
+        'transfer.error.notAList': 'Erwartet wurde eine Liste von Aufgaben.',
+        'transfer.error.notATask': 'Keine Aufgabe.',
+        'transfer.error.missingTitle': 'Titel fehlt.',
+        'transfer.error.invalidDueDate': 'Ungültiges Fälligkeitsdatum „{date}“ (erwartet JJJJ-MM-TT).',
+        'transfer.error.unknownPriority': 'Unbekannte Priorität „{priority}“.',
+        'transfer.readFailed': '{name} konnte nicht gelesen werden: {error}',
+        'transfer.title': 'Import & Export',
+        'transfer.exportAs': 'Exportieren als:',
+        'transfer.filteredTasks': 'Gefilterte Aufgaben ({count})',
+        'transfer.allTasks': 'Alle Aufgaben ({count})',
+        'transfer.download': 'Herunterladen',
+        'transfer.importFrom': 'Aus einer JSON-, CSV- oder .ics-Datei importieren:',
+        'transfer.summary': '{name} — bereit: {ready}, Duplikate: {duplicates}, mit Fehlern: {errors}',
+        'transfer.column.title': 'Titel',
+        'transfer.column.due': 'Fällig',
+        'transfer.column.check': 'Prüfung',
+        'transfer.untitled': '(ohne Titel)',
+        'transfer.duplicate': 'Duplikat',
+        'transfer.ready': 'Bereit',
+        'transfer.includeDuplicates': 'Duplikate auch importieren',
+        'transfer.importing': 'Wird importiert...',
+        'transfer.import': { one: '{count} Aufgabe importieren', other: '{count} Aufgaben importieren' },
+        'list.role.owner': 'Eigentümer',
+        'list.role.editor': 'Bearbeiter',
+        'list.role.viewer': 'Betrachter',
+        'list.me': 'ich',
+        'list.formerMember': 'ein ehemaliges Mitglied',
+        'list.confirmLeave': '„{name}“ verlassen? Du verlierst den Zugriff auf ihre Aufgaben.',
+        'list.confirmDelete': '„{name}“ und alle ihre Aufgaben für alle Mitglieder löschen? Das kann nicht rückgängig gemacht werden.',
+        'list.roleOf': 'Rolle von {member}',
+        'list.removeMember': '{member} entfernen',
+        'list.invitedAs': 'Eingeladen · {role}',
+        'list.cancelInvite': 'Einladung für {email} zurückziehen',
+        'list.invitePlaceholder': 'Per E-Mail einladen',
+        'list.inviteEmail': 'E-Mail-Adresse der Einladung',
+        'list.inviteRole': 'Rolle für die Einladung',
+        'list.invite': 'Einladen',
+        'list.delete': 'Liste löschen',
+        'list.leave': 'Liste verlassen',
+        'project.emptyName': 'Der Projektname darf nicht leer sein.',
+        'list.emptyName': 'Der Listenname darf nicht leer sein.',
+        'project.rename': 'Projekt umbenennen',
+        'project.confirmDelete': 'Projekt „{name}“ löschen? Seine Aufgaben bleiben ohne Projekt erhalten.',
+        'sidebar.projects': 'Projekte',
+        'sidebar.allTasks': 'Alle Aufgaben',
+        'sidebar.renameProject': '{name} umbenennen',
+        'sidebar.deleteProject': '{name} löschen',
+        'sidebar.newProject': 'Neues Projekt',
+        'sidebar.newProjectName': 'Name des neuen Projekts',
+        'sidebar.projectColor': 'Projektfarbe',
+        'sidebar.color': 'Farbe {color}',
+        'sidebar.sharedLists': 'Geteilte Listen',
+        'sidebar.verifyEmail': 'Bestätige deine E-Mail-Adresse, um Einladungen zu erhalten.',
+        'sidebar.resendEmail': 'E-Mail erneut senden',
+        'sidebar.verified': 'Ich habe sie bestätigt',
+        'sidebar.invitedAs': 'eingeladen als {role}',
+        'sidebar.accept': 'Annehmen',
+        'sidebar.decline': 'Ablehnen',
+        'sidebar.viewOnly': '(nur lesen)',
+        'sidebar.membersOf': 'Mitglieder von {name}',
+        'sidebar.newList': 'Neue geteilte Liste',
+        'sidebar.newListName': 'Name der neuen geteilten Liste',
+        'sidebar.createList': 'Erstellen',
+        'sidebar.tags': 'Tags',
+        'sidebar.insights': '📊 Statistiken',
+        'sidebar.trash': '🗑 Papierkorb',
+        'sidebar.settings': '⚙ Einstellungen',
+        'board.status.todo': 'Zu erledigen',
+        'board.status.in_progress': 'In Arbeit',
+        'board.status.blocked': 'Blockiert',
+        'board.status.done': 'Erledigt',
+        'board.draggable': 'Verschiebbare Aufgabe',
+        'board.cardLabel': '{title}. Leertaste drücken, um sie aufzunehmen und zu verschieben.',
+        'board.pickedUp': '{title} aufgenommen. Mit den Pfeiltasten verschieben, mit der Leertaste ablegen, mit Escape abbrechen.',
+        'board.moved': '{title} nach {column} verschoben, Position {position}.',
+        'board.position': '{column}, Position {position}.',
+        'board.moveCancelled': 'Verschieben abgebrochen. {title} bleibt, wo sie war.',
+        'history.field.title': 'Titel',
+        'history.field.description': 'Beschreibung',
+        'history.field.dueDate': 'Fälligkeitsdatum',
+        'history.field.priority': 'Priorität',
+        'history.field.completed': 'Erledigt',
+        'history.field.status': 'Status',
+        'history.field.projectId': 'Projekt',
+        'history.field.assigneeId': 'Zuständig',
+        'history.field.tags': 'Tags',
+        'history.field.subtasks': 'Checkliste',
+        'history.field.autoCompleteWithSubtasks': 'Mit Checkliste automatisch erledigen',
+        'history.field.recurrence': 'Wiederholung',
+        'history.field.reminder': 'Erinnerung',
+        'history.field.deletedAt': 'Papierkorb',
+        'history.inTrash': 'im Papierkorb',
+        'history.notInTrash': 'nicht im Papierkorb',
+        'history.default': 'Standard',
+        'history.none': 'keine',
+        'history.deletedProject': 'ein gelöschtes Projekt',
+        'history.subtasksDone': '{done}/{total} erledigt',
+        'history.yes': 'ja',
+        'history.no': 'nein',
+        'history.created': 'hat die Aufgabe erstellt',
+        'history.updated': 'hat Änderungen vorgenommen',
+        'history.reverted': 'hat eine frühere Version wiederhergestellt',
+        'history.you': 'Du',
+        'history.someone': 'Jemand',
+        'history.loadFailed': 'Der Aufgabenverlauf konnte nicht geladen werden.',
+        'history.loading': 'Verlauf wird geladen...',
+        'history.empty': 'Noch keine Änderungen erfasst.',
+        'history.revert': 'Auf diese Version zurücksetzen',
+        'detail.linkCopied': 'Link in die Zwischenablage kopiert!',
+        'detail.copyFailed': 'Der Link konnte nicht kopiert werden.',
+        'detail.loading': 'Aufgabe wird geladen...',
+        'detail.inTrash': 'Diese Aufgabe liegt im Papierkorb.',
+        'detail.restore': 'Wiederherstellen',
+        'detail.notFound': 'Diese Aufgabe existiert nicht oder ist nicht mit deinem Konto geteilt.',
+        'detail.completed': 'Erledigt',
+        'detail.active': 'Aktiv',
+        'detail.dueDate': 'Fälligkeitsdatum',
+        'detail.none': 'Keins',
+        'detail.priority': 'Priorität',
+        'detail.sharedList': 'Geteilte Liste',
+        'detail.assignee': 'Zuständig',
+        'detail.completedAt': 'Erledigt am',
+        'detail.repeats': 'Wiederholung',
+        'detail.reminder': 'Erinnerung',
+        'detail.checklist': 'Checkliste',
+        'detail.copyLink': 'Link kopieren',
+        'detail.history': 'Verlauf',
+        'trash.loading': 'Papierkorb wird geladen...',
+        'trash.title': 'Papierkorb',
+        'trash.empty': 'Papierkorb leeren',
+        'trash.retention': 'Aufgaben im Papierkorb endgültig löschen nach:',
+        'trash.retentionDays': { one: '{count} Tag', other: '{count} Tagen' },
+        'trash.never': 'Nie',
+        'trash.deletedAt': 'Gelöscht am {date}',
+        'trash.removedIn': { one: ' · wird in {count} Tag endgültig entfernt', other: ' · wird in {count} Tagen endgültig entfernt' },
+        'trash.deleteForever': 'Endgültig löschen',
+        'trash.isEmpty': 'Der Papierkorb ist leer.',
+        'insights.period': 'Zeitraum',
+        'insights.loading': 'Statistiken werden geladen...',
+        'insights.weekOf': 'Woche vom {date}',
+        'insights.created': 'Erstellt',
+        'insights.completed': 'Erledigt',
+        'insights.completionRate': 'Erledigungsquote',
+        'insights.averageTime': 'Ø Zeit bis erledigt',
+        'insights.currentStreak': 'Aktuelle Serie',
+        'insights.longestStreak': 'Längste Serie',
+        'insights.days': { one: '{count} Tag', other: '{count} Tage' },
+        'insights.title': 'Statistiken',
+        'insights.range': 'Zeitraum:',
+        'insights.lastDays': { one: 'Letzter Tag', other: 'Letzte {count} Tage' },
+        'insights.custom': 'Benutzerdefiniert',
+        'insights.from': 'Von:',
+        'insights.to': 'Bis:',
+        'insights.groupBy': 'Gruppieren nach',
+        'insights.daily': 'Täglich',
+        'insights.weekly': 'Wöchentlich',
+        'insights.createdVsCompleted.day': 'Erstellt und erledigt pro Tag',
+        'insights.createdVsCompleted.week': 'Erstellt und erledigt pro Woche',
+        'insights.overdueAtEnd.day': 'Überfällige Aufgaben am Ende jedes Tages',
+        'insights.overdueAtEnd.week': 'Überfällige Aufgaben am Ende jeder Woche',
+        'insights.overdue': 'Überfällig',
+        'insights.byPriority': 'Erledigungsquote nach Priorität',
+        'insights.byPriorityHint': 'Wie viele der in diesem Zeitraum erstellten Aufgaben inzwischen erledigt sind.',
+        'insights.noTasks': 'Keine Aufgaben',
+        'insights.rate': '{percent} % ({completed}/{total})',
+        'notFound.text': 'Seite nicht gefunden.',
+        'notFound.link': 'Zu deinen Aufgaben',
+        'sync.error.timeout': 'Der Server hat nicht rechtzeitig geantwortet.',
+        'sync.error.conflict': 'Diese Aufgabe wurde auf einem anderen Gerät gelöscht.',
+        'sync.error.permissionDenied': 'Du darfst diese Änderung nicht vornehmen.',
+    },
+    ar: {
+        'app.title': 'لوحة TaskFlow',
+        'app.language': 'اللغة',
+        'app.dismissNotification': 'إغلاق الإشعار',
+        'app.undo': 'تراجع',
+        'app.retry': 'إعادة المحاولة',
+        'app.loadingAuth': 'جارٍ تحميل تسجيل الدخول...',
+        'app.loggedOut': 'تم تسجيل الخروج بنجاح!',
+        'app.logoutFailed': 'تعذّر تسجيل الخروج.',
+        'header.welcome': 'مرحبًا، {name}!',
+        'header.logout': 'تسجيل الخروج',
+        'header.login': 'تسجيل الدخول / إنشاء حساب',
+        'header.settings': 'الملف الشخصي والإعدادات',
+        'priority.High': 'عالية',
+        'priority.Medium': 'متوسطة',
+        'priority.Low': 'منخفضة',
+        'project.none': 'بلا مشروع',
+        'quickAdd.label': 'إضافة سريعة:',
+        'quickAdd.placeholder': 'إرسال الفاتورة إلى ACME الجمعة !high #فواتير',
+        'quickAdd.submit': 'إضافة',
+        'quickAdd.noTitle': 'لا يوجد عنوان بعد',
+        'quickAdd.priority': 'الأولوية: {priority}',
+        'quickAdd.hint': 'اكتب عنوانًا مع موعد مثل «غدًا» أو «الجمعة»، و!high/!medium/!low و#وسوم.',
+        'form.emptyTitle': 'لا يمكن أن يكون عنوان المهمة فارغًا.',
+        'form.addHeading': 'إضافة مهمة جديدة',
+        'form.editHeading': 'تعديل المهمة',
+        'form.title': 'العنوان:',
+        'form.description': 'الوصف (اختياري):',
+        'form.dueDate': 'تاريخ الاستحقاق (اختياري):',
+        'form.priority': 'الأولوية:',
+        'form.project': 'المشروع:',
+        'form.sharedLists': 'القوائم المشتركة',
+        'form.assignee': 'المسؤول:',
+        'form.unassigned': 'غير مسندة',
+        'form.tags': 'الوسوم (اختياري):',
+        'form.reminder': 'التذكير:',
+        'form.reminderNeedsDueDate': 'تحتاج التذكيرات إلى تاريخ استحقاق.',
+        'form.repeat': 'التكرار:',
+        'form.repeat.none': 'لا تتكرر',
+        'form.repeat.daily': 'يوميًا',
+        'form.repeat.weekly': 'أسبوعيًا في أيام محددة',
+        'form.repeat.monthly': 'شهريًا في يوم من الشهر',
+        'form.repeat.interval': 'كل عدد من الأيام أو الأسابيع',
+        'form.dayOfMonth': 'يوم الشهر:',
+        'form.every': 'كل',
+        'form.intervalUnit': 'وحدة الفاصل',
+        'form.unit.days': 'أيام',
+        'form.unit.weeks': 'أسابيع',
+        'form.applyTo': 'تطبيق التغييرات على:',
+        'form.scope.single': 'هذا التكرار فقط',
+        'form.scope.future': 'هذا التكرار وكل التكرارات القادمة',
+        'form.autoComplete': 'إنجاز هذه المهمة تلقائيًا عند إنجاز كل المهام الفرعية',
+        'form.add': 'إضافة المهمة',
+        'form.update': 'تحديث المهمة',
+        'form.cancel': 'إلغاء',
+        'task.select': 'تحديد {title}',
+        'task.due': 'الاستحقاق {date} ({relative})',
+        'task.assignedTo': 'مسندة إلى {name}',
+        'task.priority': 'أولوية {priority}',
+        'task.completedOccurrences': {
+            zero: 'لا تكرارات مكتملة',
+            one: 'تكرار واحد مكتمل',
+            two: 'تكراران مكتملان',
+            few: '{count} تكرارات مكتملة',
+            many: '{count} تكرارًا مكتملًا',
+            other: '{count} تكرار مكتمل',
+        },
+        'task.occurrencesDone': 'أُنجز {count}',
+        'task.addChecklist': '+ قائمة تحقق',
+        'task.complete': 'إنجاز',
+        'task.unmark': 'إلغاء الإنجاز',
+        'task.edit': 'تعديل',
+        'task.delete': 'حذف',
+        'bulk.label': 'إجراءات جماعية',
+        'bulk.selected': 'تم تحديد {count} من {total}',
+        'bulk.selectAll': 'تحديد كل المهام المصفّاة ({count})',
+        'bulk.priorityLabel': 'تعيين أولوية المهام المحددة',
+        'bulk.priorityPlaceholder': 'الأولوية…',
+        'bulk.dueDateLabel': 'تعيين تاريخ استحقاق المهام المحددة',
+        'bulk.clearDueDate': 'إزالة تاريخ الاستحقاق',
+        'bulk.moveLabel': 'نقل المهام المحددة إلى مشروع',
+        'bulk.movePlaceholder': 'نقل إلى…',
+        'bulk.clearSelection': 'إلغاء التحديد',
+        'filters.status.All': 'الكل',
+        'filters.status.Active': 'النشطة',
+        'filters.status.Completed': 'المنجزة',
+        'filters.searchPlaceholder': 'ابحث في العنوان والوصف',
+        'filters.searchLabel': 'البحث في المهام',
+        'filters.priorityLabel': 'التصفية حسب الأولوية',
+        'filters.dueLabel': 'التصفية حسب تاريخ الاستحقاق',
+        'filters.due.any': 'أي تاريخ استحقاق',
+        'filters.due.overdue': 'متأخرة',
+        'filters.due.today': 'مستحقة اليوم',
+        'filters.due.week': 'مستحقة هذا الأسبوع',
+        'filters.due.range': 'مستحقة بين…',
+        'filters.dueFrom': 'مستحقة من',
+        'filters.dueTo': 'مستحقة حتى',
+        'filters.sortLabel': 'الترتيب حسب',
+        'filters.sortOption': 'الترتيب: {field}',
+        'filters.sort.created': 'وقت الإنشاء',
+        'filters.sort.dueDate': 'تاريخ الاستحقاق',
+        'filters.sort.priority': 'الأولوية',
+        'filters.sort.title': 'العنوان',
+        'filters.assignedToMe': 'المسندة إليّ',
+        'filters.sortAscending': 'ترتيب تصاعدي',
+        'filters.sortDescending': 'ترتيب تنازلي',
+        'filters.ascending': '↑ تصاعدي',
+        'filters.descending': '↓ تنازلي',
+        'filters.removeChip': 'إزالة عامل التصفية {label}',
+        'filters.clearAll': 'مسح الكل',
+        'filters.chip.list': 'قائمة مشتركة: {name}',
+        'filters.chip.project': 'المشروع: {name}',
+        'filters.chip.unknownProject': 'غير معروف',
+        'filters.chip.priority': 'أولوية {priority}',
+        'filters.chip.dueRange': 'مستحقة {from} – {to}',
+        'dashboard.loginPrompt': 'يرجى {link} لإدارة مهامك.',
+        'dashboard.loginLink': 'تسجيل الدخول',
+        'dashboard.loadingTasks': 'جارٍ تحميل المهام...',
+        'dashboard.viewLabel': 'عرض المهام',
+        'dashboard.view.list': 'قائمة',
+        'dashboard.view.board': 'لوحة',
+        'dashboard.view.calendar': 'تقويم',
+        'dashboard.editColumns': 'تعديل الأعمدة',
+        'dashboard.importExport': 'استيراد / تصدير',
+        'dashboard.noMatches': 'لا توجد مهام تطابق عوامل التصفية.',
+        'dashboard.emptyAll': 'لا توجد مهام. أضف مهمة جديدة في الأعلى!',
+        'dashboard.emptyActive': 'لا توجد مهام نشطة. حان وقت الراحة!',
+        'dashboard.emptyCompleted': 'لا توجد مهام منجزة بعد. هيا إلى العمل!',
+        'dashboard.loadingCompleted': 'جارٍ تحميل المهام المنجزة...',
+        'dashboard.loadOlderCompleted': 'تحميل المهام المنجزة الأقدم',
+        'actions.syncNote': '{message} ستتم المزامنة عند عودة الاتصال.',
+        'actions.viewOnly': 'لديك صلاحية العرض فقط لهذه القائمة المشتركة.',
+        'actions.loginToAdd': 'يرجى تسجيل الدخول لإضافة المهام.',
+        'actions.loginToUpdate': 'يرجى تسجيل الدخول لتعديل المهام.',
+        'actions.loginToRestore': 'يرجى تسجيل الدخول لاستعادة المهام.',
+        'actions.loginToDelete': 'يرجى تسجيل الدخول لحذف المهام.',
+        'actions.loginToImport': 'يرجى تسجيل الدخول لاستيراد المهام.',
+        'actions.added': 'تمت إضافة المهمة بنجاح!',
+        'actions.updated': 'تم تحديث المهمة بنجاح!',
+        'actions.completedNext': 'أُنجزت المهمة! التكرار التالي مستحق في {date}.',
+        'actions.markedCompleted': 'تم تعليم المهمة كمنجزة!',
+        'actions.markedActive': 'تم تعليم المهمة كنشطة!',
+        'actions.restored': 'تمت استعادة المهمة.',
+        'actions.trashed': 'نُقلت المهمة إلى سلة المهملات.',
+        'actions.confirmDeleteForever': {
+            zero: 'حذف {count} مهمة نهائيًا؟ لا يمكن التراجع عن ذلك.',
+            one: 'حذف هذه المهمة نهائيًا؟ لا يمكن التراجع عن ذلك.',
+            two: 'حذف المهمتين نهائيًا؟ لا يمكن التراجع عن ذلك.',
+            few: 'حذف {count} مهام نهائيًا؟ لا يمكن التراجع عن ذلك.',
+            many: 'حذف {count} مهمة نهائيًا؟ لا يمكن التراجع عن ذلك.',
+            other: 'حذف {count} مهمة نهائيًا؟ لا يمكن التراجع عن ذلك.',
+        },
+        'actions.deletedForever': {
+            zero: 'لم تُحذف أي مهمة.',
+            one: 'حُذفت المهمة نهائيًا.',
+            two: 'حُذفت مهمتان نهائيًا.',
+            few: 'حُذفت {count} مهام نهائيًا.',
+            many: 'حُذفت {count} مهمة نهائيًا.',
+            other: 'حُذفت {count} مهمة نهائيًا.',
+        },
+        'actions.alreadyMatches': 'المهمة تطابق هذا الإصدار بالفعل.',
+        'actions.reverted': 'أُعيدت المهمة إلى إصدار سابق.',
+        'actions.bulkSkipped': {
+            zero: 'لم تُستثنَ أي مهمة.',
+            one: 'بقيت مهمة واحدة في قوائم مشتركة للعرض فقط دون تغيير.',
+            two: 'بقيت مهمتان في قوائم مشتركة للعرض فقط دون تغيير.',
+            few: 'بقيت {count} مهام في قوائم مشتركة للعرض فقط دون تغيير.',
+            many: 'بقيت {count} مهمة في قوائم مشتركة للعرض فقط دون تغيير.',
+            other: 'بقيت {count} مهمة في قوائم مشتركة للعرض فقط دون تغيير.',
+        },
+        'actions.bulkNoneEditable': 'لا يمكن تغيير أي من المهام المحددة.',
+        'actions.bulkTooMany': 'تم تحديد مهام كثيرة جدًا؛ الحد الأقصى للإجراء الجماعي الواحد هو {count}.',
+        'actions.bulkAlreadyCompleted': 'المهام المحددة منجزة بالفعل.',
+        'actions.bulkAlreadyActive': 'المهام المحددة نشطة بالفعل.',
+        'actions.bulkCompleted': {
+            zero: 'لم تُعلَّم أي مهمة كمنجزة.',
+            one: 'تم تعليم مهمة واحدة كمنجزة.',
+            two: 'تم تعليم مهمتين كمنجزتين.',
+            few: 'تم تعليم {count} مهام كمنجزة.',
+            many: 'تم تعليم {count} مهمة كمنجزة.',
+            other: 'تم تعليم {count} مهمة كمنجزة.',
+        },
+        'actions.bulkReopened': {
+            zero: 'لم تُعلَّم أي مهمة كنشطة.',
+            one: 'تم تعليم مهمة واحدة كنشطة.',
+            two: 'تم تعليم مهمتين كنشطتين.',
+            few: 'تم تعليم {count} مهام كنشطة.',
+            many: 'تم تعليم {count} مهمة كنشطة.',
+            other: 'تم تعليم {count} مهمة كنشطة.',
+        },
+        'actions.bulkPriority': {
+            zero: 'لم تتغير أولوية أي مهمة.',
+            one: 'تم تعيين أولوية {priority} لمهمة واحدة.',
+            two: 'تم تعيين أولوية {priority} لمهمتين.',
+            few: 'تم تعيين أولوية {priority} لـ {count} مهام.',
+            many: 'تم تعيين أولوية {priority} لـ {count} مهمة.',
+            other: 'تم تعيين أولوية {priority} لـ {count} مهمة.',
+        },
+        'actions.bulkDueDate': {
+            zero: 'لم يتغير تاريخ استحقاق أي مهمة.',
+            one: 'أصبحت مهمة واحدة مستحقة في {date}.',
+            two: 'أصبحت مهمتان مستحقتين في {date}.',
+            few: 'أصبحت {count} مهام مستحقة في {date}.',
+            many: 'أصبحت {count} مهمة مستحقة في {date}.',
+            other: 'أصبحت {count} مهمة مستحقة في {date}.',
+        },
+        'actions.bulkClearDueDate': {
+            zero: 'لم يُزَل تاريخ استحقاق أي مهمة.',
+            one: 'أُزيل تاريخ استحقاق مهمة واحدة.',
+            two: 'أُزيل تاريخ استحقاق مهمتين.',
+            few: 'أُزيل تاريخ استحقاق {count} مهام.',
+            many: 'أُزيل تاريخ استحقاق {count} مهمة.',
+            other: 'أُزيل تاريخ استحقاق {count} مهمة.',
+        },
+        'actions.bulkMoved': {
+            zero: 'لم تُنقل أي مهمة.',
+            one: 'نُقلت مهمة واحدة إلى {project}.',
+            two: 'نُقلت مهمتان إلى {project}.',
+            few: 'نُقلت {count} مهام إلى {project}.',
+            many: 'نُقلت {count} مهمة إلى {project}.',
+            other: 'نُقلت {count} مهمة إلى {project}.',
+        },
+        'actions.bulkMoveShared': 'لا يمكن نقل مهام القوائم المشتركة إلى مشروع.',
+        'actions.bulkTrashed': {
+            zero: 'لم تُنقل أي مهمة إلى سلة المهملات.',
+            one: 'نُقلت مهمة واحدة إلى سلة المهملات.',
+            two: 'نُقلت مهمتان إلى سلة المهملات.',
+            few: 'نُقلت {count} مهام إلى سلة المهملات.',
+            many: 'نُقلت {count} مهمة إلى سلة المهملات.',
+            other: 'نُقلت {count} مهمة إلى سلة المهملات.',
+        },
+        'actions.bulkRestored': {
+            zero: 'لم تُستعد أي مهمة.',
+            one: 'تمت استعادة مهمة واحدة.',
+            two: 'تمت استعادة مهمتين.',
+            few: 'تمت استعادة {count} مهام.',
+            many: 'تمت استعادة {count} مهمة.',
+            other: 'تمت استعادة {count} مهمة.',
+        },
+        'actions.imported': {
+            zero: 'لم تُستورد أي مهمة.',
+            one: 'تم استيراد مهمة واحدة.',
+            two: 'تم استيراد مهمتين.',
+            few: 'تم استيراد {count} مهام.',
+            many: 'تم استيراد {count} مهمة.',
+            other: 'تم استيراد {count} مهمة.',
+        },
+        'auth.emailInUse': 'يوجد حساب بهذا البريد الإلكتروني بالفعل.',
+        'auth.invalidEmail': 'يرجى إدخال بريد إلكتروني صالح.',
+        'auth.weakPassword': 'يجب أن تتكون كلمة المرور من 6 أحرف على الأقل.',
+        'auth.invalidCredentials': 'البريد الإلكتروني أو كلمة المرور غير صحيحة.',
+        'auth.tooManyRequests': 'محاولات كثيرة جدًا. يرجى المحاولة لاحقًا.',
+        'auth.networkError': 'خطأ في الشبكة. تحقق من اتصالك وحاول مرة أخرى.',
+        'auth.unavailable': 'الحسابات غير متاحة أثناء تشغيل التطبيق دون Firebase.',
+        'auth.recentLogin': 'لحماية حسابك، يُرجى تسجيل الخروج ثم الدخول مجددًا وإعادة المحاولة.',
+        'auth.failed': 'حدث خطأ أثناء المصادقة.',
+        'login.loggedInAs': 'تم تسجيل الدخول باسم {email}!',
+        'login.mergedGuestTasks': {
+            zero: 'لم تُدمج أي مهمة ضيف.',
+            one: 'تم دمج مهمة ضيف واحدة.',
+            two: 'تم دمج مهمتي ضيف.',
+            few: 'تم دمج {count} مهام ضيف.',
+            many: 'تم دمج {count} مهمة ضيف.',
+            other: 'تم دمج {count} مهمة ضيف.',
+        },
+        'login.skippedDuplicates': {
+            zero: 'لم تُتخطَّ أي مهمة مكررة.',
+            one: 'تم تخطي مهمة مكررة واحدة.',
+            two: 'تم تخطي مهمتين مكررتين.',
+            few: 'تم تخطي {count} مهام مكررة.',
+            many: 'تم تخطي {count} مهمة مكررة.',
+            other: 'تم تخطي {count} مهمة مكررة.',
+        },
+        'login.mergeFailed': 'تم تسجيل الدخول، لكن تعذّر دمج مهام الضيف.',
+        'login.notReady': 'Firebase غير جاهز بعد. يرجى الانتظار.',
+        'login.accountCreated': 'تم إنشاء حساب لـ {email}!',
+        'login.guestTasksKept': 'تم الاحتفاظ بمهام الضيف.',
+        'login.enterEmailFirst': 'أدخل بريدك الإلكتروني أولًا.',
+        'login.resetSent': 'تم إرسال رسالة إعادة تعيين كلمة المرور. تحقق من بريدك الوارد.',
+        'login.currentlyLoggedIn': 'أنت مسجل الدخول حاليًا.',
+        'login.login': 'تسجيل الدخول',
+        'login.register': 'إنشاء حساب',
+        'login.email': 'البريد الإلكتروني:',
+        'login.password': 'كلمة المرور:',
+        'login.wait': 'يرجى الانتظار...',
+        'login.forgotPassword': 'نسيت كلمة المرور؟',
+        'login.noAccount': 'ليس لديك حساب؟',
+        'login.haveAccount': 'لديك حساب بالفعل؟',
+        'login.registerHere': 'أنشئ حسابًا هنا',
+        'login.loginHere': 'سجّل الدخول هنا',
+        'login.settings': 'الإعدادات',
+        'guestMerge.title': 'هل تريد نقل مهام الضيف معك؟',
+        'guestMerge.intro': {
+            zero: 'لم تنشئ أي مهمة قبل تسجيل الدخول.',
+            one: 'أنشأت مهمة واحدة قبل تسجيل الدخول. يمكن نسخها إلى حسابك.',
+            two: 'أنشأت مهمتين قبل تسجيل الدخول. يمكن نسخهما إلى حسابك.',
+            few: 'أنشأت {count} مهام قبل تسجيل الدخول. يمكن نسخها إلى حسابك.',
+            many: 'أنشأت {count} مهمة قبل تسجيل الدخول. يمكن نسخها إلى حسابك.',
+            other: 'أنشأت {count} مهمة قبل تسجيل الدخول. يمكن نسخها إلى حسابك.',
+        },
+        'guestMerge.duplicates': 'المهام التي لها العنوان وتاريخ الاستحقاق نفسهما لمهمة في حسابك تُعد مكررة ويتم تخطيها.',
+        'guestMerge.additions': 'تُضاف بقية مهام الضيف إلى جانب مهامك الحالية. لا يُستبدل أي شيء في حسابك.',
+        'guestMerge.leftBehind': 'إذا لم تدمجها، فستُترك مهام الضيف ولن تظهر بعد الآن.',
+        'guestMerge.cancel': 'إلغاء',
+        'guestMerge.skip': 'تسجيل الدخول دون دمج',
+        'guestMerge.merge': 'الدمج وتسجيل الدخول',
+        'settings.title': 'الإعدادات',
+        'settings.back': '→ العودة إلى المهام',
+        'settings.profile': 'الملف الشخصي',
+        'settings.displayName': 'الاسم المعروض',
+        'settings.displayNameHint': 'يظهر في الترويسة. اتركه فارغًا لاستخدام الجزء الأول من بريدك الإلكتروني.',
+        'settings.initials': 'الأحرف الأولى للصورة الرمزية',
+        'settings.initialsHint': 'حتى {max} أحرف. اتركه فارغًا لاستخدام الأحرف الأولى من اسمك المعروض.',
+        'settings.saveProfile': 'حفظ الملف الشخصي',
+        'settings.profileSaved': 'تم حفظ الملف الشخصي.',
+        'settings.profileFailed': 'تعذّر حفظ ملفك الشخصي.',
+        'settings.signIn': 'كلمة المرور والبريد الإلكتروني',
+        'settings.noAccount': 'ليس للضيوف كلمة مرور ولا بريد إلكتروني. أنشئ حسابًا للاحتفاظ بمهامك فيه.',
+        'settings.changePassword': 'تغيير كلمة المرور',
+        'settings.currentPassword': 'كلمة المرور الحالية',
+        'settings.newPassword': 'كلمة المرور الجديدة',
+        'settings.repeatPassword': 'أعد كتابة كلمة المرور الجديدة',
+        'settings.passwordMismatch': 'كلمتا المرور الجديدتان غير متطابقتين.',
+        'settings.passwordChanged': 'تم تغيير كلمة المرور.',
+        'settings.changeEmail': 'تغيير البريد الإلكتروني',
+        'settings.currentEmail': 'بريدك الإلكتروني هو {email}.',
+        'settings.newEmail': 'البريد الإلكتروني الجديد',
+        'settings.emailHint': 'نرسل رابطًا إلى العنوان الجديد، ويحلّ محلّ العنوان الحالي عند فتح الرابط.',
+        'settings.emailUnchanged': 'هذا هو بريدك الإلكتروني بالفعل.',
+        'settings.emailVerificationSent': 'افتح الرابط الذي أرسلناه إلى {email} لإتمام التغيير.',
+        'settings.defaults': 'القيم الافتراضية',
+        'settings.defaultPriority': 'أولوية المهام الجديدة',
+        'settings.defaultFilter': 'تُفتح قائمة المهام على',
+        'settings.weekStart': 'يبدأ الأسبوع يوم',
+        'settings.defaultsHint': 'ينطبق أول أيام الأسبوع على التقويم وعامل التصفية «مستحقة هذا الأسبوع» والإحصاءات الأسبوعية وأيام التكرار.',
+        'settings.filter.all': 'كل المهام',
+        'settings.filter.active': 'المهام النشطة',
+        'settings.filter.completed': 'المهام المكتملة',
+        'settings.filter.today': 'المهام النشطة المستحقة اليوم',
+        'settings.filter.week': 'المهام النشطة المستحقة هذا الأسبوع',
+        'settings.filter.overdue': 'المهام المتأخرة',
+        'settings.data': 'بياناتك',
+        'settings.dataHint': 'نزّل مهامك وسجلها ومشاريعك وملفك الشخصي وقيمك الافتراضية في ملف JSON واحد.',
+        'settings.download': 'تنزيل كل البيانات',
+        'settings.preparingDownload': 'جارٍ تجهيز التنزيل...',
+        'settings.downloadFailed': 'تعذّر تنزيل بياناتك.',
+        'settings.deleteAccount': 'حذف الحساب',
+        'settings.deleteData': 'حذف كل البيانات',
+        'settings.deleteAccountHint': 'يحذف مهامك وسجلها ومشاريعك وملفك الشخصي ثم حسابك. لا تُحذف القوائم المشتركة. لا يمكن التراجع عن ذلك.',
+        'settings.deleteDataHint': 'يحذف مهامك وسجلها ومشاريعك وملفك الشخصي من هذا الجهاز. لا يمكن التراجع عن ذلك.',
+        'settings.typeToConfirm': 'اكتب {word} للتأكيد',
+        'settings.deleteConfirmWord': 'حذف',
+        'settings.deletePending': 'انتظر حتى تُحفظ تغييراتك المعلّقة ثم أعد المحاولة.',
+        'settings.confirmDeleteAccount': 'هل تريد حذف حسابك وكل بياناته نهائيًا؟',
+        'settings.confirmDeleteData': 'هل تريد حذف كل بياناتك نهائيًا؟',
+        'settings.accountDeleted': 'تم حذف حسابك وكل بياناته.',
+        'settings.dataDeleted': 'تم حذف كل بياناتك.',
+        'settings.deleteFailed': 'تعذّر حذف بياناتك.',
+        'sync.status': 'حالة مزامنة المهام',
+        'sync.offline': 'غير متصل',
+        'sync.pending': '⟳ {count} قيد الانتظار',
+        'sync.synced': '✓ {count} تمت مزامنتها',
+        'sync.failed': '⚠ {count} فشلت',
+        'sync.discard': 'تجاهل',
+        'sync.saveFailed': {
+            zero: 'تعذّر حفظ التغييرات: {error}',
+            one: 'تعذّر حفظ تغيير واحد: {error}',
+            two: 'تعذّر حفظ تغييرين: {error}',
+            few: 'تعذّر حفظ {count} تغييرات: {error}',
+            many: 'تعذّر حفظ {count} تغييرًا: {error}',
+            other: 'تعذّر حفظ {count} تغيير: {error}',
+        },
+        'task.loadFailed': 'تعذّر تحميل المهام.',
+        'task.loadCompletedFailed': 'تعذّر تحميل المهام المكتملة.',
+        'task.loadListFailed': 'تعذّر تحميل مهام إحدى القوائم المشتركة.',
+        'project.loadFailed': 'تعذّر تحميل المشاريع.',
+        'project.created': 'تم إنشاء المشروع "{name}"!',
+        'project.deleted': 'تم حذف المشروع، مع الاحتفاظ بمهامه.',
+        'project.deleteFailed': 'تعذّر حذف المشروع. لم يتغيّر شيء.',
+        'list.loadFailed': 'تعذّر تحميل القوائم المشتركة.',
+        'list.invitationsFailed': 'تعذّر تحميل الدعوات.',
+        'list.created': 'تم إنشاء القائمة المشتركة "{name}"!',
+        'list.createFailed': 'تعذّر إنشاء القائمة المشتركة.',
+        'list.deleted': 'تم حذف القائمة المشتركة "{name}".',
+        'list.deleteFailed': 'تعذّر حذف القائمة المشتركة.',
+        'list.updateFailed': 'تعذّر تحديث القائمة المشتركة.',
+        'list.alreadyMember': '{email} عضو بالفعل.',
+        'list.invited': 'تمت دعوة {email}.',
+        'list.left': 'لقد غادرت "{name}".',
+        'list.joined': 'لقد انضممت إلى "{name}".',
+        'list.verificationSent': 'تم إرسال رسالة التحقق إلى {email}.',
+        'list.notVerified': 'لم يتم التحقق من بريدك الإلكتروني بعد.',
+        'app.done': 'تم',
+        'reminder.none': 'بدون تذكير',
+        'reminder.atOption': 'في وقت محدد من يوم الاستحقاق',
+        'reminder.beforeOption': 'قبل موعد الاستحقاق',
+        'reminder.default': 'الافتراضي ({reminder})',
+        'reminder.isDefault': ' (افتراضي)',
+        'reminder.time': 'وقت التذكير',
+        'reminder.amount': 'مدة التذكير المسبق',
+        'reminder.unit': 'وحدة التذكير',
+        'reminder.unit.hours': 'ساعات',
+        'reminder.unit.days': 'أيام',
+        'reminder.describeAt': 'الساعة {time} في يوم الاستحقاق',
+        'reminder.describeHours': {
+            zero: 'عند موعد الاستحقاق',
+            one: 'قبل الاستحقاق بساعة',
+            two: 'قبل الاستحقاق بساعتين',
+            few: 'قبل الاستحقاق بـ{count} ساعات',
+            many: 'قبل الاستحقاق بـ{count} ساعة',
+            other: 'قبل الاستحقاق بـ{count} ساعة',
+        },
+        'reminder.describeDays': {
+            zero: 'عند موعد الاستحقاق',
+            one: 'قبل الاستحقاق بيوم',
+            two: 'قبل الاستحقاق بيومين',
+            few: 'قبل الاستحقاق بـ{count} أيام',
+            many: 'قبل الاستحقاق بـ{count} يومًا',
+            other: 'قبل الاستحقاق بـ{count} يوم',
+        },
+        'reminder.settings': 'إعدادات التذكير',
+        'reminder.title': 'التذكيرات',
+        'reminder.defaultLabel': 'الافتراضي للمهام ذات تاريخ الاستحقاق:',
+        'reminder.dueTime': 'موعد استحقاق المهام الساعة',
+        'reminder.enableNotifications': 'تفعيل إشعارات المتصفح',
+        'reminder.permission.granted': 'تظهر التذكيرات كإشعارات في المتصفح.',
+        'reminder.permission.denied': 'إشعارات المتصفح محظورة، لذا تظهر التذكيرات كشريط داخل التطبيق.',
+        'reminder.permission.unsupported': 'هذا المتصفح لا يدعم الإشعارات، لذا تظهر التذكيرات كشريط داخل التطبيق.',
+        'reminder.banner': '⏰ تذكير: موعد استحقاق {title} هو {date}.',
+        'reminder.viewTask': 'عرض المهمة',
+        'reminder.dismiss': 'إغلاق',
+        'reminder.notificationTitle': 'تذكير: {title}',
+        'reminder.notificationBody': 'الاستحقاق في {date}',
+        'app.close': 'إغلاق',
+        'commands.palette': 'لوحة الأوامر',
+        'commands.search': 'البحث في الأوامر والمهام',
+        'commands.placeholder': 'اكتب أمرًا أو مهمة…',
+        'commands.noResults': 'لا توجد أوامر أو مهام مطابقة.',
+        'commands.group.help': 'مساعدة',
+        'commands.group.tasks': 'المهام',
+        'commands.group.filters': 'التصفية',
+        'commands.group.view': 'العرض',
+        'commands.group.navigation': 'التنقل',
+        'commands.group.account': 'الحساب',
+        'commands.showShortcuts': 'عرض اختصارات لوحة المفاتيح',
+        'commands.newTask': 'مهمة جديدة',
+        'commands.listView': 'عرض القائمة',
+        'commands.boardView': 'عرض اللوحة',
+        'commands.calendarView': 'عرض التقويم',
+        'commands.showActive': 'عرض المهام النشطة',
+        'commands.showCompleted': 'عرض المهام المكتملة',
+        'commands.clearFilters': 'مسح عوامل التصفية',
+        'commands.importExport': 'استيراد المهام أو تصديرها',
+        'commands.goTasks': 'الانتقال إلى المهام',
+        'commands.goTrash': 'الانتقال إلى سلة المهملات',
+        'commands.goInsights': 'الانتقال إلى الإحصاءات',
+        'commands.goSettings': 'الانتقال إلى الإعدادات',
+        'commands.logout': 'تسجيل الخروج',
+        'commands.login': 'تسجيل الدخول أو إنشاء حساب',
+        'shortcuts.title': 'اختصارات لوحة المفاتيح',
+        'shortcuts.note': 'تعمل اختصارات المهام في عرض القائمة، ولا تعمل أثناء الكتابة في أي حقل.',
+        'shortcuts.select': 'تحديد المهمة التالية / السابقة',
+        'shortcuts.toggle': 'إكمال المهمة المحددة أو إعادة فتحها',
+        'shortcuts.edit': 'تعديل المهمة المحددة',
+        'shortcuts.delete': 'حذف المهمة المحددة',
+        'shortcuts.palette': 'فتح لوحة الأوامر',
+        'shortcuts.escape': 'إغلاق مربع الحوار أو مغادرة مربع البحث',
+        'recurrence.daily': 'يوميًا',
+        'recurrence.weekly': 'أسبوعيًا يوم {days}',
+        'recurrence.weeklySameDay': 'أسبوعيًا في اليوم نفسه',
+        'recurrence.monthly': 'شهريًا في اليوم {day}',
+        'recurrence.everyDays': { zero: 'كل {count} يوم', one: 'كل يوم', two: 'كل يومين', few: 'كل {count} أيام', many: 'كل {count} يومًا', other: 'كل {count} يوم' },
+        'recurrence.everyWeeks': {
+            zero: 'كل {count} أسبوع',
+            one: 'كل أسبوع',
+            two: 'كل أسبوعين',
+            few: 'كل {count} أسابيع',
+            many: 'كل {count} أسبوعًا',
+            other: 'كل {count} أسبوع',
+        },
+        'recurrence.repeats': 'متكررة',
+        'tags.placeholder': 'أضف وسومًا، مثل billing',
+        'tags.remove': 'إزالة الوسم {tag}',
+        'subtasks.markDone': 'وضع علامة «{title}» كمنجزة',
+        'subtasks.markNotDone': 'إزالة علامة الإنجاز عن «{title}»',
+        'subtasks.moveUp': 'نقل المهمة الفرعية لأعلى',
+        'subtasks.moveDown': 'نقل المهمة الفرعية لأسفل',
+        'subtasks.delete': 'حذف المهمة الفرعية',
+        'subtasks.placeholder': 'أضف مهمة فرعية',
+        'board.columns': 'أعمدة اللوحة',
+        'board.columnName': 'اسم العمود {label}',
+        'board.removeColumn': 'إزالة',
+        'board.newColumn': 'عمود جديد',
+        'board.newColumnName': 'اسم العمود الجديد',
+        'board.addColumn': 'إضافة عمود',
+        'calendar.previous': 'السابق',
+        'calendar.today': 'اليوم',
+        'calendar.next': 'التالي',
+        'calendar.layout': 'تخطيط التقويم',
+        'calendar.month': 'شهر',
+        'calendar.week': 'أسبوع',
+        'calendar.agenda': 'جدول الأعمال',
+        'calendar.overdue': 'متأخرة',
+        'calendar.overduePrefix': 'متأخرة: ',
+        'calendar.addTaskOn': 'إضافة مهمة مستحقة في {date}',
+        'calendar.nothingDue': 'لا شيء مستحق خلال هذه الأيام الـ {count}.',
+        'calendar.undated': {
+            zero: 'لا توجد مهام بلا تاريخ استحقاق.',
+            one: 'مهمة واحدة بلا تاريخ استحقاق ولا تظهر هنا.',
+            two: 'مهمتان بلا تاريخ استحقاق ولا تظهران هنا.',
+            few: '{count} مهام بلا تاريخ استحقاق ولا تظهر هنا.',
+            many: '{count} مهمة بلا تاريخ استحقاق ولا تظهر هنا.',
+            other: '{count} مهمة بلا تاريخ استحقاق ولا تظهر هنا.',
+        },
+        'transfer.format.json': 'JSON (نسخة احتياطية كاملة)',
+        'transfer.format.csv': 'CSV (جداول البيانات)',
+        'transfer.format.ics': 'iCalendar (.ics)',
+        'transfer.error.missingTitleColumn': 'يجب أن يحتوي ملف CSV على عمود «title».',
+        'transfer.error.noCalendarTasks': 'لم يُعثر على أي مهام (إدخالات VTODO) في هذا التقويم.',
+        'transfer.error.notAList': 'كان من المتوقع قائمة بالمهام.',
+        'transfer.error.notATask': 'ليست مهمة.',
+        'transfer.error.missingTitle': 'العنوان مفقود.',
+        'transfer.error.invalidDueDate': 'تاريخ استحقاق غير صالح «{date}» (الصيغة المتوقعة YYYY-MM-DD).',
+        'transfer.error.unknownPriority': 'أولوية غير معروفة «{priority}».',
+        'transfer.readFailed': 'تعذّرت قراءة {name}: {error}',
+        'transfer.title': 'الاستيراد والتصدير',
+        'transfer.exportAs': 'التصدير بصيغة:',
+        'transfer.filteredTasks': 'المهام المصفّاة ({count})',
+        'transfer.allTasks': 'كل المهام ({count})',
+        'transfer.download': 'تنزيل',
+        'transfer.importFrom': 'الاستيراد من ملف JSON أو CSV أو ‎.ics:',
+        'transfer.summary': '{name} — جاهزة: {ready}، مكررة: {duplicates}، بها أخطاء: {errors}',
+        'transfer.column.title': 'العنوان',
+        'transfer.column.due': 'الاستحقاق',
+        'transfer.column.check': 'التحقق',
+        'transfer.untitled': '(بلا عنوان)',
+        'transfer.duplicate': 'مكررة',
+        'transfer.ready': 'جاهزة',
+        'transfer.includeDuplicates': 'استيراد المكررة أيضًا',
+        'transfer.importing': 'جارٍ الاستيراد...',
+        'transfer.import': {
+            zero: 'استيراد {count} مهمة',
+            one: 'استيراد مهمة واحدة',
+            two: 'استيراد مهمتين',
+            few: 'استيراد {count} مهام',
+            many: 'استيراد {count} مهمة',
+            other: 'استيراد {count} مهمة',
+        },
+        'list.role.owner': 'المالك',
+        'list.role.editor': 'محرر',
+        'list.role.viewer': 'مشاهد',
+        'list.me': 'أنا',
+        'list.formerMember': 'عضو سابق',
+        'list.confirmLeave': 'مغادرة «{name}»؟ ستفقد الوصول إلى مهامها.',
+        'list.confirmDelete': 'حذف «{name}» وكل مهامها لجميع الأعضاء؟ لا يمكن التراجع عن ذلك.',
+        'list.roleOf': 'دور {member}',
+        'list.removeMember': 'إزالة {member}',
+        'list.invitedAs': 'مدعو · {role}',
+        'list.cancelInvite': 'إلغاء دعوة {email}',
+        'list.invitePlaceholder': 'الدعوة عبر البريد الإلكتروني',
+        'list.inviteEmail': 'عنوان البريد الإلكتروني للدعوة',
+        'list.inviteRole': 'الدور في الدعوة',
+        'list.invite': 'دعوة',
+        'list.delete': 'حذف القائمة',
+        'list.leave': 'مغادرة القائمة',
+        'project.emptyName': 'لا يمكن أن يكون اسم المشروع فارغًا.',
+        'list.emptyName': 'لا يمكن أن يكون اسم القائمة فارغًا.',
+        'project.rename': 'إعادة تسمية المشروع',
+        'project.confirmDelete': 'حذف المشروع «{name}»؟ ستبقى مهامه بلا مشروع.',
+        'sidebar.projects': 'المشاريع',
+        'sidebar.allTasks': 'كل المهام',
+        'sidebar.renameProject': 'إعادة تسمية {name}',
+        'sidebar.deleteProject': 'حذف {name}',
+        'sidebar.newProject': 'مشروع جديد',
+        'sidebar.newProjectName': 'اسم المشروع الجديد',
+        'sidebar.projectColor': 'لون المشروع',
+        'sidebar.color': 'اللون {color}',
+        'sidebar.sharedLists': 'القوائم المشتركة',
+        'sidebar.verifyEmail': 'أكّد عنوان بريدك الإلكتروني لتلقي الدعوات.',
+        'sidebar.resendEmail': 'إعادة إرسال الرسالة',
+        'sidebar.verified': 'لقد أكّدته',
+        'sidebar.invitedAs': 'مدعو بصفة {role}',
+        'sidebar.accept': 'قبول',
+        'sidebar.decline': 'رفض',
+        'sidebar.viewOnly': '(عرض فقط)',
+        'sidebar.membersOf': 'أعضاء {name}',
+        'sidebar.newList': 'قائمة مشتركة جديدة',
+        'sidebar.newListName': 'اسم القائمة المشتركة الجديدة',
+        'sidebar.createList': 'إنشاء',
+        'sidebar.tags': 'الوسوم',
+        'sidebar.insights': '📊 الإحصاءات',
+        'sidebar.trash': '🗑 سلة المهملات',
+        'sidebar.settings': '⚙ الإعدادات',
+        'board.status.todo': 'قيد الانتظار',
+        'board.status.in_progress': 'قيد التنفيذ',
+        'board.status.blocked': 'معطّلة',
+        'board.status.done': 'منجزة',
+        'board.draggable': 'مهمة قابلة للسحب',
+        'board.cardLabel': '{title}. اضغط المسافة لالتقاطها ونقلها.',
+        'board.pickedUp': 'تم التقاط {title}. استخدم مفاتيح الأسهم لنقلها، والمسافة لإفلاتها، وEscape للإلغاء.',
+        'board.moved': 'نُقلت {title} إلى {column}، الموضع {position}.',
+        'board.position': '{column}، الموضع {position}.',
+        'board.moveCancelled': 'أُلغي النقل. بقيت {title} في مكانها.',
+        'history.field.title': 'العنوان',
+        'history.field.description': 'الوصف',
+        'history.field.dueDate': 'تاريخ الاستحقاق',
+        'history.field.priority': 'الأولوية',
+        'history.field.completed': 'مكتملة',
+        'history.field.status': 'الحالة',
+        'history.field.projectId': 'المشروع',
+        'history.field.assigneeId': 'المسؤول',
+        'history.field.tags': 'الوسوم',
+        'history.field.subtasks': 'قائمة التحقق',
+        'history.field.autoCompleteWithSubtasks': 'الإكمال التلقائي مع قائمة التحقق',
+        'history.field.recurrence': 'التكرار',
+        'history.field.reminder': 'التذكير',
+        'history.field.deletedAt': 'سلة المهملات',
+        'history.inTrash': 'في سلة المهملات',
+        'history.notInTrash': 'ليست في سلة المهملات',
+        'history.default': 'الافتراضي',
+        'history.none': 'لا شيء',
+        'history.deletedProject': 'مشروع محذوف',
+        'history.subtasksDone': '{done}/{total} منجزة',
+        'history.yes': 'نعم',
+        'history.no': 'لا',
+        'history.created': 'أنشأ المهمة',
+        'history.updated': 'أجرى تغييرات',
+        'history.reverted': 'استعاد نسخة سابقة',
+        'history.you': 'أنت',
+        'history.someone': 'شخص ما',
+        'history.loadFailed': 'تعذّر تحميل سجل المهمة.',
+        'history.loading': 'جارٍ تحميل السجل...',
+        'history.empty': 'لم تُسجَّل أي تغييرات بعد.',
+        'history.revert': 'الاستعادة إلى هذه النسخة',
+        'detail.linkCopied': 'نُسخ الرابط إلى الحافظة!',
+        'detail.copyFailed': 'تعذّر نسخ الرابط.',
+        'detail.loading': 'جارٍ تحميل المهمة...',
+        'detail.inTrash': 'هذه المهمة في سلة المهملات.',
+        'detail.restore': 'استعادة',
+        'detail.notFound': 'هذه المهمة غير موجودة أو غير مشتركة مع حسابك.',
+        'detail.completed': 'مكتملة',
+        'detail.active': 'نشطة',
+        'detail.dueDate': 'تاريخ الاستحقاق',
+        'detail.none': 'لا يوجد',
+        'detail.priority': 'الأولوية',
+        'detail.sharedList': 'القائمة المشتركة',
+        'detail.assignee': 'المسؤول',
+        'detail.completedAt': 'أُكملت في',
+        'detail.repeats': 'التكرار',
+        'detail.reminder': 'التذكير',
+        'detail.checklist': 'قائمة التحقق',
+        'detail.copyLink': 'نسخ الرابط',
+        'detail.history': 'السجل',
+        'trash.loading': 'جارٍ تحميل سلة المهملات...',
+        'trash.title': 'سلة المهملات',
+        'trash.empty': 'إفراغ سلة المهملات',
+        'trash.retention': 'حذف المهام من سلة المهملات نهائيًا بعد:',
+        'trash.retentionDays': { zero: '{count} يوم', one: 'يوم واحد', two: 'يومان', few: '{count} أيام', many: '{count} يومًا', other: '{count} يوم' },
+        'trash.never': 'أبدًا',
+        'trash.deletedAt': 'حُذفت في {date}',
+        'trash.removedIn': {
+            zero: ' · تُحذف نهائيًا اليوم',
+            one: ' · تُحذف نهائيًا بعد يوم واحد',
+            two: ' · تُحذف نهائيًا بعد يومين',
+            few: ' · تُحذف نهائيًا بعد {count} أيام',
+            many: ' · تُحذف نهائيًا بعد {count} يومًا',
+            other: ' · تُحذف نهائيًا بعد {count} يوم',
+        },
+        'trash.deleteForever': 'حذف نهائي',
+        'trash.isEmpty': 'سلة المهملات فارغة.',
+        'insights.period': 'الفترة',
+        'insights.loading': 'جارٍ تحميل الإحصاءات...',
+        'insights.weekOf': 'أسبوع {date}',
+        'insights.created': 'أُنشئت',
+        'insights.completed': 'أُكملت',
+        'insights.completionRate': 'معدل الإكمال',
+        'insights.averageTime': 'متوسط وقت الإكمال',
+        'insights.currentStreak': 'السلسلة الحالية',
+        'insights.longestStreak': 'أطول سلسلة',
+        'insights.days': { zero: '{count} يوم', one: 'يوم واحد', two: 'يومان', few: '{count} أيام', many: '{count} يومًا', other: '{count} يوم' },
+        'insights.title': 'الإحصاءات',
+        'insights.range': 'النطاق:',
+        'insights.lastDays': { zero: 'آخر {count} يوم', one: 'آخر يوم', two: 'آخر يومين', few: 'آخر {count} أيام', many: 'آخر {count} يومًا', other: 'آخر {count} يوم' },
+        'insights.custom': 'مخصص',
+        'insights.from': 'من:',
+        'insights.to': 'إلى:',
+        'insights.groupBy': 'التجميع حسب',
+        'insights.daily': 'يوميًا',
+        'insights.weekly': 'أسبوعيًا',
+        'insights.createdVsCompleted.day': 'المُنشأة مقابل المكتملة يوميًا',
+        'insights.createdVsCompleted.week': 'المُنشأة مقابل المكتملة أسبوعيًا',
+        'insights.overdueAtEnd.day': 'المهام المتأخرة في نهاية كل يوم',
+        'insights.overdueAtEnd.week': 'المهام المتأخرة في نهاية كل أسبوع',
+        'insights.overdue': 'متأخرة',
+        'insights.byPriority': 'معدل الإكمال حسب الأولوية',
+        'insights.byPriorityHint': 'كم من المهام المُنشأة في هذا النطاق مكتملة الآن.',
+        'insights.noTasks': 'لا توجد مهام',
+        'insights.rate': '{percent}٪ ({completed}/{total})',
+        'notFound.text': 'الصفحة غير موجودة.',
+        'notFound.link': 'الانتقال إلى مهامك',
+        'sync.error.timeout': 'لم يستجب الخادم في الوقت المناسب.',
+        'sync.error.conflict': 'حُذفت هذه المهمة على جهاز آخر.',
+        'sync.error.permissionDenied': 'ليس لديك إذن بإجراء هذا التغيير.',
+    },
+};
+
+const pluralRulesByLanguage = new Map();
+const reportedMissingMessages = new Set();
+
+export const getPluralCategory = (language, count) => {
+    if (!pluralRulesByLanguage.has(language)) pluralRulesByLanguage.set(language, new Intl.PluralRules(language));
+    return pluralRulesByLanguage.get(language).select(count);
+};
+
+export const getLanguageDirection = (language) => (LANGUAGES.find(candidate => candidate.code === language) || LANGUAGES[0]).dir;
+
+/**
+ * Looks up `key` for `language`, falling back to English and then to the key itself, so a
+ * missing translation shows up in the UI without breaking it. Each gap is warned about once.
+ */
+export const translate = (language, key, params = {}) => {
+    let message = (MESSAGES[language] || {})[key];
+    if (message === undefined) {
+        if (!reportedMissingMessages.has(`${language}:${key}`)) {
+            reportedMissingMessages.add(`${language}:${key}`);
+            console.warn(`Missing ${language} message for "${key}".`);
+        }
+        message = MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+    }
+    if (typeof message === 'object') {
+        message = message[getPluralCategory(language, params.count)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!(name in params)) return placeholder;
+        return typeof params[name] === 'number' ? params[name].toLocaleString(language) : String(params[name]);
+    });
+};
+
+/**
+ * Lists per language the English keys its catalog lacks, and plural messages missing a
+ * category its plural rules use (as `key.category`). A complete catalog maps to `[]`.
+ */
+export const findMissingMessages = (catalogs = MESSAGES, baseLanguage = DEFAULT_LANGUAGE) => Object.fromEntries(
+    Object.entries(catalogs).map(([language, catalog]) => {
+        const categories = new Intl.PluralRules(language).resolvedOptions().pluralCategories;
+        const missing = Object.keys(catalogs[baseLanguage]).flatMap(key => {
+            if (!(key in catalog)) return [key];
+            if (typeof catalog[key] !== 'object') return [];
+            return categories.filter(category => !(category in catalog[key])).map(category => `${key}.${category}`);
+        });
+        return [language, missing];
+    })
+);
@@ -1,568 +1,6482 @@
-import React, { useState, useEffect, createContext, useContext, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, createContext, useContext, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, addDoc, getDocs, onSnapshot, query, orderBy, serverTimestamp, doc, getDoc, setDoc, updateDoc, deleteDoc, where } from 'firebase/firestore';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, signInWithEmailAndPassword, createUserWithEmailAndPassword, sendPasswordResetEmail, sendEmailVerification, signOut, connectAuthEmulator, EmailAuthProvider, linkWithCredential, reauthenticateWithCredential, updatePassword, verifyBeforeUpdateEmail, deleteUser } from 'firebase/auth';
+import { getFirestore, collection, addDoc, getDocs, onSnapshot, query, orderBy, limit, startAfter, endAt, documentId, serverTimestamp, doc, getDoc, setDoc, updateDoc, deleteDoc, where, writeBatch, connectFirestoreEmulator } from 'firebase/firestore';
+import { MAX_BATCH_SIZE, assertBatchSize, generateId, toMillis, sortDocs, createLocalStore } from './documentStore.mjs';
+import { parseDateString, formatDateString, getTodayString, addDays, isValidDateString, getDaysInMonth } from './dates.mjs';
+import { normalizeTag, parseQuickAdd, getQuickAddLocale } from './quickAdd.mjs';
+import { DEFAULT_LANGUAGE, LANGUAGES, MESSAGES, getLanguageDirection, translate } from './i18n.mjs';
 
 // --- Firebase Configuration & Initialization ---
 // Global variables provided by the Canvas environment
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-task-app';
-const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+const useEmulators = typeof __use_firebase_emulators !== 'undefined' ? __use_firebase_emulators : false;
 
-// Initialize Firebase App
-const app = initializeApp(firebaseConfig);
-const db = getFirestore(app);
-const auth = getAuth(app);
+const parseFirebaseConfig = () => {
+    if (typeof __firebase_config === 'undefined' || !__firebase_config) return null;
+    try {
+        const config = typeof __firebase_config === 'string' ? JSON.parse(__firebase_config) : __firebase_config;
+        return config && Object.keys(config).length > 0 ? config : null;
+    } catch (error) {
+        console.error("Invalid __firebase_config, falling back to local storage:", error);
+        return null;
+    }
+};
+
+const firebaseConfig = parseFirebaseConfig();
+
+// Initialize Firebase App only when a configuration is available; without one the app
+// runs entirely on the local task storage backend.
+const app = firebaseConfig ? initializeApp(firebaseConfig) : null;
+const db = app ? getFirestore(app) : null;
+const auth = app ? getAuth(app) : null;
+
+// Point Auth and Firestore at the local emulators (ports match firebase.json)
+if (app && useEmulators) {
+    connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+    connectFirestoreEmulator(db, '127.0.0.1', 8080);
+}
+
+// Task storage backend: 'firestore' or 'local' (IndexedDB, or in-memory when IndexedDB is unavailable).
+// Can be forced with __task_storage, e.g. for demos; Firestore requires a Firebase configuration.
+const requestedStorage = typeof __task_storage !== 'undefined' ? __task_storage : null;
+const storageBackend = requestedStorage === 'local' || !db ? 'local' : 'firestore';
+if (requestedStorage === 'firestore' && !db) {
+    console.warn("Firestore storage requested without a Firebase configuration; using local storage.");
+}
+
+// --- Firestore Document Store ---
+// Firestore implementation of the document store interface described in documentStore.mjs
+const createFirestoreStore = (firestore) => {
+    const toDocs = (snapshot) => snapshot.docs.map(snapshotDoc => ({ id: snapshotDoc.id, ...snapshotDoc.data() }));
+
+    // A single write batch, which Firestore applies atomically
+    const writeOperations = async (operations) => {
+        assertBatchSize(operations);
+        const batch = writeBatch(firestore);
+        operations.forEach(({ type, path, id, data }) => {
+            const docRef = id ? doc(firestore, path, id) : doc(collection(firestore, path));
+            if (type === 'delete') batch.delete(docRef);
+            else if (type === 'update') batch.update(docRef, data);
+            else batch.set(docRef, data);
+        });
+        await batch.commit();
+    };
+
+    const toQuery = (path, options) => {
+        const constraints = [
+            ...(options.where || []).map(clause => where(...clause)),
+            ...(options.orderBy ? [orderBy(...options.orderBy), orderBy(documentId(), options.orderBy[1] || 'asc')] : []),
+            ...(options.startAfter ? [startAfter(...options.startAfter)] : []),
+            ...(options.endAt ? [endAt(...options.endAt)] : []),
+            ...(options.limit ? [limit(options.limit)] : []),
+        ];
+        const collectionRef = collection(firestore, path);
+        return constraints.length > 0 ? query(collectionRef, ...constraints) : collectionRef;
+    };
+
+    return {
+        subscribe: (path, onChange, onError, options = {}) => onSnapshot(toQuery(path, options), (snapshot) => onChange(toDocs(snapshot)), onError),
+        list: async (path, options = {}) => toDocs(await getDocs(toQuery(path, options))),
+        get: async (path, id) => {
+            const snapshot = await getDoc(doc(firestore, path, id));
+            return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+        },
+        add: async (path, data) => (await addDoc(collection(firestore, path), data)).id,
+        set: (path, id, data) => setDoc(doc(firestore, path, id), data),
+        update: (path, id, changes) => updateDoc(doc(firestore, path, id), changes),
+        remove: (path, id) => deleteDoc(doc(firestore, path, id)),
+        batch: (operations) => writeOperations(operations),
+        // One write batch per MAX_BATCH_SIZE operations; only each batch is atomic
+        commit: async (path, operations) => {
+            for (let i = 0; i < operations.length; i += MAX_BATCH_SIZE) {
+                await writeOperations(operations.slice(i, i + MAX_BATCH_SIZE).map(operation => ({ ...operation, path })));
+            }
+        },
+        timestamp: () => serverTimestamp(),
+    };
+};
+
+const LOCAL_DB_NAME = `taskflow-${appId}`;
+
+const documentStore = storageBackend === 'firestore' ? createFirestoreStore(db) : createLocalStore(LOCAL_DB_NAME);
+
+// --- Task Repository ---
+const getTasksPath = (uid) => `artifacts/${appId}/users/${uid}/tasks`;
+const getListTasksPath = (listId) => `artifacts/${appId}/lists/${listId}/tasks`;
+const getTaskHistoryPath = (uid) => `artifacts/${appId}/users/${uid}/taskHistory`;
+const getListTaskHistoryPath = (listId) => `artifacts/${appId}/lists/${listId}/taskHistory`;
+
+/**
+ * Task CRUD for one task collection (a user's own tasks or a shared list's), independent
+ * of the storage backend. This is the only place that knows where tasks live. Every
+ * write stamps `updatedAt`, which the sync queue uses to detect changes made elsewhere.
+ * History entries sit in a sibling collection and reference their task by `taskId`.
+ */
+const createTaskCollectionRepository = (path, historyPath, store) => {
+    /**
+     * The document store writes for adding or updating a task together with its history
+     * entry: { type: 'add' | 'update', taskId, data, historyEntry? }. Callers can combine
+     * the writes of several collections into one batch.
+     */
+    const toBatchWrites = ({ type, taskId, data, historyEntry }) => [
+        type === 'add'
+            ? { type: 'set', path, id: taskId, data: { ...data, timestamp: store.timestamp(), updatedAt: store.timestamp() } }
+            : { type: 'update', path, id: taskId, data: { ...data, updatedAt: store.timestamp() } },
+        ...(historyEntry ? [{ type: 'set', path: historyPath, data: historyEntry }] : []),
+    ];
+
+    // Most recent first. `completed` narrows to open or completed tasks and `where` adds clauses on other
+    // fields; `page` is { startAfter, endAt, limit } with cursors from getTaskCursor
+    const toQuery = ({ completed, where: clauses = [], ...page }) => ({
+        where: [...(completed !== undefined ? [['completed', '==', completed]] : []), ...clauses],
+        orderBy: ['timestamp', 'desc'],
+        ...page,
+    });
+
+    return {
+        subscribe: (onChange, onError, options = {}) => store.subscribe(path, onChange, onError, toQuery(options)),
+        // Every task, or with options those a subscription with them would get; read once
+        list: (options) => store.list(path, options ? toQuery(options) : {}),
+        get: (id) => store.get(path, id),
+        add: (taskData) => store.add(path, { ...taskData, timestamp: store.timestamp(), updatedAt: store.timestamp() }),
+        // `historyEntry`, when given, is written in the same batch, so a change is never saved without it
+        create: (id, taskData, historyEntry = null) => store.batch(toBatchWrites({ type: 'add', taskId: id, data: taskData, historyEntry })),
+        update: (id, changes, historyEntry = null) => store.batch(toBatchWrites({ type: 'update', taskId: id, data: changes, historyEntry })),
+        toBatchWrites,
+        // A task's history goes with it, in the same batch. Only a history too long for one batch
+        // has its oldest entries deleted ahead of it.
+        remove: async (id) => {
+            const entries = sortDocs(await store.list(historyPath, { where: [['taskId', '==', id]] }), ['at', 'asc']);
+            const overflow = Math.max(0, entries.length - (MAX_BATCH_SIZE - 1));
+            await store.commit(historyPath, entries.slice(0, overflow).map(entry => ({ type: 'delete', id: entry.id })));
+            await store.batch([
+                ...entries.slice(overflow).map(entry => ({ type: 'delete', path: historyPath, id: entry.id })),
+                { type: 'delete', path, id },
+            ]);
+        },
+        addMany: (tasks) => store.commit(path, tasks.map(({ id, ...taskData }) => ({
+            type: 'set',
+            data: { ...taskData, timestamp: taskData.timestamp || store.timestamp() },
+        }))),
+        // Sorted here rather than in the query, which would need a composite index
+        subscribeHistory: (taskId, onChange, onError) => store.subscribe(historyPath, (entries) => onChange(sortDocs(entries, ['at', 'desc'])), onError, { where: [['taskId', '==', taskId]] }),
+    };
+};
+
+const getTaskCursor = (task) => [task.timestamp, task.id];
+
+const createTaskRepository = (uid, store = documentStore) => createTaskCollectionRepository(getTasksPath(uid), getTaskHistoryPath(uid), store);
+
+// Tasks of a shared list; same interface as a user's own task repository
+const createListTaskRepository = (listId, store = documentStore) => createTaskCollectionRepository(getListTasksPath(listId), getListTaskHistoryPath(listId), store);
+
+// --- Project Repository ---
+const getProjectsPath = (uid) => `artifacts/${appId}/users/${uid}/projects`;
+
+const PROJECT_COLORS = ['#3b82f6', '#8b5cf6', '#ec4899', '#ef4444', '#f59e0b', '#10b981', '#14b8a6', '#6b7280'];
+
+// Projects (lists) group a user's tasks; tasks reference them through `projectId`
+const createProjectRepository = (uid, store = documentStore) => {
+    const path = getProjectsPath(uid);
+
+    return {
+        subscribe: (onChange, onError) => store.subscribe(path, onChange, onError, { orderBy: ['timestamp', 'asc'] }),
+        list: () => store.list(path),
+        // The id is chosen by the caller, so replaying a queued create never adds a second copy
+        create: (id, projectData) => store.set(path, id, { ...projectData, timestamp: store.timestamp() }),
+        update: (id, changes) => store.update(path, id, changes),
+        remove: (id) => store.remove(path, id),
+    };
+};
+
+// --- Profile Repository ---
+const getSettingsPath = (uid) => `artifacts/${appId}/users/${uid}/settings`;
+const PROFILE_DOC_ID = 'profile';
+
+// The display name and avatar initials live in one document of the user's settings collection
+const createProfileRepository = (uid, store = documentStore) => {
+    const path = getSettingsPath(uid);
+
+    return {
+        subscribe: (onChange, onError) => store.subscribe(path, (docs) => onChange(docs.find(settingsDoc => settingsDoc.id === PROFILE_DOC_ID) || null), onError),
+        save: (profile) => store.set(path, PROFILE_DOC_ID, { ...profile, updatedAt: store.timestamp() }),
+    };
+};
+
+// --- Shared List Repository ---
+const getListsPath = () => `artifacts/${appId}/lists`;
+
+// Labels are the `list.role.<role>` messages
+const LIST_ROLES = ['owner', 'editor', 'viewer'];
+
+const canEditList = (role) => role === 'owner' || role === 'editor';
+
+/**
+ * Shared lists live outside any user's folder, with their tasks in a `tasks` subcollection.
+ * Membership is kept as a `members` map (uid -> role) plus a `memberIds` array, which is what
+ * queries and the security rules check; invitations likewise as `invites` (email -> role)
+ * plus `inviteEmails`. `memberEmails` (uid -> email) is for display. Membership writes
+ * always replace the whole set of fields so the copies stay in step.
+ */
+const toMembership = ({ members, invites, memberEmails }) => ({
+    members,
+    memberIds: Object.keys(members),
+    invites,
+    inviteEmails: Object.keys(invites),
+    memberEmails,
+});
+
+const createListRepository = (store = documentStore) => {
+    const path = getListsPath();
+
+    return {
+        subscribeMemberships: (uid, onChange, onError) => store.subscribe(path, onChange, onError, { where: [['memberIds', 'array-contains', uid]] }),
+        subscribeInvitations: (email, onChange, onError) => store.subscribe(path, onChange, onError, { where: [['inviteEmails', 'array-contains', email]] }),
+        listMemberships: (uid) => store.list(path, { where: [['memberIds', 'array-contains', uid]] }),
+        listInvitations: (email) => store.list(path, { where: [['inviteEmails', 'array-contains', email]] }),
+        create: (user, listData) => store.add(path, {
+            ...listData,
+            ownerId: user.uid,
+            ...toMembership({ members: { [user.uid]: 'owner' }, invites: {}, memberEmails: { [user.uid]: user.email } }),
+            timestamp: store.timestamp(),
+        }),
+        updateMembership: (list, changes) => store.update(path, list.id, toMembership({
+            members: list.members,
+            invites: list.invites,
+            memberEmails: list.memberEmails,
+            ...changes,
+        })),
+        // The list's tasks and their history go first; the rules only let members touch them while the list exists
+        remove: async (listId) => {
+            const deleteAll = async (collectionPath) => {
+                const docs = await store.list(collectionPath);
+                await store.commit(collectionPath, docs.map(listDoc => ({ type: 'delete', id: listDoc.id })));
+            };
+            await deleteAll(getListTaskHistoryPath(listId));
+            await deleteAll(getListTasksPath(listId));
+            await store.remove(path, listId);
+        },
+    };
+};
+
+const getMemberLabel = (list, uid, currentUid, t) => {
+    if (uid === currentUid) return t('list.me');
+    return (list && list.memberEmails && list.memberEmails[uid]) || t('list.formerMember');
+};
+
+// --- Date & Recurrence Helpers ---
+// Date arithmetic lives in dates.mjs; due dates are local `YYYY-MM-DD` strings.
+
+/**
+ * Recurrence rules:
+ *   { frequency: 'daily' }
+ *   { frequency: 'weekly', weekdays: [1, 3] }          // 0 = Sunday
+ *   { frequency: 'monthly', dayOfMonth: 31 }           // Clamped to the month's last day
+ *   { frequency: 'interval', interval: 2, unit: 'weeks' }  // Every N 'days' or 'weeks'
+ * Returns the first date after `fromDate` that matches the rule.
+ */
+const getNextOccurrenceDate = (recurrence, fromDate) => {
+    switch (recurrence.frequency) {
+        case 'daily':
+            return addDays(fromDate, 1);
+        case 'weekly': {
+            const weekdays = recurrence.weekdays && recurrence.weekdays.length > 0 ? recurrence.weekdays : [parseDateString(fromDate).getUTCDay()];
+            for (let offset = 1; offset <= 7; offset++) {
+                const candidate = addDays(fromDate, offset);
+                if (weekdays.includes(parseDateString(candidate).getUTCDay())) return candidate;
+            }
+            return addDays(fromDate, 7);
+        }
+        case 'monthly': {
+            const from = parseDateString(fromDate);
+            const dayOfMonth = recurrence.dayOfMonth || from.getUTCDate();
+            let year = from.getUTCFullYear();
+            let monthIndex = from.getUTCMonth();
+            if (Math.min(dayOfMonth, getDaysInMonth(year, monthIndex)) <= from.getUTCDate()) {
+                monthIndex += 1;
+                if (monthIndex > 11) {
+                    monthIndex = 0;
+                    year += 1;
+                }
+            }
+            return formatDateString(new Date(Date.UTC(year, monthIndex, Math.min(dayOfMonth, getDaysInMonth(year, monthIndex)))));
+        }
+        case 'interval': {
+            const interval = Math.max(1, Number(recurrence.interval) || 1);
+            return addDays(fromDate, recurrence.unit === 'weeks' ? interval * 7 : interval);
+        }
+        default:
+            return addDays(fromDate, 1);
+    }
+};
+
+// `t` and `formatDate` come from I18nContext; 2000-01-02 was a Sunday, so weekday `n` is n days later
+const describeRecurrence = (recurrence, t, formatDate) => {
+    switch (recurrence.frequency) {
+        case 'daily':
+            return t('recurrence.daily');
+        case 'weekly': {
+            const days = (recurrence.weekdays || []).map(day => formatDate(addDays('2000-01-02', day), { weekday: 'short' }));
+            return days.length > 0 ? t('recurrence.weekly', { days: days.join(', ') }) : t('recurrence.weeklySameDay');
+        }
+        case 'monthly':
+            return t('recurrence.monthly', { day: recurrence.dayOfMonth });
+        case 'interval':
+            return t(recurrence.unit === 'weeks' ? 'recurrence.everyWeeks' : 'recurrence.everyDays', { count: recurrence.interval });
+        default:
+            return t('recurrence.repeats');
+    }
+};
+
+// Fields a recurring series copies into each new occurrence
+const getSeriesTemplate = (taskData) => ({
+    title: taskData.title,
+    description: taskData.description || '',
+    priority: taskData.priority || 'Medium',
+    autoCompleteWithSubtasks: !!taskData.autoCompleteWithSubtasks,
+    projectId: taskData.projectId || null,
+    tags: taskData.tags || [],
+    ...(taskData.assigneeId !== undefined && { assigneeId: taskData.assigneeId }),
+    ...(taskData.reminder !== undefined && { reminder: taskData.reminder }),
+});
+
+/**
+ * Builds the task data for the occurrence after `task`. The next date is computed from
+ * the scheduled date, so moving one occurrence's due date doesn't shift the series.
+ */
+const createNextOccurrence = (task) => {
+    const template = task.seriesTemplate || getSeriesTemplate(task);
+    const scheduledDate = getNextOccurrenceDate(task.recurrence, task.scheduledDate || task.dueDate || getTodayString());
+    return {
+        ...template,
+        dueDate: scheduledDate,
+        scheduledDate,
+        recurrence: task.recurrence,
+        seriesId: task.seriesId || task.id,
+        seriesTemplate: template,
+        subtasks: (task.subtasks || []).map(subtask => ({ ...subtask, id: generateId(), done: false })),
+        completed: false,
+        status: 'todo',
+        nextOccurrenceCreated: false,
+    };
+};
+
+// Turns new task data with a recurrence rule into the first occurrence of a series
+const startSeries = (taskData) => {
+    const scheduledDate = taskData.dueDate || getTodayString();
+    return {
+        ...taskData,
+        dueDate: scheduledDate,
+        scheduledDate,
+        seriesId: generateId(),
+        seriesTemplate: getSeriesTemplate(taskData),
+        nextOccurrenceCreated: false,
+    };
+};
+
+// --- Task Filter & Sort Helpers ---
+const PRIORITY_RANK = { High: 0, Medium: 1, Low: 2 };
+
+const DEFAULT_FILTERS = {
+    status: 'All', // 'All' | 'Active' | 'Completed'
+    search: '',
+    priorities: [], // Empty means every priority
+    due: 'any', // 'any' | 'overdue' | 'today' | 'week' | 'range'
+    dueFrom: '',
+    dueTo: '',
+    projectId: '', // '' for every project, 'none' for tasks outside any project; a shared list's id also works
+    tags: [], // Tasks must carry all of these
+    assignedToMe: false,
+    sortBy: 'created', // 'created' | 'dueDate' | 'priority' | 'title'
+    sortDirection: 'desc',
+};
+
+const DUE_FILTER_OPTIONS = ['any', 'overdue', 'today', 'week', 'range'];
+const SORT_FIELDS = ['created', 'dueDate', 'priority', 'title'];
+
+// Where the dashboard keeps the last filters; choosing another default filter clears it
+const STORED_FILTERS_KEY = `taskflow:${appId}:filters`;
+
+// Filters the task list opens with until others are picked (see the Settings page), as changes to DEFAULT_FILTERS
+const FILTER_PRESETS = {
+    all: {},
+    active: { status: 'Active' },
+    completed: { status: 'Completed' },
+    today: { status: 'Active', due: 'today' },
+    week: { status: 'Active', due: 'week' },
+    overdue: { due: 'overdue' },
+};
+
+const getPresetFilters = (preset) => ({ ...DEFAULT_FILTERS, ...(FILTER_PRESETS[preset] || {}) });
+
+// First and last day of the week containing `dateString`; `weekStartsOn` is 0 for Sunday
+const getWeekRange = (dateString, weekStartsOn = 0) => {
+    const offset = (parseDateString(dateString).getUTCDay() - weekStartsOn + 7) % 7;
+    const start = addDays(dateString, -offset);
+    return { start, end: addDays(start, 6) };
+};
+
+const isOverdue = (task, today = getTodayString()) => !task.completed && !!task.dueDate && task.dueDate < today;
+
+const matchesFilters = (task, filters, today = getTodayString(), userId = null, weekStartsOn = 0) => {
+    if (filters.status === 'Active' && task.completed) return false;
+    if (filters.status === 'Completed' && !task.completed) return false;
+
+    const search = filters.search.trim().toLowerCase();
+    if (search && !`${task.title || ''} ${task.description || ''}`.toLowerCase().includes(search)) return false;
+
+    if (filters.priorities.length > 0 && !filters.priorities.includes(task.priority)) return false;
+
+    if (filters.projectId === 'none' && (task.projectId || task.listId)) return false;
+    if (filters.projectId && filters.projectId !== 'none' && task.projectId !== filters.projectId && task.listId !== filters.projectId) return false;
+
+    if (filters.assignedToMe && (!userId || task.assigneeId !== userId)) return false;
+
+    if (filters.tags.length > 0 && !filters.tags.every(tag => (task.tags || []).includes(tag))) return false;
+
+    switch (filters.due) {
+        case 'overdue':
+            return isOverdue(task, today);
+        case 'today':
+            return task.dueDate === today;
+        case 'week': {
+            const { start, end } = getWeekRange(today, weekStartsOn);
+            return !!task.dueDate && task.dueDate >= start && task.dueDate <= end;
+        }
+        case 'range':
+            if (!task.dueDate) return false;
+            if (filters.dueFrom && task.dueDate < filters.dueFrom) return false;
+            if (filters.dueTo && task.dueDate > filters.dueTo) return false;
+            return true;
+        default:
+            return true;
+    }
+};
+
+/**
+ * The part of `filters` a query of the user's completed tasks can apply, as where clauses, or
+ * null when no completed task can match. The rest (search, tags, "no project", assignee) is
+ * applied by matchesFilters to what the query returns.
+ */
+const getCompletedTaskClauses = (filters, today = getTodayString(), weekStartsOn = 0) => {
+    if (filters.status === 'Active' || filters.due === 'overdue') return null; // Completed tasks are never overdue
+    const clauses = [];
+    if (filters.priorities.length > 0) clauses.push(['priority', 'in', filters.priorities]);
+    if (filters.projectId && filters.projectId !== 'none') clauses.push(['projectId', '==', filters.projectId]);
+    if (filters.due === 'today') clauses.push(['dueDate', '==', today]);
+    if (filters.due === 'week') {
+        const { start, end } = getWeekRange(today, weekStartsOn);
+        clauses.push(['dueDate', '>=', start], ['dueDate', '<=', end]);
+    }
+    if (filters.due === 'range') {
+        clauses.push(filters.dueFrom ? ['dueDate', '>=', filters.dueFrom] : ['dueDate', '>', '']); // Leaves out undated tasks, whose dueDate is '' or unset
+        if (filters.dueTo) clauses.push(['dueDate', '<=', filters.dueTo]);
+    }
+    return clauses;
+};
+
+// Tasks still waiting for their server timestamp are the newest. Compared rather than
+// subtracted, since Infinity - Infinity is NaN and would make the order arbitrary.
+const compareCreated = (a, b) => {
+    const aMillis = toMillis(a.timestamp) ?? Infinity;
+    const bMillis = toMillis(b.timestamp) ?? Infinity;
+    if (aMillis === bMillis) return 0;
+    return aMillis < bMillis ? -1 : 1;
+};
+
+const compareIds = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+// Tasks without a due date always sort last, whatever the direction; ties are broken by id
+const sortTasks = (tasks, sortBy, sortDirection) => {
+    const factor = sortDirection === 'asc' ? 1 : -1;
+    const compare = {
+        created: compareCreated,
+        dueDate: (a, b) => a.dueDate.localeCompare(b.dueDate),
+        priority: (a, b) => (PRIORITY_RANK[b.priority] ?? 3) - (PRIORITY_RANK[a.priority] ?? 3),
+        title: (a, b) => (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base' }),
+    }[sortBy] || (() => 0);
+
+    return [...tasks].sort((a, b) => {
+        if (sortBy === 'dueDate' && (!a.dueDate || !b.dueDate)) {
+            return (a.dueDate ? 0 : 1) - (b.dueDate ? 0 : 1);
+        }
+        return (compare(a, b) || compareIds(a, b)) * factor;
+    });
+};
+
+/**
+ * Describes each active filter as a removable chip: `remove` returns the filters without it.
+ * Labels come from `t` and `formatDate` of the I18nContext.
+ */
+const getFilterChips = (filters, projects, lists, { t, formatDate }) => {
+    const chips = [];
+    if (filters.projectId) {
+        const project = projects.find(candidate => candidate.id === filters.projectId);
+        const list = lists.find(candidate => candidate.id === filters.projectId);
+        const label = filters.projectId === 'none'
+            ? t('project.none')
+            : list ? t('filters.chip.list', { name: list.name }) : t('filters.chip.project', { name: project ? project.name : t('filters.chip.unknownProject') });
+        chips.push({ key: 'project', label, remove: { projectId: '' } });
+    }
+    if (filters.assignedToMe) {
+        chips.push({ key: 'assignee', label: t('filters.assignedToMe'), remove: { assignedToMe: false } });
+    }
+    filters.tags.forEach(tag => {
+        chips.push({ key: `tag-${tag}`, label: `#${tag}`, remove: { tags: filters.tags.filter(t => t !== tag) } });
+    });
+    if (filters.status !== 'All') {
+        chips.push({ key: 'status', label: t(`filters.status.${filters.status}`), remove: { status: 'All' } });
+    }
+    if (filters.search.trim()) {
+        chips.push({ key: 'search', label: `"${filters.search.trim()}"`, remove: { search: '' } });
+    }
+    filters.priorities.forEach(priority => {
+        chips.push({ key: `priority-${priority}`, label: t('filters.chip.priority', { priority: t(`priority.${priority}`) }), remove: { priorities: filters.priorities.filter(p => p !== priority) } });
+    });
+    if (filters.due === 'range') {
+        const from = filters.dueFrom ? formatDate(filters.dueFrom) : '…';
+        const to = filters.dueTo ? formatDate(filters.dueTo) : '…';
+        chips.push({ key: 'due', label: t('filters.chip.dueRange', { from, to }), remove: { due: 'any', dueFrom: '', dueTo: '' } });
+    } else if (filters.due !== 'any') {
+        chips.push({ key: 'due', label: t(`filters.due.${filters.due}`), remove: { due: 'any' } });
+    }
+    return chips;
+};
+
+// --- Board Helpers ---
+// `status` drives the board; `completed` is kept in step with the 'done' status for older code and data
+const DONE_STATUS = 'done';
+
+// Columns without a label of their own show their `board.status.<id>` message
+const DEFAULT_BOARD_COLUMNS = [
+    { id: 'todo' },
+    { id: 'in_progress' },
+    { id: 'blocked' },
+    { id: DONE_STATUS },
+];
+
+const getColumnLabel = (column, t) => column.label ?? t(`board.status.${column.id}`);
+
+// Tasks created before statuses existed only have `completed`
+const getTaskStatus = (task) => task.status || (task.completed ? DONE_STATUS : 'todo');
+
+// Manual board order; tasks never dragged fall back to newest first
+const getTaskSortOrder = (task) => (typeof task.sortOrder === 'number' ? task.sortOrder : -(toMillis(task.timestamp) || Date.now()));
+
+const sortByBoardOrder = (tasks) => [...tasks].sort((a, b) => getTaskSortOrder(a) - getTaskSortOrder(b));
+
+// Sort order for a task dropped between `previous` and `next` (either may be missing)
+const getSortOrderBetween = (previous, next) => {
+    if (previous && next) return (getTaskSortOrder(previous) + getTaskSortOrder(next)) / 2;
+    if (previous) return getTaskSortOrder(previous) + 1024;
+    if (next) return getTaskSortOrder(next) - 1024;
+    return 0;
+};
+
+// --- Calendar Helpers ---
+const CALENDAR_MODES = ['month', 'week', 'agenda'];
+const AGENDA_DAYS = 30;
+
+const getWeekStart = (dateString, weekStartsOn = 0) => getWeekRange(dateString, weekStartsOn).start;
+
+// Days of the week (0 for Sunday) in the order a week starting on `weekStartsOn` lists them
+const getWeekdayOrder = (weekStartsOn = 0) => Array.from({ length: 7 }, (_, offset) => (weekStartsOn + offset) % 7);
+
+const getMonthStart = (dateString) => `${dateString.slice(0, 7)}-01`;
+
+// Month views always show six full weeks so the grid doesn't jump in height between months
+const getCalendarDays = (mode, anchorDate, weekStartsOn = 0) => {
+    const start = mode === 'month' ? getWeekStart(getMonthStart(anchorDate), weekStartsOn) : mode === 'week' ? getWeekStart(anchorDate, weekStartsOn) : anchorDate;
+    const length = mode === 'month' ? 42 : mode === 'week' ? 7 : AGENDA_DAYS;
+    return Array.from({ length }, (_, offset) => addDays(start, offset));
+};
+
+// Moves the calendar one page back (`step` -1) or forward (`step` 1)
+const shiftCalendarDate = (mode, anchorDate, step) => {
+    if (mode === 'week') return addDays(anchorDate, step * 7);
+    if (mode === 'agenda') return addDays(anchorDate, step * AGENDA_DAYS);
+    const date = parseDateString(getMonthStart(anchorDate));
+    date.setUTCMonth(date.getUTCMonth() + step);
+    return formatDateString(date);
+};
+
+// Date strings are UTC midnights, so they are formatted in UTC to keep the day
+const formatCalendarDate = (dateString, options, locale = undefined) => new Intl.DateTimeFormat(locale, { ...options, timeZone: 'UTC' }).format(parseDateString(dateString));
+
+// --- Insights Helpers ---
+const INSIGHTS_RANGES = [7, 30, 90, 365]; // Days ending today
+const DEFAULT_INSIGHTS_RANGE = 30;
+
+// Local calendar day of an epoch-millis time, as a `YYYY-MM-DD` string
+const getLocalDateString = (millis) => {
+    const date = new Date(millis);
+    return formatDateString(new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())));
+};
+
+const getDaysBetween = (from, to) => Math.round((parseDateString(to) - parseDateString(from)) / DAY_MS);
+
+// Intl names the units, so durations need no messages of their own
+const formatDuration = (millis, locale) => {
+    const format = (value, unit, unitDisplay = 'short') => new Intl.NumberFormat(locale, { style: 'unit', unit, unitDisplay, maximumFractionDigits: 1 }).format(value);
+    const hours = millis / (60 * 60 * 1000);
+    if (hours < 1) return format(Math.max(1, Math.round(hours * 60)), 'minute');
+    if (hours < 24) return format(Math.round(hours), 'hour');
+    return format(Math.round((hours / 24) * 10) / 10, 'day', 'long');
+};
+
+/**
+ * Consecutive days with at least one completion. The current streak still counts while
+ * today has none yet, so it only breaks once a whole day passes without one.
+ */
+const getCompletionStreaks = (completionDays, today) => {
+    const days = Array.from(new Set(completionDays)).sort();
+    let longest = 0;
+    let run = 0;
+    days.forEach((day, index) => {
+        run = index > 0 && addDays(days[index - 1], 1) === day ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    });
+    const daySet = new Set(days);
+    let current = 0;
+    for (let day = daySet.has(today) ? today : addDays(today, -1); daySet.has(day); day = addDays(day, -1)) current += 1;
+    return { current, longest };
+};
+
+/**
+ * Statistics for tasks between `from` and `to` (inclusive `YYYY-MM-DD` days), grouped by
+ * 'day' or 'week'. Tasks completed before completion times were recorded have no
+ * `completedAt`; they count towards completion rates but not towards anything dated.
+ */
+const computeInsights = (tasks, { from, to, grouping, today, weekStartsOn = 0 }) => {
+    const dated = tasks.map(task => ({
+        task,
+        createdDay: toMillis(task.timestamp) ? getLocalDateString(toMillis(task.timestamp)) : null,
+        completedDay: task.completed && toMillis(task.completedAt) ? getLocalDateString(toMillis(task.completedAt)) : null,
+    }));
+    const inRange = (day) => day && day >= from && day <= to;
+
+    const bucketStart = (day) => (grouping === 'week' ? getWeekStart(day, weekStartsOn) : day);
+    const buckets = [];
+    for (let day = bucketStart(from); day <= to; day = addDays(day, grouping === 'week' ? 7 : 1)) {
+        const end = grouping === 'week' ? addDays(day, 6) : day;
+        // Overdue at the end of the bucket (or today, for the bucket still running)
+        const asOf = end < today ? end : today;
+        buckets.push({
+            start: day,
+            created: dated.filter(({ createdDay }) => inRange(createdDay) && bucketStart(createdDay) === day).length,
+            completed: dated.filter(({ completedDay }) => inRange(completedDay) && bucketStart(completedDay) === day).length,
+            overdue: day > today ? null : dated.filter(({ task, createdDay, completedDay }) => task.dueDate && task.dueDate < asOf
+                && (!createdDay || createdDay <= asOf)
+                && (!task.completed || (completedDay && completedDay > asOf))).length,
+        });
+    }
+
+    const createdInRange = dated.filter(({ createdDay }) => inRange(createdDay));
+    const byPriority = Object.keys(PRIORITY_RANK).map(priority => {
+        const matching = createdInRange.filter(({ task }) => (task.priority || 'Medium') === priority);
+        const completed = matching.filter(({ task }) => task.completed).length;
+        return { priority, total: matching.length, completed, rate: matching.length > 0 ? completed / matching.length : null };
+    });
+
+    const durations = dated
+        .filter(({ completedDay }) => inRange(completedDay))
+        .map(({ task }) => toMillis(task.completedAt) - toMillis(task.timestamp))
+        .filter(duration => duration >= 0);
+
+    return {
+        buckets,
+        createdCount: createdInRange.length,
+        completedCount: dated.filter(({ completedDay }) => inRange(completedDay)).length,
+        byPriority,
+        averageCompletionMs: durations.length > 0 ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length : null,
+        streaks: getCompletionStreaks(dated.map(({ completedDay }) => completedDay).filter(Boolean), today),
+    };
+};
+
+// --- Auth Helpers ---
+// Message keys (see MESSAGES) for the auth errors users can do something about
+const AUTH_ERROR_MESSAGE_KEYS = {
+    'auth/email-already-in-use': 'auth.emailInUse',
+    'auth/invalid-email': 'auth.invalidEmail',
+    'auth/weak-password': 'auth.weakPassword',
+    'auth/user-not-found': 'auth.invalidCredentials',
+    'auth/wrong-password': 'auth.invalidCredentials',
+    'auth/invalid-credential': 'auth.invalidCredentials',
+    'auth/too-many-requests': 'auth.tooManyRequests',
+    'auth/network-request-failed': 'auth.networkError',
+    'auth/unavailable': 'auth.unavailable',
+    'auth/requires-recent-login': 'auth.recentLogin',
+};
+
+// Stand-in user for local-only mode, so tasks still have an owner when Firebase isn't configured
+const LOCAL_USER = { uid: 'local-user', email: null, isAnonymous: true };
+
+const requireAuth = () => {
+    if (!auth) {
+        const error = new Error('Firebase Authentication is not configured.');
+        error.code = 'auth/unavailable';
+        throw error;
+    }
+    return auth;
+};
+
+const getAuthErrorMessageKey = (error, fallbackKey = 'auth.failed') => AUTH_ERROR_MESSAGE_KEYS[error && error.code] || fallbackKey;
+
+/**
+ * Creates an email/password account. A guest (anonymous) session is upgraded in place
+ * via credential linking, so the uid - and every task stored under it - is kept.
+ */
+const createAccount = async (email, password) => {
+    if (auth.currentUser && auth.currentUser.isAnonymous) {
+        const credential = await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password));
+        return credential.user;
+    }
+    const credential = await createUserWithEmailAndPassword(auth, email, password);
+    return credential.user;
+};
+
+// --- Guest Task Merge Helpers ---
+const getTaskMergeKey = (task) => `${(task.title || '').trim().toLowerCase()}|${task.dueDate || ''}`;
+
+const getProjectMergeKey = (project) => (project.name || '').trim().toLowerCase();
+
+/**
+ * Gives each guest project the tasks being copied use an id in the user's projects: an
+ * existing project of the same name, or a copy created for it. Resolves with guest id -> user id.
+ */
+const mergeProjectsIntoUser = async (uid, guestProjects, tasksToCopy) => {
+    const projectRepository = createProjectRepository(uid);
+    const existingIds = new Map((await projectRepository.list()).map(project => [getProjectMergeKey(project), project.id]));
+    const usedIds = new Set(tasksToCopy.map(task => task.projectId).filter(Boolean));
+    const projectIds = new Map();
+    for (const { id, timestamp, ...projectData } of guestProjects.filter(project => usedIds.has(project.id))) {
+        const key = getProjectMergeKey(projectData);
+        if (!existingIds.has(key)) {
+            existingIds.set(key, generateId());
+            await projectRepository.create(existingIds.get(key), projectData);
+        }
+        projectIds.set(id, existingIds.get(key));
+    }
+    return projectIds;
+};
+
+/**
+ * Copies guest tasks into another user's collection. A guest task whose title and due
+ * date match an existing task is treated as a duplicate and skipped; existing tasks are
+ * never overwritten. The guest's projects come along, merged with the user's by name.
+ * Resolves with the number of tasks copied and skipped.
+ */
+const mergeTasksIntoUser = async (uid, guestTasks, guestProjects = []) => {
+    const taskRepository = createTaskRepository(uid);
+    const existingKeys = new Set((await taskRepository.list()).map(getTaskMergeKey));
+    const tasksToCopy = guestTasks.filter(task => {
+        const key = getTaskMergeKey(task);
+        if (existingKeys.has(key)) return false;
+        existingKeys.add(key); // Also collapse duplicates within the guest list itself
+        return true;
+    });
+
+    const projectIds = await mergeProjectsIntoUser(uid, guestProjects, tasksToCopy);
+    await taskRepository.addMany(tasksToCopy.map(task => ({ ...task, projectId: projectIds.get(task.projectId) || null })));
+
+    return { copied: tasksToCopy.length, skipped: guestTasks.length - tasksToCopy.length };
+};
+
+// --- Task Import & Export Helpers ---
+// Labels are the `transfer.format.<format>` messages
+const TRANSFER_FORMATS = {
+    json: { mimeType: 'application/json' },
+    csv: { mimeType: 'text/csv' },
+    ics: { mimeType: 'text/calendar' },
+};
+
+// Problems with an import file are message keys, so the preview can show them in the UI language
+const createImportError = (messageKey) => {
+    const error = new Error(messageKey);
+    error.messageKey = messageKey;
+    return error;
+};
+
+const CSV_COLUMNS = ['title', 'description', 'dueDate', 'priority', 'status', 'completed', 'project', 'tags'];
+
+// iCalendar priorities run 1 (highest) to 9 (lowest); 0 means undefined
+const ICS_PRIORITIES = { High: 1, Medium: 5, Low: 9 };
+
+const getProjectName = (projects, projectId) => (projects.find(project => project.id === projectId) || {}).name || '';
+
+const toIsoString = (value) => {
+    const millis = toMillis(value);
+    return millis ? new Date(millis).toISOString() : null;
+};
+
+// Every field is kept, so a JSON export can be imported back without losing anything
+const tasksToJson = (tasks, projects) => JSON.stringify({
+    format: 'taskflow',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    tasks: tasks.map(task => ({
+        ...task,
+        timestamp: toIsoString(task.timestamp),
+        updatedAt: toIsoString(task.updatedAt),
+        completedAt: toIsoString(task.completedAt),
+        project: getProjectName(projects, task.projectId) || null,
+    })),
+}, null, 2);
+
+// Cells starting with a formula character are prefixed with ' so spreadsheets don't run them
+const escapeCsvCell = (value) => {
+    const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const tasksToCsv = (tasks, projects) => [
+    CSV_COLUMNS,
+    ...tasks.map(task => [
+        task.title,
+        task.description || '',
+        task.dueDate || '',
+        task.priority || '',
+        getTaskStatus(task),
+        task.completed ? 'true' : 'false',
+        getProjectName(projects, task.projectId),
+        (task.tags || []).join(', '),
+    ]),
+].map(row => row.map(escapeCsvCell).join(',')).join('\r\n');
+
+const escapeIcsText = (value) => String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Content lines over 75 characters continue on lines that start with a space
+const foldIcsLine = (line) => {
+    const parts = [line.slice(0, 75)];
+    for (let i = 75; i < line.length; i += 74) parts.push(` ${line.slice(i, i + 74)}`);
+    return parts.join('\r\n');
+};
+
+const tasksToIcs = (tasks) => {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//TaskFlow//Tasks//EN'];
+    tasks.forEach(task => {
+        const status = getTaskStatus(task);
+        lines.push('BEGIN:VTODO', `UID:${task.id}@taskflow`, `DTSTAMP:${stamp}`, `SUMMARY:${escapeIcsText(task.title)}`);
+        if (task.description) lines.push(`DESCRIPTION:${escapeIcsText(task.description)}`);
+        if (task.dueDate) lines.push(`DUE;VALUE=DATE:${task.dueDate.replace(/-/g, '')}`);
+        if (task.priority in ICS_PRIORITIES) lines.push(`PRIORITY:${ICS_PRIORITIES[task.priority]}`);
+        lines.push(`STATUS:${status === DONE_STATUS ? 'COMPLETED' : status === 'in_progress' ? 'IN-PROCESS' : 'NEEDS-ACTION'}`);
+        if (task.tags && task.tags.length > 0) lines.push(`CATEGORIES:${task.tags.map(escapeIcsText).join(',')}`);
+        lines.push('END:VTODO');
+    });
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+};
+
+const exportTasks = (format, tasks, projects) => {
+    switch (format) {
+        case 'csv':
+            return tasksToCsv(tasks, projects);
+        case 'ics':
+            return tasksToIcs(tasks);
+        default:
+            return tasksToJson(tasks, projects);
+    }
+};
+
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+const csvToRawTasks = (text) => {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map(name => CSV_COLUMNS.find(column => column.toLowerCase() === name.trim().toLowerCase()));
+    if (!columns.includes('title')) throw createImportError('transfer.error.missingTitleColumn');
+    return rows.map(cells => cells.reduce((raw, value, index) => {
+        const column = columns[index];
+        if (!column) return raw;
+        const text = value.replace(/^'(?=[=+\-@])/, ''); // Undo the formula escape added on export
+        return { ...raw, [column]: column === 'tags' ? text.split(',') : text };
+    }, {}));
+};
+
+const unescapeIcsText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+const icsToRawTasks = (text) => {
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const rawTasks = [];
+    let current = null;
+    lines.forEach(line => {
+        if (line === 'BEGIN:VTODO') {
+            current = {};
+            return;
+        }
+        if (line === 'END:VTODO') {
+            if (current) rawTasks.push(current);
+            current = null;
+            return;
+        }
+        const match = current && line.match(/^([A-Za-z-]+)(?:;[^:]*)?:(.*)$/);
+        if (!match) return;
+        const value = match[2];
+        switch (match[1].toUpperCase()) {
+            case 'SUMMARY':
+                current.title = unescapeIcsText(value);
+                break;
+            case 'DESCRIPTION':
+                current.description = unescapeIcsText(value);
+                break;
+            case 'DUE':
+                current.dueDate = value.replace(/^(\d{4})(\d{2})(\d{2}).*$/, '$1-$2-$3');
+                break;
+            case 'PRIORITY': {
+                const level = Number(value);
+                if (level > 0) current.priority = level < 5 ? 'High' : level === 5 ? 'Medium' : 'Low';
+                break;
+            }
+            case 'STATUS':
+                current.status = value === 'COMPLETED' ? DONE_STATUS : value === 'IN-PROCESS' ? 'in_progress' : 'todo';
+                break;
+            case 'CATEGORIES':
+                current.tags = value.split(/(?<!\\),/).map(unescapeIcsText);
+                break;
+            default:
+                break;
+        }
+    });
+    if (rawTasks.length === 0) throw createImportError('transfer.error.noCalendarTasks');
+    return rawTasks;
+};
+
+const jsonToRawTasks = (text) => {
+    const data = JSON.parse(text);
+    const rawTasks = Array.isArray(data) ? data : data && data.tasks;
+    if (!Array.isArray(rawTasks)) throw createImportError('transfer.error.notAList');
+    return rawTasks;
+};
+
+// Reminders and recurrence rules in a shape the app understands, or undefined
+const toImportedReminder = (reminder) => {
+    switch (reminder && reminder.type) {
+        case 'none':
+            return { type: 'none' };
+        case 'at':
+            return /^\d{2}:\d{2}$/.test(reminder.time) ? { type: 'at', time: reminder.time } : undefined;
+        case 'before':
+            return { type: 'before', amount: Math.max(0, Number(reminder.amount) || 0), unit: reminder.unit === 'days' ? 'days' : 'hours' };
+        default:
+            return undefined;
+    }
+};
+
+const toImportedRecurrence = (recurrence) => {
+    switch (recurrence && recurrence.frequency) {
+        case 'daily':
+            return { frequency: 'daily' };
+        case 'weekly':
+            return { frequency: 'weekly', weekdays: (Array.isArray(recurrence.weekdays) ? recurrence.weekdays : []).map(Number).filter(day => Number.isInteger(day) && day >= 0 && day <= 6) };
+        case 'monthly':
+            return { frequency: 'monthly', dayOfMonth: Math.min(31, Math.max(1, Math.round(Number(recurrence.dayOfMonth)) || 1)) };
+        case 'interval':
+            return { frequency: 'interval', interval: Math.max(1, Math.round(Number(recurrence.interval)) || 1), unit: recurrence.unit === 'weeks' ? 'weeks' : 'days' };
+        default:
+            return undefined;
+    }
+};
+
+/**
+ * Turns one parsed record into task data and lists what's wrong with it. Only the fields a
+ * user edits are taken over; ids, timestamps, trash, series and shared list bookkeeping are
+ * left behind. Projects are matched by id, then by name; a task whose project doesn't exist
+ * here gets none.
+ */
+const normalizeImportedTask = (raw, projects) => {
+    if (!raw || typeof raw !== 'object') return { task: { title: '' }, errors: [{ key: 'transfer.error.notATask' }] };
+    const errors = [];
+
+    const title = typeof raw.title === 'string' ? raw.title.trim() : '';
+    if (!title) errors.push({ key: 'transfer.error.missingTitle' });
+    const dueDate = raw.dueDate ? String(raw.dueDate).trim() : '';
+    if (dueDate && !isValidDateString(dueDate)) errors.push({ key: 'transfer.error.invalidDueDate', params: { date: dueDate } });
+    const priority = raw.priority ? Object.keys(PRIORITY_RANK).find(level => level.toLowerCase() === String(raw.priority).trim().toLowerCase()) : 'Medium';
+    if (!priority) errors.push({ key: 'transfer.error.unknownPriority', params: { priority: raw.priority } });
+
+    const completed = raw.completed === true || String(raw.completed).trim().toLowerCase() === 'true' || raw.status === DONE_STATUS;
+    const status = completed ? DONE_STATUS : (typeof raw.status === 'string' && raw.status.trim()) || 'todo';
+    const completedAt = completed && raw.completedAt ? new Date(raw.completedAt).getTime() : NaN;
+    const matchedProject = projects.find(candidate => candidate.id === raw.projectId)
+        || projects.find(candidate => typeof raw.project === 'string' && candidate.name.toLowerCase() === raw.project.trim().toLowerCase());
+    const rawTags = Array.isArray(raw.tags) ? raw.tags : typeof raw.tags === 'string' ? raw.tags.split(',') : [];
+    const subtasks = Array.isArray(raw.subtasks)
+        ? raw.subtasks.filter(subtask => subtask && subtask.title).map(subtask => ({ id: subtask.id || generateId(), title: String(subtask.title), done: !!subtask.done }))
+        : [];
+    const reminder = toImportedReminder(raw.reminder);
+    const recurrence = toImportedRecurrence(raw.recurrence);
+
+    return {
+        task: {
+            title,
+            description: raw.description ? String(raw.description) : '',
+            dueDate,
+            priority: priority || 'Medium',
+            status,
+            completed,
+            completedAt: Number.isFinite(completedAt) ? completedAt : null,
+            projectId: matchedProject ? matchedProject.id : null,
+            tags: Array.from(new Set(rawTags.map(tag => normalizeTag(String(tag))).filter(Boolean))),
+            subtasks,
+            autoCompleteWithSubtasks: raw.autoCompleteWithSubtasks === true,
+            ...(reminder && { reminder }),
+            ...(recurrence && { recurrence }),
+        },
+        errors,
+    };
+};
+
+const detectTransferFormat = (fileName, text) => {
+    const extension = fileName.split('.').pop().toLowerCase();
+    if (extension in TRANSFER_FORMATS) return extension;
+    if (text.startsWith('BEGIN:VCALENDAR')) return 'ics';
+    if (text.startsWith('{') || text.startsWith('[')) return 'json';
+    return 'csv';
+};
+
+/**
+ * Parses an import file into preview rows `{ line, task, errors, isDuplicate }`. Duplicates
+ * use the same title + due date key as the guest merge, checked against existing tasks and
+ * earlier rows. Throws when the file can't be read as its format at all.
+ */
+const parseImportFile = (fileName, text, existingTasks, projects) => {
+    const content = text.replace(/^\uFEFF/, '').trimStart();
+    const format = detectTransferFormat(fileName, content);
+    const rawTasks = format === 'json' ? jsonToRawTasks(content) : format === 'ics' ? icsToRawTasks(content) : csvToRawTasks(content);
+    const seenKeys = new Set(existingTasks.map(getTaskMergeKey));
+    const rows = rawTasks.map((raw, index) => {
+        const { task, errors } = normalizeImportedTask(raw, projects);
+        const key = getTaskMergeKey(task);
+        const isDuplicate = errors.length === 0 && seenKeys.has(key);
+        if (errors.length === 0) seenKeys.add(key);
+        return { line: index + 1, task, errors, isDuplicate };
+    });
+    return { format, rows };
+};
+
+const downloadTextFile = (fileName, content, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// --- Account Data Helpers ---
+// Every collection under `users/${uid}`. Clients can't delete a subtree in one call, so each is listed here
+const getUserCollectionPaths = (uid) => ({
+    tasks: getTasksPath(uid),
+    taskHistory: getTaskHistoryPath(uid),
+    projects: getProjectsPath(uid),
+    settings: getSettingsPath(uid),
+});
+
+// Fields the local backend stores as epoch millis rather than as timestamps
+const ACCOUNT_TIMESTAMP_FIELDS = ['timestamp', 'updatedAt', 'completedAt', 'deletedAt', 'at'];
+
+// Every document of the user, by collection name
+const collectUserData = async (uid, store = documentStore) => Object.fromEntries(await Promise.all(
+    Object.entries(getUserCollectionPaths(uid)).map(async ([name, path]) => [name, await store.list(path)]),
+));
+
+// Timestamps are written as ISO strings on either backend
+const accountDataToJson = (user, data, preferences) => JSON.stringify({
+    format: 'taskflow-account',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    account: { uid: user.uid, email: user.email || null },
+    preferences,
+    ...data,
+}, function replaceTimestamps(key, value) {
+    const raw = this[key];
+    if (raw && typeof raw.toMillis === 'function') return toIsoString(raw);
+    if (typeof raw === 'number' && ACCOUNT_TIMESTAMP_FIELDS.includes(key)) return toIsoString(raw);
+    return value;
+}, 2);
+
+// One atomic batch unless the account holds more than MAX_BATCH_SIZE documents; then a failure can leave
+// some of them, and deleting again removes the rest
+const deleteUserData = async (uid, store = documentStore) => {
+    const data = await collectUserData(uid, store);
+    const operations = Object.entries(getUserCollectionPaths(uid))
+        .flatMap(([name, path]) => data[name].map(userDoc => ({ type: 'delete', path, id: userDoc.id })));
+    for (let i = 0; i < operations.length; i += MAX_BATCH_SIZE) {
+        await store.batch(operations.slice(i, i + MAX_BATCH_SIZE));
+    }
+};
+
+// Lists the user created are deleted with their tasks; the others drop the user's uid and address, and pending
+// invitations are declined. The rules only show invitations to verified addresses, so unverified ones stay
+const leaveSharedLists = async (user, store = documentStore) => {
+    const listRepository = createListRepository(store);
+    for (const list of await listRepository.listMemberships(user.uid)) {
+        if (list.ownerId === user.uid) {
+            await listRepository.remove(list.id);
+        } else {
+            const { [user.uid]: role, ...members } = list.members;
+            const { [user.uid]: memberEmail, ...memberEmails } = list.memberEmails || {};
+            await listRepository.updateMembership(list, { members, memberEmails });
+        }
+    }
+    if (!user.emailVerified) return;
+    const email = user.email.toLowerCase();
+    for (const list of await listRepository.listInvitations(email)) {
+        const { [email]: invitedRole, ...invites } = list.invites;
+        await listRepository.updateMembership(list, { invites });
+    }
+};
+
+// What this device keeps for the user outside the document store: queued changes and reminder bookkeeping
+const clearStoredUserData = (uid) => {
+    [getOutboxKey(uid), getFiredRemindersKey(uid), getReminderBannersKey(uid)].forEach(key => {
+        try {
+            localStorage.removeItem(key);
+        } catch (error) {
+            console.error(`Error removing ${key}:`, error);
+        }
+    });
+};
+
+// --- Context for Language ---
+const I18nContext = createContext(null);
+
+// The first of the browser's preferred languages that has a catalog
+const getPreferredLanguage = () => {
+    const preferred = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language || DEFAULT_LANGUAGE];
+    return preferred.map(tag => tag.split('-')[0].toLowerCase()).find(code => code in MESSAGES) || DEFAULT_LANGUAGE;
+};
+
+/**
+ * Provides the UI language with `t(key, params)`, `formatDate(dateString, options)` and
+ * `formatRelativeDate(dateString)` ("tomorrow", "in 2 days"). The choice is kept in
+ * localStorage and mirrored to <html lang dir>, which flips the layout for right-to-left languages.
+ */
+const I18nProvider = ({ children }) => {
+    const [storedLanguage, setLanguage] = usePersistentState(`taskflow:${appId}:language`, getPreferredLanguage());
+    const language = storedLanguage in MESSAGES ? storedLanguage : DEFAULT_LANGUAGE;
+    const dir = getLanguageDirection(language);
+
+    useEffect(() => {
+        document.documentElement.lang = language;
+        document.documentElement.dir = dir;
+    }, [language, dir]);
+
+    const value = useMemo(() => {
+        const relativeFormat = new Intl.RelativeTimeFormat(language, { numeric: 'auto' });
+        return {
+            language,
+            dir,
+            setLanguage,
+            t: (key, params) => translate(language, key, params),
+            formatDate: (dateString, options = { dateStyle: 'medium' }) => formatCalendarDate(dateString, options, language),
+            formatRelativeDate: (dateString, today = getTodayString()) => relativeFormat.format(getDaysBetween(today, dateString), 'day'),
+        };
+    }, [language, dir, setLanguage]);
+
+    return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+// `t` for subscriptions and other long-lived callbacks: always the current language's, without re-subscribing when it changes
+const useTranslationRef = () => {
+    const { t } = useContext(I18nContext);
+    const tRef = useRef(t);
+    tRef.current = t;
+    return tRef;
+};
+
+// --- Notifications ---
+const NotificationContext = createContext(null);
+
+const TOAST_STYLES = { success: 'bg-green-600', error: 'bg-red-600', info: 'bg-blue-600' };
+const MAX_VISIBLE_TOASTS = 3;
+
+// A toast's timer starts once it is on screen and pauses while it is hovered or focused
+const Toast = ({ toast, onDismiss }) => {
+    const { t } = useContext(I18nContext);
+    const [isPaused, setIsPaused] = useState(false);
+
+    useEffect(() => {
+        if (!toast.duration || isPaused) return undefined;
+        const timeout = setTimeout(() => onDismiss(toast.id), toast.duration);
+        return () => clearTimeout(timeout);
+    }, [toast, isPaused, onDismiss]);
+
+    return (
+        <div
+            className={`flex items-start text-white px-4 py-3 rounded-md shadow-lg ${TOAST_STYLES[toast.type] || TOAST_STYLES.info}`}
+            onMouseEnter={() => setIsPaused(true)}
+            onMouseLeave={() => setIsPaused(false)}
+            onFocus={() => setIsPaused(true)}
+            onBlur={() => setIsPaused(false)}
+        >
+            <span className="flex-grow">{toast.message}</span>
+            {toast.actions.map(action => (
+                <button
+                    key={action.label}
+                    type="button"
+                    className="ms-3 font-semibold underline"
+                    onClick={() => {
+                        onDismiss(toast.id);
+                        action.onClick();
+                    }}
+                >
+                    {action.label}
+                </button>
+            ))}
+            <button type="button" className="ms-3 opacity-75 hover:opacity-100" aria-label={t('app.dismissNotification')} onClick={() => onDismiss(toast.id)}>✕</button>
+        </div>
+    );
+};
+
+/**
+ * Provides `notify(message, type, { duration, actions })`, which returns the toast's id, and
+ * `dismiss(id)`. Toasts stack, and ones beyond the first few wait until there is room. Errors
+ * and toasts with actions stay longer; `duration: 0` keeps a toast until it is dismissed.
+ * Actions are `{ label, onClick }` buttons that also close the toast.
+ */
+const NotificationProvider = ({ children }) => {
+    const [toasts, setToasts] = useState([]);
+
+    const dismiss = useCallback((id) => {
+        setToasts(current => current.filter(toast => toast.id !== id));
+    }, []);
+
+    const notify = useCallback((message, type = 'info', { duration, actions = [] } = {}) => {
+        const id = generateId();
+        const defaultDuration = type === 'error' || actions.length > 0 ? 8000 : 4000;
+        setToasts(current => [...current, { id, message, type, actions, duration: duration ?? defaultDuration }]);
+        return id;
+    }, []);
+
+    const value = useMemo(() => ({ notify, dismiss }), [notify, dismiss]);
+    const visibleToasts = toasts.slice(0, MAX_VISIBLE_TOASTS);
+    const renderToast = (toast) => <Toast key={toast.id} toast={toast} onDismiss={dismiss} />;
+
+    // Both live regions stay mounted so screen readers announce toasts added to them;
+    // errors interrupt, everything else is read when the reader is idle
+    return (
+        <NotificationContext.Provider value={value}>
+            {children}
+            <div className="fixed bottom-4 left-1/2 transform -translate-x-1/2 z-50 w-full max-w-md px-4 space-y-2">
+                <div role="alert" className="space-y-2">
+                    {visibleToasts.filter(toast => toast.type === 'error').map(renderToast)}
+                </div>
+                <div role="status" aria-live="polite" className="space-y-2">
+                    {visibleToasts.filter(toast => toast.type !== 'error').map(renderToast)}
+                </div>
+            </div>
+        </NotificationContext.Provider>
+    );
+};
+
+// --- Context for Firebase and User State ---
+const FirebaseContext = createContext(null);
+
+/**
+ * Provides Firebase (Firestore, Auth) instances, user state and the signed-in user's
+ * task repository to child components. Without a Firebase configuration, a local
+ * guest user is provided instead.
+ */
+const FirebaseProvider = ({ children }) => {
+    const [currentUser, setCurrentUser] = useState(null);
+    const [userId, setUserId] = useState(null);
+    const [isFirebaseReady, setIsFirebaseReady] = useState(false);
+    const [, setUserVersion] = useState(0); // Bumped when the same user object changes in place (e.g. after linking)
+    const hasResolvedInitialAuth = useRef(false);
+
+    useEffect(() => {
+        if (!auth) {
+            setCurrentUser(LOCAL_USER);
+            setUserId(LOCAL_USER.uid);
+            setIsFirebaseReady(true);
+            return undefined;
+        }
+
+        // Listen for auth state changes. A persisted email/password session is restored
+        // here, so the guest sign-in below only runs when nobody is signed in yet.
+        const unsubscribe = onAuthStateChanged(auth, async (user) => {
+            if (!user && !hasResolvedInitialAuth.current) {
+                hasResolvedInitialAuth.current = true;
+                try {
+                    // Sign in with custom token if available, otherwise anonymously
+                    if (initialAuthToken) {
+                        await signInWithCustomToken(auth, initialAuthToken);
+                    } else {
+                        await signInAnonymously(auth);
+                    }
+                    return; // The listener fires again with the new user
+                } catch (error) {
+                    console.error("Firebase authentication error:", error);
+                }
+            }
+            hasResolvedInitialAuth.current = true;
+            setCurrentUser(user || null);
+            setUserId(user ? user.uid : null);
+            setIsFirebaseReady(true); // Still mark as ready even if auth fails
+        });
+
+        return () => unsubscribe(); // Cleanup auth listener
+    }, []); // Run once on component mount
+
+    const signIn = async (email, password) => {
+        const credential = await signInWithEmailAndPassword(requireAuth(), email, password);
+        return credential.user;
+    };
+
+    const register = async (email, password) => {
+        requireAuth();
+        const user = await createAccount(email, password);
+        // Accepting shared list invitations requires a verified address
+        sendEmailVerification(user).catch(error => console.error("Error sending verification email:", error));
+        setUserVersion(version => version + 1); // Linking keeps the same user object, so re-render consumers
+        return user;
+    };
+
+    // Read before signing in, while the guest's data is still readable: { tasks, projects }
+    const getGuestData = async () => {
+        if (!auth || !auth.currentUser || !auth.currentUser.isAnonymous) return { tasks: [], projects: [] };
+        const guestUid = auth.currentUser.uid;
+        const [tasks, projects] = await Promise.all([createTaskRepository(guestUid).list(), createProjectRepository(guestUid).list()]);
+        return { tasks, projects };
+    };
+
+    const mergeGuestData = ({ tasks, projects }) => mergeTasksIntoUser(auth.currentUser.uid, tasks, projects);
+
+    const resetPassword = async (email) => sendPasswordResetEmail(requireAuth(), email);
+
+    const signOutUser = async () => signOut(requireAuth());
+
+    // Sensitive changes need a recent sign-in, so they confirm the current password first
+    const reauthenticate = async (password) => {
+        const user = requireAuth().currentUser;
+        await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, password));
+        return user;
+    };
+
+    const changePassword = async (currentPassword, newPassword) => {
+        const user = await reauthenticate(currentPassword);
+        await updatePassword(user, newPassword);
+    };
+
+    // The address only changes once the link sent to it has been opened
+    const changeEmail = async (currentPassword, newEmail) => {
+        const user = await reauthenticate(currentPassword);
+        await verifyBeforeUpdateEmail(user, newEmail);
+    };
+
+    /**
+     * Deletes everything of the user, then the account itself. Email accounts confirm their password
+     * before anything is touched; `beforeDelete` runs once it has been accepted. Then the user leaves
+     * their shared lists, and their `users/${uid}` subtree and what this device keeps for them go.
+     * Guests have no password to confirm. Without Firebase there is no account, so only the data goes.
+     */
+    const deleteAccount = async (password, beforeDelete = () => {}) => {
+        const user = auth ? auth.currentUser : null;
+        const hasPassword = !!user && !user.isAnonymous && !!user.email;
+        if (hasPassword) await reauthenticate(password);
+        beforeDelete();
+        if (hasPassword && storageBackend === 'firestore') await leaveSharedLists(user);
+        await deleteUserData(userId);
+        clearStoredUserData(userId);
+        if (!user) return;
+        try {
+            await deleteUser(user); // Signs the user out
+        } catch (error) {
+            // A guest can't sign in again to prove a recent sign-in; with their data gone, the empty account is only signed out of
+            if (!user.isAnonymous || error.code !== 'auth/requires-recent-login') throw error;
+            await signOut(auth);
+        }
+    };
+
+    const taskRepository = useMemo(() => (userId ? createTaskRepository(userId) : null), [userId]);
+    const projectRepository = useMemo(() => (userId ? createProjectRepository(userId) : null), [userId]);
+    const profileRepository = useMemo(() => (userId ? createProfileRepository(userId) : null), [userId]);
+
+    return (
+        <FirebaseContext.Provider value={{
+            db,
+            auth,
+            currentUser,
+            userId,
+            isFirebaseReady,
+            taskRepository,
+            projectRepository,
+            profileRepository,
+            signIn,
+            register,
+            resetPassword,
+            signOutUser,
+            changePassword,
+            changeEmail,
+            deleteAccount,
+            getGuestData,
+            mergeGuestData,
+        }}>
+            {children}
+        </FirebaseContext.Provider>
+    );
+};
+
+// --- Context for Settings ---
+const SettingsContext = createContext(null);
+
+const DEFAULT_PROFILE = { displayName: '', initials: '' };
+
+const DEFAULT_PREFERENCES = {
+    defaultPriority: 'Medium', // For new tasks
+    defaultFilter: 'all', // A key of FILTER_PRESETS
+    weekStartsOn: 0, // 0 for Sunday, 1 for Monday, 6 for Saturday
+};
+
+const WEEK_START_OPTIONS = [0, 1, 6];
+const MAX_INITIALS_LENGTH = 3;
+
+// The chosen display name, or the first part of the email address
+const getDisplayName = (user, profile) => profile.displayName.trim() || (user && user.email ? user.email.split('@')[0] : '');
+
+// The chosen initials, or the first letters of the first and last word of the display name
+const getInitials = (displayName, profile) => {
+    if (profile.initials.trim()) return profile.initials.trim().toUpperCase();
+    const words = displayName.split(/[\s._-]+/).filter(Boolean);
+    if (words.length === 0) return '';
+    const initialWords = words.length > 1 ? [words[0], words[words.length - 1]] : words;
+    return initialWords.map(word => Array.from(word)[0]).join('').toUpperCase();
+};
+
+/**
+ * Provides the user's profile (display name and avatar initials, stored with their data)
+ * and the defaults chosen on the Settings page, which are kept in localStorage.
+ */
+const SettingsProvider = ({ children }) => {
+    const { currentUser, profileRepository } = useContext(FirebaseContext);
+    const [profile, setProfile] = useState(DEFAULT_PROFILE);
+    const [preferences, setPreferences] = usePersistentState(`taskflow:${appId}:preferences`, DEFAULT_PREFERENCES);
+
+    useEffect(() => {
+        setProfile(DEFAULT_PROFILE);
+        if (!profileRepository) return undefined;
+        return profileRepository.subscribe(
+            (profileDoc) => setProfile(profileDoc ? { displayName: profileDoc.displayName || '', initials: profileDoc.initials || '' } : DEFAULT_PROFILE),
+            (error) => console.error("Error loading profile:", error),
+        );
+    }, [profileRepository]);
+
+    const updateProfile = (changes) => profileRepository.save({ ...profile, ...changes });
+
+    const updatePreferences = (changes) => setPreferences(current => ({ ...current, ...changes }));
+
+    const displayName = getDisplayName(currentUser, profile);
+
+    return (
+        <SettingsContext.Provider value={{ profile, displayName, initials: getInitials(displayName, profile), updateProfile, preferences, updatePreferences }}>
+            {children}
+        </SettingsContext.Provider>
+    );
+};
+
+// --- Context for Shared Lists ---
+const SharedListContext = createContext(null);
+
+const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+/**
+ * Provides the shared lists the user belongs to, the invitations addressed to their email
+ * and the functions that manage membership. Sharing needs an email account on Firestore,
+ * so guests and the local backend have no shared lists.
+ */
+const SharedListProvider = ({ children }) => {
+    const { notify } = useContext(NotificationContext);
+    const { t } = useContext(I18nContext);
+    const tRef = useTranslationRef();
+    const { currentUser, userId } = useContext(FirebaseContext);
+    const [lists, setLists] = useState([]);
+    const [invitations, setInvitations] = useState([]);
+    const [isEmailVerified, setIsEmailVerified] = useState(false);
+    const listRepository = useMemo(() => createListRepository(), []);
+
+    const canShare = storageBackend === 'firestore' && !!currentUser && !currentUser.isAnonymous && !!currentUser.email;
+    const email = canShare ? currentUser.email.toLowerCase() : null;
+
+    useEffect(() => {
+        setIsEmailVerified(!!(canShare && currentUser.emailVerified));
+    }, [canShare, currentUser]);
+
+    useEffect(() => {
+        if (!canShare) {
+            setLists([]);
+            return undefined;
+        }
+        const unsubscribe = listRepository.subscribeMemberships(userId, setLists, (error) => {
+            console.error("Error fetching shared lists:", error);
+            notify(tRef.current('list.loadFailed'), 'error');
+        });
+        return () => unsubscribe();
+    }, [canShare, userId, listRepository, notify]);
+
+    useEffect(() => {
+        if (!canShare || !isEmailVerified) {
+            setInvitations([]);
+            return undefined;
+        }
+        const handleInvitations = (fetched) => setInvitations(fetched.map(list => ({ ...list, invitedRole: list.invites[email] })));
+        const unsubscribe = listRepository.subscribeInvitations(email, handleInvitations, (error) => {
+            console.error("Error fetching invitations:", error);
+            notify(tRef.current('list.invitationsFailed'), 'error');
+        });
+        return () => unsubscribe();
+    }, [canShare, isEmailVerified, email, listRepository, notify]);
+
+    const sortedLists = useMemo(() => [...lists].sort((a, b) => a.name.localeCompare(b.name)), [lists]);
+
+    const getListRole = useCallback((listId) => {
+        const list = lists.find(candidate => candidate.id === listId);
+        return list ? list.members[userId] : null;
+    }, [lists, userId]);
+
+    const createList = async (listData) => {
+        try {
+            await listRepository.create(currentUser, listData);
+            notify(t('list.created', { name: listData.name }), 'success');
+        } catch (e) {
+            console.error("Error creating shared list: ", e);
+            notify(t('list.createFailed'), 'error', { actions: [{ label: t('app.retry'), onClick: () => createList(listData) }] });
+        }
+    };
+
+    const deleteList = async (list) => {
+        try {
+            await listRepository.remove(list.id);
+            notify(t('list.deleted', { name: list.name }), 'success');
+        } catch (e) {
+            console.error("Error deleting shared list: ", e);
+            notify(t('list.deleteFailed'), 'error', { actions: [{ label: t('app.retry'), onClick: () => deleteList(list) }] });
+        }
+    };
+
+    const updateMembership = async (list, changes, successMessage) => {
+        try {
+            await listRepository.updateMembership(list, changes);
+            if (successMessage) notify(successMessage, 'success');
+            return true;
+        } catch (e) {
+            console.error("Error updating shared list members: ", e);
+            notify(t('list.updateFailed'), 'error', { actions: [{ label: t('app.retry'), onClick: () => updateMembership(list, changes, successMessage) }] });
+            return false;
+        }
+    };
+
+    const inviteMember = (list, inviteEmail, role) => {
+        const normalizedEmail = inviteEmail.trim().toLowerCase();
+        if (!isValidEmail(normalizedEmail)) {
+            notify(t('auth.invalidEmail'), 'error');
+            return Promise.resolve(false);
+        }
+        if (Object.values(list.memberEmails || {}).some(memberEmail => memberEmail.toLowerCase() === normalizedEmail)) {
+            notify(t('list.alreadyMember', { email: normalizedEmail }), 'info');
+            return Promise.resolve(false);
+        }
+        return updateMembership(list, { invites: { ...list.invites, [normalizedEmail]: role } }, t('list.invited', { email: normalizedEmail }));
+    };
+
+    const revokeInvite = (list, inviteEmail) => {
+        const { [inviteEmail]: revoked, ...invites } = list.invites;
+        return updateMembership(list, { invites });
+    };
+
+    const changeRole = (list, uid, role) => updateMembership(list, { members: { ...list.members, [uid]: role } });
+
+    const removeMember = (list, uid) => {
+        const { [uid]: removedRole, ...members } = list.members;
+        const { [uid]: removedEmail, ...memberEmails } = list.memberEmails || {};
+        return updateMembership(list, { members, memberEmails }, uid === userId ? t('list.left', { name: list.name }) : null);
+    };
+
+    const acceptInvitation = (list) => {
+        const { [email]: role, ...invites } = list.invites;
+        return updateMembership(list, {
+            members: { ...list.members, [userId]: role },
+            memberEmails: { ...list.memberEmails, [userId]: currentUser.email },
+            invites,
+        }, t('list.joined', { name: list.name }));
+    };
+
+    const declineInvitation = (list) => revokeInvite(list, email);
+
+    const resendVerification = async () => {
+        try {
+            await sendEmailVerification(currentUser);
+            notify(t('list.verificationSent', { email: currentUser.email }), 'success');
+        } catch (error) {
+            console.error("Error sending verification email:", error);
+            notify(t(getAuthErrorMessageKey(error)), 'error');
+        }
+    };
+
+    // Picks up a verification completed in another tab; the refreshed token carries it to the rules
+    const refreshVerification = async () => {
+        try {
+            await currentUser.reload();
+            await currentUser.getIdToken(true);
+            setIsEmailVerified(currentUser.emailVerified);
+            if (!currentUser.emailVerified) notify(t('list.notVerified'), 'info');
+        } catch (error) {
+            console.error("Error refreshing verification status:", error);
+            notify(t(getAuthErrorMessageKey(error)), 'error');
+        }
+    };
+
+    return (
+        <SharedListContext.Provider value={{
+            lists: sortedLists,
+            invitations,
+            canShare,
+            isEmailVerified,
+            getListRole,
+            createList,
+            deleteList,
+            inviteMember,
+            revokeInvite,
+            changeRole,
+            removeMember,
+            acceptInvitation,
+            declineInvitation,
+            resendVerification,
+            refreshVerification,
+        }}>
+            {children}
+        </SharedListContext.Provider>
+    );
+};
+
+// --- Offline Sync Queue ---
+const SYNC_WRITE_TIMEOUT_MS = 15000; // Firestore writes never settle while offline, so give up and retry later
+const SYNC_RETRY_INTERVAL_MS = 30000;
+const NETWORK_ERROR_CODES = ['unavailable', 'deadline-exceeded', 'sync/timeout'];
+
+const isBrowserOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+// The local backend never needs the network, so only Firestore waits for a connection
+const isBackendReachable = () => storageBackend !== 'firestore' || isBrowserOnline();
+
+const getOutboxKey = (uid) => `taskflow:${appId}:outbox:${uid}`;
+
+const loadOutbox = (uid) => {
+    try {
+        return JSON.parse(localStorage.getItem(getOutboxKey(uid))) || [];
+    } catch (error) {
+        console.error("Error reading pending task changes:", error);
+        return [];
+    }
+};
+
+const saveOutbox = (uid, outbox) => {
+    try {
+        localStorage.setItem(getOutboxKey(uid), JSON.stringify(outbox));
+    } catch (error) {
+        console.error("Error saving pending task changes:", error);
+    }
+};
+
+// Message keys for the sync errors users see; others show the error's own message
+const SYNC_ERROR_MESSAGE_KEYS = {
+    'sync/timeout': 'sync.error.timeout',
+    'sync/conflict': 'sync.error.conflict',
+    'permission-denied': 'sync.error.permissionDenied',
+};
+
+const createSyncError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(createSyncError('sync/timeout', 'The server did not respond in time.')), ms);
+    promise.then(
+        (value) => { clearTimeout(timer); resolve(value); },
+        (error) => { clearTimeout(timer); reject(error); }
+    );
+});
+
+const isNetworkError = (error) => !isBackendReachable() || NETWORK_ERROR_CODES.includes(error && error.code);
+
+// Every operation of a batch can write a history entry too, and all of it must fit one write
+const MAX_BATCH_OPERATIONS = MAX_BATCH_SIZE / 2;
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Applies queued mutations on top of the server's tasks, giving the optimistic view the UI renders.
+ */
+const applyOutbox = (serverTasks, outbox) => outbox.reduce((tasks, mutation) => {
+    switch (mutation.type) {
+        case 'add':
+            return tasks.some(task => task.id === mutation.taskId)
+                ? tasks
+                : [{ id: mutation.taskId, ...mutation.data, ...(mutation.listId && { listId: mutation.listId }), timestamp: mutation.createdAt }, ...tasks];
+        case 'update':
+            return tasks.map(task => (task.id === mutation.taskId ? { ...task, ...mutation.data } : task));
+        case 'delete':
+            return tasks.filter(task => task.id !== mutation.taskId);
+        case 'batch':
+            // Batches queued by older versions hold one collection and carry its `listId` themselves
+            return applyOutbox(tasks, mutation.operations.map(operation => ({ listId: mutation.listId, ...operation, createdAt: mutation.createdAt })));
+        default:
+            return tasks;
+    }
+}, serverTasks);
+
+/**
+ * Decides which queued field changes still apply to the current server copy. A field the
+ * server left untouched since the edit was queued takes the queued value. A field that was
+ * changed on both sides keeps whichever change happened last.
+ */
+const resolveUpdateConflict = (mutation, serverTask) => {
+    const serverUpdatedAt = toMillis(serverTask.updatedAt);
+    const localIsNewer = !serverUpdatedAt || mutation.createdAt >= serverUpdatedAt;
+    return Object.keys(mutation.data).reduce((changes, field) => {
+        const serverChanged = !isSameValue(serverTask[field], mutation.base[field]);
+        if (!serverChanged || localIsNewer) changes[field] = mutation.data[field];
+        return changes;
+    }, {});
+};
+
+// History only lists the fields that were applied
+const toHistoryEntry = (mutation, operation, appliedChanges) => {
+    if (!operation.history) return null;
+    if (!appliedChanges) return { ...operation.history, taskId: operation.taskId, at: mutation.createdAt, changes: null };
+    const changes = Object.fromEntries(Object.entries(operation.history.changes || {}).filter(([field]) => field in appliedChanges));
+    return Object.keys(changes).length > 0 ? { ...operation.history, taskId: operation.taskId, at: mutation.createdAt, changes } : null;
+};
+
+/**
+ * A batch is written atomically as one write, history entries included, even when its tasks
+ * sit in several collections. Tasks deleted elsewhere in the meantime drop out of it.
+ */
+const replayBatch = async (getRepositoryFor, mutation) => {
+    const operations = mutation.operations.map(operation => ({ listId: mutation.listId, ...operation }));
+    const serverTasks = await Promise.all(operations.map(operation => (operation.type === 'update' ? getRepositoryFor(operation.listId).get(operation.taskId) : null)));
+    const writes = operations.flatMap((operation, index) => {
+        const repository = getRepositoryFor(operation.listId);
+        if (operation.type === 'add') {
+            return repository.toBatchWrites({ ...operation, historyEntry: toHistoryEntry(mutation, operation, null) });
+        }
+        if (!serverTasks[index]) return [];
+        const changes = resolveUpdateConflict({ ...operation, createdAt: mutation.createdAt }, serverTasks[index]);
+        if (Object.keys(changes).length === 0) return [];
+        return repository.toBatchWrites({ type: 'update', taskId: operation.taskId, data: changes, historyEntry: toHistoryEntry(mutation, operation, changes) });
+    });
+    if (writes.length > 0) await documentStore.batch(writes);
+};
+
+// Each change is written together with its history entry
+const replayMutation = async (getRepositoryFor, mutation) => {
+    if (mutation.type === 'batch') {
+        await replayBatch(getRepositoryFor, mutation);
+        return;
+    }
+    const taskRepository = getRepositoryFor(mutation.listId);
+    if (mutation.type === 'add') {
+        await taskRepository.create(mutation.taskId, mutation.data, toHistoryEntry(mutation, mutation, null));
+        return;
+    }
+    if (mutation.type === 'delete') {
+        await taskRepository.remove(mutation.taskId);
+        return;
+    }
+    const serverTask = await taskRepository.get(mutation.taskId);
+    if (!serverTask) {
+        throw createSyncError('sync/conflict', 'This task was deleted on another device.');
+    }
+    const changes = resolveUpdateConflict(mutation, serverTask);
+    if (Object.keys(changes).length > 0) {
+        await taskRepository.update(mutation.taskId, changes, toHistoryEntry(mutation, mutation, changes));
+    }
+};
+
+/**
+ * Project changes share the queue with task changes, so a project is created before the
+ * tasks filed under it and emptied before it is deleted:
+ * { type: 'project', operation: 'add' | 'update' | 'delete', projectId, data }.
+ */
+const applyProjectOutbox = (serverProjects, outbox) => outbox.reduce((projects, mutation) => {
+    if (mutation.type !== 'project') return projects;
+    switch (mutation.operation) {
+        case 'add':
+            return projects.some(project => project.id === mutation.projectId)
+                ? projects
+                : [...projects, { id: mutation.projectId, ...mutation.data, timestamp: mutation.createdAt }];
+        case 'update':
+            return projects.map(project => (project.id === mutation.projectId ? { ...project, ...mutation.data } : project));
+        case 'delete':
+            return projects.filter(project => project.id !== mutation.projectId);
+        default:
+            return projects;
+    }
+}, serverProjects);
+
+const replayProjectMutation = (projectRepository, mutation) => {
+    if (mutation.operation === 'add') return projectRepository.create(mutation.projectId, mutation.data);
+    if (mutation.operation === 'delete') return projectRepository.remove(mutation.projectId);
+    return projectRepository.update(mutation.projectId, mutation.data);
+};
+
+// --- Task History Helpers ---
+// Bookkeeping fields that change as a side effect and would only clutter the timeline
+const HISTORY_UNTRACKED_FIELDS = ['updatedAt', 'completedAt', 'sortOrder', 'seriesId', 'seriesTemplate', 'scheduledDate', 'nextOccurrenceCreated'];
+
+/**
+ * Field-level diff of `changes` against `task`: { field: { before, after } } for every
+ * tracked field whose value actually changes.
+ */
+const diffTaskChanges = (task, changes) => Object.keys(changes).reduce((diff, field) => {
+    if (!HISTORY_UNTRACKED_FIELDS.includes(field) && !isSameValue(task[field], changes[field])) {
+        diff[field] = { before: task[field] ?? null, after: changes[field] ?? null };
+    }
+    return diff;
+}, {});
+
+/**
+ * Changes that take a task back to how it was right after `entry`, by undoing every later
+ * entry. `entries` are newest first.
+ */
+const getRevertChanges = (entries, entry) => entries
+    .slice(0, entries.indexOf(entry))
+    .reduce((changes, laterEntry) => ({
+        ...changes,
+        ...Object.fromEntries(Object.entries(laterEntry.changes || {}).map(([field, { before }]) => [field, before])),
+    }), {});
+
+// --- Context for Task Data ---
+const TaskContext = createContext(null);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_RETENTION_OPTIONS = [7, 30, 90, 0]; // Days; 0 keeps trashed tasks until they're deleted by hand
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const COMPLETED_PAGE_SIZE = 100;
+
+const getCursorKey = (cursor) => (cursor ? `${toMillis(cursor[0])}:${cursor[1]}` : 'start');
+
+/**
+ * Pages of the completed tasks matching `clauses`, given the cursors where loaded pages end.
+ * Every page but the last is bounded by cursors rather than a limit, so tasks completed or
+ * reopened later never push a task out of its page into a gap between two.
+ */
+const getCompletedPageRanges = (cursors, clauses) => [
+    ...cursors.map((cursor, index) => ({ startAfter: cursors[index - 1] || null, endAt: cursor })),
+    { startAfter: cursors[cursors.length - 1] || null, limit: COMPLETED_PAGE_SIZE },
+].map(range => ({
+    ...range,
+    where: clauses,
+    key: `${JSON.stringify(clauses)}:${getCursorKey(range.startAfter)}..${range.endAt ? getCursorKey(range.endAt) : `+${range.limit}`}`,
+}));
+
+/**
+ * Provides the signed-in user's tasks and the functions that change them. Changes are
+ * applied optimistically, queued in localStorage so they survive reloads, and replayed
+ * against the task repository in order whenever the browser is online.
+ *
+ * Open tasks are always loaded in full. Completed ones, which pile up, load on request. The
+ * dashboard asks for those its filters match (`loadCompleted`), a page at a time
+ * (`loadMoreCompleted`), and loaded pages stay live. Views that need every completed task
+ * call `loadAllCompleted`, which reads them once, page by page; changes to them are applied
+ * as they are synced. Shared lists are loaded in full.
+ */
+const TaskProvider = ({ children }) => {
+    const { notify } = useContext(NotificationContext);
+    const { t } = useContext(I18nContext);
+    const tRef = useTranslationRef();
+    const { currentUser, userId, isFirebaseReady, taskRepository, projectRepository } = useContext(FirebaseContext);
+    const { lists } = useContext(SharedListContext);
+    const [serverTasks, setServerTasks] = useState([]); // Open tasks
+    const [completedPaging, setCompletedPaging] = useState({ repository: null, clauses: [], cursors: null }); // cursors stay null until completed tasks are requested
+    const [completedPageTasks, setCompletedPageTasks] = useState({}); // page key -> that page's tasks
+    const [allCompleted, setAllCompleted] = useState({ repository: null, tasks: [], isLoaded: false }); // Read once by loadAllCompleted
+    const [retainedTasks, setRetainedTasks] = useState({}); // id -> task completed here, until a loaded page has it
+    const [listTasks, setListTasks] = useState({}); // listId -> that shared list's tasks
+    const [isLoading, setIsLoading] = useState(true);
+    const [outbox, setOutbox] = useState([]);
+    const [syncedCount, setSyncedCount] = useState(0);
+    const [isOnline, setIsOnline] = useState(isBrowserOnline());
+    const [trashRetentionDays, setTrashRetentionDays] = usePersistentState(`taskflow:${appId}:trashRetentionDays`, DEFAULT_TRASH_RETENTION_DAYS);
+    const outboxRef = useRef([]);
+    const isReplayingRef = useRef(false);
+    const serverTasksRef = useRef([]);
+    const completedHereRef = useRef(new Map()); // id -> the changes that completed it
+    const completedListenersRef = useRef(new Map()); // page key -> unsubscribe
+    const allCompletedRequestRef = useRef(null); // Repository whose completed tasks are being read
+
+    const updateOutbox = useCallback((updater) => {
+        const next = updater(outboxRef.current);
+        outboxRef.current = next;
+        if (userId) saveOutbox(userId, next);
+        setOutbox(next);
+    }, [userId]);
+
+    // Restore the user's pending changes from a previous session
+    useEffect(() => {
+        const stored = userId ? loadOutbox(userId) : [];
+        outboxRef.current = stored;
+        setOutbox(stored);
+        setSyncedCount(0);
+    }, [userId]);
+
+    // Subscribe to the user's open tasks
+    useEffect(() => {
+        serverTasksRef.current = [];
+        completedHereRef.current = new Map();
+        setRetainedTasks({});
+        if (!isFirebaseReady || !taskRepository) {
+            setServerTasks([]); // Clear tasks if not logged in or Firebase not ready
+            setIsLoading(!isFirebaseReady);
+            return undefined;
+        }
+
+        setIsLoading(true);
+        const unsubscribe = taskRepository.subscribe((fetchedTasks) => {
+            // A task completed here leaves this query; keep it in view as completed until its page is loaded
+            const fetchedIds = new Set(fetchedTasks.map(task => task.id));
+            const departed = serverTasksRef.current.filter(task => !fetchedIds.has(task.id) && completedHereRef.current.has(task.id));
+            if (departed.length > 0) {
+                setRetainedTasks(current => ({
+                    ...current,
+                    ...Object.fromEntries(departed.map(task => [task.id, { ...task, ...completedHereRef.current.get(task.id) }])),
+                }));
+            }
+            serverTasksRef.current = fetchedTasks;
+            setServerTasks(fetchedTasks);
+            setIsLoading(false);
+        }, (error) => {
+            console.error("Error fetching tasks:", error);
+            notify(tRef.current('task.loadFailed'), 'error');
+            setIsLoading(false);
+        }, { completed: false });
+
+        return () => unsubscribe(); // Cleanup listener
+    }, [taskRepository, isFirebaseReady, notify]);
+
+    // One live listener per loaded page of completed tasks; loading another page only adds listeners
+    const completedCursors = completedPaging.repository === taskRepository ? completedPaging.cursors : null;
+    const completedClauses = completedPaging.clauses;
+    const completedRanges = useMemo(() => (completedCursors && taskRepository ? getCompletedPageRanges(completedCursors, completedClauses) : []), [completedCursors, completedClauses, taskRepository]);
+    useEffect(() => {
+        const listeners = completedListenersRef.current;
+        const keys = completedRanges.map(range => range.key);
+        listeners.forEach((unsubscribe, key) => {
+            if (keys.includes(key)) return;
+            unsubscribe();
+            listeners.delete(key);
+        });
+        setCompletedPageTasks(current => Object.fromEntries(Object.entries(current).filter(([key]) => keys.includes(key))));
+        completedRanges.filter(range => !listeners.has(range.key)).forEach(({ key, ...range }) => {
+            listeners.set(key, taskRepository.subscribe((fetchedTasks) => {
+                setCompletedPageTasks(current => ({ ...current, [key]: fetchedTasks }));
+            }, (error) => {
+                console.error("Error fetching completed tasks:", error);
+                notify(tRef.current('task.loadCompletedFailed'), 'error');
+            }, { completed: true, ...range }));
+        });
+    }, [completedRanges, taskRepository, notify]);
+
+    useEffect(() => () => {
+        completedListenersRef.current.forEach(unsubscribe => unsubscribe());
+        completedListenersRef.current.clear();
+    }, []);
+
+    const lastCompletedRange = completedRanges[completedRanges.length - 1];
+    const lastCompletedPage = lastCompletedRange ? completedPageTasks[lastCompletedRange.key] : null;
+    const isLoadingCompleted = !!lastCompletedRange && !lastCompletedPage;
+    const hasMoreCompleted = !!lastCompletedPage && lastCompletedPage.length === COMPLETED_PAGE_SIZE;
+
+    // Starts over at the first page when `clauses` (from getCompletedTaskClauses) change, and otherwise keeps the loaded pages
+    const loadCompleted = useCallback((clauses = []) => {
+        setCompletedPaging(current => (current.repository === taskRepository && current.cursors && isSameValue(current.clauses, clauses)
+            ? current
+            : { repository: taskRepository, clauses, cursors: [] }));
+    }, [taskRepository]);
+
+    // The last page gets bounded by its last task, and the next page starts after it
+    const loadMoreCompleted = () => {
+        if (!hasMoreCompleted || isLoadingCompleted) return;
+        const cursor = getTaskCursor(lastCompletedPage[lastCompletedPage.length - 1]);
+        const nextCursors = [...completedCursors, cursor];
+        const boundedKey = getCompletedPageRanges(nextCursors, completedClauses)[completedCursors.length].key;
+        setCompletedPageTasks(current => ({ ...current, [boundedKey]: lastCompletedPage })); // Shown until its listener reports
+        setCompletedPaging(current => ({ ...current, cursors: nextCursors }));
+    };
+
+    // Reads every completed task, a page at a time, and is read again on each call so a view opened later isn't stale
+    const loadAllCompleted = useCallback(async () => {
+        if (!taskRepository || allCompletedRequestRef.current === taskRepository) return;
+        allCompletedRequestRef.current = taskRepository;
+        try {
+            const fetchedTasks = [];
+            let page;
+            do {
+                const last = fetchedTasks[fetchedTasks.length - 1];
+                page = await taskRepository.list({ completed: true, ...(last && { startAfter: getTaskCursor(last) }), limit: COMPLETED_PAGE_SIZE });
+                fetchedTasks.push(...page);
+            } while (page.length === COMPLETED_PAGE_SIZE);
+            setAllCompleted({ repository: taskRepository, tasks: fetchedTasks, isLoaded: true });
+        } catch (error) {
+            console.error("Error fetching completed tasks:", error);
+            notify(tRef.current('task.loadCompletedFailed'), 'error');
+            setAllCompleted(current => ({ repository: taskRepository, tasks: current.repository === taskRepository ? current.tasks : [], isLoaded: true }));
+        } finally {
+            if (allCompletedRequestRef.current === taskRepository) allCompletedRequestRef.current = null;
+        }
+    }, [taskRepository, notify]);
+
+    const allCompletedTasks = useMemo(() => (allCompleted.repository === taskRepository ? allCompleted.tasks : []), [allCompleted, taskRepository]);
+    const hasAllCompleted = !taskRepository || (allCompleted.repository === taskRepository && allCompleted.isLoaded);
+
+    // Shared lists' tasks arrive through one listener per list and carry the list's id
+    const listIdsKey = lists.map(list => list.id).join(',');
+    useEffect(() => {
+        const listIds = listIdsKey ? listIdsKey.split(',') : [];
+        setListTasks(current => Object.fromEntries(Object.entries(current).filter(([listId]) => listIds.includes(listId))));
+        const unsubscribes = listIds.map(listId => createListTaskRepository(listId).subscribe((fetchedTasks) => {
+            setListTasks(current => ({ ...current, [listId]: fetchedTasks.map(task => ({ ...task, listId })) }));
+        }, (error) => {
+            console.error("Error fetching shared tasks:", error);
+            notify(tRef.current('task.loadListFailed'), 'error');
+        }));
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [listIdsKey, notify]);
+
+    const getRepositoryFor = useCallback((listId) => (listId ? createListTaskRepository(listId) : taskRepository), [taskRepository]);
+
+    const replay = useCallback(async () => {
+        if (!taskRepository || isReplayingRef.current || !isBackendReachable()) return;
+        isReplayingRef.current = true;
+        try {
+            let mutation;
+            while ((mutation = outboxRef.current.find(pending => pending.status === 'pending'))) {
+                const current = mutation;
+                try {
+                    const write = current.type === 'project'
+                        ? replayProjectMutation(projectRepository, current)
+                        : replayMutation(getRepositoryFor, current);
+                    await withTimeout(write, SYNC_WRITE_TIMEOUT_MS);
+                    updateOutbox(queue => queue.filter(queued => queued.id !== current.id));
+                    // The completed tasks read once see no later server changes, so the ones made here are applied to them
+                    if (current.type !== 'project') {
+                        setAllCompleted(all => ({ ...all, tasks: applyOutbox(all.tasks, [current]).filter(task => !task.listId) }));
+                    }
+                    setSyncedCount(count => count + 1);
+                } catch (error) {
+                    if (isNetworkError(error)) break; // Keep the order intact and retry once reconnected
+                    console.error("Error syncing task change:", error);
+                    updateOutbox(queue => queue.map(queued => (queued.id === current.id ? { ...queued, status: 'failed', error: error.message, errorCode: error.code || null } : queued)));
+                }
+            }
+        } finally {
+            isReplayingRef.current = false;
+        }
+    }, [taskRepository, projectRepository, getRepositoryFor, updateOutbox]);
+
+    // Replay on sign-in and whenever the connection comes back
+    useEffect(() => {
+        const handleOnline = () => {
+            setIsOnline(true);
+            replay();
+        };
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        replay();
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, [replay]);
+
+    const pendingCount = outbox.filter(mutation => mutation.status === 'pending').length;
+    const failedCount = outbox.filter(mutation => mutation.status === 'failed').length;
+
+    // Writes that timed out while the browser still reported online are retried periodically
+    useEffect(() => {
+        if (pendingCount === 0) return undefined;
+        const interval = setInterval(replay, SYNC_RETRY_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [pendingCount, replay]);
+
+    const allTasks = useMemo(() => {
+        // Copies of a task can overlap while it moves between queries; live ones win, and the open copy above all
+        const ownTasks = new Map([...allCompletedTasks, ...Object.values(retainedTasks), ...Object.values(completedPageTasks).flat(), ...serverTasks].map(task => [task.id, task]));
+        return applyOutbox([...ownTasks.values(), ...Object.values(listTasks).flat()], outbox);
+    }, [serverTasks, completedPageTasks, allCompletedTasks, retainedTasks, listTasks, outbox]);
+
+    // Retained tasks give way to the loaded copy once there is one
+    useEffect(() => {
+        const loadedIds = new Set([...serverTasks, ...Object.values(completedPageTasks).flat()].map(task => task.id));
+        if (Object.keys(retainedTasks).some(id => loadedIds.has(id))) {
+            setRetainedTasks(current => Object.fromEntries(Object.entries(current).filter(([id]) => !loadedIds.has(id))));
+        }
+    }, [serverTasks, completedPageTasks, retainedTasks]);
+    // Deleted tasks keep a `deletedAt` and stay in the collection until purged; only the trash sees them
+    const tasks = useMemo(() => allTasks.filter(task => !task.deletedAt), [allTasks]);
+    const trashedTasks = useMemo(() => allTasks.filter(task => task.deletedAt), [allTasks]);
+    // Callbacks kept by toasts (e.g. Undo) run after later renders, so writes look tasks up here
+    const allTasksRef = useRef(allTasks);
+    allTasksRef.current = allTasks;
+    const findTask = (taskId) => allTasksRef.current.find(candidate => candidate.id === taskId);
+
+    const enqueue = useCallback((mutation) => {
+        updateOutbox(queue => [...queue, { id: generateId(), status: 'pending', createdAt: Date.now(), ...mutation }]);
+        replay();
+    }, [updateOutbox, replay]);
+
+    // Who made a change, for the task's history
+    const getActor = () => ({ actorId: userId, actorEmail: (currentUser && currentUser.email) || null });
+
+    // A `listId` in the task data adds the task to that shared list instead of the user's own tasks
+    const addTask = ({ listId, ...taskData }) => {
+        const taskId = generateId();
+        enqueue({ type: 'add', taskId, listId: listId || null, data: taskData, history: { type: 'created', ...getActor() } });
+        return taskId;
+    };
+
+    // The queued form of an update: the new values, the values they replace and the history entry
+    const prepareUpdate = (task, requestedChanges, historyType) => {
+        // Every path that completes or reopens a task comes through here, so this keeps `completedAt` in step
+        const changes = requestedChanges.completed === undefined || !!requestedChanges.completed === !!task.completed
+            ? requestedChanges
+            : { ...requestedChanges, completedAt: requestedChanges.completed ? Date.now() : null };
+        if (!task.listId && changes.completed === true) completedHereRef.current.set(task.id, changes);
+        if (!task.listId && changes.completed === false) completedHereRef.current.delete(task.id);
+        setRetainedTasks(current => (current[task.id] ? { ...current, [task.id]: { ...current[task.id], ...changes } } : current));
+        const base = Object.keys(changes).reduce((values, field) => ({ ...values, [field]: task[field] ?? null }), {});
+        const diff = diffTaskChanges(task, changes);
+        const history = Object.keys(diff).length > 0 ? { type: historyType, ...getActor(), changes: diff } : null;
+        return { type: 'update', taskId: task.id, data: changes, base, history };
+    };
+
+    // `historyType` is 'reverted' when the change restores an earlier version
+    const updateTask = (taskId, changes, historyType = 'updated') => {
+        const task = findTask(taskId) || { id: taskId };
+        enqueue({ ...prepareUpdate(task, changes, historyType), listId: task.listId || null });
+    };
+
+    /**
+     * Queues several changes as one batch, written atomically even across shared lists:
+     * [{ type: 'add', data }, { type: 'update', taskId, changes, task? }]. New tasks go to `data.listId`;
+     * `task` is the stored copy of a task that isn't loaded, which the update is checked against.
+     * Refuses (returning false) more than MAX_BATCH_OPERATIONS operations, which wouldn't fit one write.
+     */
+    const applyBatch = (operations) => {
+        if (operations.length > MAX_BATCH_OPERATIONS) return false;
+        enqueue({
+            type: 'batch',
+            operations: operations.map(operation => {
+                if (operation.type === 'add') {
+                    const { listId, ...taskData } = operation.data;
+                    return { type: 'add', taskId: generateId(), listId: listId || null, data: taskData, history: { type: 'created', ...getActor() } };
+                }
+                const task = findTask(operation.taskId) || operation.task || { id: operation.taskId };
+                return { ...prepareUpdate(task, operation.changes, 'updated'), listId: task.listId || null };
+            }),
+        });
+        return true;
+    };
+
+    // Project changes are queued here too; ProjectProvider applies them to the projects it loads
+    const queueProjectChange = (operation, projectId, data = null) => enqueue({ type: 'project', operation, projectId, data });
+    const projectChanges = useMemo(() => outbox.filter(mutation => mutation.type === 'project'), [outbox]);
+
+    const subscribeHistory = useCallback((task, onChange, onError) => {
+        if (!taskRepository) return () => {};
+        return getRepositoryFor(task.listId).subscribeHistory(task.id, onChange, onError);
+    }, [taskRepository, getRepositoryFor]);
+
+    const removeTask = useCallback((taskId) => {
+        const task = allTasksRef.current.find(candidate => candidate.id === taskId) || {};
+        completedHereRef.current.delete(taskId);
+        setRetainedTasks(current => Object.fromEntries(Object.entries(current).filter(([id]) => id !== taskId)));
+        enqueue({ type: 'delete', taskId, listId: task.listId || null });
+    }, [enqueue]);
+
+    // Trashed tasks older than the retention period are deleted for good; 0 keeps them forever.
+    // The setting is this device's, so it only applies to the user's own tasks: shared lists
+    // keep their trash until someone empties it, and viewers couldn't delete it anyway.
+    useEffect(() => {
+        if (isLoading || !trashRetentionDays) return;
+        const cutoff = Date.now() - trashRetentionDays * DAY_MS;
+        trashedTasks.filter(task => !task.listId && toMillis(task.deletedAt) < cutoff).forEach(task => removeTask(task.id));
+    }, [isLoading, trashedTasks, trashRetentionDays, removeTask]);
+
+    const retryFailed = () => {
+        updateOutbox(queue => queue.map(mutation => (mutation.status === 'failed' ? { ...mutation, status: 'pending', error: null, errorCode: null } : mutation)));
+        replay();
+    };
+
+    // Dropping a failed change also drops its optimistic effect, reverting to the server copy
+    const discardFailed = () => {
+        updateOutbox(queue => queue.filter(mutation => mutation.status !== 'failed'));
+    };
+
+    // Each newly failed change is reported once, with the same choices the sync indicator offers
+    const reportedFailureIdsRef = useRef(new Set());
+    useEffect(() => {
+        const failures = outbox.filter(mutation => mutation.status === 'failed');
+        const newFailures = failures.filter(mutation => !reportedFailureIdsRef.current.has(mutation.id));
+        reportedFailureIdsRef.current = new Set(failures.map(mutation => mutation.id)); // A retried change that fails again is new
+        if (newFailures.length === 0) return;
+        const { error, errorCode } = newFailures[0];
+        notify(t('sync.saveFailed', { count: newFailures.length, error: SYNC_ERROR_MESSAGE_KEYS[errorCode] ? t(SYNC_ERROR_MESSAGE_KEYS[errorCode]) : error }), 'error', {
+            duration: 0,
+            actions: [{ label: t('app.retry'), onClick: retryFailed }, { label: t('sync.discard'), onClick: discardFailed }],
+        });
+    });
+
+    const syncStatus = { pending: pendingCount, synced: syncedCount, failed: failedCount, isOnline: isOnline || storageBackend !== 'firestore' };
+
+    return (
+        <TaskContext.Provider value={{ tasks, trashedTasks, isLoading, hasMoreCompleted, isLoadingCompleted, loadCompleted, loadMoreCompleted, hasAllCompleted, loadAllCompleted, addTask, updateTask, applyBatch, removeTask, queueProjectChange, projectChanges, subscribeHistory, syncStatus, retryFailed, discardFailed, trashRetentionDays, setTrashRetentionDays }}>
+            {children}
+        </TaskContext.Provider>
+    );
+};
+
+// --- Reminders ---
+const REMINDER_UNIT_MS = { hours: 60 * 60 * 1000, days: 24 * 60 * 60 * 1000 };
+const REMINDER_CHECK_INTERVAL_MS = 30000;
+const MISSED_REMINDER_WINDOW_MS = REMINDER_UNIT_MS.days; // Reminders missed while the app was closed still fire within this
+const FIRED_REMINDER_RETENTION_MS = 7 * REMINDER_UNIT_MS.days;
+const DEFAULT_REMINDER_POLICY = { reminder: { type: 'none' }, dueTime: '09:00' };
+
+/**
+ * Reminders, stored on the task as `reminder`:
+ *   null / missing                                // Follow the default policy
+ *   { type: 'none' }                               // Never remind
+ *   { type: 'at', time: '14:30' }                  // On the due date at that time
+ *   { type: 'before', amount: 2, unit: 'hours' }   // N 'hours' or 'days' before the due time
+ * Due dates have no time of day, so the policy's `dueTime` stands in for one. Reminder
+ * times are local wall-clock times. Returns the reminder time in milliseconds, or null.
+ */
+const getReminderTime = (task, policy) => {
+    const reminder = task.reminder || policy.reminder;
+    if (!task.dueDate || !reminder || reminder.type === 'none') return null;
+    const [year, month, day] = task.dueDate.split('-').map(Number);
+    const atTime = (time) => {
+        const [hours, minutes] = (time || DEFAULT_REMINDER_POLICY.dueTime).split(':').map(Number);
+        return new Date(year, month - 1, day, hours, minutes).getTime();
+    };
+    if (reminder.type === 'at') return atTime(reminder.time);
+    return atTime(policy.dueTime) - (Number(reminder.amount) || 0) * (REMINDER_UNIT_MS[reminder.unit] || REMINDER_UNIT_MS.hours);
+};
+
+// `t` is the translate function from I18nContext
+const describeReminder = (reminder, t) => {
+    if (!reminder || reminder.type === 'none') return t('reminder.none');
+    if (reminder.type === 'at') return t('reminder.describeAt', { time: reminder.time });
+    return t(reminder.unit === 'days' ? 'reminder.describeDays' : 'reminder.describeHours', { count: Number(reminder.amount) });
+};
+
+const getNotificationPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+const getFiredRemindersKey = (uid) => `taskflow:${appId}:firedReminders:${uid}`;
+const getReminderBannersKey = (uid) => `taskflow:${appId}:reminderBanners:${uid}`;
+
+const readStoredJson = (key, fallback) => {
+    try {
+        return JSON.parse(localStorage.getItem(key)) || fallback;
+    } catch (error) {
+        console.error(`Error reading ${key}:`, error);
+        return fallback;
+    }
+};
+
+const writeStoredJson = (key, value) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.error(`Error saving ${key}:`, error);
+    }
+};
+
+// Web Locks serialise the check across tabs, so each reminder is claimed by exactly one of them
+const withReminderLock = (callback) => (typeof navigator !== 'undefined' && navigator.locks
+    ? navigator.locks.request(`taskflow-${appId}-reminders`, callback)
+    : Promise.resolve().then(callback));
+
+/**
+ * Marks due reminders as fired in localStorage, which every tab shares, and resolves with
+ * the ones no tab had fired yet. Reminders are keyed by task and time, so editing a task's
+ * due date or reminder schedules a new one.
+ */
+const claimReminders = (uid, dueReminders) => withReminderLock(() => {
+    const key = getFiredRemindersKey(uid);
+    const now = Date.now();
+    const fired = readStoredJson(key, {});
+    const claimed = dueReminders.filter(reminder => !fired[reminder.key]);
+    if (claimed.length === 0) return [];
+    claimed.forEach(reminder => { fired[reminder.key] = now; });
+    writeStoredJson(key, Object.fromEntries(Object.entries(fired).filter(([, firedAt]) => now - firedAt < FIRED_REMINDER_RETENTION_MS)));
+    return claimed;
+});
+
+// --- Context for Reminders ---
+const ReminderContext = createContext(null);
+
+/**
+ * Delivers due-date reminders for open tasks as browser notifications, or as in-app
+ * banners when notifications aren't allowed. Banners live in localStorage so every tab
+ * shows and dismisses the same ones.
+ */
+const ReminderProvider = ({ children }) => {
+    const { t, formatDate } = useContext(I18nContext);
+    const { userId } = useContext(FirebaseContext);
+    const { tasks } = useContext(TaskContext);
+    const [policy, setPolicy] = usePersistentState(`taskflow:${appId}:reminderPolicy`, DEFAULT_REMINDER_POLICY);
+    const [permission, setPermission] = useState(getNotificationPermission());
+    const [banners, setBanners] = useState([]);
+
+    useEffect(() => {
+        if (!userId) {
+            setBanners([]);
+            return undefined;
+        }
+        const key = getReminderBannersKey(userId);
+        setBanners(readStoredJson(key, []));
+        const handleStorage = (e) => {
+            if (e.key === key) setBanners(readStoredJson(key, []));
+        };
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, [userId]);
+
+    const updateBanners = useCallback((updater) => {
+        const key = getReminderBannersKey(userId);
+        const next = updater(readStoredJson(key, []));
+        writeStoredJson(key, next);
+        setBanners(next);
+    }, [userId]);
+
+    const deliver = useCallback((reminder) => {
+        // Permission may have changed in another tab, so it's read fresh
+        if (getNotificationPermission() === 'granted') {
+            try {
+                const notification = new Notification(t('reminder.notificationTitle', { title: reminder.title }), { body: t('reminder.notificationBody', { date: formatDate(reminder.dueDate) }), tag: reminder.key });
+                notification.onclick = () => {
+                    window.focus();
+                    window.location.hash = `#/tasks/${reminder.taskId}`;
+                    notification.close();
+                };
+                return;
+            } catch (error) {
+                console.error("Error showing notification, falling back to a banner:", error);
+            }
+        }
+        updateBanners(current => [...current.filter(banner => banner.key !== reminder.key), reminder]);
+    }, [updateBanners, t, formatDate]);
+
+    // Tasks assigned to someone else don't remind this user
+    useEffect(() => {
+        if (!userId) return undefined;
+        const check = async () => {
+            const now = Date.now();
+            const dueReminders = tasks
+                .filter(task => !task.completed && (!task.assigneeId || task.assigneeId === userId))
+                .map(task => ({ task, time: getReminderTime(task, policy) }))
+                .filter(({ time }) => time !== null && time <= now && now - time <= MISSED_REMINDER_WINDOW_MS)
+                .map(({ task, time }) => ({ key: `${task.id}@${time}`, taskId: task.id, title: task.title, dueDate: task.dueDate }));
+            if (dueReminders.length === 0) return;
+            try {
+                (await claimReminders(userId, dueReminders)).forEach(deliver);
+            } catch (error) {
+                console.error("Error delivering reminders:", error);
+            }
+        };
+        check();
+        const interval = setInterval(check, REMINDER_CHECK_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [userId, tasks, policy, deliver]);
+
+    const requestPermission = async () => {
+        if (getNotificationPermission() === 'unsupported') return;
+        try {
+            setPermission(await Notification.requestPermission());
+        } catch (error) {
+            console.error("Error requesting notification permission:", error);
+        }
+    };
+
+    const dismissBanner = (key) => updateBanners(current => current.filter(banner => banner.key !== key));
+
+    return (
+        <ReminderContext.Provider value={{ policy, setPolicy, permission, requestPermission, banners, dismissBanner }}>
+            {children}
+        </ReminderContext.Provider>
+    );
+};
+
+// --- Context for Commands ---
+const CommandContext = createContext(null);
+
+/**
+ * Owns the command palette (Ctrl/⌘+K) and the shortcut help (?). Pages contribute
+ * commands with `useCommands`; each source is read when the palette opens, so
+ * registering never re-renders anything.
+ */
+const CommandProvider = ({ children }) => {
+    const { t } = useContext(I18nContext);
+    const [overlay, setOverlay] = useState(null); // 'palette', 'help' or null
+    const sourcesRef = useRef(new Map()); // source -> () => commands
+    const returnFocusRef = useRef(null);
+
+    const registerCommands = useCallback((source, getCommands) => {
+        sourcesRef.current.set(source, getCommands);
+        return () => sourcesRef.current.delete(source);
+    }, []);
+
+    const openOverlay = useCallback((name) => {
+        setOverlay(current => {
+            if (!current) returnFocusRef.current = document.activeElement;
+            return name;
+        });
+    }, []);
+
+    // Focus goes back to where it was, unless the command moved it somewhere on purpose
+    const closeOverlay = useCallback(() => {
+        setOverlay(null);
+        const returnTo = returnFocusRef.current;
+        returnFocusRef.current = null;
+        setTimeout(() => {
+            if (returnTo && returnTo.isConnected && (!document.activeElement || document.activeElement === document.body)) returnTo.focus();
+        }, 0);
+    }, []);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                if (overlay === 'palette') closeOverlay();
+                else openOverlay('palette');
+            } else if (e.key === '?' && !overlay && !e.ctrlKey && !e.metaKey && !e.altKey && !isTypingTarget(e.target)) {
+                e.preventDefault();
+                openOverlay('help');
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [overlay, openOverlay, closeOverlay]);
+
+    const getCommands = () => [
+        ...Array.from(sourcesRef.current.values()).flatMap(getSourceCommands => getSourceCommands()),
+        { id: 'help', label: t('commands.showShortcuts'), group: t('commands.group.help'), shortcut: '?', run: () => openOverlay('help') },
+    ];
+
+    const value = useMemo(() => ({ registerCommands, isOverlayOpen: !!overlay, openOverlay }), [registerCommands, overlay, openOverlay]);
+
+    return (
+        <CommandContext.Provider value={value}>
+            {children}
+            {overlay === 'palette' && <CommandPalette commands={getCommands()} onClose={closeOverlay} />}
+            {overlay === 'help' && <ShortcutHelp onClose={closeOverlay} />}
+        </CommandContext.Provider>
+    );
+};
+
+/**
+ * Adds commands to the palette while the calling component is mounted. A command is
+ * { id, label, group, shortcut?, keywords?, isSearchResult?, run }; search results
+ * (e.g. one per task) only show once something is typed.
+ */
+const useCommands = (source, commands) => {
+    const { registerCommands } = useContext(CommandContext);
+    const commandsRef = useRef(commands);
+    commandsRef.current = commands;
+
+    useEffect(() => registerCommands(source, () => commandsRef.current), [source, registerCommands]);
+};
+
+// --- Routing ---
+// Hash-based so deep links work wherever the app is hosted, without server rewrites.
+// Routes with `requiresAuth` redirect to login and come back afterwards.
+const ROUTES = [
+    { name: 'dashboard', pattern: /^\/$/ },
+    { name: 'login', pattern: /^\/login$/ },
+    { name: 'task', pattern: /^\/tasks\/([^/]+)$/, params: ['taskId'], requiresAuth: true },
+    { name: 'trash', pattern: /^\/trash$/, requiresAuth: true },
+    { name: 'insights', pattern: /^\/insights$/, requiresAuth: true },
+    { name: 'settings', pattern: /^\/settings$/, requiresAuth: true },
+];
+
+const buildPath = (path, query = {}) => {
+    const search = new URLSearchParams(Object.entries(query).filter(([, value]) => value !== undefined && value !== '')).toString();
+    return search ? `${path}?${search}` : path;
+};
+
+const parseRoute = (hash) => {
+    const [rawPath, search = ''] = (hash.replace(/^#/, '') || '/').split('?');
+    const path = rawPath.startsWith('/') ? rawPath : `/${rawPath}`;
+    const query = Object.fromEntries(new URLSearchParams(search));
+    for (const route of ROUTES) {
+        const match = path.match(route.pattern);
+        if (match) {
+            const params = (route.params || []).reduce((values, name, index) => ({ ...values, [name]: decodeURIComponent(match[index + 1]) }), {});
+            return { name: route.name, path, params, query, requiresAuth: !!route.requiresAuth };
+        }
+    }
+    return { name: 'notFound', path, params: {}, query, requiresAuth: false };
+};
+
+/**
+ * Tracks the current hash route. `navigate(path)` pushes a history entry, so browser
+ * back/forward work; `{ replace: true }` updates the URL in place (e.g. while typing a search).
+ */
+const useHashRoute = () => {
+    const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+    useEffect(() => {
+        const handleHashChange = () => setRoute(parseRoute(window.location.hash));
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, []);
+
+    const navigate = useCallback((path, { replace = false } = {}) => {
+        if (replace) {
+            window.history.replaceState(window.history.state, '', `#${path}`);
+            setRoute(parseRoute(`#${path}`));
+            return;
+        }
+        if (window.location.hash !== `#${path}`) {
+            window.location.hash = path; // Fires hashchange, which updates the route
+            window.scrollTo(0, 0); // Scroll to top
+        }
+    }, []);
+
+    return [route, navigate];
+};
+
+// Filter state <-> query string, e.g. `#/?status=Active&priority=High,Low&sort=dueDate&dir=asc`
+const FILTER_QUERY_KEYS = ['status', 'q', 'priority', 'due', 'from', 'to', 'project', 'tag', 'assignee', 'sort', 'dir'];
+
+const hasFilterQuery = (query) => FILTER_QUERY_KEYS.some(key => key in query);
+
+const filtersToQuery = (filters) => ({
+    status: filters.status !== DEFAULT_FILTERS.status ? filters.status : undefined,
+    q: filters.search || undefined,
+    priority: filters.priorities.length > 0 ? filters.priorities.join(',') : undefined,
+    due: filters.due !== DEFAULT_FILTERS.due ? filters.due : undefined,
+    from: filters.due === 'range' ? filters.dueFrom : undefined,
+    to: filters.due === 'range' ? filters.dueTo : undefined,
+    project: filters.projectId || undefined,
+    tag: filters.tags.length > 0 ? filters.tags.join(',') : undefined,
+    assignee: filters.assignedToMe ? 'me' : undefined,
+    sort: filters.sortBy !== DEFAULT_FILTERS.sortBy ? filters.sortBy : undefined,
+    dir: filters.sortDirection !== DEFAULT_FILTERS.sortDirection ? filters.sortDirection : undefined,
+});
+
+const filtersFromQuery = (query) => ({
+    ...DEFAULT_FILTERS,
+    status: ['Active', 'Completed'].includes(query.status) ? query.status : DEFAULT_FILTERS.status,
+    search: query.q || '',
+    priorities: query.priority ? query.priority.split(',').filter(priority => priority in PRIORITY_RANK) : [],
+    due: DUE_FILTER_OPTIONS.includes(query.due) ? query.due : DEFAULT_FILTERS.due,
+    dueFrom: query.from || '',
+    dueTo: query.to || '',
+    projectId: query.project || '',
+    tags: query.tag ? query.tag.split(',').map(normalizeTag).filter(Boolean) : [],
+    assignedToMe: query.assignee === 'me',
+    sortBy: SORT_FIELDS.includes(query.sort) ? query.sort : DEFAULT_FILTERS.sortBy,
+    sortDirection: query.dir === 'asc' ? 'asc' : DEFAULT_FILTERS.sortDirection,
+});
+
+const getTaskPath = (taskId) => `/tasks/${encodeURIComponent(taskId)}`;
+
+// --- Context for Projects ---
+const ProjectContext = createContext(null);
+
+/**
+ * Provides the signed-in user's projects and the functions that manage them.
+ */
+const ProjectProvider = ({ children }) => {
+    const { notify } = useContext(NotificationContext);
+    const { t } = useContext(I18nContext);
+    const tRef = useTranslationRef();
+    const { taskRepository, projectRepository } = useContext(FirebaseContext);
+    const { tasks, trashedTasks, applyBatch, queueProjectChange, projectChanges } = useContext(TaskContext);
+    const [serverProjects, setServerProjects] = useState([]);
+
+    useEffect(() => {
+        if (!projectRepository) {
+            setServerProjects([]);
+            return undefined;
+        }
+        const unsubscribe = projectRepository.subscribe(setServerProjects, (error) => {
+            console.error("Error fetching projects:", error);
+            notify(tRef.current('project.loadFailed'), 'error');
+        });
+        return () => unsubscribe();
+    }, [projectRepository, notify]);
+
+    // Queued changes show at once and are written through the sync queue, like task changes
+    const projects = useMemo(() => applyProjectOutbox(serverProjects, projectChanges), [serverProjects, projectChanges]);
+
+    const addProject = (projectData) => {
+        const projectId = generateId();
+        queueProjectChange('add', projectId, projectData);
+        notify(t('project.created', { name: projectData.name }), 'success');
+        return projectId;
+    };
+
+    const updateProject = (id, changes) => queueProjectChange('update', id, changes);
+
+    /**
+     * Tasks of a deleted project are kept and moved out of it first. Completed tasks that aren't
+     * loaded are found by a query; loaded ones as they are here, with their queued changes.
+     * When the query fails, nothing is changed.
+     */
+    const removeProject = async (id) => {
+        let storedTasks;
+        try {
+            storedTasks = taskRepository ? await taskRepository.list({ where: [['projectId', '==', id]] }) : [];
+        } catch (error) {
+            console.error("Error finding the project's tasks:", error);
+            notify(t('project.deleteFailed'), 'error');
+            return;
+        }
+        const loadedTasks = [...tasks, ...trashedTasks];
+        const loadedIds = new Set(loadedTasks.map(task => task.id));
+        const projectTasks = [...loadedTasks.filter(task => task.projectId === id), ...storedTasks.filter(task => !loadedIds.has(task.id))];
+        for (let start = 0; start < projectTasks.length; start += MAX_BATCH_OPERATIONS) {
+            applyBatch(projectTasks.slice(start, start + MAX_BATCH_OPERATIONS).map(task => ({ type: 'update', taskId: task.id, task, changes: { projectId: null } })));
+        }
+        queueProjectChange('delete', id);
+        notify(t('project.deleted'), 'success');
+    };
+
+    return (
+        <ProjectContext.Provider value={{ projects, addProject, updateProject, removeProject }}>
+            {children}
+        </ProjectContext.Provider>
+    );
+};
+
+// --- Persistent State Hook ---
+/**
+ * useState that mirrors its value into localStorage, so UI preferences survive a reload.
+ */
+const usePersistentState = (key, defaultValue) => {
+    const [value, setValue] = useState(() => {
+        try {
+            const stored = localStorage.getItem(key);
+            if (!stored) return defaultValue;
+            const parsed = JSON.parse(stored);
+            // Merge object values so settings added later still get their defaults
+            return defaultValue && typeof defaultValue === 'object' && !Array.isArray(defaultValue) ? { ...defaultValue, ...parsed } : parsed;
+        } catch (error) {
+            console.error(`Error reading ${key}:`, error);
+            return defaultValue;
+        }
+    });
+
+    useEffect(() => {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.error(`Error saving ${key}:`, error);
+        }
+    }, [key, value]);
+
+    return [value, setValue];
+};
+
+// --- Keyboard Shortcut Helpers ---
+// `description` is a message key
+const KEYBOARD_SHORTCUTS = [
+    { keys: ['j', 'k'], description: 'shortcuts.select' },
+    { keys: ['x'], description: 'shortcuts.toggle' },
+    { keys: ['e'], description: 'shortcuts.edit' },
+    { keys: ['#'], description: 'shortcuts.delete' },
+    { keys: ['n'], description: 'commands.newTask' },
+    { keys: ['/'], description: 'filters.searchLabel' },
+    { keys: ['Ctrl / ⌘', 'K'], description: 'shortcuts.palette' },
+    { keys: ['?'], description: 'commands.showShortcuts' },
+    { keys: ['Esc'], description: 'shortcuts.escape' },
+];
+
+// Keys typed into these belong to the field, not to shortcuts
+const isTypingTarget = (element) => {
+    if (!element || !element.tagName) return false;
+    if (element.isContentEditable) return true;
+    if (element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+    return element.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit', 'reset'].includes(element.type);
+};
+
+/**
+ * Scores `text` against `query` as a fuzzy subsequence match, or returns null when the
+ * query's characters don't all appear in order. Runs of consecutive characters and
+ * matches at the start of a word score higher; shorter texts win ties.
+ */
+const fuzzyScore = (query, text) => {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = text.toLowerCase();
+    if (!needle) return 0;
+    let score = 0;
+    let position = -1;
+    let streak = 0;
+    for (const char of needle) {
+        const index = haystack.indexOf(char, position + 1);
+        if (index === -1) return null;
+        streak = index === position + 1 ? streak + 1 : 0;
+        score += 1 + streak * 2 + (index === 0 || /[\s\-_/#]/.test(haystack[index - 1]) ? 3 : 0);
+        position = index;
+    }
+    return score - haystack.length * 0.01;
+};
+
+/**
+ * Binds single-key shortcuts ({ key: handler }) while `isEnabled`. Keys pressed while
+ * typing in a field or held with Ctrl, ⌘ or Alt are left alone.
+ */
+const useKeyboardShortcuts = (shortcuts, isEnabled = true) => {
+    const shortcutsRef = useRef(shortcuts);
+    shortcutsRef.current = shortcuts;
+
+    useEffect(() => {
+        if (!isEnabled) return undefined;
+        const handleKeyDown = (e) => {
+            if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+            const handler = shortcutsRef.current[e.key];
+            if (handler) {
+                e.preventDefault();
+                handler(e);
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [isEnabled]);
+};
+
+// --- Sync Indicator Component ---
+const SyncIndicator = ({ syncStatus, onRetry, onDiscard }) => {
+    const { t } = useContext(I18nContext);
+    const { pending, synced, failed, isOnline } = syncStatus;
+
+    return (
+        <div className="flex items-center gap-2 text-xs font-medium bg-white bg-opacity-20 rounded-full px-3 py-1" title={t('sync.status')}>
+            {!isOnline && <span className="text-yellow-200">{t('sync.offline')}</span>}
+            <span>{t('sync.pending', { count: pending })}</span>
+            <span>{t('sync.synced', { count: synced })}</span>
+            {failed > 0 && (
+                <>
+                    <span className="text-red-200">{t('sync.failed', { count: failed })}</span>
+                    <button type="button" className="underline hover:text-blue-100" onClick={onRetry}>{t('app.retry')}</button>
+                    <button type="button" className="underline hover:text-blue-100" onClick={onDiscard}>{t('sync.discard')}</button>
+                </>
+            )}
+        </div>
+    );
+};
+
+// --- Reminder Fields Component ---
+/**
+ * Edits one reminder setting. With `defaultLabel`, a null value means "use the default".
+ */
+const ReminderFields = ({ id, reminder, onChange, defaultLabel }) => {
+    const { t } = useContext(I18nContext);
+    const type = reminder ? reminder.type : 'default';
+    const inputClassName = "border rounded-md py-1 px-2";
+
+    const handleTypeChange = (value) => {
+        switch (value) {
+            case 'default':
+                onChange(null);
+                break;
+            case 'at':
+                onChange({ type: 'at', time: '09:00' });
+                break;
+            case 'before':
+                onChange({ type: 'before', amount: 1, unit: 'days' });
+                break;
+            default:
+                onChange({ type: 'none' });
+        }
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+            <select id={id} className={inputClassName} value={type} onChange={(e) => handleTypeChange(e.target.value)}>
+                {defaultLabel && <option value="default">{defaultLabel}</option>}
+                <option value="none">{t('reminder.none')}</option>
+                <option value="at">{t('reminder.atOption')}</option>
+                <option value="before">{t('reminder.beforeOption')}</option>
+            </select>
+            {type === 'at' && (
+                <input type="time" aria-label={t('reminder.time')} className={inputClassName} value={reminder.time} onChange={(e) => onChange({ ...reminder, time: e.target.value || '09:00' })} />
+            )}
+            {type === 'before' && (
+                <>
+                    <input type="number" min="1" aria-label={t('reminder.amount')} className={`${inputClassName} w-20`} value={reminder.amount} onChange={(e) => onChange({ ...reminder, amount: Math.max(1, Number(e.target.value) || 1) })} />
+                    <select aria-label={t('reminder.unit')} className={inputClassName} value={reminder.unit} onChange={(e) => onChange({ ...reminder, unit: e.target.value })}>
+                        <option value="hours">{t('reminder.unit.hours')}</option>
+                        <option value="days">{t('reminder.unit.days')}</option>
+                    </select>
+                </>
+            )}
+        </div>
+    );
+};
+
+// --- Reminder Menu Component ---
+// The default reminder policy and browser notification permission, opened from the header
+const ReminderMenu = () => {
+    const { t } = useContext(I18nContext);
+    const { policy, setPolicy, permission, requestPermission } = useContext(ReminderContext);
+    const [isOpen, setIsOpen] = useState(false);
+
+    return (
+        <div className="relative">
+            <button
+                type="button"
+                className="px-2 py-1 rounded-md hover:bg-white hover:bg-opacity-20"
+                onClick={() => setIsOpen(!isOpen)}
+                aria-label={t('reminder.settings')}
+                aria-expanded={isOpen}
+            >
+                🔔
+            </button>
+            {isOpen && (
+                <div className="absolute end-0 mt-2 w-80 bg-white text-gray-700 rounded-lg shadow-lg p-4 space-y-3 z-20">
+                    <h2 className="font-bold text-gray-800">{t('reminder.title')}</h2>
+                    <div>
+                        <label htmlFor="defaultReminder" className="block text-sm font-bold mb-1">{t('reminder.defaultLabel')}</label>
+                        <ReminderFields id="defaultReminder" reminder={policy.reminder} onChange={(reminder) => setPolicy({ ...policy, reminder })} />
+                    </div>
+                    <div className="flex items-center text-sm">
+                        <label htmlFor="dueTime" className="me-2">{t('reminder.dueTime')}</label>
+                        <input type="time" id="dueTime" className="border rounded-md py-1 px-2" value={policy.dueTime} onChange={(e) => setPolicy({ ...policy, dueTime: e.target.value || DEFAULT_REMINDER_POLICY.dueTime })} />
+                    </div>
+                    {permission === 'default' ? (
+                        <button type="button" className="bg-blue-600 hover:bg-blue-700 text-white text-sm py-1 px-3 rounded-md transition-colors duration-200" onClick={requestPermission}>
+                            {t('reminder.enableNotifications')}
+                        </button>
+                    ) : (
+                        <p className="text-xs text-gray-500">{t(`reminder.permission.${permission}`)}</p>
+                    )}
+                    <div className="text-end">
+                        <button type="button" className="text-sm text-gray-600 hover:underline" onClick={() => setIsOpen(false)}>{t('app.done')}</button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- Reminder Banner Component ---
+// In-app fallback for reminders that couldn't be shown as browser notifications
+const ReminderBanner = () => {
+    const { t, formatDate } = useContext(I18nContext);
+    const { banners, dismissBanner } = useContext(ReminderContext);
+
+    if (banners.length === 0) return null;
+
+    return (
+        <div className="space-y-2 mb-4">
+            {banners.map(banner => {
+                // The title sits inside the sentence, wherever the language puts it
+                const [beforeTitle, afterTitle] = t('reminder.banner', { date: formatDate(banner.dueDate) }).split('{title}');
+                return (
+                    <div key={banner.key} className="flex flex-wrap items-center justify-between gap-2 bg-yellow-50 border border-yellow-300 text-yellow-900 rounded-lg px-4 py-2 text-sm">
+                        <span>{beforeTitle}<span className="font-semibold">{banner.title}</span>{afterTitle}</span>
+                        <span className="flex gap-3">
+                            <a href={`#/tasks/${banner.taskId}`} className="text-blue-600 hover:underline" onClick={() => dismissBanner(banner.key)}>{t('reminder.viewTask')}</a>
+                            <button type="button" className="hover:underline" onClick={() => dismissBanner(banner.key)}>{t('reminder.dismiss')}</button>
+                        </span>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+// --- Command Palette Component ---
+const MAX_PALETTE_RESULTS = 12;
+
+// Fuzzy search over commands and tasks; search results like tasks only show up once something is typed
+const CommandPalette = ({ commands, onClose }) => {
+    const { t } = useContext(I18nContext);
+    const [query, setQuery] = useState('');
+    const [activeIndex, setActiveIndex] = useState(0);
+    const inputRef = useRef(null);
+
+    useEffect(() => {
+        inputRef.current.focus();
+    }, []);
+
+    const results = query.trim()
+        ? commands
+            .map(command => ({ command, score: fuzzyScore(query, `${command.label} ${command.keywords || ''}`) }))
+            .filter(({ score }) => score !== null)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_PALETTE_RESULTS)
+            .map(({ command }) => command)
+        : commands.filter(command => !command.isSearchResult);
+
+    useEffect(() => {
+        setActiveIndex(0);
+    }, [query]);
+
+    const runCommand = (command) => {
+        onClose();
+        command.run();
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveIndex(index => (results.length ? (index + 1) % results.length : 0));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex(index => (results.length ? (index - 1 + results.length) % results.length : 0));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (results[activeIndex]) runCommand(results[activeIndex]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-40 bg-black bg-opacity-40 flex items-start justify-center pt-24 px-4" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+            <div role="dialog" aria-modal="true" aria-label={t('commands.palette')} className="bg-white rounded-lg shadow-xl w-full max-w-lg overflow-hidden">
+                <input
+                    ref={inputRef}
+                    type="text"
+                    role="combobox"
+                    aria-expanded="true"
+                    aria-controls="commandPaletteResults"
+                    aria-activedescendant={results[activeIndex] ? `command-${results[activeIndex].id}` : undefined}
+                    aria-label={t('commands.search')}
+                    className="w-full border-b py-3 px-4 text-gray-800 focus:outline-none"
+                    placeholder={t('commands.placeholder')}
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                />
+                <ul id="commandPaletteResults" role="listbox" className="max-h-80 overflow-y-auto py-1">
+                    {results.map((command, index) => (
+                        <li
+                            key={command.id}
+                            id={`command-${command.id}`}
+                            role="option"
+                            aria-selected={index === activeIndex}
+                            className={`flex items-center justify-between px-4 py-2 text-sm cursor-pointer ${index === activeIndex ? 'bg-blue-600 text-white' : 'text-gray-700'}`}
+                            onMouseEnter={() => setActiveIndex(index)}
+                            onClick={() => runCommand(command)}
+                        >
+                            <span className="truncate">{command.label}</span>
+                            <span className={`ms-3 flex-shrink-0 text-xs ${index === activeIndex ? 'text-blue-100' : 'text-gray-400'}`}>
+                                {command.shortcut ? <kbd className="font-mono">{command.shortcut}</kbd> : command.group}
+                            </span>
+                        </li>
+                    ))}
+                    {results.length === 0 && <li className="px-4 py-2 text-sm text-gray-500">{t('commands.noResults')}</li>}
+                </ul>
+            </div>
+        </div>
+    );
+};
+
+// --- Shortcut Help Component ---
+const ShortcutHelp = ({ onClose }) => {
+    const { t } = useContext(I18nContext);
+    const closeRef = useRef(null);
+
+    useEffect(() => {
+        closeRef.current.focus();
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape' || e.key === '?') {
+                e.preventDefault();
+                onClose();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    return (
+        <div className="fixed inset-0 z-40 bg-black bg-opacity-40 flex items-start justify-center pt-24 px-4" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+            <div role="dialog" aria-modal="true" aria-labelledby="shortcutHelpTitle" className="bg-white rounded-lg shadow-xl w-full max-w-md p-6">
+                <h2 id="shortcutHelpTitle" className="text-xl font-bold text-gray-800 mb-4">{t('shortcuts.title')}</h2>
+                <dl className="space-y-2 text-sm">
+                    {KEYBOARD_SHORTCUTS.map(shortcut => (
+                        <div key={shortcut.description} className="flex items-center justify-between">
+                            <dt className="text-gray-700">{t(shortcut.description)}</dt>
+                            <dd className="flex gap-1">
+                                {shortcut.keys.map(key => (
+                                    <kbd key={key} className="inline-block bg-gray-100 border rounded px-2 py-0.5 font-mono text-xs text-gray-800">{key}</kbd>
+                                ))}
+                            </dd>
+                        </div>
+                    ))}
+                </dl>
+                <p className="text-xs text-gray-500 mt-4">{t('shortcuts.note')}</p>
+                <div className="text-end mt-4">
+                    <button ref={closeRef} type="button" className="bg-blue-600 hover:bg-blue-700 text-white text-sm py-1 px-4 rounded-md transition-colors duration-200" onClick={onClose}>{t('app.close')}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Header Component ---
+const Header = ({ onNavigate, currentUser, onLogout, syncStatus, onRetrySync, onDiscardFailedSync }) => {
+    const { t, language, setLanguage } = useContext(I18nContext);
+    const { displayName, initials } = useContext(SettingsContext);
+
+    return (
+        <header className="bg-gradient-to-r from-blue-600 to-purple-600 text-white shadow-md py-4 px-6 flex items-center justify-between sticky top-0 z-10 rounded-b-lg">
+            <div className="flex items-center space-x-3 rtl:space-x-reverse">
+                <svg className="h-8 w-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01"></path>
+                </svg>
+                <h1 className="text-2xl font-bold"><a href="#/">{t('app.title')}</a></h1>
+            </div>
+            <div className="flex items-center space-x-4 rtl:space-x-reverse">
+                {syncStatus && <SyncIndicator syncStatus={syncStatus} onRetry={onRetrySync} onDiscard={onDiscardFailedSync} />}
+                {currentUser && <ReminderMenu />}
+                <select
+                    className="bg-white bg-opacity-20 text-white text-sm rounded-md py-1 px-2 focus:outline-none"
+                    aria-label={t('app.language')}
+                    value={language}
+                    onChange={(e) => setLanguage(e.target.value)}
+                >
+                    {LANGUAGES.map(option => (
+                        <option key={option.code} value={option.code} lang={option.code} className="text-gray-800">{option.name}</option>
+                    ))}
+                </select>
+                {currentUser && currentUser.email ? (
+                    <>
+                        <a href="#/settings" className="flex items-center space-x-2 rtl:space-x-reverse hover:opacity-90" title={t('header.settings')}>
+                            <span className="h-9 w-9 rounded-full bg-white text-purple-700 text-sm font-bold flex items-center justify-center shadow-sm" aria-hidden="true">{initials}</span>
+                            <span className="sr-only">{t('header.settings')}</span>
+                            <span className="text-sm font-medium hidden md:block">{t('header.welcome', { name: displayName })}</span>
+                        </a>
+                        <button
+                            className="bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-md transition-colors duration-200 shadow-sm"
+                            onClick={onLogout}
+                        >
+                            {t('header.logout')}
+                        </button>
+                    </>
+                ) : (
+                    <button
+                        className="bg-green-500 hover:bg-green-600 text-white px-4 py-2 rounded-md transition-colors duration-200 shadow-sm"
+                        onClick={() => onNavigate(buildPath('/login'))}
+                    >
+                        {t('header.login')}
+                    </button>
+                )}
+            </div>
+        </header>
+    );
+};
+
+// --- Tag Input Component ---
+const TagInput = ({ id, tags, suggestions, onChange }) => {
+    const { t } = useContext(I18nContext);
+    const [draft, setDraft] = useState('');
+    const [isFocused, setIsFocused] = useState(false);
+    const normalizedDraft = normalizeTag(draft);
+    const matchingSuggestions = suggestions
+        .filter(tag => !tags.includes(tag) && tag.startsWith(normalizedDraft))
+        .slice(0, 8);
+
+    const addTag = (tag) => {
+        const normalized = normalizeTag(tag);
+        if (normalized && !tags.includes(normalized)) {
+            onChange([...tags, normalized]);
+        }
+        setDraft('');
+    };
+
+    const handleKeyDown = (e) => {
+        if ((e.key === 'Enter' || e.key === ',') && draft.trim()) {
+            e.preventDefault();
+            addTag(draft);
+        } else if (e.key === 'Backspace' && !draft && tags.length > 0) {
+            onChange(tags.slice(0, -1));
+        }
+    };
+
+    return (
+        <div className="relative">
+            <div className="shadow appearance-none border rounded-md w-full py-1 px-2 flex flex-wrap items-center gap-1 focus-within:ring-blue-500 focus-within:border-blue-500">
+                {tags.map(tag => (
+                    <span key={tag} className="flex items-center bg-gray-100 text-gray-700 text-xs font-medium rounded-full ps-2 pe-1 py-0.5">
+                        #{tag}
+                        <button type="button" className="ms-1 px-1 rounded-full hover:bg-gray-200" onClick={() => onChange(tags.filter(other => other !== tag))} aria-label={t('tags.remove', { tag })}>×</button>
+                    </span>
+                ))}
+                <input
+                    type="text"
+                    id={id}
+                    className="flex-grow min-w-0 py-1 px-1 text-gray-700 leading-tight focus:outline-none"
+                    placeholder={tags.length === 0 ? t('tags.placeholder') : ''}
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    onFocus={() => setIsFocused(true)}
+                    onBlur={() => {
+                        setIsFocused(false);
+                        if (draft.trim()) addTag(draft);
+                    }}
+                    autoComplete="off"
+                    role="combobox"
+                    aria-expanded={isFocused && matchingSuggestions.length > 0}
+                    aria-controls={`${id}-suggestions`}
+                />
+            </div>
+            {isFocused && matchingSuggestions.length > 0 && (
+                <ul id={`${id}-suggestions`} role="listbox" className="absolute z-20 mt-1 w-full bg-white border rounded-md shadow-lg max-h-48 overflow-auto">
+                    {matchingSuggestions.map(tag => (
+                        <li
+                            key={tag}
+                            role="option"
+                            aria-selected="false"
+                            className="px-3 py-1 text-sm text-gray-700 cursor-pointer hover:bg-blue-50"
+                            onMouseDown={(e) => {
+                                e.preventDefault(); // Keep focus in the input
+                                addTag(tag);
+                            }}
+                        >
+                            #{tag}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+// --- Quick Add Bar Component ---
+const QuickAddBar = ({ onAddTask }) => {
+    const { notify } = useContext(NotificationContext);
+    const { t, language, formatDate } = useContext(I18nContext);
+    const { preferences } = useContext(SettingsContext);
+    const [text, setText] = useState('');
+    const today = getTodayString();
+    const locale = useMemo(() => getQuickAddLocale(language, navigator.language), [language]);
+    const parsed = useMemo(() => parseQuickAdd(text, today, locale), [text, today, locale]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!parsed.title) {
+            notify(t('form.emptyTitle'), 'error');
+            return;
+        }
+        onAddTask({
+            title: parsed.title,
+            description: '',
+            dueDate: parsed.dueDate,
+            priority: parsed.priority || preferences.defaultPriority,
+            autoCompleteWithSubtasks: false,
+            projectId: null,
+            tags: parsed.tags,
+            reminder: null,
+            recurrence: null,
+            completed: false,
+            subtasks: [],
+        });
+        setText('');
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-white p-4 rounded-lg shadow-md mb-4">
+            <label htmlFor="quickAdd" className="block text-gray-700 text-sm font-bold mb-2">{t('quickAdd.label')}</label>
+            <div className="flex space-x-2 rtl:space-x-reverse">
+                <input
+                    type="text"
+                    id="quickAdd"
+                    className="shadow appearance-none border rounded-md flex-grow min-w-0 py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    placeholder={t('quickAdd.placeholder')}
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    aria-describedby="quickAddPreview"
+                />
+                <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md transition-colors duration-200 shadow-md">
+                    {t('quickAdd.submit')}
+                </button>
+            </div>
+            <div id="quickAddPreview" className="flex flex-wrap items-center gap-2 mt-2 text-xs text-gray-600 min-h-[1.5rem]">
+                {text.trim() ? (
+                    <>
+                        <span className={parsed.title ? 'font-medium text-gray-800' : 'italic text-red-600'}>{parsed.title || t('quickAdd.noTitle')}</span>
+                        {parsed.dueDate && (
+                            <span className="bg-gray-100 rounded-full px-2 py-0.5">
+                                📅 {formatDate(parsed.dueDate, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })} ({parsed.dateText})
+                            </span>
+                        )}
+                        {parsed.priority && <span className="bg-gray-100 rounded-full px-2 py-0.5">{t('quickAdd.priority', { priority: t(`priority.${parsed.priority}`) })}</span>}
+                        {parsed.tags.map(tag => <span key={tag} className="bg-blue-100 text-blue-800 rounded-full px-2 py-0.5">#{tag}</span>)}
+                    </>
+                ) : (
+                    <span>{t('quickAdd.hint')}</span>
+                )}
+            </div>
+        </form>
+    );
+};
+
+// --- Task Form Component ---
+const TaskForm = ({ onAddTask, editingTask, draftDefaults, onUpdateTask, onCancelEdit }) => {
+    const { notify } = useContext(NotificationContext);
+    const { t, formatDate } = useContext(I18nContext);
+    const { userId } = useContext(FirebaseContext);
+    const { tasks } = useContext(TaskContext);
+    const { projects } = useContext(ProjectContext);
+    const { lists, getListRole } = useContext(SharedListContext);
+    const { policy } = useContext(ReminderContext);
+    const { preferences } = useContext(SettingsContext);
+    const [title, setTitle] = useState('');
+    const [description, setDescription] = useState('');
+    const [dueDate, setDueDate] = useState('');
+    const [priority, setPriority] = useState(preferences.defaultPriority);
+    const [autoCompleteWithSubtasks, setAutoCompleteWithSubtasks] = useState(false);
+    const [projectId, setProjectId] = useState('');
+    const [listId, setListId] = useState(''); // Shared list for new tasks; fixed once a task exists
+    const [assigneeId, setAssigneeId] = useState('');
+    const [tags, setTags] = useState([]);
+    const [reminder, setReminder] = useState(null); // null follows the default reminder policy
+    const [repeat, setRepeat] = useState('none'); // 'none' or a recurrence frequency
+    const [weekdays, setWeekdays] = useState([]);
+    const [dayOfMonth, setDayOfMonth] = useState(1);
+    const [repeatInterval, setRepeatInterval] = useState(2);
+    const [intervalUnit, setIntervalUnit] = useState('days');
+    const [editScope, setEditScope] = useState('single'); // 'single' or 'future', for recurring tasks
+    const formRef = useRef(null);
+    const titleRef = useRef(null);
+
+    const resetRecurrence = (recurrence) => {
+        setRepeat(recurrence ? recurrence.frequency : 'none');
+        setWeekdays(recurrence && recurrence.weekdays ? recurrence.weekdays : []);
+        setDayOfMonth(recurrence && recurrence.dayOfMonth ? recurrence.dayOfMonth : 1);
+        setRepeatInterval(recurrence && recurrence.interval ? recurrence.interval : 2);
+        setIntervalUnit(recurrence && recurrence.unit ? recurrence.unit : 'days');
+        setEditScope('single');
+    };
+
+    useEffect(() => {
+        if (editingTask) {
+            setTitle(editingTask.title);
+            setDescription(editingTask.description);
+            setDueDate(editingTask.dueDate || '');
+            setPriority(editingTask.priority || 'Medium');
+            setAutoCompleteWithSubtasks(!!editingTask.autoCompleteWithSubtasks);
+            setProjectId(editingTask.projectId || '');
+            setListId(editingTask.listId || '');
+            setAssigneeId(editingTask.assigneeId || '');
+            setTags(editingTask.tags || []);
+            setReminder(editingTask.reminder || null);
+            resetRecurrence(editingTask.recurrence);
+            formRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            titleRef.current.focus({ preventScroll: true });
+        } else {
+            setTitle('');
+            setDescription('');
+            setDueDate('');
+            setPriority(preferences.defaultPriority);
+            setAutoCompleteWithSubtasks(false);
+            setProjectId('');
+            setListId('');
+            setAssigneeId('');
+            setTags([]);
+            setReminder(null);
+            resetRecurrence(null);
+        }
+    }, [editingTask]);
+
+    // A new draft (e.g. from clicking a calendar day) prefills the form and brings it into view
+    useEffect(() => {
+        if (!draftDefaults || editingTask) return;
+        setDueDate(draftDefaults.dueDate || '');
+        formRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        titleRef.current.focus({ preventScroll: true });
+    }, [draftDefaults]);
+
+    const tagSuggestions = useMemo(() => Array.from(new Set(tasks.flatMap(task => task.tags || []))).sort(), [tasks]);
+
+    const isRecurringEdit = !!(editingTask && editingTask.recurrence);
+    // Changing only this occurrence leaves the series' rule alone
+    const isRecurrenceLocked = isRecurringEdit && editScope === 'single';
+
+    const buildRecurrence = () => {
+        switch (repeat) {
+            case 'daily':
+                return { frequency: 'daily' };
+            case 'weekly':
+                return { frequency: 'weekly', weekdays: weekdays.length > 0 ? [...weekdays].sort() : [parseDateString(dueDate || getTodayString()).getUTCDay()] };
+            case 'monthly':
+                return { frequency: 'monthly', dayOfMonth: Math.min(31, Math.max(1, Number(dayOfMonth) || 1)) };
+            case 'interval':
+                return { frequency: 'interval', interval: Math.max(1, Number(repeatInterval) || 1), unit: intervalUnit };
+            default:
+                return null;
+        }
+    };
+
+    const toggleWeekday = (day) => {
+        setWeekdays(weekdays.includes(day) ? weekdays.filter(selected => selected !== day) : [...weekdays, day]);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!title.trim()) {
+            notify(t('form.emptyTitle'), 'error');
+            return;
+        }
+
+        const taskData = {
+            title: title.trim(),
+            description: description.trim(),
+            dueDate: dueDate,
+            priority: priority,
+            autoCompleteWithSubtasks: autoCompleteWithSubtasks,
+            projectId: listId ? null : projectId || null,
+            ...(listId && { assigneeId: assigneeId || null }),
+            tags: tags,
+            reminder: reminder,
+            recurrence: isRecurrenceLocked ? editingTask.recurrence : buildRecurrence(),
+            completed: editingTask ? editingTask.completed : false, // Preserve status on edit
+        };
+        if (!editingTask) {
+            taskData.subtasks = [];
+            if (listId) taskData.listId = listId;
+        }
+
+        if (editingTask) {
+            onUpdateTask(editingTask.id, taskData, isRecurringEdit ? editScope : 'single');
+        } else {
+            onAddTask(taskData);
+        }
+        // Reset form
+        setTitle('');
+        setDescription('');
+        setDueDate('');
+        setPriority(preferences.defaultPriority);
+        setAutoCompleteWithSubtasks(false);
+        setProjectId('');
+        setListId('');
+        setAssigneeId('');
+        setTags([]);
+        setReminder(null);
+        resetRecurrence(null);
+    };
+
+    // Tasks can't move between a user's own tasks and a shared list, so editing only offers the same side
+    const isSharedTask = !!(editingTask && editingTask.listId);
+    const writableLists = lists.filter(list => list.id === listId || canEditList(getListRole(list.id)));
+    const selectedList = lists.find(list => list.id === listId);
+
+    const handleDestinationChange = (value) => {
+        if (value.startsWith('list:')) {
+            setListId(value.slice('list:'.length));
+            setProjectId('');
+        } else {
+            setListId('');
+            setProjectId(value);
+        }
+        setAssigneeId('');
+    };
+
+    return (
+        <div ref={formRef} className="bg-white p-6 rounded-lg shadow-md mb-8">
+            <h2 className="text-2xl font-bold text-gray-800 mb-4">{editingTask ? t('form.editHeading') : t('form.addHeading')}</h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                    <label htmlFor="title" className="block text-gray-700 text-sm font-bold mb-2">{t('form.title')}</label>
+                    <input type="text" id="title" ref={titleRef} className="shadow appearance-none border rounded-md w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-blue-500 focus:border-blue-500" value={title} onChange={(e) => setTitle(e.target.value)} required />
+                </div>
+                <div>
+                    <label htmlFor="description" className="block text-gray-700 text-sm font-bold mb-2">{t('form.description')}</label>
+                    <textarea id="description" rows="3" className="shadow appearance-none border rounded-md w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-blue-500 focus:border-blue-500" value={description} onChange={(e) => setDescription(e.target.value)}></textarea>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <label htmlFor="dueDate" className="block text-gray-700 text-sm font-bold mb-2">{t('form.dueDate')}</label>
+                        <input type="date" id="dueDate" className="shadow appearance-none border rounded-md w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-blue-500 focus:border-blue-500" value={dueDate} onChange={(e) => setDueDate(e.target.value)} />
+                    </div>
+                    <div>
+                        <label htmlFor="priority" className="block text-gray-700 text-sm font-bold mb-2">{t('form.priority')}</label>
+                        <select id="priority" className="shadow appearance-none border rounded-md w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-blue-500 focus:border-blue-500" value={priority} onChange={(e) => setPriority(e.target.value)}>
+                            {Object.keys(PRIORITY_RANK).map(option => (
+                                <option key={option} value={option}>{t(`priority.${option}`)}</option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <label htmlFor="project" className="block text-gray-700 text-sm font-bold mb-2">{t('form.project')}</label>
+                        <select id="project" className="shadow appearance-none border rounded-md w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-blue-500 focus:border-blue-500" value={listId ? `list:${listId}` : projectId} onChange={(e) => handleDestinationChange(e.target.value)}>
+                            <option value="" disabled={isSharedTask}>{t('project.none')}</option>
+                            {projects.map(project => (
+                                <option key={project.id} value={project.id} disabled={isSharedTask}>{project.name}</option>
+                            ))}
+                            {writableLists.length > 0 && (
+                                <optgroup label={t('form.sharedLists')}>
+                                    {writableLists.map(list => (
+                                        <option key={list.id} value={`list:${list.id}`} disabled={!!editingTask && list.id !== listId}>{list.name}</option>
+                                    ))}
+                                </optgroup>
+                            )}
+                        </select>
+                        {selectedList && (
+                            <div className="mt-2">
+                                <label htmlFor="assignee" className="block text-gray-700 text-sm font-bold mb-2">{t('form.assignee')}</label>
+                                <select id="assignee" className="shadow appearance-none border rounded-md w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-blue-500 focus:border-blue-500" value={assigneeId} onChange={(e) => setAssigneeId(e.target.value)}>
+                                    <option value="">{t('form.unassigned')}</option>
+                                    {selectedList.memberIds.map(memberId => (
+                                        <option key={memberId} value={memberId}>{getMemberLabel(selectedList, memberId, userId, t)}</option>
+                                    ))}
+                                    {assigneeId && !selectedList.memberIds.includes(assigneeId) && (
+                                        <option value={assigneeId}>{getMemberLabel(selectedList, assigneeId, userId, t)}</option>
+                                    )}
+                                </select>
+                            </div>
+                        )}
+                    </div>
+                    <div>
+                        <label htmlFor="tags" className="block text-gray-700 text-sm font-bold mb-2">{t('form.tags')}</label>
+                        <TagInput id="tags" tags={tags} suggestions={tagSuggestions} onChange={setTags} />
+                    </div>
+                </div>
+                <div>
+                    <label htmlFor="reminder" className="block text-gray-700 text-sm font-bold mb-2">{t('form.reminder')}</label>
+                    <ReminderFields id="reminder" reminder={reminder} onChange={setReminder} defaultLabel={t('reminder.default', { reminder: describeReminder(policy.reminder, t) })} />
+                    {!dueDate && reminder && reminder.type !== 'none' && <p className="text-xs text-gray-500 mt-1">{t('form.reminderNeedsDueDate')}</p>}
+                </div>
+                <div>
+                    <label htmlFor="repeat" className="block text-gray-700 text-sm font-bold mb-2">{t('form.repeat')}</label>
+                    <select id="repeat" disabled={isRecurrenceLocked} className="shadow appearance-none border rounded-md w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100" value={repeat} onChange={(e) => setRepeat(e.target.value)}>
+                        {['none', 'daily', 'weekly', 'monthly', 'interval'].map(option => (
+                            <option key={option} value={option}>{t(`form.repeat.${option}`)}</option>
+                        ))}
+                    </select>
+                    {repeat === 'weekly' && (
+                        <div className="flex flex-wrap gap-2 mt-2">
+                            {/* Weekday names in the UI language; 2000-01-02 was a Sunday */}
+                            {getWeekdayOrder(preferences.weekStartsOn).map(day => (
+                                <button
+                                    key={day}
+                                    type="button"
+                                    disabled={isRecurrenceLocked}
+                                    className={`px-3 py-1 rounded-full text-xs font-medium transition-colors duration-200 ${weekdays.includes(day) ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                                    onClick={() => toggleWeekday(day)}
+                                    aria-pressed={weekdays.includes(day)}
+                                >
+                                    {formatDate(addDays('2000-01-02', day), { weekday: 'short' })}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    {repeat === 'monthly' && (
+                        <div className="flex items-center mt-2 text-sm text-gray-700">
+                            <label htmlFor="dayOfMonth" className="me-2">{t('form.dayOfMonth')}</label>
+                            <input type="number" id="dayOfMonth" min="1" max="31" disabled={isRecurrenceLocked} className="border rounded-md py-1 px-2 w-20" value={dayOfMonth} onChange={(e) => setDayOfMonth(e.target.value)} />
+                        </div>
+                    )}
+                    {repeat === 'interval' && (
+                        <div className="flex items-center mt-2 text-sm text-gray-700 space-x-2 rtl:space-x-reverse">
+                            <label htmlFor="interval">{t('form.every')}</label>
+                            <input type="number" id="interval" min="1" disabled={isRecurrenceLocked} className="border rounded-md py-1 px-2 w-20" value={repeatInterval} onChange={(e) => setRepeatInterval(e.target.value)} />
+                            <select aria-label={t('form.intervalUnit')} disabled={isRecurrenceLocked} className="border rounded-md py-1 px-2" value={intervalUnit} onChange={(e) => setIntervalUnit(e.target.value)}>
+                                <option value="days">{t('form.unit.days')}</option>
+                                <option value="weeks">{t('form.unit.weeks')}</option>
+                            </select>
+                        </div>
+                    )}
+                </div>
+                {isRecurringEdit && (
+                    <fieldset className="text-sm text-gray-700">
+                        <legend className="font-bold mb-1">{t('form.applyTo')}</legend>
+                        <label className="me-4">
+                            <input type="radio" name="editScope" value="single" className="me-1" checked={editScope === 'single'} onChange={() => setEditScope('single')} />
+                            {t('form.scope.single')}
+                        </label>
+                        <label>
+                            <input type="radio" name="editScope" value="future" className="me-1" checked={editScope === 'future'} onChange={() => setEditScope('future')} />
+                            {t('form.scope.future')}
+                        </label>
+                    </fieldset>
+                )}
+                <div className="flex items-center">
+                    <input type="checkbox" id="autoCompleteWithSubtasks" className="h-4 w-4 text-blue-600 border-gray-300 rounded" checked={autoCompleteWithSubtasks} onChange={(e) => setAutoCompleteWithSubtasks(e.target.checked)} />
+                    <label htmlFor="autoCompleteWithSubtasks" className="ms-2 text-gray-700 text-sm">{t('form.autoComplete')}</label>
+                </div>
+                <div className="flex space-x-4 rtl:space-x-reverse">
+                    <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-6 rounded-md transition-colors duration-200 shadow-md">
+                        {editingTask ? t('form.update') : t('form.add')}
+                    </button>
+                    {editingTask && (
+                        <button type="button" className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-6 rounded-md transition-colors duration-200 shadow-md" onClick={onCancelEdit}>
+                            {t('form.cancel')}
+                        </button>
+                    )}
+                </div>
+            </form>
+        </div>
+    );
+};
+
+// --- Subtask Checklist Component ---
+const SubtaskChecklist = ({ subtasks, onChange }) => {
+    const { t } = useContext(I18nContext);
+    const [newSubtaskTitle, setNewSubtaskTitle] = useState('');
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        if (!newSubtaskTitle.trim()) return;
+        onChange([...subtasks, { id: generateId(), title: newSubtaskTitle.trim(), done: false }]);
+        setNewSubtaskTitle('');
+    };
+
+    const handleToggle = (id) => {
+        onChange(subtasks.map(subtask => (subtask.id === id ? { ...subtask, done: !subtask.done } : subtask)));
+    };
+
+    const handleMove = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= subtasks.length) return;
+        const reordered = [...subtasks];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        onChange(reordered);
+    };
+
+    const handleDelete = (id) => {
+        onChange(subtasks.filter(subtask => subtask.id !== id));
+    };
+
+    return (
+        <div className="mt-3 border-t border-gray-100 pt-3">
+            <ul className="space-y-1">
+                {subtasks.map((subtask, index) => (
+                    <li key={subtask.id} className="flex items-center text-sm group">
+                        <input
+                            type="checkbox"
+                            className="h-4 w-4 text-blue-600 border-gray-300 rounded me-2"
+                            checked={subtask.done}
+                            onChange={() => handleToggle(subtask.id)}
+                            aria-label={t(subtask.done ? 'subtasks.markNotDone' : 'subtasks.markDone', { title: subtask.title })}
+                        />
+                        <span className={`flex-grow ${subtask.done ? 'line-through text-gray-400' : 'text-gray-700'}`}>{subtask.title}</span>
+                        <button type="button" className="px-1 text-gray-400 hover:text-gray-700 disabled:opacity-30" onClick={() => handleMove(index, -1)} disabled={index === 0} aria-label={t('subtasks.moveUp')}>↑</button>
+                        <button type="button" className="px-1 text-gray-400 hover:text-gray-700 disabled:opacity-30" onClick={() => handleMove(index, 1)} disabled={index === subtasks.length - 1} aria-label={t('subtasks.moveDown')}>↓</button>
+                        <button type="button" className="px-1 text-gray-400 hover:text-red-600" onClick={() => handleDelete(subtask.id)} aria-label={t('subtasks.delete')}>×</button>
+                    </li>
+                ))}
+            </ul>
+            <form onSubmit={handleAdd} className="flex mt-2 gap-2">
+                <input
+                    type="text"
+                    className="flex-grow border rounded-md py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    placeholder={t('subtasks.placeholder')}
+                    value={newSubtaskTitle}
+                    onChange={(e) => setNewSubtaskTitle(e.target.value)}
+                />
+                <button type="submit" className="bg-gray-200 hover:bg-gray-300 text-gray-700 px-3 py-1 rounded-md text-sm font-medium transition-colors duration-200">{t('quickAdd.submit')}</button>
+            </form>
+        </div>
+    );
+};
+
+// --- Virtual List Component ---
+const VIRTUAL_LIST_OVERSCAN_PX = 600;
+
+const VirtualListRow = ({ rowKey, observer, className, children }) => {
+    const rowRef = useRef(null);
+
+    useEffect(() => {
+        if (!observer) return undefined;
+        const element = rowRef.current;
+        observer.observe(element);
+        return () => observer.unobserve(element);
+    }, [observer]);
+
+    return <div ref={rowRef} data-key={rowKey} className={className}>{children}</div>;
+};
+
+/**
+ * Mounts only the rows near the viewport and stands in spacers for the rest. Rows scroll
+ * with the page and may differ in height: each is measured once rendered, and rows not
+ * yet seen count as `estimatedHeight`. `scrollToIndex` brings a row into view (e.g. the one
+ * selected with j/k); `onEndReached` runs once the last row is mounted. Space rows with
+ * padding in `rowClassName` rather than margins, so measured heights include the gaps.
+ */
+const VirtualList = ({ items, getKey, renderItem, estimatedHeight, scrollToIndex = -1, onEndReached, rowClassName = '' }) => {
+    const containerRef = useRef(null);
+    const heightsRef = useRef(new Map()); // key -> measured height, kept while the row is unmounted
+    const [observer, setObserver] = useState(null);
+    const [viewport, setViewport] = useState({ top: 0, bottom: window.innerHeight });
+    const [, setMeasuredCount] = useState(0);
+
+    // The viewport in the list's own coordinates
+    useEffect(() => {
+        const updateViewport = () => {
+            if (!containerRef.current) return;
+            const top = -containerRef.current.getBoundingClientRect().top;
+            setViewport({ top, bottom: top + window.innerHeight });
+        };
+        updateViewport();
+        window.addEventListener('scroll', updateViewport, { passive: true });
+        window.addEventListener('resize', updateViewport);
+        return () => {
+            window.removeEventListener('scroll', updateViewport);
+            window.removeEventListener('resize', updateViewport);
+        };
+    }, []);
+
+    useEffect(() => {
+        if (typeof ResizeObserver === 'undefined') return undefined;
+        const resizeObserver = new ResizeObserver((entries) => {
+            let changed = false;
+            entries.forEach(({ target }) => {
+                const height = target.offsetHeight;
+                if (heightsRef.current.get(target.dataset.key) !== height) {
+                    heightsRef.current.set(target.dataset.key, height);
+                    changed = true;
+                }
+            });
+            if (changed) setMeasuredCount(count => count + 1);
+        });
+        setObserver(resizeObserver);
+        return () => resizeObserver.disconnect();
+    }, []);
+
+    const offsets = [0];
+    items.forEach((item, index) => offsets.push(offsets[index] + (heightsRef.current.get(getKey(item)) ?? estimatedHeight)));
+    const totalHeight = offsets[items.length];
+
+    let first = 0;
+    while (first < items.length - 1 && offsets[first + 1] < viewport.top - VIRTUAL_LIST_OVERSCAN_PX) first += 1;
+    let last = first;
+    while (last < items.length - 1 && offsets[last + 1] < viewport.bottom + VIRTUAL_LIST_OVERSCAN_PX) last += 1;
+
+    // Rows outside the window aren't mounted and can't scroll themselves into view
+    useEffect(() => {
+        if (scrollToIndex < 0 || (scrollToIndex >= first && scrollToIndex <= last) || !containerRef.current) return;
+        const containerTop = containerRef.current.getBoundingClientRect().top + window.scrollY;
+        window.scrollTo(0, containerTop + offsets[scrollToIndex] - window.innerHeight / 3);
+    }, [scrollToIndex]);
+
+    useEffect(() => {
+        if (items.length > 0 && last === items.length - 1 && onEndReached) onEndReached();
+    }, [last, items.length]);
+
+    return (
+        <div ref={containerRef}>
+            <div style={{ height: offsets[first] }} aria-hidden="true"></div>
+            {items.slice(first, last + 1).map(item => (
+                <VirtualListRow key={getKey(item)} rowKey={getKey(item)} observer={observer} className={rowClassName}>
+                    {renderItem(item)}
+                </VirtualListRow>
+            ))}
+            <div style={{ height: items.length > 0 ? totalHeight - offsets[last + 1] : 0 }} aria-hidden="true"></div>
+        </div>
+    );
+};
+
+// --- Task Item Component ---
+// `onSelect(task, isRange)` adds a selection checkbox; shift-click reports a range selection
+const TaskItem = ({ task, project, assigneeLabel, isActive = false, isSelected = false, onSelect, onToggleComplete, onEditTask, onDeleteTask, onUpdateSubtasks, completedOccurrences = 0 }) => {
+    const { t, formatDate, formatRelativeDate } = useContext(I18nContext);
+    const [isChecklistOpen, setIsChecklistOpen] = useState(false);
+    const itemRef = useRef(null);
+
+    // The task selected with j/k takes focus, so screen readers follow the selection
+    useEffect(() => {
+        if (isActive) {
+            itemRef.current.focus({ preventScroll: true });
+            itemRef.current.scrollIntoView({ block: 'nearest' });
+        }
+    }, [isActive]);
+
+    const priorityColors = {
+        High: 'bg-red-100 text-red-800',
+        Medium: 'bg-yellow-100 text-yellow-800',
+        Low: 'bg-green-100 text-green-800',
+    };
+    const subtasks = task.subtasks || [];
+    const doneSubtaskCount = subtasks.filter(subtask => subtask.done).length;
+
+    return (
+        <div ref={itemRef} tabIndex={-1} className={`p-5 rounded-lg shadow-sm transition-all duration-200 focus:outline-none ${isSelected ? 'bg-blue-50' : 'bg-white'} ${isActive ? 'ring-2 ring-blue-400' : ''} ${task.completed ? 'opacity-70 border-s-4 border-green-500' : 'border-s-4 border-blue-500'}`}>
+            <div className="flex flex-col md:flex-row items-start md:items-center justify-between">
+                <div className="flex items-start flex-grow min-w-0 mb-3 md:mb-0">
+                    {onSelect && (
+                        <input
+                            type="checkbox"
+                            className="h-4 w-4 mt-1.5 me-3 flex-shrink-0 text-blue-600 border-gray-300 rounded"
+                            checked={isSelected}
+                            onChange={(e) => onSelect(task, e.nativeEvent.shiftKey)}
+                            aria-label={t('task.select', { title: task.title })}
+                        />
+                    )}
+                    <div className="min-w-0">
+                        <h3 className={`text-lg font-semibold ${task.completed ? 'line-through text-gray-500' : 'text-gray-800'}`}>
+                            <a href={`#${getTaskPath(task.id)}`} className="hover:underline">{task.title}</a>
+                        </h3>
+                        {task.description && <p className="text-gray-600 text-sm mt-1 line-clamp-2">{task.description}</p>}
+                        <div className="flex flex-wrap items-center text-xs text-gray-500 mt-2 gap-x-3 gap-y-1">
+                            {project && (
+                                <span className="flex items-center font-medium text-gray-700">
+                                    <span className="inline-block w-2 h-2 rounded-full me-1" style={{ backgroundColor: project.color }}></span>
+                                    {project.name}
+                                </span>
+                            )}
+                            {task.dueDate && <span>📅 {t('task.due', { date: formatDate(task.dueDate), relative: formatRelativeDate(task.dueDate) })}</span>}
+                            {assigneeLabel && <span>👤 {t('task.assignedTo', { name: assigneeLabel })}</span>}
+                            <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${priorityColors[task.priority] || 'bg-gray-100 text-gray-800'}`}>{t('task.priority', { priority: t(`priority.${task.priority}`) })}</span>
+                            {task.recurrence && (
+                                <span title={t('task.completedOccurrences', { count: completedOccurrences })}>
+                                    🔁 {describeRecurrence(task.recurrence, t, formatDate)}{completedOccurrences > 0 ? ` · ${t('task.occurrencesDone', { count: completedOccurrences })}` : ''}
+                                </span>
+                            )}
+                            {(task.tags || []).map(tag => (
+                                <span key={tag} className="text-blue-600">#{tag}</span>
+                            ))}
+                            <button
+                                type="button"
+                                className="flex items-center space-x-1 rtl:space-x-reverse hover:text-gray-700"
+                                onClick={() => setIsChecklistOpen(!isChecklistOpen)}
+                                aria-expanded={isChecklistOpen}
+                            >
+                                {subtasks.length > 0 ? (
+                                    <>
+                                        <span className="w-12 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                                            <span className="block h-full bg-green-500" style={{ width: `${(doneSubtaskCount / subtasks.length) * 100}%` }}></span>
+                                        </span>
+                                        <span>☑ {doneSubtaskCount}/{subtasks.length}</span>
+                                    </>
+                                ) : (
+                                    <span>{t('task.addChecklist')}</span>
+                                )}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+                <div className="flex space-x-2 rtl:space-x-reverse flex-shrink-0">
+                    <button
+                        className={`px-3 py-1 rounded-md text-sm font-medium ${task.completed ? 'bg-yellow-500 hover:bg-yellow-600' : 'bg-green-500 hover:bg-green-600'} text-white transition-colors duration-200`}
+                        onClick={() => onToggleComplete(task.id, !task.completed)}
+                    >
+                        {task.completed ? t('task.unmark') : t('task.complete')}
+                    </button>
+                    <button
+                        className="bg-blue-500 hover:bg-blue-600 text-white px-3 py-1 rounded-md text-sm font-medium transition-colors duration-200"
+                        onClick={() => onEditTask(task)}
+                    >
+                        {t('task.edit')}
+                    </button>
+                    <button
+                        className="bg-red-500 hover:bg-red-600 text-white px-3 py-1 rounded-md text-sm font-medium transition-colors duration-200"
+                        onClick={() => onDeleteTask(task.id)}
+                    >
+                        {t('task.delete')}
+                    </button>
+                </div>
+            </div>
+            {isChecklistOpen && <SubtaskChecklist subtasks={subtasks} onChange={(updatedSubtasks) => onUpdateSubtasks(task, updatedSubtasks)} />}
+        </div>
+    );
+};
+
+// --- Bulk Action Bar Component ---
+// Select-all for the filtered list, and the actions for the selected tasks
+const BulkActionBar = ({ selectedCount, totalCount, projects, onToggleAll, onClear, onComplete, onSetPriority, onSetDueDate, onMove, onDelete }) => {
+    const { t } = useContext(I18nContext);
+    const selectAllRef = useRef(null);
+    const isAllSelected = totalCount > 0 && selectedCount === totalCount;
+
+    useEffect(() => {
+        selectAllRef.current.indeterminate = selectedCount > 0 && !isAllSelected;
+    }, [selectedCount, isAllSelected]);
+
+    const controlClassName = "border rounded-md py-1 px-2 text-sm text-gray-700";
+    const buttonClassName = "px-3 py-1 rounded-md text-sm font-medium transition-colors duration-200";
+
+    return (
+        <div className="bg-white p-3 rounded-lg shadow-sm mb-4 flex flex-wrap items-center gap-3" role="toolbar" aria-label={t('bulk.label')}>
+            <label className="flex items-center text-sm text-gray-700">
+                <input ref={selectAllRef} type="checkbox" className="h-4 w-4 me-2 text-blue-600 border-gray-300 rounded" checked={isAllSelected} onChange={onToggleAll} />
+                {selectedCount > 0 ? t('bulk.selected', { count: selectedCount, total: totalCount }) : t('bulk.selectAll', { count: totalCount })}
+            </label>
+            {selectedCount > 0 && (
+                <>
+                    <button type="button" className={`${buttonClassName} bg-green-500 hover:bg-green-600 text-white`} onClick={() => onComplete(true)}>{t('task.complete')}</button>
+                    <button type="button" className={`${buttonClassName} bg-yellow-500 hover:bg-yellow-600 text-white`} onClick={() => onComplete(false)}>{t('task.unmark')}</button>
+                    <select aria-label={t('bulk.priorityLabel')} className={controlClassName} value="" onChange={(e) => onSetPriority(e.target.value)}>
+                        <option value="" disabled>{t('bulk.priorityPlaceholder')}</option>
+                        {Object.keys(PRIORITY_RANK).map(priority => (
+                            <option key={priority} value={priority}>{t(`priority.${priority}`)}</option>
+                        ))}
+                    </select>
+                    <input type="date" aria-label={t('bulk.dueDateLabel')} className={controlClassName} value="" onChange={(e) => e.target.value && onSetDueDate(e.target.value)} />
+                    <button type="button" className="text-sm text-gray-600 hover:underline" onClick={() => onSetDueDate('')}>{t('bulk.clearDueDate')}</button>
+                    <select aria-label={t('bulk.moveLabel')} className={controlClassName} value="" onChange={(e) => onMove(e.target.value === 'none' ? null : e.target.value)}>
+                        <option value="" disabled>{t('bulk.movePlaceholder')}</option>
+                        <option value="none">{t('project.none')}</option>
+                        {projects.map(project => (
+                            <option key={project.id} value={project.id}>{project.name}</option>
+                        ))}
+                    </select>
+                    <button type="button" className={`${buttonClassName} bg-red-500 hover:bg-red-600 text-white`} onClick={onDelete}>{t('task.delete')}</button>
+                    <button type="button" className="text-sm text-gray-600 hover:underline" onClick={onClear}>{t('bulk.clearSelection')}</button>
+                </>
+            )}
+        </div>
+    );
+};
+
+// --- Filter Bar Component ---
+const FilterBar = ({ filters, onFiltersChange, projects, lists = [], searchRef }) => {
+    const i18n = useContext(I18nContext);
+    const { t } = i18n;
+    const statusOptions = ['All', 'Active', 'Completed'];
+    const priorityOptions = ['High', 'Medium', 'Low'];
+    const chips = getFilterChips(filters, projects, lists, i18n);
+
+    const updateFilters = (changes) => onFiltersChange({ ...filters, ...changes });
+
+    const togglePriority = (priority) => {
+        updateFilters({
+            priorities: filters.priorities.includes(priority)
+                ? filters.priorities.filter(selected => selected !== priority)
+                : [...filters.priorities, priority],
+        });
+    };
+
+    const inputClassName = "border rounded-md py-2 px-3 text-sm text-gray-700 focus:outline-none focus:ring-blue-500 focus:border-blue-500";
+
+    return (
+        <div className="bg-white p-4 rounded-lg shadow-md mb-8 space-y-4">
+            <div className="flex justify-center space-x-4 rtl:space-x-reverse">
+                {statusOptions.map(option => (
+                    <button
+                        key={option}
+                        className={`px-5 py-2 rounded-full text-sm font-medium transition-colors duration-200 ${filters.status === option ? 'bg-blue-600 text-white shadow-md' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                        onClick={() => updateFilters({ status: option })}
+                    >
+                        {t(`filters.status.${option}`)}
+                    </button>
+                ))}
+            </div>
+            <div className="flex flex-wrap items-center gap-3">
+                <input
+                    ref={searchRef}
+                    type="search"
+                    className={`${inputClassName} flex-grow min-w-0`}
+                    placeholder={t('filters.searchPlaceholder')}
+                    aria-label={t('filters.searchLabel')}
+                    value={filters.search}
+                    onChange={(e) => updateFilters({ search: e.target.value })}
+                    onKeyDown={(e) => e.key === 'Escape' && e.target.blur()}
+                />
+                <div className="flex space-x-1 rtl:space-x-reverse" role="group" aria-label={t('filters.priorityLabel')}>
+                    {priorityOptions.map(priority => (
+                        <button
+                            key={priority}
+                            type="button"
+                            className={`px-3 py-1 rounded-full text-xs font-medium transition-colors duration-200 ${filters.priorities.includes(priority) ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                            onClick={() => togglePriority(priority)}
+                            aria-pressed={filters.priorities.includes(priority)}
+                        >
+                            {t(`priority.${priority}`)}
+                        </button>
+                    ))}
+                </div>
+                <select className={inputClassName} aria-label={t('filters.dueLabel')} value={filters.due} onChange={(e) => updateFilters({ due: e.target.value })}>
+                    {DUE_FILTER_OPTIONS.map(value => (
+                        <option key={value} value={value}>{t(`filters.due.${value}`)}</option>
+                    ))}
+                </select>
+                {filters.due === 'range' && (
+                    <>
+                        <input type="date" className={inputClassName} aria-label={t('filters.dueFrom')} value={filters.dueFrom} onChange={(e) => updateFilters({ dueFrom: e.target.value })} />
+                        <input type="date" className={inputClassName} aria-label={t('filters.dueTo')} value={filters.dueTo} onChange={(e) => updateFilters({ dueTo: e.target.value })} />
+                    </>
+                )}
+                <select className={inputClassName} aria-label={t('filters.sortLabel')} value={filters.sortBy} onChange={(e) => updateFilters({ sortBy: e.target.value })}>
+                    {SORT_FIELDS.map(value => (
+                        <option key={value} value={value}>{t('filters.sortOption', { field: t(`filters.sort.${value}`) })}</option>
+                    ))}
+                </select>
+                {(lists.length > 0 || filters.assignedToMe) && (
+                    <button
+                        type="button"
+                        className={`px-3 py-2 rounded-md text-sm font-medium transition-colors duration-200 ${filters.assignedToMe ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                        onClick={() => updateFilters({ assignedToMe: !filters.assignedToMe })}
+                        aria-pressed={filters.assignedToMe}
+                    >
+                        {t('filters.assignedToMe')}
+                    </button>
+                )}
+                <button
+                    type="button"
+                    className="bg-gray-200 hover:bg-gray-300 text-gray-700 px-3 py-2 rounded-md text-sm font-medium transition-colors duration-200"
+                    onClick={() => updateFilters({ sortDirection: filters.sortDirection === 'asc' ? 'desc' : 'asc' })}
+                    aria-label={filters.sortDirection === 'asc' ? t('filters.sortDescending') : t('filters.sortAscending')}
+                >
+                    {filters.sortDirection === 'asc' ? t('filters.ascending') : t('filters.descending')}
+                </button>
+            </div>
+            {chips.length > 0 && (
+                <div className="flex flex-wrap items-center gap-2">
+                    {chips.map(chip => (
+                        <span key={chip.key} className="flex items-center bg-blue-100 text-blue-800 text-xs font-medium rounded-full ps-3 pe-1 py-1">
+                            {chip.label}
+                            <button type="button" className="ms-1 px-1 rounded-full hover:bg-blue-200" onClick={() => updateFilters(chip.remove)} aria-label={t('filters.removeChip', { label: chip.label })}>×</button>
+                        </span>
+                    ))}
+                    <button type="button" className="text-xs text-gray-500 hover:underline" onClick={() => onFiltersChange({ ...DEFAULT_FILTERS, sortBy: filters.sortBy, sortDirection: filters.sortDirection })}>
+                        {t('filters.clearAll')}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- Pointer Drag Hook ---
+/**
+ * Tracks a drag started from a handle with any pointer (mouse, touch or pen). Moves under
+ * 5px don't count as a drag. `findTarget(x, y, id)` maps the pointer position to a drop
+ * target, which `onDrop(id, target)` receives on release.
+ */
+const usePointerDrag = ({ findTarget, onDrop }) => {
+    const [drag, setDrag] = useState(null); // { id, startX, startY, x, y, isDragging, target }
+
+    useEffect(() => {
+        if (!drag) return undefined;
+
+        const handlePointerMove = (e) => {
+            const isDragging = drag.isDragging || Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) > 5;
+            setDrag({ ...drag, x: e.clientX, y: e.clientY, isDragging, target: isDragging ? findTarget(e.clientX, e.clientY, drag.id) : null });
+        };
+        const handlePointerUp = () => {
+            if (drag.isDragging) {
+                // Releasing fires a click on whatever is under the pointer; it belongs to the drag
+                const suppressClick = (e) => e.stopPropagation();
+                window.addEventListener('click', suppressClick, { capture: true, once: true });
+                setTimeout(() => window.removeEventListener('click', suppressClick, { capture: true }), 0);
+                if (drag.target) onDrop(drag.id, drag.target);
+            }
+            setDrag(null);
+        };
+        const handlePointerCancel = () => setDrag(null);
+
+        window.addEventListener('pointermove', handlePointerMove);
+        window.addEventListener('pointerup', handlePointerUp);
+        window.addEventListener('pointercancel', handlePointerCancel);
+        return () => {
+            window.removeEventListener('pointermove', handlePointerMove);
+            window.removeEventListener('pointerup', handlePointerUp);
+            window.removeEventListener('pointercancel', handlePointerCancel);
+        };
+    });
+
+    const startDrag = (e, id) => {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        setDrag({ id, startX: e.clientX, startY: e.clientY, x: e.clientX, y: e.clientY, isDragging: false, target: null });
+    };
+
+    const isDragging = !!(drag && drag.isDragging);
+    return {
+        draggedId: isDragging ? drag.id : null,
+        target: isDragging ? drag.target : null,
+        offset: isDragging ? { x: drag.x - drag.startX, y: drag.y - drag.startY } : null,
+        startDrag,
+    };
+};
+
+// --- Board Column Editor Component ---
+const BoardColumnEditor = ({ columns, onChange, onClose }) => {
+    const { t } = useContext(I18nContext);
+    const [newColumnLabel, setNewColumnLabel] = useState('');
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        if (!newColumnLabel.trim()) return;
+        const doneIndex = columns.findIndex(column => column.id === DONE_STATUS);
+        const column = { id: `custom-${generateId()}`, label: newColumnLabel.trim() };
+        onChange([...columns.slice(0, doneIndex), column, ...columns.slice(doneIndex)]); // Done stays last
+        setNewColumnLabel('');
+    };
+
+    return (
+        <div className="bg-white p-4 rounded-lg shadow-md mb-4">
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="font-bold text-gray-800">{t('board.columns')}</h3>
+                <button type="button" className="text-sm text-gray-500 hover:underline" onClick={onClose}>{t('app.close')}</button>
+            </div>
+            <ul className="space-y-2">
+                {columns.map(column => (
+                    <li key={column.id} className="flex items-center gap-2">
+                        <input
+                            type="text"
+                            className="flex-grow border rounded-md py-1 px-2 text-sm text-gray-700"
+                            aria-label={t('board.columnName', { label: getColumnLabel(column, t) })}
+                            value={getColumnLabel(column, t)}
+                            onChange={(e) => onChange(columns.map(other => (other.id === column.id ? { ...other, label: e.target.value } : other)))}
+                        />
+                        {/* To Do and Done anchor the completed flag, so they can be renamed but not removed */}
+                        {column.id !== DONE_STATUS && column.id !== 'todo' && (
+                            <button type="button" className="text-sm text-red-600 hover:underline" onClick={() => onChange(columns.filter(other => other.id !== column.id))}>
+                                {t('board.removeColumn')}
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            <form onSubmit={handleAdd} className="flex mt-3 gap-2">
+                <input
+                    type="text"
+                    className="flex-grow border rounded-md py-1 px-2 text-sm text-gray-700"
+                    placeholder={t('board.newColumn')}
+                    aria-label={t('board.newColumnName')}
+                    value={newColumnLabel}
+                    onChange={(e) => setNewColumnLabel(e.target.value)}
+                />
+                <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-md text-sm font-medium transition-colors duration-200">{t('board.addColumn')}</button>
+            </form>
+        </div>
+    );
+};
+
+// --- Board Card Component ---
+const BoardCard = ({ task, project, isDragging, isPickedUp, dragOffset, onHandlePointerDown, onKeyDown }) => {
+    const { t, formatDate } = useContext(I18nContext);
+    const subtasks = task.subtasks || [];
+    const priorityColors = {
+        High: 'bg-red-100 text-red-800',
+        Medium: 'bg-yellow-100 text-yellow-800',
+        Low: 'bg-green-100 text-green-800',
+    };
+
+    return (
+        <div
+            data-task-id={task.id}
+            tabIndex={0}
+            aria-roledescription={t('board.draggable')}
+            aria-label={t('board.cardLabel', { title: task.title })}
+            className={`bg-white p-3 rounded-md shadow-sm border-s-4 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${task.completed ? 'border-green-500 opacity-80' : 'border-blue-500'} ${isPickedUp ? 'ring-2 ring-blue-500' : ''}`}
+            style={isDragging ? { transform: `translate(${dragOffset.x}px, ${dragOffset.y}px)`, pointerEvents: 'none', position: 'relative', zIndex: 30, boxShadow: '0 10px 20px rgba(0,0,0,0.15)' } : undefined}
+            onKeyDown={onKeyDown}
+        >
+            <div className="flex items-start">
+                <span
+                    className="me-2 text-gray-400 cursor-grab select-none"
+                    style={{ touchAction: 'none' }}
+                    onPointerDown={onHandlePointerDown}
+                    aria-hidden="true"
+                >
+                    ⠿
+                </span>
+                <div className="flex-grow min-w-0">
+                    <a href={`#${getTaskPath(task.id)}`} className={`font-semibold hover:underline ${task.completed ? 'line-through text-gray-500' : 'text-gray-800'}`}>{task.title}</a>
+                    <div className="flex flex-wrap items-center gap-x-2 gap-y-1 mt-1 text-xs text-gray-500">
+                        {project && (
+                            <span className="flex items-center">
+                                <span className="inline-block w-2 h-2 rounded-full me-1" style={{ backgroundColor: project.color }}></span>
+                                {project.name}
+                            </span>
+                        )}
+                        <span className={`px-2 py-0.5 rounded-full font-medium ${priorityColors[task.priority] || 'bg-gray-100 text-gray-800'}`}>{t(`priority.${task.priority}`)}</span>
+                        {task.dueDate && <span>📅 {formatDate(task.dueDate)}</span>}
+                        {subtasks.length > 0 && <span>☑ {subtasks.filter(subtask => subtask.done).length}/{subtasks.length}</span>}
+                        {(task.tags || []).map(tag => <span key={tag} className="text-blue-600">#{tag}</span>)}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Kanban Board Component ---
+/**
+ * Board view with one column per status. Cards are moved with the pointer (mouse, touch or
+ * pen, via the ⠿ handle) or the keyboard: space picks a card up, arrow keys move it, space
+ * drops it and escape cancels. Moves are announced through a live region.
+ */
+const KanbanBoard = ({ tasks, columns, projectsById, onMoveTask }) => {
+    const { t, language } = useContext(I18nContext);
+    const [keyboardDrag, setKeyboardDrag] = useState(null); // { taskId }
+    const [keyboardTarget, setKeyboardTarget] = useState(null); // { columnId, index }
+    const [announcement, setAnnouncement] = useState('');
+    const boardRef = useRef(null);
+    const refocusTaskIdRef = useRef(null);
+
+    // A card moved with the keyboard remounts in its new column, so give it focus back
+    useEffect(() => {
+        if (refocusTaskIdRef.current && boardRef.current) {
+            const card = boardRef.current.querySelector(`[data-task-id="${refocusTaskIdRef.current}"]`);
+            if (card) card.focus();
+            refocusTaskIdRef.current = null;
+        }
+    });
+
+    // Tasks with a status that no longer has a column show up in the first one
+    const columnIds = columns.map(column => column.id);
+    const getColumnId = (task) => (columnIds.includes(getTaskStatus(task)) ? getTaskStatus(task) : columnIds[0]);
+    const tasksByColumn = columns.reduce((grouped, column) => ({
+        ...grouped,
+        [column.id]: sortByBoardOrder(tasks.filter(task => getColumnId(task) === column.id)),
+    }), {});
+
+    const columnLabel = (columnId) => getColumnLabel(columns.find(column => column.id === columnId), t);
+
+    const commitMove = (taskId, target) => {
+        const siblings = tasksByColumn[target.columnId].filter(task => task.id !== taskId);
+        const sortOrder = getSortOrderBetween(siblings[target.index - 1], siblings[target.index]);
+        onMoveTask(taskId, target.columnId, sortOrder);
+        const task = tasks.find(candidate => candidate.id === taskId);
+        setAnnouncement(t('board.moved', { title: task ? task.title : '', column: columnLabel(target.columnId), position: target.index + 1 }));
+    };
+
+    // --- Pointer dragging ---
+    const findPointerTarget = (x, y, taskId) => {
+        const element = document.elementFromPoint(x, y);
+        const columnElement = element && element.closest('[data-column-id]');
+        if (!columnElement || !boardRef.current.contains(columnElement)) return null;
+        const cards = Array.from(columnElement.querySelectorAll('[data-task-id]')).filter(card => card.dataset.taskId !== taskId);
+        const index = cards.filter(card => {
+            const rect = card.getBoundingClientRect();
+            return rect.top + rect.height / 2 < y;
+        }).length;
+        return { columnId: columnElement.dataset.columnId, index };
+    };
+
+    const pointerDrag = usePointerDrag({ findTarget: findPointerTarget, onDrop: commitMove });
+    const dropTarget = keyboardDrag ? keyboardTarget : pointerDrag.target;
+
+    // --- Keyboard dragging ---
+    const handleCardKeyDown = (e, task) => {
+        if (e.target !== e.currentTarget) return; // Let the title link handle its own keys
+        if (!keyboardDrag) {
+            if (e.key === ' ' || e.key === 'Enter') {
+                e.preventDefault();
+                const columnId = getColumnId(task);
+                setKeyboardDrag({ taskId: task.id });
+                setKeyboardTarget({ columnId, index: tasksByColumn[columnId].findIndex(candidate => candidate.id === task.id) });
+                setAnnouncement(t('board.pickedUp', { title: task.title }));
+            }
+            return;
+        }
+        if (keyboardDrag.taskId !== task.id || !dropTarget) return;
+
+        const columnIndex = columnIds.indexOf(dropTarget.columnId);
+        const siblingCount = (columnId) => tasksByColumn[columnId].filter(candidate => candidate.id !== task.id).length;
+        let nextTarget = null;
+        switch (e.key) {
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                // Columns run right to left in RTL languages, so the arrow keys follow what's on screen
+                const step = (e.key === 'ArrowLeft') === (getLanguageDirection(language) === 'rtl') ? 1 : -1;
+                const nextColumnId = columnIds[Math.min(columnIds.length - 1, Math.max(0, columnIndex + step))];
+                nextTarget = { columnId: nextColumnId, index: Math.min(dropTarget.index, siblingCount(nextColumnId)) };
+                break;
+            }
+            case 'ArrowUp':
+                nextTarget = { ...dropTarget, index: Math.max(0, dropTarget.index - 1) };
+                break;
+            case 'ArrowDown':
+                nextTarget = { ...dropTarget, index: Math.min(siblingCount(dropTarget.columnId), dropTarget.index + 1) };
+                break;
+            case ' ':
+            case 'Enter':
+                e.preventDefault();
+                refocusTaskIdRef.current = task.id;
+                commitMove(task.id, dropTarget);
+                setKeyboardDrag(null);
+                setKeyboardTarget(null);
+                return;
+            case 'Escape':
+                setKeyboardDrag(null);
+                setKeyboardTarget(null);
+                setAnnouncement(t('board.moveCancelled', { title: task.title }));
+                return;
+            default:
+                return;
+        }
+        e.preventDefault();
+        setKeyboardTarget(nextTarget);
+        setAnnouncement(t('board.position', { column: columnLabel(nextTarget.columnId), position: nextTarget.index + 1 }));
+    };
+
+    const draggedTaskId = (keyboardDrag && keyboardDrag.taskId) || pointerDrag.draggedId;
+    const dropIndicator = <div className="h-1 bg-blue-500 rounded-full" aria-hidden="true"></div>;
+
+    return (
+        <div ref={boardRef} className="flex gap-4 overflow-x-auto pb-4">
+            {columns.map(column => {
+                const columnTasks = tasksByColumn[column.id];
+                let siblingIndex = 0; // Position among the cards other than the one being moved
+                return (
+                    <section
+                        key={column.id}
+                        data-column-id={column.id}
+                        aria-label={getColumnLabel(column, t)}
+                        className={`bg-gray-100 rounded-lg p-3 w-72 flex-shrink-0 ${dropTarget && dropTarget.columnId === column.id ? 'ring-2 ring-blue-300' : ''}`}
+                    >
+                        <h3 className="font-bold text-gray-700 mb-3 flex items-center justify-between">
+                            <span>{getColumnLabel(column, t)}</span>
+                            <span className="text-xs font-medium text-gray-500 bg-white rounded-full px-2 py-0.5">{columnTasks.length}</span>
+                        </h3>
+                        <div className="space-y-2 min-h-[3rem]">
+                            {columnTasks.map(task => {
+                                const showIndicatorBefore = draggedTaskId && task.id !== draggedTaskId && dropTarget && dropTarget.columnId === column.id && dropTarget.index === siblingIndex;
+                                if (task.id !== draggedTaskId) siblingIndex += 1;
+                                const isPointerDragged = pointerDrag.draggedId === task.id;
+                                return (
+                                    <React.Fragment key={task.id}>
+                                        {showIndicatorBefore && dropIndicator}
+                                        <BoardCard
+                                            task={task}
+                                            project={projectsById[task.listId || task.projectId]}
+                                            isDragging={isPointerDragged}
+                                            isPickedUp={keyboardDrag && keyboardDrag.taskId === task.id}
+                                            dragOffset={isPointerDragged ? pointerDrag.offset : null}
+                                            onHandlePointerDown={(e) => !keyboardDrag && pointerDrag.startDrag(e, task.id)}
+                                            onKeyDown={(e) => handleCardKeyDown(e, task)}
+                                        />
+                                    </React.Fragment>
+                                );
+                            })}
+                            {draggedTaskId && dropTarget && dropTarget.columnId === column.id && dropTarget.index >= siblingIndex && dropIndicator}
+                        </div>
+                    </section>
+                );
+            })}
+            <div className="sr-only" aria-live="assertive">{announcement}</div>
+        </div>
+    );
+};
+
+// --- Calendar View Component ---
+/**
+ * Month, week and agenda layouts of tasks by due date. Dragging a task onto another day
+ * reschedules it; clicking the empty part of a day starts a new task due that day.
+ */
+const CalendarView = ({ tasks, mode, date, projectsById, onModeChange, onDateChange, onReschedule, onSelectDay, onOpenTask }) => {
+    const { preferences } = useContext(SettingsContext);
+    const { t, formatDate } = useContext(I18nContext);
+    const calendarRef = useRef(null);
+    const today = getTodayString();
+    const days = getCalendarDays(mode, date, preferences.weekStartsOn);
+
+    const tasksByDate = tasks.reduce((groups, task) => {
+        if (task.dueDate) (groups[task.dueDate] = groups[task.dueDate] || []).push(task);
+        return groups;
+    }, {});
+    const undatedCount = tasks.filter(task => !task.dueDate).length;
+
+    const findDayTarget = (x, y) => {
+        const element = document.elementFromPoint(x, y);
+        const dayElement = element && element.closest('[data-date]');
+        if (!dayElement || !calendarRef.current.contains(dayElement)) return null;
+        return { date: dayElement.dataset.date };
+    };
+
+    const handleDrop = (taskId, target) => {
+        const task = tasks.find(candidate => candidate.id === taskId);
+        if (task && task.dueDate !== target.date) onReschedule(taskId, target.date);
+    };
+
+    const pointerDrag = usePointerDrag({ findTarget: findDayTarget, onDrop: handleDrop });
+    const dropDate = pointerDrag.target && pointerDrag.target.date;
+
+    const title = mode === 'month'
+        ? formatDate(date, { month: 'long', year: 'numeric' })
+        : `${formatDate(days[0], { month: 'short', day: 'numeric' })} – ${formatDate(days[days.length - 1], { month: 'short', day: 'numeric', year: 'numeric' })}`;
+
+    const renderChip = (task) => {
+        const project = projectsById[task.listId || task.projectId];
+        const isDragged = pointerDrag.draggedId === task.id;
+        // Only the handle captures touches, so the calendar still scrolls when a swipe starts on a chip
+        return (
+            <div
+                key={task.id}
+                className={`flex items-center text-xs rounded-md border ${isOverdue(task, today) ? 'bg-red-50 border-red-300 text-red-700' : task.completed ? 'bg-gray-50 border-gray-200 text-gray-400 line-through' : 'bg-blue-50 border-blue-200 text-blue-800'} ${isDragged ? 'relative z-10 shadow-lg opacity-90' : ''}`}
+                style={isDragged ? { transform: `translate(${pointerDrag.offset.x}px, ${pointerDrag.offset.y}px)` } : undefined}
+            >
+                <span
+                    className="ps-1 opacity-60 cursor-grab select-none"
+                    style={{ touchAction: 'none' }}
+                    onPointerDown={(e) => pointerDrag.startDrag(e, task.id)}
+                    aria-hidden="true"
+                >
+                    ⠿
+                </span>
+                <button
+                    type="button"
+                    className="flex-grow min-w-0 text-start truncate px-1 py-1"
+                    title={task.title}
+                    onClick={() => onOpenTask(task.id)}
+                >
+                    {project && <span className="inline-block w-2 h-2 rounded-full me-1" style={{ backgroundColor: project.color }} aria-hidden="true"></span>}
+                    {isOverdue(task, today) && <span className="sr-only">{t('calendar.overduePrefix')}</span>}
+                    {task.title}
+                </button>
+            </div>
+        );
+    };
+
+    const renderDay = (day, { isGrid }) => {
+        const dayTasks = tasksByDate[day] || [];
+        const isOutsideMonth = mode === 'month' && day.slice(0, 7) !== date.slice(0, 7);
+        return (
+            <div
+                key={day}
+                data-date={day}
+                className={`flex flex-col border border-gray-200 p-1 ${isGrid ? (mode === 'week' ? 'min-h-[12rem]' : 'min-h-[6rem]') : ''} ${isOutsideMonth ? 'bg-gray-50' : 'bg-white'} ${dropDate === day ? 'ring-2 ring-blue-500 ring-inset' : ''}`}
+            >
+                <div className={`text-xs font-semibold mb-1 ${day === today ? 'text-blue-600' : isOutsideMonth ? 'text-gray-400' : 'text-gray-600'}`}>
+                    {mode === 'month' ? Number(day.slice(8)) : formatDate(day, { weekday: 'short', month: 'short', day: 'numeric' })}
+                </div>
+                <div className="space-y-1">
+                    {dayTasks.map(renderChip)}
+                </div>
+                <button
+                    type="button"
+                    className="flex-grow min-h-[1.5rem] rounded-md hover:bg-gray-100 focus:bg-gray-100"
+                    aria-label={t('calendar.addTaskOn', { date: formatDate(day, { dateStyle: 'full' }) })}
+                    onClick={() => onSelectDay(day)}
+                ></button>
+            </div>
+        );
+    };
+
+    const overdueTasks = mode === 'agenda' ? tasks.filter(task => isOverdue(task, today) && task.dueDate < date) : [];
+    const agendaDays = days.filter(day => tasksByDate[day]);
+
+    return (
+        <div ref={calendarRef} className="bg-white p-4 rounded-lg shadow-md">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                <div className="flex items-center gap-2">
+                    <button type="button" className="px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300 text-gray-700" onClick={() => onDateChange(shiftCalendarDate(mode, date, -1))} aria-label={t('calendar.previous')}><span className="inline-block rtl:-scale-x-100">‹</span></button>
+                    <button type="button" className="px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300 text-gray-700 text-sm" onClick={() => onDateChange(today)}>{t('calendar.today')}</button>
+                    <button type="button" className="px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300 text-gray-700" onClick={() => onDateChange(shiftCalendarDate(mode, date, 1))} aria-label={t('calendar.next')}><span className="inline-block rtl:-scale-x-100">›</span></button>
+                    <h3 className="text-lg font-semibold text-gray-800 ms-2" aria-live="polite">{title}</h3>
+                </div>
+                <div className="inline-flex rounded-md shadow-sm" role="group" aria-label={t('calendar.layout')}>
+                    {['month', 'week', 'agenda'].map(value => (
+                        <button
+                            key={value}
+                            type="button"
+                            className={`px-3 py-1 text-sm font-medium first:rounded-s-md last:rounded-e-md transition-colors duration-200 ${mode === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                            onClick={() => onModeChange(value)}
+                            aria-pressed={mode === value}
+                        >
+                            {t(`calendar.${value}`)}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            {mode === 'agenda' ? (
+                <div className="space-y-4">
+                    {overdueTasks.length > 0 && (
+                        <section>
+                            <h4 className="text-sm font-semibold text-red-600 mb-1">{t('calendar.overdue')}</h4>
+                            <div className="space-y-1">{overdueTasks.map(renderChip)}</div>
+                        </section>
+                    )}
+                    {agendaDays.map(day => renderDay(day, { isGrid: false }))}
+                    {overdueTasks.length === 0 && agendaDays.length === 0 && (
+                        <p className="text-center text-gray-600 py-6">{t('calendar.nothingDue', { count: AGENDA_DAYS })}</p>
+                    )}
+                </div>
+            ) : (
+                <div className="grid grid-cols-7">
+                    {getWeekdayOrder(preferences.weekStartsOn).map(day => (
+                        <div key={day} className="text-xs font-semibold text-gray-500 text-center pb-1">{formatDate(addDays('2000-01-02', day), { weekday: 'short' })}</div>
+                    ))}
+                    {days.map(day => renderDay(day, { isGrid: true }))}
+                </div>
+            )}
+            {undatedCount > 0 && (
+                <p className="text-sm text-gray-500 mt-3">{t('calendar.undated', { count: undatedCount })}</p>
+            )}
+        </div>
+    );
+};
+
+// --- Task Transfer Panel Component ---
+/**
+ * Exports all or only the currently filtered tasks, and imports JSON, CSV or iCalendar
+ * files after a preview that flags invalid rows and duplicates. Exporting waits for
+ * `isLoadingTasks`, while completed tasks are still being read.
+ */
+const TaskTransferPanel = ({ tasks, filteredTasks, projects, isLoadingTasks, onImport, onClose }) => {
+    const { notify } = useContext(NotificationContext);
+    const { t } = useContext(I18nContext);
+    const [format, setFormat] = useState('json');
+    const [scope, setScope] = useState('filtered'); // 'filtered' or 'all'
+    const [preview, setPreview] = useState(null); // { fileName, format, rows }
+    const [includeDuplicates, setIncludeDuplicates] = useState(false);
+    const [isImporting, setIsImporting] = useState(false);
+
+    const isFiltered = filteredTasks.length !== tasks.length;
+
+    const handleExport = () => {
+        const tasksToExport = isFiltered && scope === 'filtered' ? filteredTasks : tasks;
+        downloadTextFile(`tasks-${getTodayString()}.${format}`, exportTasks(format, tasksToExport, projects), TRANSFER_FORMATS[format].mimeType);
+    };
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            setPreview({ fileName: file.name, ...parseImportFile(file.name, await file.text(), tasks, projects) });
+            setIncludeDuplicates(false);
+        } catch (error) {
+            console.error("Error reading import file:", error);
+            notify(t('transfer.readFailed', { name: file.name, error: error.messageKey ? t(error.messageKey) : error.message }), 'error');
+            setPreview(null);
+        }
+        e.target.value = ''; // Choosing the same file again still triggers a change
+    };
+
+    const validRows = preview ? preview.rows.filter(row => row.errors.length === 0) : [];
+    const duplicateCount = validRows.filter(row => row.isDuplicate).length;
+    const rowsToImport = validRows.filter(row => includeDuplicates || !row.isDuplicate);
+
+    const handleImport = async () => {
+        setIsImporting(true);
+        const isImported = await onImport(rowsToImport.map(row => row.task));
+        setIsImporting(false);
+        if (isImported) setPreview(null);
+    };
+
+    return (
+        <div className="bg-white p-4 rounded-lg shadow-md mb-4 space-y-4">
+            <div className="flex justify-between items-center">
+                <h3 className="text-lg font-semibold text-gray-800">{t('transfer.title')}</h3>
+                <button type="button" className="text-sm text-gray-600 hover:underline" onClick={onClose}>{t('app.close')}</button>
+            </div>
+            <section className="flex flex-wrap items-end gap-3">
+                <div>
+                    <label htmlFor="exportFormat" className="block text-gray-700 text-sm font-bold mb-1">{t('transfer.exportAs')}</label>
+                    <select id="exportFormat" className="border rounded-md py-1 px-2 text-sm" value={format} onChange={(e) => setFormat(e.target.value)}>
+                        {Object.keys(TRANSFER_FORMATS).map(value => (
+                            <option key={value} value={value}>{t(`transfer.format.${value}`)}</option>
+                        ))}
+                    </select>
+                </div>
+                {isFiltered && (
+                    <div className="text-sm text-gray-700">
+                        <label className="me-3">
+                            <input type="radio" name="exportScope" className="me-1" checked={scope === 'filtered'} onChange={() => setScope('filtered')} />
+                            {t('transfer.filteredTasks', { count: filteredTasks.length })}
+                        </label>
+                        <label>
+                            <input type="radio" name="exportScope" className="me-1" checked={scope === 'all'} onChange={() => setScope('all')} />
+                            {t('transfer.allTasks', { count: tasks.length })}
+                        </label>
+                    </div>
+                )}
+                <button type="button" className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold py-1 px-4 rounded-md transition-colors duration-200 disabled:opacity-50" onClick={handleExport} disabled={isLoadingTasks}>
+                    {isLoadingTasks ? t('dashboard.loadingTasks') : t('transfer.download')}
+                </button>
+            </section>
+            <section>
+                <label htmlFor="importFile" className="block text-gray-700 text-sm font-bold mb-1">{t('transfer.importFrom')}</label>
+                <input type="file" id="importFile" accept=".json,.csv,.ics,application/json,text/csv,text/calendar" className="text-sm" onChange={handleFileChange} />
+                {preview && (
+                    <div className="mt-3">
+                        <p className="text-sm text-gray-700 mb-2">
+                            {t('transfer.summary', { name: preview.fileName, ready: validRows.length - duplicateCount, duplicates: duplicateCount, errors: preview.rows.length - validRows.length })}
+                        </p>
+                        <div className="max-h-64 overflow-y-auto border rounded-md">
+                            <table className="w-full text-sm">
+                                <thead className="bg-gray-50 text-start text-gray-600">
+                                    <tr>
+                                        <th className="px-2 py-1">#</th>
+                                        <th className="px-2 py-1">{t('transfer.column.title')}</th>
+                                        <th className="px-2 py-1">{t('transfer.column.due')}</th>
+                                        <th className="px-2 py-1">{t('transfer.column.check')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {preview.rows.map(row => (
+                                        <tr key={row.line} className="border-t">
+                                            <td className="px-2 py-1 text-gray-500">{row.line}</td>
+                                            <td className="px-2 py-1">{row.task.title || <span className="text-gray-400">{t('transfer.untitled')}</span>}</td>
+                                            <td className="px-2 py-1">{row.task.dueDate}</td>
+                                            <td className="px-2 py-1">
+                                                {row.errors.length > 0 && <span className="text-red-600">{row.errors.map(error => t(error.key, error.params)).join(' ')}</span>}
+                                                {row.errors.length === 0 && row.isDuplicate && <span className="text-yellow-700">{t('transfer.duplicate')}</span>}
+                                                {row.errors.length === 0 && !row.isDuplicate && <span className="text-green-700">{t('transfer.ready')}</span>}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        <div className="flex flex-wrap items-center justify-between gap-2 mt-3">
+                            <label className="text-sm text-gray-700">
+                                <input type="checkbox" className="me-1" checked={includeDuplicates} disabled={duplicateCount === 0} onChange={(e) => setIncludeDuplicates(e.target.checked)} />
+                                {t('transfer.includeDuplicates')}
+                            </label>
+                            <div className="flex gap-2">
+                                <button type="button" className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm py-1 px-4 rounded-md" onClick={() => setPreview(null)}>
+                                    {t('form.cancel')}
+                                </button>
+                                <button type="button" disabled={rowsToImport.length === 0 || isImporting} className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white text-sm font-bold py-1 px-4 rounded-md transition-colors duration-200" onClick={handleImport}>
+                                    {isImporting ? t('transfer.importing') : t('transfer.import', { count: rowsToImport.length })}
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                )}
+            </section>
+        </div>
+    );
+};
+
+// --- Share List Panel Component ---
+/**
+ * Members and invitations of one shared list. Owners invite by email, change roles and
+ * remove members; the list's creator always stays an owner. Other members can leave.
+ */
+const ShareListPanel = ({ list, onClose }) => {
+    const { userId } = useContext(FirebaseContext);
+    const { inviteMember, revokeInvite, changeRole, removeMember, deleteList } = useContext(SharedListContext);
+    const { t } = useContext(I18nContext);
+    const [inviteEmail, setInviteEmail] = useState('');
+    const [inviteRole, setInviteRole] = useState('editor');
+
+    const isOwner = list.members[userId] === 'owner';
+    const isCreator = list.ownerId === userId;
+
+    const handleInvite = async (e) => {
+        e.preventDefault();
+        if (await inviteMember(list, inviteEmail, inviteRole)) setInviteEmail('');
+    };
+
+    const handleLeave = () => {
+        if (window.confirm(t('list.confirmLeave', { name: list.name }))) {
+            removeMember(list, userId);
+            onClose();
+        }
+    };
+
+    const handleDelete = () => {
+        if (window.confirm(t('list.confirmDelete', { name: list.name }))) {
+            deleteList(list);
+            onClose();
+        }
+    };
+
+    const roleSelectClassName = "border rounded-md py-0.5 px-1 text-xs";
+
+    return (
+        <div className="border rounded-md p-2 my-1 text-sm space-y-2 bg-gray-50">
+            <ul className="space-y-1">
+                {list.memberIds.map(memberId => (
+                    <li key={memberId} className="flex items-center justify-between gap-1">
+                        <span className="truncate" title={getMemberLabel(list, memberId, null, t)}>{getMemberLabel(list, memberId, userId, t)}</span>
+                        {isOwner && memberId !== list.ownerId ? (
+                            <span className="flex items-center flex-shrink-0">
+                                <select aria-label={t('list.roleOf', { member: getMemberLabel(list, memberId, null, t) })} className={roleSelectClassName} value={list.members[memberId]} onChange={(e) => changeRole(list, memberId, e.target.value)}>
+                                    {LIST_ROLES.map(role => (
+                                        <option key={role} value={role}>{t(`list.role.${role}`)}</option>
+                                    ))}
+                                </select>
+                                {memberId !== userId && (
+                                    <button type="button" className="px-1 text-gray-400 hover:text-red-600" onClick={() => removeMember(list, memberId)} aria-label={t('list.removeMember', { member: getMemberLabel(list, memberId, null, t) })}>×</button>
+                                )}
+                            </span>
+                        ) : (
+                            <span className="text-xs text-gray-500 flex-shrink-0">{t(`list.role.${list.members[memberId]}`)}</span>
+                        )}
+                    </li>
+                ))}
+                {Object.entries(list.invites || {}).map(([email, role]) => (
+                    <li key={email} className="flex items-center justify-between gap-1 text-gray-500">
+                        <span className="truncate" title={email}>{email}</span>
+                        <span className="flex items-center flex-shrink-0 text-xs">
+                            {t('list.invitedAs', { role: t(`list.role.${role}`) })}
+                            {isOwner && (
+                                <button type="button" className="px-1 text-gray-400 hover:text-red-600" onClick={() => revokeInvite(list, email)} aria-label={t('list.cancelInvite', { email })}>×</button>
+                            )}
+                        </span>
+                    </li>
+                ))}
+            </ul>
+            {isOwner && (
+                <form onSubmit={handleInvite} className="space-y-1">
+                    <input
+                        type="email"
+                        className="w-full border rounded-md py-1 px-2 text-sm"
+                        placeholder={t('list.invitePlaceholder')}
+                        aria-label={t('list.inviteEmail')}
+                        value={inviteEmail}
+                        onChange={(e) => setInviteEmail(e.target.value)}
+                    />
+                    <div className="flex items-center justify-between">
+                        <select aria-label={t('list.inviteRole')} className={roleSelectClassName} value={inviteRole} onChange={(e) => setInviteRole(e.target.value)}>
+                            {LIST_ROLES.map(role => (
+                                <option key={role} value={role}>{t(`list.role.${role}`)}</option>
+                            ))}
+                        </select>
+                        <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-2 py-1 rounded-md text-xs font-medium transition-colors duration-200">{t('list.invite')}</button>
+                    </div>
+                </form>
+            )}
+            <div className="flex justify-between text-xs">
+                {isCreator ? (
+                    <button type="button" className="text-red-600 hover:underline" onClick={handleDelete}>{t('list.delete')}</button>
+                ) : (
+                    <button type="button" className="text-red-600 hover:underline" onClick={handleLeave}>{t('list.leave')}</button>
+                )}
+                <button type="button" className="text-gray-600 hover:underline" onClick={onClose}>{t('app.done')}</button>
+            </div>
+        </div>
+    );
+};
+
+// --- Project Sidebar Component ---
+const ProjectSidebar = ({ tasks, filters, onFiltersChange }) => {
+    const { notify } = useContext(NotificationContext);
+    const { t } = useContext(I18nContext);
+    const { projects, addProject, updateProject, removeProject } = useContext(ProjectContext);
+    const { trashedTasks } = useContext(TaskContext);
+    const { lists, invitations, canShare, isEmailVerified, getListRole, createList, acceptInvitation, declineInvitation, resendVerification, refreshVerification } = useContext(SharedListContext);
+    const [newProjectName, setNewProjectName] = useState('');
+    const [newProjectColor, setNewProjectColor] = useState(PROJECT_COLORS[0]);
+    const [newListName, setNewListName] = useState('');
+    const [sharingListId, setSharingListId] = useState(null);
+
+    // Counts show open (not completed) tasks
+    const openTasks = tasks.filter(task => !task.completed);
+    const countFor = (projectId) => openTasks.filter(task => (projectId === 'none' ? !task.projectId && !task.listId : task.projectId === projectId || task.listId === projectId)).length;
+    const tagCounts = openTasks.reduce((counts, task) => {
+        (task.tags || []).forEach(tag => { counts[tag] = (counts[tag] || 0) + 1; });
+        return counts;
+    }, {});
+
+    const handleAddProject = (e) => {
+        e.preventDefault();
+        if (!newProjectName.trim()) {
+            notify(t('project.emptyName'), 'error');
+            return;
+        }
+        addProject({ name: newProjectName.trim(), color: newProjectColor });
+        setNewProjectName('');
+    };
+
+    const handleCreateList = (e) => {
+        e.preventDefault();
+        if (!newListName.trim()) {
+            notify(t('list.emptyName'), 'error');
+            return;
+        }
+        createList({ name: newListName.trim(), color: PROJECT_COLORS[lists.length % PROJECT_COLORS.length] });
+        setNewListName('');
+    };
+
+    const handleRenameProject = (project) => {
+        const name = window.prompt(t('project.rename'), project.name);
+        if (name && name.trim()) {
+            updateProject(project.id, { name: name.trim() });
+        }
+    };
+
+    const handleDeleteProject = (project) => {
+        if (window.confirm(t('project.confirmDelete', { name: project.name }))) {
+            if (filters.projectId === project.id) onFiltersChange({ ...filters, projectId: '' });
+            removeProject(project.id);
+        }
+    };
+
+    const toggleTag = (tag) => {
+        onFiltersChange({ ...filters, tags: filters.tags.includes(tag) ? filters.tags.filter(other => other !== tag) : [...filters.tags, tag] });
+    };
+
+    const itemClassName = (isActive) => `w-full flex items-center justify-between px-3 py-2 rounded-md text-sm text-start transition-colors duration-200 ${isActive ? 'bg-blue-100 text-blue-800 font-semibold' : 'text-gray-700 hover:bg-gray-100'}`;
+
+    return (
+        <aside className="bg-white p-4 rounded-lg shadow-md mb-8 md:mb-0 md:w-64 flex-shrink-0 self-start">
+            <h2 className="text-sm font-bold text-gray-500 uppercase tracking-wide mb-2">{t('sidebar.projects')}</h2>
+            <nav className="space-y-1">
+                <button type="button" className={itemClassName(!filters.projectId)} onClick={() => onFiltersChange({ ...filters, projectId: '' })}>
+                    <span>{t('sidebar.allTasks')}</span>
+                    <span className="text-xs text-gray-500">{openTasks.length}</span>
+                </button>
+                <button type="button" className={itemClassName(filters.projectId === 'none')} onClick={() => onFiltersChange({ ...filters, projectId: 'none' })}>
+                    <span>{t('project.none')}</span>
+                    <span className="text-xs text-gray-500">{countFor('none')}</span>
+                </button>
+                {projects.map(project => (
+                    <div key={project.id} className="group flex items-center">
+                        <button type="button" className={itemClassName(filters.projectId === project.id)} onClick={() => onFiltersChange({ ...filters, projectId: project.id })}>
+                            <span className="flex items-center min-w-0">
+                                <span className="inline-block w-3 h-3 rounded-full me-2 flex-shrink-0" style={{ backgroundColor: project.color }}></span>
+                                <span className="truncate">{project.name}</span>
+                            </span>
+                            <span className="text-xs text-gray-500">{countFor(project.id)}</span>
+                        </button>
+                        <button type="button" className="px-1 text-gray-400 hover:text-gray-700 opacity-0 group-hover:opacity-100 focus:opacity-100" onClick={() => handleRenameProject(project)} aria-label={t('sidebar.renameProject', { name: project.name })}>✎</button>
+                        <button type="button" className="px-1 text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100 focus:opacity-100" onClick={() => handleDeleteProject(project)} aria-label={t('sidebar.deleteProject', { name: project.name })}>×</button>
+                    </div>
+                ))}
+            </nav>
+            <form onSubmit={handleAddProject} className="mt-3 space-y-2">
+                <input
+                    type="text"
+                    className="w-full border rounded-md py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    placeholder={t('sidebar.newProject')}
+                    aria-label={t('sidebar.newProjectName')}
+                    value={newProjectName}
+                    onChange={(e) => setNewProjectName(e.target.value)}
+                />
+                <div className="flex items-center justify-between">
+                    <div className="flex gap-1" role="radiogroup" aria-label={t('sidebar.projectColor')}>
+                        {PROJECT_COLORS.map(color => (
+                            <button
+                                key={color}
+                                type="button"
+                                role="radio"
+                                aria-checked={newProjectColor === color}
+                                aria-label={t('sidebar.color', { color })}
+                                className={`w-4 h-4 rounded-full ${newProjectColor === color ? 'ring-2 ring-offset-1 ring-gray-500' : ''}`}
+                                style={{ backgroundColor: color }}
+                                onClick={() => setNewProjectColor(color)}
+                            ></button>
+                        ))}
+                    </div>
+                    <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-2 py-1 rounded-md text-xs font-medium transition-colors duration-200">{t('quickAdd.submit')}</button>
+                </div>
+            </form>
+            {canShare && (
+                <>
+                    <h2 className="text-sm font-bold text-gray-500 uppercase tracking-wide mt-6 mb-2">{t('sidebar.sharedLists')}</h2>
+                    {!isEmailVerified && (
+                        <p className="text-xs text-gray-500 mb-2">
+                            {t('sidebar.verifyEmail')}{' '}
+                            <button type="button" className="text-blue-600 hover:underline" onClick={resendVerification}>{t('sidebar.resendEmail')}</button>
+                            {' · '}
+                            <button type="button" className="text-blue-600 hover:underline" onClick={refreshVerification}>{t('sidebar.verified')}</button>
+                        </p>
+                    )}
+                    {invitations.map(list => (
+                        <div key={list.id} className="bg-blue-50 rounded-md p-2 mb-2 text-sm">
+                            <p className="text-gray-700"><span className="font-semibold">{list.name}</span> · {t('sidebar.invitedAs', { role: t(`list.role.${list.invitedRole}`) })}</p>
+                            <div className="flex gap-2 mt-1">
+                                <button type="button" className="bg-blue-600 hover:bg-blue-700 text-white px-2 py-0.5 rounded-md text-xs font-medium" onClick={() => acceptInvitation(list)}>{t('sidebar.accept')}</button>
+                                <button type="button" className="text-xs text-gray-600 hover:underline" onClick={() => declineInvitation(list)}>{t('sidebar.decline')}</button>
+                            </div>
+                        </div>
+                    ))}
+                    <nav className="space-y-1">
+                        {lists.map(list => (
+                            <div key={list.id}>
+                                <div className="group flex items-center">
+                                    <button type="button" className={itemClassName(filters.projectId === list.id)} onClick={() => onFiltersChange({ ...filters, projectId: list.id })}>
+                                        <span className="flex items-center min-w-0">
+                                            <span className="inline-block w-3 h-3 rounded-full me-2 flex-shrink-0" style={{ backgroundColor: list.color }}></span>
+                                            <span className="truncate">{list.name}</span>
+                                            {!canEditList(getListRole(list.id)) && <span className="ms-1 text-xs text-gray-400">{t('sidebar.viewOnly')}</span>}
+                                        </span>
+                                        <span className="text-xs text-gray-500">{countFor(list.id)}</span>
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="px-1 text-gray-400 hover:text-gray-700 opacity-0 group-hover:opacity-100 focus:opacity-100"
+                                        onClick={() => setSharingListId(sharingListId === list.id ? null : list.id)}
+                                        aria-label={t('sidebar.membersOf', { name: list.name })}
+                                        aria-expanded={sharingListId === list.id}
+                                    >
+                                        👥
+                                    </button>
+                                </div>
+                                {sharingListId === list.id && <ShareListPanel list={list} onClose={() => setSharingListId(null)} />}
+                            </div>
+                        ))}
+                    </nav>
+                    <form onSubmit={handleCreateList} className="mt-3 flex gap-2">
+                        <input
+                            type="text"
+                            className="flex-grow min-w-0 border rounded-md py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                            placeholder={t('sidebar.newList')}
+                            aria-label={t('sidebar.newListName')}
+                            value={newListName}
+                            onChange={(e) => setNewListName(e.target.value)}
+                        />
+                        <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-2 py-1 rounded-md text-xs font-medium transition-colors duration-200">{t('sidebar.createList')}</button>
+                    </form>
+                </>
+            )}
+            {Object.keys(tagCounts).length > 0 && (
+                <>
+                    <h2 className="text-sm font-bold text-gray-500 uppercase tracking-wide mt-6 mb-2">{t('sidebar.tags')}</h2>
+                    <div className="flex flex-wrap gap-1">
+                        {Object.keys(tagCounts).sort().map(tag => (
+                            <button
+                                key={tag}
+                                type="button"
+                                className={`px-2 py-0.5 rounded-full text-xs font-medium transition-colors duration-200 ${filters.tags.includes(tag) ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                                onClick={() => toggleTag(tag)}
+                                aria-pressed={filters.tags.includes(tag)}
+                            >
+                                #{tag} <span className="opacity-75">{tagCounts[tag]}</span>
+                            </button>
+                        ))}
+                    </div>
+                </>
+            )}
+            <a href="#/insights" className={`${itemClassName(false)} mt-6`}>
+                <span>{t('sidebar.insights')}</span>
+            </a>
+            <a href="#/trash" className={itemClassName(false)}>
+                <span>{t('sidebar.trash')}</span>
+                <span className="text-xs text-gray-500">{trashedTasks.length}</span>
+            </a>
+            <a href="#/settings" className={itemClassName(false)}>
+                <span>{t('sidebar.settings')}</span>
+            </a>
+        </aside>
+    );
+};
+
+// --- Task History Component ---
+// Fields with a `history.field.<field>` label; others show their name
+const HISTORY_FIELDS = ['title', 'description', 'dueDate', 'priority', 'completed', 'status', 'projectId', 'assigneeId', 'tags', 'subtasks', 'autoCompleteWithSubtasks', 'recurrence', 'reminder', 'deletedAt'];
+
+const formatHistoryValue = (field, value, { projects, list, userId, t, formatDate }) => {
+    if (field === 'deletedAt') return value ? t('history.inTrash') : t('history.notInTrash');
+    if (field === 'reminder') return value ? describeReminder(value, t) : t('history.default');
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) return t('history.none');
+    switch (field) {
+        case 'status':
+            return DEFAULT_BOARD_COLUMNS.some(column => column.id === value) ? t(`board.status.${value}`) : value;
+        case 'projectId':
+            return (projects.find(project => project.id === value) || { name: t('history.deletedProject') }).name;
+        case 'assigneeId':
+            return getMemberLabel(list, value, userId, t);
+        case 'priority':
+            return PRIORITY_RANK[value] ? t(`priority.${value}`) : value;
+        case 'tags':
+            return value.map(tag => `#${tag}`).join(' ');
+        case 'subtasks':
+            return t('history.subtasksDone', { done: value.filter(subtask => subtask.done).length, total: value.length });
+        case 'recurrence':
+            return describeRecurrence(value, t, formatDate);
+        default:
+            if (typeof value === 'boolean') return value ? t('history.yes') : t('history.no');
+            if (typeof value === 'string') return value.length > 60 ? `${value.slice(0, 60)}…` : value;
+            return JSON.stringify(value);
+    }
+};
+
+const HISTORY_ENTRY_TYPES = ['created', 'updated', 'reverted'];
+
+/**
+ * Timeline of a task's changes, newest first, with a way back to any earlier version.
+ */
+const TaskHistory = ({ task, onRevert }) => {
+    const { notify } = useContext(NotificationContext);
+    const { t, language, formatDate } = useContext(I18nContext);
+    const tRef = useTranslationRef();
+    const { userId } = useContext(FirebaseContext);
+    const { subscribeHistory } = useContext(TaskContext);
+    const { projects } = useContext(ProjectContext);
+    const { lists } = useContext(SharedListContext);
+    const [entries, setEntries] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    const list = task.listId ? lists.find(candidate => candidate.id === task.listId) : null;
+    const formatContext = { projects, list, userId, t, formatDate };
+
+    useEffect(() => {
+        setIsLoading(true);
+        const unsubscribe = subscribeHistory(task, (fetchedEntries) => {
+            setEntries(fetchedEntries);
+            setIsLoading(false);
+        }, (error) => {
+            console.error("Error fetching task history:", error);
+            notify(tRef.current('history.loadFailed'), 'error');
+            setIsLoading(false);
+        });
+        return () => unsubscribe();
+    }, [task.id, task.listId, subscribeHistory, notify]);
+
+    const getActorLabel = (entry) => (entry.actorId === userId ? t('history.you') : entry.actorEmail || t('history.someone'));
+
+    if (isLoading) {
+        return <p className="text-sm text-gray-400">{t('history.loading')}</p>;
+    }
+
+    if (entries.length === 0) {
+        return <p className="text-sm text-gray-500">{t('history.empty')}</p>;
+    }
+
+    return (
+        <ol className="border-s-2 border-gray-200 ms-1 space-y-4">
+            {entries.map((entry, index) => (
+                <li key={entry.id} className="ps-4 relative">
+                    <span className="absolute -start-[5px] top-1.5 w-2 h-2 rounded-full bg-gray-400"></span>
+                    <div className="flex flex-wrap items-baseline justify-between gap-2">
+                        <p className="text-sm text-gray-800">
+                            <span className="font-semibold">{getActorLabel(entry)}</span> {t(`history.${HISTORY_ENTRY_TYPES.includes(entry.type) ? entry.type : 'updated'}`)}
+                            <span className="text-xs text-gray-500 ms-2">{new Date(toMillis(entry.at)).toLocaleString(language)}</span>
+                        </p>
+                        {index > 0 && (
+                            <button type="button" className="text-xs text-blue-600 hover:underline" onClick={() => onRevert(entries, entry)}>
+                                {t('history.revert')}
+                            </button>
+                        )}
+                    </div>
+                    {entry.changes && (
+                        <ul className="mt-1 text-xs text-gray-600 space-y-0.5">
+                            {Object.entries(entry.changes).map(([field, { before, after }]) => (
+                                <li key={field}>
+                                    <span className="font-medium text-gray-700">{HISTORY_FIELDS.includes(field) ? t(`history.field.${field}`) : field}:</span>{' '}
+                                    <span className="line-through text-gray-400">{formatHistoryValue(field, before, formatContext)}</span>
+                                    {' → '}
+                                    <span>{formatHistoryValue(field, after, formatContext)}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </li>
+            ))}
+        </ol>
+    );
+};
+
+// --- Task Actions Hook ---
+/**
+ * The task mutations every view shares (add, edit, complete, checklist, trash), including
+ * the recurrence and auto-complete rules, so each view behaves the same.
+ */
+const useTaskActions = (onNavigate) => {
+    const { notify } = useContext(NotificationContext);
+    const { t, formatDate } = useContext(I18nContext);
+    const { userId } = useContext(FirebaseContext);
+    const { tasks, trashedTasks, addTask, updateTask, applyBatch, removeTask, syncStatus } = useContext(TaskContext);
+    const { getListRole } = useContext(SharedListContext);
+
+    // Changes are queued and applied optimistically, so these handlers only report what happened
+    const withSyncNote = (message) => (syncStatus.isOnline ? message : t('actions.syncNote', { message }));
+
+    // Viewers of a shared list see its tasks but can't change them; the security rules enforce the same
+    const canChangeList = (listId) => {
+        if (!listId || canEditList(getListRole(listId))) return true;
+        notify(t('actions.viewOnly'), 'info');
+        return false;
+    };
+    const getListIdOf = (id) => (tasks.find(candidate => candidate.id === id) || trashedTasks.find(candidate => candidate.id === id) || {}).listId;
+
+    const handleAddTask = (taskData) => {
+        if (!userId) {
+            notify(t('actions.loginToAdd'), 'info');
+            onNavigate(buildPath('/login'));
+            return;
+        }
+        if (!canChangeList(taskData.listId)) return;
+        addTask(taskData.recurrence ? startSeries(taskData) : taskData);
+        notify(withSyncNote(t('actions.added')), 'success');
+    };
 
-// --- Context for Firebase and User State ---
-const FirebaseContext = createContext(null);
+    // `scope` is 'future' when a recurring task's edit should carry over to its upcoming occurrences
+    const handleUpdateTask = (id, updatedData, scope = 'single') => {
+        if (!userId) {
+            notify(t('actions.loginToUpdate'), 'info');
+            onNavigate(buildPath('/login'));
+            return;
+        }
+        if (!canChangeList(getListIdOf(id))) return;
+        const task = tasks.find(candidate => candidate.id === id);
+        if (task && task.recurrence && scope === 'future') {
+            const seriesTemplate = getSeriesTemplate(updatedData);
+            const { completed, dueDate, ...seriesChanges } = updatedData;
+            tasks
+                .filter(other => other.id !== id && other.seriesId === task.seriesId && !other.completed && (other.scheduledDate || '') >= (task.scheduledDate || ''))
+                .forEach(other => updateTask(other.id, { ...seriesChanges, seriesTemplate }));
+            // The edited occurrence's due date becomes the new anchor for the rule
+            updateTask(id, { ...updatedData, scheduledDate: updatedData.dueDate || task.scheduledDate, seriesTemplate });
+        } else if (task && !task.recurrence && updatedData.recurrence) {
+            updateTask(id, startSeries(updatedData));
+        } else {
+            updateTask(id, updatedData);
+        }
+        notify(withSyncNote(t('actions.updated')), 'success');
+    };
 
-/**
- * Provides Firebase (Firestore, Auth) instances and user state to child components.
- */
-const FirebaseProvider = ({ children }) => {
-    const [currentUser, setCurrentUser] = useState(null);
-    const [userId, setUserId] = useState(null);
-    const [isFirebaseReady, setIsFirebaseReady] = useState(false);
+    // Keep the board status in step; reopening a task sends it back to To Do
+    const getCompletionStatus = (task, completedStatus) => {
+        const previousStatus = getTaskStatus(task);
+        return completedStatus ? DONE_STATUS : (previousStatus !== DONE_STATUS ? previousStatus : 'todo');
+    };
 
-    useEffect(() => {
-        const setupFirebase = async () => {
-            try {
-                // Sign in with custom token if available, otherwise anonymously
-                if (initialAuthToken) {
-                    await signInWithCustomToken(auth, initialAuthToken);
-                } else {
-                    await signInAnonymously(auth);
-                }
+    // `extraChanges` lets callers such as the subtask checklist save their own edit in the same write
+    const handleToggleComplete = (id, completedStatus, extraChanges = {}) => {
+        if (!userId) {
+            notify(t('actions.loginToUpdate'), 'info');
+            onNavigate(buildPath('/login'));
+            return;
+        }
+        if (!canChangeList(getListIdOf(id))) return;
+        const currentTask = tasks.find(candidate => candidate.id === id) || {};
+        const changes = { ...extraChanges, status: extraChanges.status || getCompletionStatus(currentTask, completedStatus) };
+        const task = { ...currentTask, ...changes };
+        // Completing a recurring occurrence keeps it as history and schedules the next one, once
+        if (completedStatus && task.recurrence && !task.nextOccurrenceCreated) {
+            const nextOccurrence = createNextOccurrence(task);
+            addTask({ ...nextOccurrence, listId: task.listId });
+            updateTask(id, { ...changes, completed: true, seriesId: task.seriesId || id, nextOccurrenceCreated: true });
+            notify(withSyncNote(t('actions.completedNext', { date: formatDate(nextOccurrence.dueDate) })), 'success');
+            return;
+        }
+        updateTask(id, { ...changes, completed: completedStatus });
+        notify(withSyncNote(completedStatus ? t('actions.markedCompleted') : t('actions.markedActive')), 'success');
+    };
 
-                // Listen for auth state changes
-                const unsubscribe = onAuthStateChanged(auth, (user) => {
-                    if (user) {
-                        setCurrentUser(user);
-                        setUserId(user.uid);
-                    } else {
-                        setCurrentUser(null);
-                        setUserId(null);
-                    }
-                    setIsFirebaseReady(true); // Firebase is ready after initial auth check
-                });
+    const handleUpdateSubtasks = (task, subtasks) => {
+        if (!userId) {
+            notify(t('actions.loginToUpdate'), 'info');
+            onNavigate(buildPath('/login'));
+            return;
+        }
+        if (!canChangeList(task.listId)) return;
+        // With auto-complete on, the parent follows its checklist: done when every subtask is, active otherwise
+        const allDone = subtasks.length > 0 && subtasks.every(subtask => subtask.done);
+        if (task.autoCompleteWithSubtasks && subtasks.length > 0 && allDone !== !!task.completed) {
+            handleToggleComplete(task.id, allDone, { subtasks });
+            return;
+        }
+        updateTask(task.id, { subtasks });
+    };
 
-                return () => unsubscribe(); // Cleanup auth listener
-            } catch (error) {
-                console.error("Firebase authentication error:", error);
-                setIsFirebaseReady(true); // Still mark as ready even if auth fails
+    const handleRestoreTask = (id) => {
+        if (!userId) {
+            notify(t('actions.loginToRestore'), 'info');
+            onNavigate(buildPath('/login'));
+            return;
+        }
+        if (!canChangeList(getListIdOf(id))) return;
+        updateTask(id, { deletedAt: null });
+        notify(withSyncNote(t('actions.restored')), 'success');
+    };
+
+    const handleDeleteTask = (id) => {
+        if (!userId) {
+            notify(t('actions.loginToDelete'), 'info');
+            onNavigate(buildPath('/login'));
+            return;
+        }
+        if (!canChangeList(getListIdOf(id))) return false;
+        // Deleting only moves the task to the trash, so it can be undone without asking first
+        updateTask(id, { deletedAt: Date.now() });
+        notify(withSyncNote(t('actions.trashed')), 'success', { actions: [{ label: t('app.undo'), onClick: () => handleRestoreTask(id) }] });
+        return true;
+    };
+
+    const handleDeleteForever = (ids) => {
+        if (!userId) {
+            notify(t('actions.loginToDelete'), 'info');
+            onNavigate(buildPath('/login'));
+            return;
+        }
+        if (!ids.every(id => canChangeList(getListIdOf(id)))) return;
+        if (window.confirm(t('actions.confirmDeleteForever', { count: ids.length }))) {
+            ids.forEach(id => removeTask(id));
+            notify(withSyncNote(t('actions.deletedForever', { count: ids.length })), 'success');
+        }
+    };
+
+    // Moves a task to a board column and position; entering or leaving Done goes through completion
+    const handleMoveTask = (id, status, sortOrder) => {
+        if (!userId) {
+            notify(t('actions.loginToUpdate'), 'info');
+            onNavigate(buildPath('/login'));
+            return;
+        }
+        if (!canChangeList(getListIdOf(id))) return;
+        const task = tasks.find(candidate => candidate.id === id);
+        if (!task) return;
+        const previousStatus = getTaskStatus(task);
+        if (status !== previousStatus && (status === DONE_STATUS || previousStatus === DONE_STATUS)) {
+            handleToggleComplete(id, status === DONE_STATUS, { status, sortOrder });
+            return;
+        }
+        updateTask(id, { status, sortOrder });
+    };
+
+    // `entries` are the task's history, newest first; the revert itself becomes a new entry
+    const handleRevertTask = (task, entries, entry) => {
+        if (!userId) {
+            notify(t('actions.loginToUpdate'), 'info');
+            onNavigate(buildPath('/login'));
+            return;
+        }
+        if (!canChangeList(task.listId)) return;
+        const changes = getRevertChanges(entries, entry);
+        if (Object.keys(diffTaskChanges(task, changes)).length === 0) {
+            notify(t('actions.alreadyMatches'), 'info');
+            return;
+        }
+        updateTask(task.id, changes, 'reverted');
+        notify(withSyncNote(t('actions.reverted')), 'success');
+    };
+
+    // Bulk actions leave out tasks the user can't change, write one batch and report once
+    const getBulkTargets = (ids) => {
+        const targets = tasks.filter(task => ids.includes(task.id));
+        const editable = targets.filter(task => !task.listId || canEditList(getListRole(task.listId)));
+        return { editable, skipped: targets.length - editable.length };
+    };
+
+    // `describe(count)` returns the success message for the number of tasks changed
+    const runBulkAction = (ids, buildOperations, describe, options) => {
+        if (!userId) {
+            notify(t('actions.loginToUpdate'), 'info');
+            onNavigate(buildPath('/login'));
+            return false;
+        }
+        const { editable, skipped } = getBulkTargets(ids);
+        const withSkippedNote = (message) => (skipped > 0 ? `${message} ${t('actions.bulkSkipped', { count: skipped })}` : message);
+        if (editable.length === 0) {
+            notify(withSkippedNote(t('actions.bulkNoneEditable')), 'info');
+            return false;
+        }
+        // One bulk action is one atomic write, which has a size limit
+        if (!applyBatch(buildOperations(editable))) {
+            notify(t('actions.bulkTooMany', { count: MAX_BATCH_OPERATIONS }), 'error');
+            return false;
+        }
+        notify(withSyncNote(withSkippedNote(describe(editable.length))), 'success', options);
+        return true;
+    };
+
+    const handleBulkUpdate = (ids, changes, describe) => runBulkAction(ids, (editable) => editable.map(task => ({ type: 'update', taskId: task.id, changes })), describe);
+
+    // Completing recurring occurrences schedules their next ones in the same batch
+    const handleBulkComplete = (ids, completedStatus) => {
+        const changingIds = tasks.filter(task => ids.includes(task.id) && !!task.completed !== completedStatus).map(task => task.id);
+        if (changingIds.length === 0) {
+            notify(completedStatus ? t('actions.bulkAlreadyCompleted') : t('actions.bulkAlreadyActive'), 'info');
+            return false;
+        }
+        return runBulkAction(changingIds, (editable) => editable.flatMap(task => {
+            const changes = { completed: completedStatus, status: getCompletionStatus(task, completedStatus) };
+            if (completedStatus && task.recurrence && !task.nextOccurrenceCreated) {
+                return [
+                    { type: 'add', data: { ...createNextOccurrence(task), listId: task.listId } },
+                    { type: 'update', taskId: task.id, changes: { ...changes, seriesId: task.seriesId || task.id, nextOccurrenceCreated: true } },
+                ];
             }
-        };
+            return [{ type: 'update', taskId: task.id, changes }];
+        }), (count) => (completedStatus ? t('actions.bulkCompleted', { count }) : t('actions.bulkReopened', { count })));
+    };
 
-        setupFirebase();
-    }, []); // Run once on component mount
+    // Projects only hold the user's own tasks, so shared-list tasks stay where they are
+    const handleBulkMove = (ids, projectId, describe) => {
+        const ownIds = ids.filter(id => !getListIdOf(id));
+        if (ownIds.length === 0) {
+            notify(t('actions.bulkMoveShared'), 'info');
+            return false;
+        }
+        return handleBulkUpdate(ownIds, { projectId: projectId || null }, describe);
+    };
 
-    return (
-        <FirebaseContext.Provider value={{ db, auth, currentUser, userId, isFirebaseReady }}>
-            {children}
-        </FirebaseContext.Provider>
-    );
+    const handleBulkDelete = (ids) => runBulkAction(ids, (editable) => editable.map(task => ({ type: 'update', taskId: task.id, changes: { deletedAt: Date.now() } })), (count) => t('actions.bulkTrashed', { count }), {
+        actions: [{ label: t('app.undo'), onClick: () => handleBulkRestore(getBulkTargets(ids).editable.map(task => task.id)) }],
+    });
+
+    // Runs from the Undo toast, whose closure still sees the tasks as they were before the delete
+    const handleBulkRestore = (ids) => {
+        if (!applyBatch(ids.map(id => ({ type: 'update', taskId: id, changes: { deletedAt: null } })))) {
+            notify(t('actions.bulkTooMany', { count: MAX_BATCH_OPERATIONS }), 'error');
+            return false;
+        }
+        notify(withSyncNote(t('actions.bulkRestored', { count: ids.length })), 'success');
+        return true;
+    };
+
+    // Imports are queued like any other change, in batches that each fit one write
+    const handleImportTasks = (importedTasks) => {
+        if (!userId) {
+            notify(t('actions.loginToImport'), 'info');
+            onNavigate(buildPath('/login'));
+            return false;
+        }
+        for (let start = 0; start < importedTasks.length; start += MAX_BATCH_OPERATIONS) {
+            applyBatch(importedTasks.slice(start, start + MAX_BATCH_OPERATIONS).map(taskData => ({ type: 'add', data: taskData.recurrence ? startSeries(taskData) : taskData })));
+        }
+        notify(withSyncNote(t('actions.imported', { count: importedTasks.length })), 'success');
+        return true;
+    };
+
+    return {
+        handleAddTask, handleUpdateTask, handleToggleComplete, handleUpdateSubtasks, handleDeleteTask, handleRestoreTask, handleDeleteForever, handleMoveTask, handleRevertTask, handleImportTasks,
+        handleBulkUpdate, handleBulkComplete, handleBulkMove, handleBulkDelete,
+    };
 };
 
-// --- Custom Message Box Component ---
-const Message = () => {
-    const [isVisible, setIsVisible] = useState(false);
-    const [currentMessage, setCurrentMessage] = useState('');
-    const [messageType, setMessageType] = useState('info');
-    const timeoutRef = useRef(null);
+// --- Dashboard Page Component ---
+const DashboardPage = ({ route, onNavigate }) => {
+    const i18n = useContext(I18nContext);
+    const { t, formatDate } = i18n;
+    const { currentUser, userId } = useContext(FirebaseContext);
+    const { tasks, isLoading, hasMoreCompleted, isLoadingCompleted, loadMoreCompleted, loadCompleted, hasAllCompleted, loadAllCompleted } = useContext(TaskContext);
+    const { projects } = useContext(ProjectContext);
+    const { lists } = useContext(SharedListContext);
+    const { isOverlayOpen } = useContext(CommandContext);
+    const { preferences } = useContext(SettingsContext);
+    const {
+        handleAddTask, handleUpdateTask, handleToggleComplete, handleUpdateSubtasks, handleDeleteTask, handleMoveTask, handleImportTasks,
+        handleBulkUpdate, handleBulkComplete, handleBulkMove, handleBulkDelete,
+    } = useTaskActions(onNavigate);
+    const [storedFilters, setStoredFilters] = usePersistentState(STORED_FILTERS_KEY, getPresetFilters(preferences.defaultFilter));
+    const [boardColumns, setBoardColumns] = usePersistentState(`taskflow:${appId}:boardColumns`, DEFAULT_BOARD_COLUMNS);
+    const [isEditingColumns, setIsEditingColumns] = useState(false);
+    const [isTransferOpen, setIsTransferOpen] = useState(false);
+    const [editingTask, setEditingTask] = useState(null);
+    const [draftDefaults, setDraftDefaults] = useState(null); // { dueDate, nonce } from a clicked calendar day or the new-task shortcut
+    const [activeTaskId, setActiveTaskId] = useState(null); // Task selected with j/k in the list view
+    const [selectedIds, setSelectedIds] = useState([]); // Checked tasks for bulk actions
+    const selectionAnchorRef = useRef(null); // Last checked task, where a shift-click range starts
+    const searchRef = useRef(null);
+
+    // The query string is the source of truth so filtered views can be linked; the stored copy
+    // restores the last view when the app is opened without one
+    const filters = hasFilterQuery(route.query) ? filtersFromQuery(route.query) : storedFilters;
+    const view = ['board', 'calendar'].includes(route.query.view) ? route.query.view : 'list';
+    const calendar = {
+        mode: CALENDAR_MODES.includes(route.query.cal) ? route.query.cal : 'month',
+        date: isValidDateString(route.query.date || '') ? route.query.date : '',
+    };
+    const getDashboardPath = (nextFilters, nextView, nextCalendar = calendar) => buildPath('/', {
+        ...filtersToQuery(nextFilters),
+        view: nextView !== 'list' ? nextView : undefined,
+        cal: nextView === 'calendar' && nextCalendar.mode !== 'month' ? nextCalendar.mode : undefined,
+        date: nextView === 'calendar' ? nextCalendar.date : undefined,
+    });
+    const dashboardPath = getDashboardPath(filters, view);
 
     useEffect(() => {
-        // Expose a global function to show messages
-        window.showMessage = (msg, msgType = 'info') => {
-            if (timeoutRef.current) {
-                clearTimeout(timeoutRef.current);
-            }
-            setCurrentMessage(msg);
-            setMessageType(msgType);
-            setIsVisible(true);
-            timeoutRef.current = setTimeout(() => {
-                setIsVisible(false);
-            }, 3000); // Hide after 3 seconds
-        };
+        if (buildPath(route.path, route.query) !== dashboardPath) {
+            onNavigate(dashboardPath, { replace: true });
+        }
+    }, [route, dashboardPath, onNavigate]);
 
-        return () => {
-            if (timeoutRef.current) {
-                clearTimeout(timeoutRef.current);
-            }
-            delete window.showMessage; // Clean up global function
-        };
-    }, []);
+    const setFilters = (nextFilters) => {
+        setStoredFilters(nextFilters);
+        onNavigate(getDashboardPath(nextFilters, view), { replace: true });
+    };
 
-    const bgColorClass = {
-        success: 'bg-green-600',
-        error: 'bg-red-600',
-        info: 'bg-blue-600',
-    }[messageType];
+    const setView = (nextView) => {
+        onNavigate(getDashboardPath(filters, nextView));
+    };
 
-    return (
-        <div
-            id="message-box"
-            className={`fixed bottom-4 left-1/2 transform -translate-x-1/2 text-white px-6 py-3 rounded-md shadow-lg z-50 transition-opacity duration-300 ${bgColorClass} ${isVisible ? 'opacity-100' : 'opacity-0 hidden'}`}
-        >
-            <span id="message-text">{currentMessage}</span>
-        </div>
-    );
-};
+    const setCalendar = (changes) => {
+        onNavigate(getDashboardPath(filters, 'calendar', { ...calendar, ...changes }), { replace: true });
+    };
 
-// --- Header Component ---
-const Header = ({ onNavigate, currentUser, onLogout }) => {
-    return (
-        <header className="bg-gradient-to-r from-blue-600 to-purple-600 text-white shadow-md py-4 px-6 flex items-center justify-between sticky top-0 z-10 rounded-b-lg">
-            <div className="flex items-center space-x-3">
-                <svg className="h-8 w-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01"></path>
-                </svg>
-                <h1 className="text-2xl font-bold">TaskFlow Dashboard</h1>
+    // Completed tasks are only fetched when the filters can match some, a page at a time and
+    // filtered by the query as far as it can; exports need them all
+    const completedClauses = getCompletedTaskClauses(filters, getTodayString(), preferences.weekStartsOn);
+    const showsCompleted = completedClauses !== null;
+    const completedClausesKey = JSON.stringify(completedClauses);
+    useEffect(() => {
+        if (showsCompleted) loadCompleted(completedClauses);
+    }, [completedClausesKey, loadCompleted]);
+
+    useEffect(() => {
+        if (isTransferOpen) loadAllCompleted();
+    }, [isTransferOpen, loadAllCompleted]);
+
+    const handleEndReached = () => {
+        if (showsCompleted && hasMoreCompleted && !isLoadingCompleted) loadMoreCompleted();
+    };
+
+    const handleSelectDay = (dueDate) => {
+        setEditingTask(null);
+        setDraftDefaults({ dueDate, nonce: Date.now() });
+    };
+
+    const handleSaveTask = (id, updatedData, scope) => {
+        handleUpdateTask(id, updatedData, scope);
+        setEditingTask(null); // Exit editing mode
+    };
+
+    const handleEditTask = (task) => {
+        setEditingTask(task);
+    };
+
+    const handleCancelEdit = () => {
+        setEditingTask(null);
+    };
+
+    const completedCountBySeries = tasks.reduce((counts, task) => {
+        if (task.seriesId && task.completed) counts[task.seriesId] = (counts[task.seriesId] || 0) + 1;
+        return counts;
+    }, {});
+
+    const today = getTodayString();
+    const filteredTasks = sortTasks(tasks.filter(task => matchesFilters(task, filters, today, userId, preferences.weekStartsOn)), filters.sortBy, filters.sortDirection);
+    const hasNarrowingFilters = getFilterChips(filters, projects, lists, i18n).some(chip => chip.key !== 'status');
+    // Shared lists show up wherever a task's project would
+    const projectsById = Object.fromEntries([...projects, ...lists].map(project => [project.id, project]));
+
+    // Bulk actions only touch checked tasks that the current filters still show
+    const filteredIds = filteredTasks.map(task => task.id);
+    const visibleSelectedIds = selectedIds.filter(id => filteredIds.includes(id));
+
+    const handleSelectTask = (task, isRange) => {
+        const isSelecting = !selectedIds.includes(task.id);
+        const anchorIndex = filteredIds.indexOf(selectionAnchorRef.current);
+        const index = filteredIds.indexOf(task.id);
+        const ids = isRange && anchorIndex >= 0 ? filteredIds.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1) : [task.id];
+        setSelectedIds(current => (isSelecting ? Array.from(new Set([...current, ...ids])) : current.filter(id => !ids.includes(id))));
+        selectionAnchorRef.current = task.id;
+    };
+
+    const toggleSelectAll = () => {
+        setSelectedIds(visibleSelectedIds.length === filteredIds.length ? [] : filteredIds);
+    };
+
+    const clearSelection = () => {
+        setSelectedIds([]);
+        selectionAnchorRef.current = null;
+    };
+
+    const handleBulkDeleteSelected = () => {
+        if (handleBulkDelete(visibleSelectedIds)) clearSelection();
+    };
+
+    const activeIndex = view === 'list' ? filteredTasks.findIndex(task => task.id === activeTaskId) : -1;
+    const activeTask = activeIndex >= 0 ? filteredTasks[activeIndex] : null;
+
+    const selectRelativeTask = (step) => {
+        if (view !== 'list' || filteredTasks.length === 0) return;
+        const nextIndex = activeIndex < 0 ? (step > 0 ? 0 : filteredTasks.length - 1) : Math.min(filteredTasks.length - 1, Math.max(0, activeIndex + step));
+        setActiveTaskId(filteredTasks[nextIndex].id);
+    };
+
+    const startNewTask = () => {
+        setEditingTask(null);
+        setDraftDefaults({ nonce: Date.now() });
+    };
+
+    const focusSearch = () => {
+        if (searchRef.current) searchRef.current.focus();
+    };
+
+    // The selection moves to the neighbouring task so deleting several in a row stays on the keyboard
+    const deleteActiveTask = () => {
+        const neighbour = filteredTasks[activeIndex + 1] || filteredTasks[activeIndex - 1];
+        if (handleDeleteTask(activeTask.id)) setActiveTaskId(neighbour ? neighbour.id : null);
+    };
+
+    useKeyboardShortcuts({
+        j: () => selectRelativeTask(1),
+        k: () => selectRelativeTask(-1),
+        x: () => activeTask && handleToggleComplete(activeTask.id, !activeTask.completed),
+        e: () => activeTask && handleEditTask(activeTask),
+        '#': () => activeTask && deleteActiveTask(),
+        n: startNewTask,
+        '/': focusSearch,
+    }, !!currentUser && !isLoading && !isOverlayOpen);
+
+    useCommands('dashboard', [
+        { id: 'new-task', label: t('commands.newTask'), group: t('commands.group.tasks'), shortcut: 'n', run: startNewTask },
+        { id: 'search', label: t('filters.searchLabel'), group: t('commands.group.filters'), shortcut: '/', run: focusSearch },
+        { id: 'view-list', label: t('commands.listView'), group: t('commands.group.view'), run: () => setView('list') },
+        { id: 'view-board', label: t('commands.boardView'), group: t('commands.group.view'), run: () => setView('board') },
+        { id: 'view-calendar', label: t('commands.calendarView'), group: t('commands.group.view'), run: () => setView('calendar') },
+        { id: 'show-active', label: t('commands.showActive'), group: t('commands.group.filters'), run: () => setFilters({ ...filters, status: 'Active' }) },
+        { id: 'show-completed', label: t('commands.showCompleted'), group: t('commands.group.filters'), run: () => setFilters({ ...filters, status: 'Completed' }) },
+        { id: 'clear-filters', label: t('commands.clearFilters'), group: t('commands.group.filters'), run: () => setFilters({ ...DEFAULT_FILTERS, sortBy: filters.sortBy, sortDirection: filters.sortDirection }) },
+        { id: 'import-export', label: t('commands.importExport'), group: t('commands.group.tasks'), run: () => setIsTransferOpen(true) },
+    ]);
+
+    if (!currentUser) {
+        // The link sits inside the sentence, wherever the language puts it
+        const [beforeLink, afterLink] = t('dashboard.loginPrompt').split('{link}');
+        return (
+            <div className="text-center text-gray-600 text-lg mt-20 p-6 bg-white rounded-lg shadow-md max-w-md mx-auto">
+                {beforeLink}<span className="text-blue-600 cursor-pointer" onClick={() => onNavigate(buildPath('/login'))}>{t('dashboard.loginLink')}</span>{afterLink}
             </div>
-            <div className="flex items-center space-x-4">
-                {currentUser && currentUser.email ? (
-                    <>
-                        <span className="text-sm font-medium hidden md:block">Welcome, {currentUser.email.split('@')[0]}!</span>
-                        <button
-                            className="bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-md transition-colors duration-200 shadow-sm"
-                            onClick={onLogout}
-                        >
-                            Logout
+        );
+    }
+
+    if (isLoading) {
+        return <div className="text-center text-gray-400 text-xl mt-20">{t('dashboard.loadingTasks')}</div>;
+    }
+
+    return (
+        <div className="p-6 md:flex md:items-start md:space-x-6 md:rtl:space-x-reverse">
+            <ProjectSidebar tasks={tasks} filters={filters} onFiltersChange={setFilters} />
+            <div className="flex-grow min-w-0">
+                <QuickAddBar onAddTask={handleAddTask} />
+                <TaskForm
+                    onAddTask={handleAddTask}
+                    editingTask={editingTask}
+                    draftDefaults={draftDefaults}
+                    onUpdateTask={handleSaveTask}
+                    onCancelEdit={handleCancelEdit}
+                />
+                <FilterBar filters={filters} onFiltersChange={setFilters} projects={projects} lists={lists} searchRef={searchRef} />
+                <div className="flex items-center justify-between mb-4">
+                    <div className="inline-flex rounded-md shadow-sm" role="group" aria-label={t('dashboard.viewLabel')}>
+                        {['list', 'board', 'calendar'].map(value => (
+                            <button
+                                key={value}
+                                type="button"
+                                className={`px-4 py-2 text-sm font-medium first:rounded-s-md last:rounded-e-md transition-colors duration-200 ${view === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+                                onClick={() => setView(value)}
+                                aria-pressed={view === value}
+                            >
+                                {t(`dashboard.view.${value}`)}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="space-x-4 rtl:space-x-reverse">
+                        {view === 'board' && (
+                            <button type="button" className="text-sm text-gray-600 hover:underline" onClick={() => setIsEditingColumns(!isEditingColumns)}>
+                                {t('dashboard.editColumns')}
+                            </button>
+                        )}
+                        <button type="button" className="text-sm text-gray-600 hover:underline" onClick={() => setIsTransferOpen(!isTransferOpen)} aria-expanded={isTransferOpen}>
+                            {t('dashboard.importExport')}
                         </button>
-                    </>
-                ) : (
-                    <button
-                        className="bg-green-500 hover:bg-green-600 text-white px-4 py-2 rounded-md transition-colors duration-200 shadow-sm"
-                        onClick={() => onNavigate('login')}
-                    >
-                        Login / Register
-                    </button>
+                    </div>
+                </div>
+                {isTransferOpen && (
+                    <TaskTransferPanel tasks={tasks} filteredTasks={filteredTasks} projects={projects} isLoadingTasks={!hasAllCompleted} onImport={handleImportTasks} onClose={() => setIsTransferOpen(false)} />
+                )}
+                {view === 'board' && isEditingColumns && (
+                    <BoardColumnEditor columns={boardColumns} onChange={setBoardColumns} onClose={() => setIsEditingColumns(false)} />
+                )}
+                {view === 'board' && (
+                    <KanbanBoard tasks={filteredTasks} columns={boardColumns} projectsById={projectsById} onMoveTask={handleMoveTask} />
+                )}
+                {view === 'calendar' && (
+                    <CalendarView
+                        tasks={filteredTasks}
+                        mode={calendar.mode}
+                        date={calendar.date || today}
+                        projectsById={projectsById}
+                        onModeChange={(mode) => setCalendar({ mode })}
+                        onDateChange={(date) => setCalendar({ date: date === today ? '' : date })}
+                        onReschedule={(id, dueDate) => handleUpdateTask(id, { dueDate })}
+                        onSelectDay={handleSelectDay}
+                        onOpenTask={(id) => onNavigate(getTaskPath(id))}
+                    />
+                )}
+                {view === 'list' && filteredTasks.length > 0 && (
+                    <BulkActionBar
+                        selectedCount={visibleSelectedIds.length}
+                        totalCount={filteredTasks.length}
+                        projects={projects}
+                        onToggleAll={toggleSelectAll}
+                        onClear={clearSelection}
+                        onComplete={(completed) => handleBulkComplete(visibleSelectedIds, completed)}
+                        onSetPriority={(priority) => handleBulkUpdate(visibleSelectedIds, { priority }, (count) => t('actions.bulkPriority', { count, priority: t(`priority.${priority}`) }))}
+                        onSetDueDate={(dueDate) => handleBulkUpdate(visibleSelectedIds, { dueDate }, (count) => (dueDate ? t('actions.bulkDueDate', { count, date: formatDate(dueDate) }) : t('actions.bulkClearDueDate', { count })))}
+                        onMove={(projectId) => handleBulkMove(visibleSelectedIds, projectId, (count) => t('actions.bulkMoved', { count, project: projectId ? projectsById[projectId].name : t('project.none') }))}
+                        onDelete={handleBulkDeleteSelected}
+                    />
+                )}
+                {view === 'list' && (
+                    <div>
+                        {filteredTasks.length > 0 ? (
+                            <VirtualList
+                                items={filteredTasks}
+                                getKey={task => task.id}
+                                estimatedHeight={140}
+                                rowClassName="pb-4"
+                                scrollToIndex={activeIndex}
+                                onEndReached={handleEndReached}
+                                renderItem={task => (
+                                    <TaskItem
+                                        task={task}
+                                        project={projectsById[task.listId || task.projectId]}
+                                        assigneeLabel={task.assigneeId ? getMemberLabel(projectsById[task.listId], task.assigneeId, userId, t) : null}
+                                        isActive={task.id === activeTaskId}
+                                        isSelected={selectedIds.includes(task.id)}
+                                        onSelect={handleSelectTask}
+                                        onToggleComplete={handleToggleComplete}
+                                        onEditTask={handleEditTask}
+                                        onDeleteTask={handleDeleteTask}
+                                        onUpdateSubtasks={handleUpdateSubtasks}
+                                        completedOccurrences={task.seriesId ? completedCountBySeries[task.seriesId] || 0 : 0}
+                                    />
+                                )}
+                            />
+                        ) : !(showsCompleted && isLoadingCompleted) && (
+                            <p className="text-center text-gray-600 text-lg mt-10 p-6 bg-white rounded-lg shadow-md">
+                                {hasNarrowingFilters && t('dashboard.noMatches')}
+                                {!hasNarrowingFilters && filters.status === 'All' && t('dashboard.emptyAll')}
+                                {!hasNarrowingFilters && filters.status === 'Active' && t('dashboard.emptyActive')}
+                                {!hasNarrowingFilters && filters.status === 'Completed' && t('dashboard.emptyCompleted')}
+                            </p>
+                        )}
+                    </div>
+                )}
+                {showsCompleted && (isLoadingCompleted || hasMoreCompleted) && (
+                    <div className="text-center mt-4">
+                        {isLoadingCompleted ? (
+                            <p className="text-sm text-gray-500">{t('dashboard.loadingCompleted')}</p>
+                        ) : (
+                            <button type="button" className="text-sm text-blue-600 hover:underline" onClick={loadMoreCompleted}>
+                                {t('dashboard.loadOlderCompleted')}
+                            </button>
+                        )}
+                    </div>
                 )}
             </div>
-        </header>
+        </div>
     );
 };
 
-// --- Task Form Component ---
-const TaskForm = ({ onAddTask, editingTask, onUpdateTask, onCancelEdit }) => {
-    const [title, setTitle] = useState('');
-    const [description, setDescription] = useState('');
-    const [dueDate, setDueDate] = useState('');
-    const [priority, setPriority] = useState('Medium');
+// --- Task Detail Page Component ---
+const TaskDetailPage = ({ taskId, onNavigate }) => {
+    const { notify } = useContext(NotificationContext);
+    const { t, language, formatDate } = useContext(I18nContext);
+    const { userId } = useContext(FirebaseContext);
+    const { tasks, trashedTasks, isLoading, hasAllCompleted, loadAllCompleted } = useContext(TaskContext);
+    const { lists } = useContext(SharedListContext);
+    const { policy } = useContext(ReminderContext);
+    const { handleUpdateTask, handleToggleComplete, handleUpdateSubtasks, handleDeleteTask, handleRestoreTask, handleRevertTask } = useTaskActions(onNavigate);
+    const [isEditing, setIsEditing] = useState(false);
+    const task = tasks.find(candidate => candidate.id === taskId);
+    const list = task && task.listId ? lists.find(candidate => candidate.id === task.listId) : null;
+    const isTrashed = !task && trashedTasks.some(candidate => candidate.id === taskId);
+    const isMissing = !isLoading && !task && !isTrashed;
 
+    // Older completed tasks may not be loaded yet when a link leads straight to one
     useEffect(() => {
-        if (editingTask) {
-            setTitle(editingTask.title);
-            setDescription(editingTask.description);
-            setDueDate(editingTask.dueDate || '');
-            setPriority(editingTask.priority || 'Medium');
-        } else {
-            setTitle('');
-            setDescription('');
-            setDueDate('');
-            setPriority('Medium');
-        }
-    }, [editingTask]);
+        if (isMissing) loadAllCompleted();
+    }, [isMissing, loadAllCompleted]);
 
-    const handleSubmit = (e) => {
-        e.preventDefault();
-        if (!title.trim()) {
-            window.showMessage('Task title cannot be empty.', 'error');
-            return;
-        }
+    const handleSave = (id, updatedData, scope) => {
+        handleUpdateTask(id, updatedData, scope);
+        setIsEditing(false);
+    };
 
-        const taskData = {
-            title: title.trim(),
-            description: description.trim(),
-            dueDate: dueDate,
-            priority: priority,
-            completed: editingTask ? editingTask.completed : false, // Preserve status on edit
-        };
+    const handleDelete = () => {
+        if (handleDeleteTask(task.id)) {
+            onNavigate('/');
+        }
+    };
 
-        if (editingTask) {
-            onUpdateTask(editingTask.id, taskData);
-        } else {
-            onAddTask(taskData);
+    const handleCopyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            notify(t('detail.linkCopied'), 'success');
+        } catch (error) {
+            console.error("Clipboard error:", error);
+            notify(t('detail.copyFailed'), 'error');
         }
-        // Reset form
-        setTitle('');
-        setDescription('');
-        setDueDate('');
-        setPriority('Medium');
     };
 
+    if (isLoading || (isMissing && !hasAllCompleted)) {
+        return <div className="text-center text-gray-400 text-xl mt-20">{t('detail.loading')}</div>;
+    }
+
+    if (isTrashed) {
+        return (
+            <div className="text-center text-gray-600 text-lg mt-20 p-6 bg-white rounded-lg shadow-md max-w-md mx-auto">
+                <p className="mb-4">{t('detail.inTrash')}</p>
+                <button type="button" className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md transition-colors duration-200 mb-4" onClick={() => handleRestoreTask(taskId)}>
+                    {t('detail.restore')}
+                </button>
+                <div><a href="#/trash" className="text-blue-600 hover:underline">{t('commands.goTrash')}</a></div>
+            </div>
+        );
+    }
+
+    if (!task) {
+        return (
+            <div className="text-center text-gray-600 text-lg mt-20 p-6 bg-white rounded-lg shadow-md max-w-md mx-auto">
+                <p className="mb-4">{t('detail.notFound')}</p>
+                <a href="#/" className="text-blue-600 hover:underline">{t('settings.back')}</a>
+            </div>
+        );
+    }
+
+    const subtasks = task.subtasks || [];
+
     return (
-        <div className="bg-white p-6 rounded-lg shadow-md mb-8">
-            <h2 className="text-2xl font-bold text-gray-800 mb-4">{editingTask ? 'Edit Task' : 'Add New Task'}</h2>
-            <form onSubmit={handleSubmit} className="space-y-4">
-                <div>
-                    <label htmlFor="title" className="block text-gray-700 text-sm font-bold mb-2">Title:</label>
-                    <input type="text" id="title" className="shadow appearance-none border rounded-md w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-blue-500 focus:border-blue-500" value={title} onChange={(e) => setTitle(e.target.value)} required />
-                </div>
-                <div>
-                    <label htmlFor="description" className="block text-gray-700 text-sm font-bold mb-2">Description (Optional):</label>
-                    <textarea id="description" rows="3" className="shadow appearance-none border rounded-md w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-blue-500 focus:border-blue-500" value={description} onChange={(e) => setDescription(e.target.value)}></textarea>
-                </div>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                    <div>
-                        <label htmlFor="dueDate" className="block text-gray-700 text-sm font-bold mb-2">Due Date (Optional):</label>
-                        <input type="date" id="dueDate" className="shadow appearance-none border rounded-md w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-blue-500 focus:border-blue-500" value={dueDate} onChange={(e) => setDueDate(e.target.value)} />
-                    </div>
-                    <div>
-                        <label htmlFor="priority" className="block text-gray-700 text-sm font-bold mb-2">Priority:</label>
-                        <select id="priority" className="shadow appearance-none border rounded-md w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-blue-500 focus:border-blue-500" value={priority} onChange={(e) => setPriority(e.target.value)}>
-                            <option value="High">High</option>
-                            <option value="Medium">Medium</option>
-                            <option value="Low">Low</option>
-                        </select>
+        <div className="p-6 max-w-3xl mx-auto">
+            <a href="#/" className="inline-block text-blue-600 hover:underline mb-4">{t('settings.back')}</a>
+            {isEditing ? (
+                <TaskForm editingTask={task} onUpdateTask={handleSave} onCancelEdit={() => setIsEditing(false)} />
+            ) : (
+                <div className={`bg-white p-6 rounded-lg shadow-md border-s-4 ${task.completed ? 'border-green-500' : 'border-blue-500'}`}>
+                    <div className="flex items-start justify-between mb-4">
+                        <h2 className={`text-2xl font-bold ${task.completed ? 'line-through text-gray-500' : 'text-gray-800'}`}>{task.title}</h2>
+                        <span className={`ms-4 px-3 py-1 rounded-full text-xs font-medium ${task.completed ? 'bg-green-100 text-green-800' : 'bg-blue-100 text-blue-800'}`}>
+                            {task.completed ? t('detail.completed') : t('detail.active')}
+                        </span>
                     </div>
-                </div>
-                <div className="flex space-x-4">
-                    <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-6 rounded-md transition-colors duration-200 shadow-md">
-                        {editingTask ? 'Update Task' : 'Add Task'}
-                    </button>
-                    {editingTask && (
-                        <button type="button" className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-6 rounded-md transition-colors duration-200 shadow-md" onClick={onCancelEdit}>
-                            Cancel
+                    {task.description && <p className="text-gray-700 whitespace-pre-wrap mb-4">{task.description}</p>}
+                    <dl className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm mb-4">
+                        <div>
+                            <dt className="font-bold text-gray-700">{t('detail.dueDate')}</dt>
+                            <dd className="text-gray-600">{task.dueDate ? formatDate(task.dueDate) : t('detail.none')}</dd>
+                        </div>
+                        <div>
+                            <dt className="font-bold text-gray-700">{t('detail.priority')}</dt>
+                            <dd className="text-gray-600">{t(`priority.${task.priority}`)}</dd>
+                        </div>
+                        {list && (
+                            <div>
+                                <dt className="font-bold text-gray-700">{t('detail.sharedList')}</dt>
+                                <dd className="text-gray-600">{list.name}</dd>
+                            </div>
+                        )}
+                        {list && (
+                            <div>
+                                <dt className="font-bold text-gray-700">{t('detail.assignee')}</dt>
+                                <dd className="text-gray-600">{task.assigneeId ? getMemberLabel(list, task.assigneeId, userId, t) : t('form.unassigned')}</dd>
+                            </div>
+                        )}
+                        {task.completed && toMillis(task.completedAt) && (
+                            <div>
+                                <dt className="font-bold text-gray-700">{t('detail.completedAt')}</dt>
+                                <dd className="text-gray-600">{new Date(toMillis(task.completedAt)).toLocaleString(language)}</dd>
+                            </div>
+                        )}
+                        {task.recurrence && (
+                            <div>
+                                <dt className="font-bold text-gray-700">{t('detail.repeats')}</dt>
+                                <dd className="text-gray-600">{describeRecurrence(task.recurrence, t, formatDate)}</dd>
+                            </div>
+                        )}
+                        {task.dueDate && (
+                            <div>
+                                <dt className="font-bold text-gray-700">{t('detail.reminder')}</dt>
+                                <dd className="text-gray-600">{describeReminder(task.reminder || policy.reminder, t)}{!task.reminder && t('reminder.isDefault')}</dd>
+                            </div>
+                        )}
+                    </dl>
+                    <h3 className="font-bold text-gray-700 text-sm">{t('detail.checklist')} {subtasks.length > 0 && `(${subtasks.filter(subtask => subtask.done).length}/${subtasks.length})`}</h3>
+                    <SubtaskChecklist subtasks={subtasks} onChange={(updatedSubtasks) => handleUpdateSubtasks(task, updatedSubtasks)} />
+                    <div className="flex flex-wrap gap-2 mt-6">
+                        <button
+                            className={`px-4 py-2 rounded-md text-sm font-medium ${task.completed ? 'bg-yellow-500 hover:bg-yellow-600' : 'bg-green-500 hover:bg-green-600'} text-white transition-colors duration-200`}
+                            onClick={() => handleToggleComplete(task.id, !task.completed)}
+                        >
+                            {task.completed ? t('task.unmark') : t('task.complete')}
                         </button>
-                    )}
+                        <button className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors duration-200" onClick={() => setIsEditing(true)}>
+                            {t('task.edit')}
+                        </button>
+                        <button className="bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors duration-200" onClick={handleDelete}>
+                            {t('task.delete')}
+                        </button>
+                        <button className="bg-gray-200 hover:bg-gray-300 text-gray-700 px-4 py-2 rounded-md text-sm font-medium transition-colors duration-200" onClick={handleCopyLink}>
+                            {t('detail.copyLink')}
+                        </button>
+                    </div>
                 </div>
-            </form>
+            )}
+            <div className="bg-white p-6 rounded-lg shadow-md mt-6">
+                <h3 className="font-bold text-gray-700 mb-4">{t('detail.history')}</h3>
+                <TaskHistory task={task} onRevert={(entries, entry) => handleRevertTask(task, entries, entry)} />
+            </div>
         </div>
     );
 };
 
-// --- Task Item Component ---
-const TaskItem = ({ task, onToggleComplete, onEditTask, onDeleteTask }) => {
-    const priorityColors = {
-        High: 'bg-red-100 text-red-800',
-        Medium: 'bg-yellow-100 text-yellow-800',
-        Low: 'bg-green-100 text-green-800',
-    };
+// --- Trash Page Component ---
+const TrashPage = ({ onNavigate }) => {
+    const { t, language } = useContext(I18nContext);
+    const { trashedTasks, isLoading, hasAllCompleted, loadAllCompleted, trashRetentionDays, setTrashRetentionDays } = useContext(TaskContext);
+    const { handleRestoreTask, handleDeleteForever } = useTaskActions(onNavigate);
+
+    // Trashed tasks that were completed are among the completed tasks, which load on demand
+    useEffect(() => {
+        loadAllCompleted();
+    }, [loadAllCompleted]);
+
+    const sortedTasks = [...trashedTasks].sort((a, b) => toMillis(b.deletedAt) - toMillis(a.deletedAt)); // Most recently deleted first
+    const formatDeletedAt = (task) => new Date(toMillis(task.deletedAt)).toLocaleString(language);
+    const daysLeft = (task) => Math.max(0, Math.ceil((toMillis(task.deletedAt) + trashRetentionDays * DAY_MS - Date.now()) / DAY_MS));
+
+    if (isLoading) {
+        return <div className="text-center text-gray-400 text-xl mt-20">{t('trash.loading')}</div>;
+    }
 
     return (
-        <div className={`bg-white p-5 rounded-lg shadow-sm flex flex-col md:flex-row items-start md:items-center justify-between transition-all duration-200 ${task.completed ? 'opacity-70 border-l-4 border-green-500' : 'border-l-4 border-blue-500'}`}>
-            <div className="flex-grow mb-3 md:mb-0">
-                <h3 className={`text-lg font-semibold ${task.completed ? 'line-through text-gray-500' : 'text-gray-800'}`}>{task.title}</h3>
-                {task.description && <p className="text-gray-600 text-sm mt-1 line-clamp-2">{task.description}</p>}
-                <div className="flex items-center text-xs text-gray-500 mt-2 space-x-3">
-                    {task.dueDate && <span>📅 Due: {task.dueDate}</span>}
-                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${priorityColors[task.priority] || 'bg-gray-100 text-gray-800'}`}>{task.priority} Priority</span>
+        <div className="p-6 max-w-3xl mx-auto">
+            <a href="#/" className="inline-block text-blue-600 hover:underline mb-4">{t('settings.back')}</a>
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                    <h2 className="text-2xl font-bold text-gray-800">{t('trash.title')}</h2>
+                    <button
+                        type="button"
+                        disabled={sortedTasks.length === 0}
+                        className="bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white text-sm font-bold py-2 px-4 rounded-md transition-colors duration-200"
+                        onClick={() => handleDeleteForever(sortedTasks.map(task => task.id))}
+                    >
+                        {t('trash.empty')}
+                    </button>
                 </div>
-            </div>
-            <div className="flex space-x-2 flex-shrink-0">
-                <button
-                    className={`px-3 py-1 rounded-md text-sm font-medium ${task.completed ? 'bg-yellow-500 hover:bg-yellow-600' : 'bg-green-500 hover:bg-green-600'} text-white transition-colors duration-200`}
-                    onClick={() => onToggleComplete(task.id, !task.completed)}
-                >
-                    {task.completed ? 'Unmark' : 'Complete'}
-                </button>
-                <button
-                    className="bg-blue-500 hover:bg-blue-600 text-white px-3 py-1 rounded-md text-sm font-medium transition-colors duration-200"
-                    onClick={() => onEditTask(task)}
-                >
-                    Edit
-                </button>
-                <button
-                    className="bg-red-500 hover:bg-red-600 text-white px-3 py-1 rounded-md text-sm font-medium transition-colors duration-200"
-                    onClick={() => onDeleteTask(task.id)}
-                >
-                    Delete
-                </button>
+                <div className="flex items-center text-sm text-gray-700 mb-4">
+                    <label htmlFor="trashRetention" className="me-2">{t('trash.retention')}</label>
+                    <select id="trashRetention" className="border rounded-md py-1 px-2" value={trashRetentionDays} onChange={(e) => setTrashRetentionDays(Number(e.target.value))}>
+                        {TRASH_RETENTION_OPTIONS.map(days => (
+                            <option key={days} value={days}>{days ? t('trash.retentionDays', { count: days }) : t('trash.never')}</option>
+                        ))}
+                    </select>
+                </div>
+                {!hasAllCompleted && <p className="text-sm text-gray-500 mb-2">{t('dashboard.loadingCompleted')}</p>}
+                {sortedTasks.length > 0 ? (
+                    <ul className="divide-y">
+                        {sortedTasks.map(task => (
+                            <li key={task.id} className="flex flex-wrap items-center justify-between gap-2 py-3">
+                                <div className="min-w-0">
+                                    <p className="font-semibold text-gray-800 truncate">{task.title}</p>
+                                    <p className="text-xs text-gray-500">
+                                        {t('trash.deletedAt', { date: formatDeletedAt(task) })}
+                                        {trashRetentionDays > 0 && t('trash.removedIn', { count: daysLeft(task) })}
+                                    </p>
+                                </div>
+                                <div className="flex gap-2">
+                                    <button type="button" className="bg-blue-600 hover:bg-blue-700 text-white text-sm py-1 px-3 rounded-md transition-colors duration-200" onClick={() => handleRestoreTask(task.id)}>
+                                        {t('detail.restore')}
+                                    </button>
+                                    <button type="button" className="bg-gray-200 hover:bg-gray-300 text-red-700 text-sm py-1 px-3 rounded-md transition-colors duration-200" onClick={() => handleDeleteForever([task.id])}>
+                                        {t('trash.deleteForever')}
+                                    </button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <p className="text-center text-gray-600 py-6">{t('trash.isEmpty')}</p>
+                )}
             </div>
         </div>
     );
 };
 
-// --- Filter Bar Component ---
-const FilterBar = ({ filterStatus, onFilterChange }) => {
-    const filterOptions = ['All', 'Active', 'Completed'];
+// --- Insights Page Component ---
+const INSIGHTS_PRIORITY_COLORS = { High: 'bg-red-500', Medium: 'bg-yellow-500', Low: 'bg-green-500' };
 
+// Bars are scaled to the largest value; a visually hidden table carries the numbers for screen readers
+const InsightsBarChart = ({ title, buckets, series, formatBucket }) => {
+    const { t } = useContext(I18nContext);
+    const max = Math.max(1, ...buckets.flatMap(bucket => series.map(({ key }) => bucket[key] || 0)));
     return (
-        <div className="bg-white p-4 rounded-lg shadow-md mb-8 flex justify-center space-x-4">
-            {filterOptions.map(option => (
-                <button
-                    key={option}
-                    className={`px-5 py-2 rounded-full text-sm font-medium transition-colors duration-200 ${filterStatus === option ? 'bg-blue-600 text-white shadow-md' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
-                    onClick={() => onFilterChange(option)}
-                >
-                    {option}
-                </button>
-            ))}
-        </div>
+        <figure className="bg-white p-6 rounded-lg shadow-md">
+            <figcaption className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                <h3 className="font-bold text-gray-800">{title}</h3>
+                {series.length > 1 && (
+                    <span className="flex items-center gap-3 text-xs text-gray-600" aria-hidden="true">
+                        {series.map(({ key, label, color }) => (
+                            <span key={key}><span className={`inline-block w-2 h-2 rounded-full me-1 ${color}`}></span>{label}</span>
+                        ))}
+                    </span>
+                )}
+            </figcaption>
+            <div className="flex items-end h-40 gap-px border-b border-gray-300" aria-hidden="true">
+                {buckets.map(bucket => (
+                    <div
+                        key={bucket.start}
+                        className="flex-1 min-w-0 h-full flex items-end gap-px hover:bg-gray-50"
+                        title={`${formatBucket(bucket.start)}: ${series.map(({ key, label }) => `${bucket[key] ?? '–'} ${label.toLowerCase()}`).join(', ')}`}
+                    >
+                        {series.map(({ key, color }) => (
+                            <span key={key} className={`flex-1 rounded-t-sm ${color}`} style={{ height: `${((bucket[key] || 0) / max) * 100}%` }}></span>
+                        ))}
+                    </div>
+                ))}
+            </div>
+            <div className="flex justify-between text-xs text-gray-500 mt-1" aria-hidden="true">
+                <span>{formatBucket(buckets[0].start)}</span>
+                <span>{formatBucket(buckets[buckets.length - 1].start)}</span>
+            </div>
+            <table className="sr-only">
+                <caption>{title}</caption>
+                <thead>
+                    <tr>
+                        <th scope="col">{t('insights.period')}</th>
+                        {series.map(({ key, label }) => <th key={key} scope="col">{label}</th>)}
+                    </tr>
+                </thead>
+                <tbody>
+                    {buckets.map(bucket => (
+                        <tr key={bucket.start}>
+                            <th scope="row">{formatBucket(bucket.start)}</th>
+                            {series.map(({ key }) => <td key={key}>{bucket[key] ?? '–'}</td>)}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </figure>
     );
 };
 
-// --- Dashboard Page Component ---
-const DashboardPage = ({ onNavigate }) => {
-    const { db, currentUser, userId, isFirebaseReady } = useContext(FirebaseContext);
-    const [tasks, setTasks] = useState([]);
-    const [filterStatus, setFilterStatus] = useState('All');
-    const [editingTask, setEditingTask] = useState(null);
-    const [isLoading, setIsLoading] = useState(true);
+// The range lives in the query string (`?from=…&to=…&group=week`) so a view can be linked
+const InsightsPage = ({ route, onNavigate }) => {
+    const { t, language, formatDate } = useContext(I18nContext);
+    const { tasks, isLoading, hasAllCompleted, loadAllCompleted } = useContext(TaskContext);
+    const { preferences } = useContext(SettingsContext);
+    const today = getTodayString();
+    const defaultFrom = addDays(today, -(DEFAULT_INSIGHTS_RANGE - 1));
+    const from = isValidDateString(route.query.from || '') ? route.query.from : defaultFrom;
+    const to = isValidDateString(route.query.to || '') && route.query.to >= from ? route.query.to : today;
+    const rangeDays = getDaysBetween(from, to) + 1;
+    const grouping = ['day', 'week'].includes(route.query.group) ? route.query.group : (rangeDays > 31 ? 'week' : 'day');
+    const preset = to === today && INSIGHTS_RANGES.includes(rangeDays) ? rangeDays : '';
+
+    const setRange = (changes) => {
+        const next = { from, to, group: route.query.group, ...changes };
+        onNavigate(buildPath('/insights', {
+            from: next.from !== defaultFrom || next.to !== today ? next.from : undefined,
+            to: next.to !== today ? next.to : undefined,
+            group: next.group,
+        }), { replace: true });
+    };
 
-    // Fetch tasks from Firestore
+    // Statistics need every completed task, not just the pages the dashboard has loaded
     useEffect(() => {
-        if (!isFirebaseReady || !userId) {
-            setTasks([]); // Clear tasks if not logged in or Firebase not ready
-            setIsLoading(false);
-            return;
-        }
+        loadAllCompleted();
+    }, [loadAllCompleted]);
 
-        const tasksCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/tasks`);
-        const q = query(tasksCollectionRef, orderBy('timestamp', 'desc')); // Order by most recent
+    const { weekStartsOn } = preferences;
+    const insights = useMemo(() => computeInsights(tasks, { from, to, grouping, today, weekStartsOn }), [tasks, from, to, grouping, today, weekStartsOn]);
 
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const fetchedTasks = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
-            setTasks(fetchedTasks);
-            setIsLoading(false);
-        }, (error) => {
-            console.error("Error fetching tasks:", error);
-            window.showMessage('Failed to load tasks.', 'error');
-            setIsLoading(false);
-        });
+    const formatBucket = (dateString) => (grouping === 'week'
+        ? t('insights.weekOf', { date: formatDate(dateString, { month: 'short', day: 'numeric' }) })
+        : formatDate(dateString, { month: 'short', day: 'numeric' }));
+    const completionRate = insights.createdCount > 0
+        ? Math.round((insights.byPriority.reduce((sum, { completed }) => sum + completed, 0) / insights.createdCount) * 100)
+        : null;
 
-        return () => unsubscribe(); // Cleanup listener
-    }, [db, userId, isFirebaseReady]);
+    if (isLoading || !hasAllCompleted) {
+        return <div className="text-center text-gray-400 text-xl mt-20">{t('insights.loading')}</div>;
+    }
 
-    const handleAddTask = async (taskData) => {
-        if (!userId) {
-            window.showMessage('Please log in to add tasks.', 'info');
-            onNavigate('login');
-            return;
-        }
+    const summaries = [
+        [t('insights.created'), insights.createdCount],
+        [t('insights.completed'), insights.completedCount],
+        [t('insights.completionRate'), completionRate === null ? '–' : new Intl.NumberFormat(language, { style: 'percent' }).format(completionRate / 100)],
+        [t('insights.averageTime'), insights.averageCompletionMs === null ? '–' : formatDuration(insights.averageCompletionMs, language)],
+        [t('insights.currentStreak'), t('insights.days', { count: insights.streaks.current })],
+        [t('insights.longestStreak'), t('insights.days', { count: insights.streaks.longest })],
+    ];
+
+    return (
+        <div className="p-6 max-w-5xl mx-auto space-y-6">
+            <a href="#/" className="inline-block text-blue-600 hover:underline">{t('settings.back')}</a>
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <h2 className="text-2xl font-bold text-gray-800 mb-4">{t('insights.title')}</h2>
+                <div className="flex flex-wrap items-end gap-4 text-sm text-gray-700">
+                    <div>
+                        <label htmlFor="insightsRange" className="block font-bold mb-1">{t('insights.range')}</label>
+                        <select
+                            id="insightsRange"
+                            className="border rounded-md py-1 px-2"
+                            value={preset}
+                            onChange={(e) => e.target.value && setRange({ from: addDays(today, -(Number(e.target.value) - 1)), to: today, group: undefined })}
+                        >
+                            {INSIGHTS_RANGES.map(days => <option key={days} value={days}>{t('insights.lastDays', { count: days })}</option>)}
+                            <option value="" disabled>{t('insights.custom')}</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="insightsFrom" className="block font-bold mb-1">{t('insights.from')}</label>
+                        <input type="date" id="insightsFrom" className="border rounded-md py-1 px-2" max={to} value={from} onChange={(e) => isValidDateString(e.target.value) && setRange({ from: e.target.value })} />
+                    </div>
+                    <div>
+                        <label htmlFor="insightsTo" className="block font-bold mb-1">{t('insights.to')}</label>
+                        <input type="date" id="insightsTo" className="border rounded-md py-1 px-2" min={from} value={to} onChange={(e) => isValidDateString(e.target.value) && setRange({ to: e.target.value })} />
+                    </div>
+                    <div className="inline-flex rounded-md shadow-sm" role="group" aria-label={t('insights.groupBy')}>
+                        {[['day', 'daily'], ['week', 'weekly']].map(([value, label]) => (
+                            <button
+                                key={value}
+                                type="button"
+                                className={`px-3 py-1 font-medium first:rounded-s-md last:rounded-e-md border transition-colors duration-200 ${grouping === value ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+                                onClick={() => setRange({ group: value })}
+                                aria-pressed={grouping === value}
+                            >
+                                {t(`insights.${label}`)}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            </div>
+            <dl className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+                {summaries.map(([label, value]) => (
+                    <div key={label} className="bg-white p-4 rounded-lg shadow-md">
+                        <dt className="text-xs font-bold text-gray-500 uppercase">{label}</dt>
+                        <dd className="text-2xl font-bold text-gray-800 mt-1">{value}</dd>
+                    </div>
+                ))}
+            </dl>
+            <InsightsBarChart
+                title={t(`insights.createdVsCompleted.${grouping}`)}
+                buckets={insights.buckets}
+                series={[{ key: 'created', label: t('insights.created'), color: 'bg-blue-500' }, { key: 'completed', label: t('insights.completed'), color: 'bg-green-500' }]}
+                formatBucket={formatBucket}
+            />
+            <InsightsBarChart
+                title={t(`insights.overdueAtEnd.${grouping}`)}
+                buckets={insights.buckets}
+                series={[{ key: 'overdue', label: t('insights.overdue'), color: 'bg-red-500' }]}
+                formatBucket={formatBucket}
+            />
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <h3 className="font-bold text-gray-800 mb-4">{t('insights.byPriority')}</h3>
+                <p className="text-xs text-gray-500 mb-4">{t('insights.byPriorityHint')}</p>
+                <ul className="space-y-3">
+                    {insights.byPriority.map(({ priority, total, completed, rate }) => (
+                        <li key={priority} className="text-sm text-gray-700">
+                            <div className="flex justify-between mb-1">
+                                <span className="font-medium">{t(`priority.${priority}`)}</span>
+                                <span>{rate === null ? t('insights.noTasks') : t('insights.rate', { percent: Math.round(rate * 100), completed, total })}</span>
+                            </div>
+                            <span className="block h-2 bg-gray-200 rounded-full overflow-hidden" aria-hidden="true">
+                                <span className={`block h-full ${INSIGHTS_PRIORITY_COLORS[priority]}`} style={{ width: `${(rate || 0) * 100}%` }}></span>
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        </div>
+    );
+};
+
+// --- Settings Page Component ---
+const SettingsSection = ({ title, className = '', children }) => (
+    <section className={`bg-white p-6 rounded-lg shadow-md ${className}`}>
+        <h3 className="text-lg font-bold text-gray-800 mb-4">{title}</h3>
+        {children}
+    </section>
+);
+
+const SettingsPage = ({ onNavigate }) => {
+    const { notify } = useContext(NotificationContext);
+    const { t, formatDate } = useContext(I18nContext);
+    const { auth: firebaseAuth, currentUser, userId, changePassword, changeEmail, deleteAccount } = useContext(FirebaseContext);
+    const { syncStatus, discardFailed } = useContext(TaskContext);
+    const { profile, updateProfile, preferences, updatePreferences } = useContext(SettingsContext);
+    const [nameInput, setNameInput] = useState(profile.displayName);
+    const [initialsInput, setInitialsInput] = useState(profile.initials);
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    const [repeatPassword, setRepeatPassword] = useState('');
+    const [emailPassword, setEmailPassword] = useState('');
+    const [newEmail, setNewEmail] = useState('');
+    const [deletePassword, setDeletePassword] = useState('');
+    const [deleteConfirmation, setDeleteConfirmation] = useState('');
+    const [pendingAction, setPendingAction] = useState(null); // 'profile' | 'password' | 'email' | 'download' | 'delete' while one runs
+
+    // Guests and the local user have no credentials to change
+    const hasEmailAccount = !!(currentUser && currentUser.email && !currentUser.isAnonymous);
+    const hasFirebaseAccount = !!firebaseAuth;
+    const confirmationWord = t('settings.deleteConfirmWord');
+    // The avatar previews the unsaved inputs
+    const draftProfile = { displayName: nameInput, initials: initialsInput };
+    const previewName = getDisplayName(currentUser, draftProfile);
+
+    // The profile loads after the page when it is opened directly
+    useEffect(() => {
+        setNameInput(profile.displayName);
+        setInitialsInput(profile.initials);
+    }, [profile]);
+
+    const handleSaveProfile = async (e) => {
+        e.preventDefault();
+        setPendingAction('profile');
         try {
-            await addDoc(collection(db, `artifacts/${appId}/users/${userId}/tasks`), {
-                ...taskData,
-                timestamp: serverTimestamp(),
-            });
-            window.showMessage('Task added successfully!', 'success');
-        } catch (e) {
-            console.error("Error adding document: ", e);
-            window.showMessage('Failed to add task.', 'error');
+            await updateProfile({ displayName: nameInput.trim(), initials: initialsInput.trim().toUpperCase() });
+            notify(t('settings.profileSaved'), 'success');
+        } catch (error) {
+            console.error("Error saving profile:", error);
+            notify(t('settings.profileFailed'), 'error');
+        } finally {
+            setPendingAction(null);
         }
     };
 
-    const handleUpdateTask = async (id, updatedData) => {
-        if (!userId) {
-            window.showMessage('Please log in to update tasks.', 'info');
-            onNavigate('login');
+    const handleChangePassword = async (e) => {
+        e.preventDefault();
+        if (newPassword !== repeatPassword) {
+            notify(t('settings.passwordMismatch'), 'error');
             return;
         }
+        setPendingAction('password');
         try {
-            const taskDocRef = doc(db, `artifacts/${appId}/users/${userId}/tasks`, id);
-            await updateDoc(taskDocRef, updatedData);
-            window.showMessage('Task updated successfully!', 'success');
-            setEditingTask(null); // Exit editing mode
-        } catch (e) {
-            console.error("Error updating document: ", e);
-            window.showMessage('Failed to update task.', 'error');
+            await changePassword(currentPassword, newPassword);
+            setCurrentPassword('');
+            setNewPassword('');
+            setRepeatPassword('');
+            notify(t('settings.passwordChanged'), 'success');
+        } catch (error) {
+            console.error("Error changing password:", error);
+            notify(t(getAuthErrorMessageKey(error)), 'error');
+        } finally {
+            setPendingAction(null);
         }
     };
 
-    const handleToggleComplete = async (id, completedStatus) => {
-        if (!userId) {
-            window.showMessage('Please log in to update tasks.', 'info');
-            onNavigate('login');
+    const handleChangeEmail = async (e) => {
+        e.preventDefault();
+        const email = newEmail.trim();
+        if (email.toLowerCase() === currentUser.email.toLowerCase()) {
+            notify(t('settings.emailUnchanged'), 'info');
             return;
         }
+        setPendingAction('email');
         try {
-            const taskDocRef = doc(db, `artifacts/${appId}/users/${userId}/tasks`, id);
-            await updateDoc(taskDocRef, { completed: completedStatus });
-            window.showMessage(`Task marked as ${completedStatus ? 'completed' : 'active'}!`, 'success');
-        } catch (e) {
-            console.error("Error updating task status: ", e);
-            window.showMessage('Failed to update task status.', 'error');
+            await changeEmail(emailPassword, email);
+            setEmailPassword('');
+            setNewEmail('');
+            notify(t('settings.emailVerificationSent', { email }), 'success', { duration: 8000 });
+        } catch (error) {
+            console.error("Error changing email:", error);
+            notify(t(getAuthErrorMessageKey(error)), 'error');
+        } finally {
+            setPendingAction(null);
         }
     };
 
-    const handleDeleteTask = async (id) => {
-        if (!userId) {
-            window.showMessage('Please log in to delete tasks.', 'info');
-            onNavigate('login');
-            return;
-        }
-        if (window.confirm('Are you sure you want to delete this task?')) { // Using window.confirm for simplicity, custom modal for production
-            try {
-                const taskDocRef = doc(db, `artifacts/${appId}/users/${userId}/tasks`, id);
-                await deleteDoc(taskDocRef);
-                window.showMessage('Task deleted successfully!', 'success');
-            } catch (e) {
-                console.error("Error deleting document: ", e);
-                window.showMessage('Failed to delete task.', 'error');
-            }
+    const handleDefaultFilterChange = (defaultFilter) => {
+        updatePreferences({ defaultFilter });
+        // The dashboard restores the last filters it showed, so forget them to open with the new default
+        try {
+            localStorage.removeItem(STORED_FILTERS_KEY);
+        } catch (error) {
+            console.error(`Error removing ${STORED_FILTERS_KEY}:`, error);
         }
     };
 
-    const handleEditTask = (task) => {
-        setEditingTask(task);
+    const handleDownload = async () => {
+        setPendingAction('download');
+        try {
+            const data = await collectUserData(userId);
+            downloadTextFile(`taskflow-account-${getTodayString()}.json`, accountDataToJson(currentUser, data, preferences), 'application/json');
+        } catch (error) {
+            console.error("Error exporting account data:", error);
+            notify(t('settings.downloadFailed'), 'error');
+        } finally {
+            setPendingAction(null);
+        }
     };
 
-    const handleCancelEdit = () => {
-        setEditingTask(null);
+    const handleDeleteAccount = async (e) => {
+        e.preventDefault();
+        // Queued changes would be written back after the data is gone
+        if (syncStatus.pending > 0) {
+            notify(t('settings.deletePending'), 'error');
+            return;
+        }
+        if (!window.confirm(t(hasFirebaseAccount ? 'settings.confirmDeleteAccount' : 'settings.confirmDeleteData'))) return;
+        setPendingAction('delete');
+        try {
+            // Failed changes are only dropped once the password has been accepted
+            await deleteAccount(deletePassword, () => {
+                if (syncStatus.failed > 0) discardFailed();
+            });
+            notify(t(hasFirebaseAccount ? 'settings.accountDeleted' : 'settings.dataDeleted'), 'success');
+            onNavigate('/');
+        } catch (error) {
+            console.error("Error deleting account:", error);
+            notify(t(getAuthErrorMessageKey(error, 'settings.deleteFailed')), 'error');
+        } finally {
+            setPendingAction(null);
+        }
     };
 
-    const filteredTasks = tasks.filter(task => {
-        if (filterStatus === 'All') return true;
-        if (filterStatus === 'Active') return !task.completed;
-        if (filterStatus === 'Completed') return task.completed;
-        return true;
-    });
+    const labelClassName = "block text-gray-700 text-sm font-bold mb-2";
+    const inputClassName = "shadow appearance-none border rounded-md w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-blue-500 focus:border-blue-500";
+    const buttonClassName = "bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white font-bold py-2 px-4 rounded-md transition-colors duration-200";
 
-    if (!currentUser) {
-        return (
-            <div className="text-center text-gray-600 text-lg mt-20 p-6 bg-white rounded-lg shadow-md max-w-md mx-auto">
-                Please <span className="text-blue-600 cursor-pointer" onClick={() => onNavigate('login')}>log in</span> to manage your tasks.
-            </div>
-        );
-    }
+    return (
+        <div className="p-6 max-w-3xl mx-auto space-y-6">
+            <a href="#/" className="inline-block text-blue-600 hover:underline">{t('settings.back')}</a>
+            <h2 className="text-2xl font-bold text-gray-800">{t('settings.title')}</h2>
 
-    if (isLoading) {
-        return <div className="text-center text-gray-400 text-xl mt-20">Loading tasks...</div>;
-    }
+            <SettingsSection title={t('settings.profile')}>
+                <form onSubmit={handleSaveProfile} className="space-y-4">
+                    <div className="flex items-center space-x-4 rtl:space-x-reverse">
+                        <span className="h-14 w-14 rounded-full bg-gradient-to-r from-blue-600 to-purple-600 text-white text-xl font-bold flex items-center justify-center" aria-hidden="true">
+                            {getInitials(previewName, draftProfile) || '?'}
+                        </span>
+                        <p className="text-gray-700">{previewName}</p>
+                    </div>
+                    <div>
+                        <label htmlFor="displayName" className={labelClassName}>{t('settings.displayName')}</label>
+                        <input type="text" id="displayName" maxLength={50} className={inputClassName} value={nameInput} onChange={(e) => setNameInput(e.target.value)} aria-describedby="displayNameHint" />
+                        <p id="displayNameHint" className="text-xs text-gray-500 mt-1">{t('settings.displayNameHint')}</p>
+                    </div>
+                    <div>
+                        <label htmlFor="avatarInitials" className={labelClassName}>{t('settings.initials')}</label>
+                        <input type="text" id="avatarInitials" maxLength={MAX_INITIALS_LENGTH} className={`${inputClassName} max-w-[8rem] uppercase`} value={initialsInput} onChange={(e) => setInitialsInput(e.target.value)} aria-describedby="avatarInitialsHint" />
+                        <p id="avatarInitialsHint" className="text-xs text-gray-500 mt-1">{t('settings.initialsHint', { max: MAX_INITIALS_LENGTH })}</p>
+                    </div>
+                    <button type="submit" disabled={pendingAction === 'profile'} className={buttonClassName}>{t('settings.saveProfile')}</button>
+                </form>
+            </SettingsSection>
 
-    return (
-        <div className="p-6">
-            <TaskForm
-                onAddTask={handleAddTask}
-                editingTask={editingTask}
-                onUpdateTask={handleUpdateTask}
-                onCancelEdit={handleCancelEdit}
-            />
-            <FilterBar filterStatus={filterStatus} onFilterChange={setFilterStatus} />
-            <div className="space-y-4">
-                {filteredTasks.length > 0 ? (
-                    filteredTasks.map(task => (
-                        <TaskItem
-                            key={task.id}
-                            task={task}
-                            onToggleComplete={handleToggleComplete}
-                            onEditTask={handleEditTask}
-                            onDeleteTask={handleDeleteTask}
-                        />
-                    ))
+            <SettingsSection title={t('settings.signIn')}>
+                {hasEmailAccount ? (
+                    <div className="space-y-8">
+                        <form onSubmit={handleChangePassword} className="space-y-4">
+                            <h4 className="font-semibold text-gray-800">{t('settings.changePassword')}</h4>
+                            <div>
+                                <label htmlFor="currentPassword" className={labelClassName}>{t('settings.currentPassword')}</label>
+                                <input type="password" id="currentPassword" autoComplete="current-password" className={inputClassName} value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} required />
+                            </div>
+                            <div>
+                                <label htmlFor="newPassword" className={labelClassName}>{t('settings.newPassword')}</label>
+                                <input type="password" id="newPassword" autoComplete="new-password" minLength={6} className={inputClassName} value={newPassword} onChange={(e) => setNewPassword(e.target.value)} required />
+                            </div>
+                            <div>
+                                <label htmlFor="repeatPassword" className={labelClassName}>{t('settings.repeatPassword')}</label>
+                                <input type="password" id="repeatPassword" autoComplete="new-password" minLength={6} className={inputClassName} value={repeatPassword} onChange={(e) => setRepeatPassword(e.target.value)} required />
+                            </div>
+                            <button type="submit" disabled={pendingAction === 'password'} className={buttonClassName}>{t('settings.changePassword')}</button>
+                        </form>
+                        <form onSubmit={handleChangeEmail} className="space-y-4">
+                            <h4 className="font-semibold text-gray-800">{t('settings.changeEmail')}</h4>
+                            <p className="text-sm text-gray-600">{t('settings.currentEmail', { email: currentUser.email })}</p>
+                            <div>
+                                <label htmlFor="newEmail" className={labelClassName}>{t('settings.newEmail')}</label>
+                                <input type="email" id="newEmail" autoComplete="email" className={inputClassName} value={newEmail} onChange={(e) => setNewEmail(e.target.value)} required />
+                            </div>
+                            <div>
+                                <label htmlFor="emailPassword" className={labelClassName}>{t('settings.currentPassword')}</label>
+                                <input type="password" id="emailPassword" autoComplete="current-password" className={inputClassName} value={emailPassword} onChange={(e) => setEmailPassword(e.target.value)} required />
+                            </div>
+                            <p className="text-xs text-gray-500">{t('settings.emailHint')}</p>
+                            <button type="submit" disabled={pendingAction === 'email'} className={buttonClassName}>{t('settings.changeEmail')}</button>
+                        </form>
+                    </div>
                 ) : (
-                    <p className="text-center text-gray-600 text-lg mt-10 p-6 bg-white rounded-lg shadow-md">
-                        {filterStatus === 'All' && 'No tasks found. Add a new task above!'}
-                        {filterStatus === 'Active' && 'No active tasks. Time to relax!'}
-                        {filterStatus === 'Completed' && 'No completed tasks yet. Get to work!'}
+                    <p className="text-gray-600">
+                        {t('settings.noAccount')}{' '}
+                        <a href="#/login" className="text-blue-600 hover:underline">{t('header.login')}</a>
                     </p>
                 )}
+            </SettingsSection>
+
+            <SettingsSection title={t('settings.defaults')}>
+                <div className="grid gap-4 md:grid-cols-3">
+                    <div>
+                        <label htmlFor="defaultPriority" className={labelClassName}>{t('settings.defaultPriority')}</label>
+                        <select id="defaultPriority" className={inputClassName} value={preferences.defaultPriority} onChange={(e) => updatePreferences({ defaultPriority: e.target.value })}>
+                            {Object.keys(PRIORITY_RANK).map(priority => (
+                                <option key={priority} value={priority}>{t(`priority.${priority}`)}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="defaultFilter" className={labelClassName}>{t('settings.defaultFilter')}</label>
+                        <select id="defaultFilter" className={inputClassName} value={preferences.defaultFilter} onChange={(e) => handleDefaultFilterChange(e.target.value)}>
+                            {Object.keys(FILTER_PRESETS).map(preset => (
+                                <option key={preset} value={preset}>{t(`settings.filter.${preset}`)}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="weekStart" className={labelClassName}>{t('settings.weekStart')}</label>
+                        <select id="weekStart" className={inputClassName} value={preferences.weekStartsOn} onChange={(e) => updatePreferences({ weekStartsOn: Number(e.target.value) })}>
+                            {/* Weekday names in the UI language; 2000-01-02 was a Sunday */}
+                            {WEEK_START_OPTIONS.map(day => (
+                                <option key={day} value={day}>{formatDate(addDays('2000-01-02', day), { weekday: 'long' })}</option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+                <p className="text-xs text-gray-500 mt-3">{t('settings.defaultsHint')}</p>
+            </SettingsSection>
+
+            <SettingsSection title={t('settings.data')}>
+                <p className="text-sm text-gray-600 mb-4">{t('settings.dataHint')}</p>
+                <button type="button" disabled={pendingAction === 'download'} className={buttonClassName} onClick={handleDownload}>
+                    {pendingAction === 'download' ? t('settings.preparingDownload') : t('settings.download')}
+                </button>
+            </SettingsSection>
+
+            <SettingsSection title={t(hasFirebaseAccount ? 'settings.deleteAccount' : 'settings.deleteData')} className="border border-red-200">
+                <form onSubmit={handleDeleteAccount} className="space-y-4">
+                    <p className="text-sm text-gray-600">{t(hasFirebaseAccount ? 'settings.deleteAccountHint' : 'settings.deleteDataHint')}</p>
+                    {hasEmailAccount && (
+                        <div>
+                            <label htmlFor="deletePassword" className={labelClassName}>{t('settings.currentPassword')}</label>
+                            <input type="password" id="deletePassword" autoComplete="current-password" className={inputClassName} value={deletePassword} onChange={(e) => setDeletePassword(e.target.value)} required />
+                        </div>
+                    )}
+                    <div>
+                        <label htmlFor="deleteConfirmation" className={labelClassName}>{t('settings.typeToConfirm', { word: confirmationWord })}</label>
+                        <input type="text" id="deleteConfirmation" autoComplete="off" className={inputClassName} value={deleteConfirmation} onChange={(e) => setDeleteConfirmation(e.target.value)} />
+                    </div>
+                    <button
+                        type="submit"
+                        disabled={deleteConfirmation.trim() !== confirmationWord || pendingAction === 'delete'}
+                        className="bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-md transition-colors duration-200"
+                    >
+                        {t(hasFirebaseAccount ? 'settings.deleteAccount' : 'settings.deleteData')}
+                    </button>
+                </form>
+            </SettingsSection>
+        </div>
+    );
+};
+
+// --- Not Found Page Component ---
+const NotFoundPage = () => {
+    const { t } = useContext(I18nContext);
+    return (
+        <div className="text-center text-gray-600 text-lg mt-20 p-6 bg-white rounded-lg shadow-md max-w-md mx-auto">
+            <p className="mb-4">{t('notFound.text')}</p>
+            <a href="#/" className="text-blue-600 hover:underline">{t('notFound.link')}</a>
+        </div>
+    );
+};
+
+// --- Guest Merge Prompt Component ---
+const GuestMergePrompt = ({ taskCount, onMerge, onSkip, onCancel }) => {
+    const { t } = useContext(I18nContext);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-40 p-4" role="dialog" aria-modal="true" aria-labelledby="guest-merge-title">
+            <div className="bg-white rounded-lg shadow-xl max-w-md w-full p-6">
+                <h3 id="guest-merge-title" className="text-xl font-bold text-gray-900 mb-3">{t('guestMerge.title')}</h3>
+                <p className="text-gray-700 mb-3">
+                    {t('guestMerge.intro', { count: taskCount })}
+                </p>
+                <ul className="text-sm text-gray-600 list-disc ps-5 space-y-1 mb-6">
+                    <li>{t('guestMerge.duplicates')}</li>
+                    <li>{t('guestMerge.additions')}</li>
+                    <li>{t('guestMerge.leftBehind')}</li>
+                </ul>
+                <div className="flex flex-col sm:flex-row sm:justify-end gap-2">
+                    <button type="button" className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-2 px-4 rounded-md transition-colors duration-200" onClick={onCancel}>
+                        {t('guestMerge.cancel')}
+                    </button>
+                    <button type="button" className="bg-gray-400 hover:bg-gray-500 text-white font-semibold py-2 px-4 rounded-md transition-colors duration-200" onClick={onSkip}>
+                        {t('guestMerge.skip')}
+                    </button>
+                    <button type="button" className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-md transition-colors duration-200" onClick={onMerge}>
+                        {t('guestMerge.merge')}
+                    </button>
+                </div>
             </div>
         </div>
     );
 };
 
 // --- Login Page Component ---
-const LoginPage = ({ onNavigate }) => {
-    const { auth, db, currentUser, userId, isFirebaseReady } = useContext(FirebaseContext);
+const LoginPage = ({ route, onNavigate }) => {
+    const { notify } = useContext(NotificationContext);
+    const { t } = useContext(I18nContext);
+    const { currentUser, isFirebaseReady, signIn, register, resetPassword, signOutUser, getGuestData, mergeGuestData } = useContext(FirebaseContext);
+    const { displayName } = useContext(SettingsContext);
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [isLoginMode, setIsLoginMode] = useState(true); // true for Login, false for Register
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [pendingGuestData, setPendingGuestData] = useState(null); // Guest tasks and projects awaiting a merge decision
+    const redirectTarget = route.query.redirect && route.query.redirect.startsWith('/') ? route.query.redirect : '/';
+
+    const completeSignIn = async (guestDataToMerge) => {
+        setPendingGuestData(null);
+        setIsSubmitting(true);
+        try {
+            const guestUid = currentUser ? currentUser.uid : null;
+            const user = await signIn(email.trim(), password);
+            notify(t('login.loggedInAs', { email: user.email }), 'success');
+            if (guestDataToMerge && user.uid !== guestUid) {
+                try {
+                    const { copied, skipped } = await mergeGuestData(guestDataToMerge);
+                    const merged = t('login.mergedGuestTasks', { count: copied });
+                    notify(skipped ? `${merged} ${t('login.skippedDuplicates', { count: skipped })}` : merged, 'success');
+                } catch (mergeError) {
+                    console.error("Error merging guest tasks:", mergeError);
+                    notify(t('login.mergeFailed'), 'error');
+                }
+            }
+            onNavigate(redirectTarget);
+        } catch (error) {
+            console.error("Authentication error:", error);
+            notify(t(getAuthErrorMessageKey(error)), 'error');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
 
     const handleAuth = async (e) => {
         e.preventDefault();
         if (!isFirebaseReady) {
-            window.showMessage('Firebase not ready. Please wait.', 'info');
+            notify(t('login.notReady'), 'info');
             return;
         }
 
-        try {
-            // For this demo, we'll simulate user accounts using Firestore.
-            // In a real app, you'd use Firebase Authentication methods like signInWithEmailAndPassword / createUserWithEmailAndPassword.
-            const userDocRef = doc(db, `artifacts/${appId}/users`, email.toLowerCase()); // Use email as doc ID for simplicity
-            const userDoc = await getDoc(userDocRef);
-
-            if (isLoginMode) {
-                // Simulate Login
-                if (userDoc.exists() && userDoc.data().password === password) {
-                    // Attach email to current anonymous user for display purposes
-                    if (auth.currentUser) {
-                        auth.currentUser.email = email;
-                    }
-                    window.showMessage(`Logged in as ${email}!`, 'success');
-                    onNavigate('dashboard');
-                } else {
-                    window.showMessage('Invalid email or password.', 'error');
-                }
-            } else {
-                // Simulate Registration
-                if (userDoc.exists()) {
-                    window.showMessage('User with this email already exists.', 'error');
-                } else {
-                    await setDoc(userDocRef, {
-                        email: email.toLowerCase(),
-                        password: password, // WARNING: Storing passwords directly is NOT secure in a real app!
-                        createdAt: serverTimestamp(),
-                    });
-                    window.showMessage('Registration successful! Please log in.', 'success');
-                    setIsLoginMode(true); // Switch to login mode
-                }
+        if (isLoginMode) {
+            // Signing in to an existing account leaves the guest uid behind, so offer to bring its tasks along
+            let guestData = { tasks: [], projects: [] };
+            try {
+                guestData = await getGuestData();
+            } catch (error) {
+                console.error("Error loading guest tasks:", error);
+            }
+            if (guestData.tasks.length > 0) {
+                setPendingGuestData(guestData);
+                return;
             }
+            await completeSignIn(null);
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            const wasGuest = currentUser && currentUser.isAnonymous;
+            const user = await register(email.trim(), password);
+            const created = t('login.accountCreated', { email: user.email });
+            notify(wasGuest ? `${created} ${t('login.guestTasksKept')}` : created, 'success');
+            onNavigate(redirectTarget);
+        } catch (error) {
+            console.error("Authentication error:", error);
+            notify(t(getAuthErrorMessageKey(error)), 'error');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handlePasswordReset = async () => {
+        if (!email.trim()) {
+            notify(t('login.enterEmailFirst'), 'info');
+            return;
+        }
+        try {
+            await resetPassword(email.trim());
+            notify(t('login.resetSent'), 'success');
         } catch (error) {
-            console.error("Auth simulation error:", error);
-            window.showMessage('An error occurred during authentication.', 'error');
+            console.error("Password reset error:", error);
+            notify(t(getAuthErrorMessageKey(error)), 'error');
         }
     };
 
     const handleLogout = async () => {
         try {
-            await auth.signOut(); // Sign out the anonymous user
-            window.showMessage('Logged out successfully!', 'info');
-            onNavigate('dashboard'); // Redirect to dashboard, which will prompt login
+            await signOutUser();
+            notify(t('app.loggedOut'), 'info');
+            onNavigate('/'); // Redirect to dashboard, which will prompt login
         } catch (error) {
             console.error("Logout error:", error);
-            window.showMessage('Failed to log out.', 'error');
+            notify(t('app.logoutFailed'), 'error');
         }
     };
 
     if (!isFirebaseReady) {
-        return <div className="text-center text-gray-400 text-xl mt-10">Loading authentication...</div>;
+        return <div className="text-center text-gray-400 text-xl mt-10">{t('app.loadingAuth')}</div>;
     }
 
     return (
         <div className="max-w-md mx-auto bg-white p-8 rounded-lg shadow-md mt-10">
             {currentUser && currentUser.email ? (
                 <div className="text-center">
-                    <h2 className="text-2xl font-bold mb-4 text-gray-900">Welcome, {currentUser.email.split('@')[0]}!</h2>
-                    <p className="text-gray-700 mb-6">You are currently logged in.</p>
-                    <button
-                        className="bg-red-600 hover:bg-red-700 text-white font-bold py-3 px-6 rounded-md focus:outline-none focus:shadow-outline transition-colors duration-200"
-                        onClick={handleLogout}
-                    >
-                        Logout
-                    </button>
+                    <h2 className="text-2xl font-bold mb-4 text-gray-900">{t('header.welcome', { name: displayName })}</h2>
+                    <p className="text-gray-700 mb-6">{t('login.currentlyLoggedIn')}</p>
+                    <div className="flex justify-center space-x-3 rtl:space-x-reverse">
+                        <a href="#/settings" className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-3 px-6 rounded-md transition-colors duration-200">
+                            {t('login.settings')}
+                        </a>
+                        <button
+                            className="bg-red-600 hover:bg-red-700 text-white font-bold py-3 px-6 rounded-md focus:outline-none focus:shadow-outline transition-colors duration-200"
+                            onClick={handleLogout}
+                        >
+                            {t('header.logout')}
+                        </button>
+                    </div>
                 </div>
             ) : (
                 <>
-                    <h2 className="text-2xl font-bold mb-6 text-gray-900 text-center">{isLoginMode ? 'Login' : 'Register'}</h2>
+                    <h2 className="text-2xl font-bold mb-6 text-gray-900 text-center">{isLoginMode ? t('login.login') : t('login.register')}</h2>
                     <form onSubmit={handleAuth} className="space-y-4">
                         <div>
-                            <label htmlFor="email" className="block text-gray-700 text-sm font-bold mb-2">Email:</label>
-                            <input type="email" id="email" className="shadow appearance-none border rounded-md w-full py-3 px-4 text-gray-700 leading-tight focus:outline-none focus:ring-blue-500 focus:border-blue-500" value={email} onChange={(e) => setEmail(e.target.value)} required />
+                            <label htmlFor="email" className="block text-gray-700 text-sm font-bold mb-2">{t('login.email')}</label>
+                            <input type="email" id="email" autoComplete="email" className="shadow appearance-none border rounded-md w-full py-3 px-4 text-gray-700 leading-tight focus:outline-none focus:ring-blue-500 focus:border-blue-500" value={email} onChange={(e) => setEmail(e.target.value)} required />
                         </div>
                         <div>
-                            <label htmlFor="password" className="block text-gray-700 text-sm font-bold mb-2">Password:</label>
-                            <input type="password" id="password" className="shadow appearance-none border rounded-md w-full py-3 px-4 text-gray-700 leading-tight focus:outline-none focus:ring-blue-500 focus:border-blue-500" value={password} onChange={(e) => setPassword(e.target.value)} required />
+                            <label htmlFor="password" className="block text-gray-700 text-sm font-bold mb-2">{t('login.password')}</label>
+                            <input type="password" id="password" autoComplete={isLoginMode ? 'current-password' : 'new-password'} minLength={6} className="shadow appearance-none border rounded-md w-full py-3 px-4 text-gray-700 leading-tight focus:outline-none focus:ring-blue-500 focus:border-blue-500" value={password} onChange={(e) => setPassword(e.target.value)} required />
                         </div>
-                        <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-md focus:outline-none focus:shadow-outline transition-colors duration-200 w-full">
-                            {isLoginMode ? 'Login' : 'Register'}
+                        <button type="submit" disabled={isSubmitting} className="bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white font-bold py-3 px-6 rounded-md focus:outline-none focus:shadow-outline transition-colors duration-200 w-full">
+                            {isSubmitting ? t('login.wait') : (isLoginMode ? t('login.login') : t('login.register'))}
                         </button>
                     </form>
+                    {isLoginMode && (
+                        <p className="mt-4 text-center">
+                            <button type="button" className="text-sm text-gray-600 hover:underline" onClick={handlePasswordReset}>
+                                {t('login.forgotPassword')}
+                            </button>
+                        </p>
+                    )}
                     <p className="mt-6 text-center text-gray-700">
-                        {isLoginMode ? "Don't have an account?" : "Already have an account?"}{' '}
+                        {isLoginMode ? t('login.noAccount') : t('login.haveAccount')}{' '}
                         <button className="text-blue-600 hover:underline font-semibold" onClick={() => setIsLoginMode(!isLoginMode)}>
-                            {isLoginMode ? 'Register here' : 'Login here'}
+                            {isLoginMode ? t('login.registerHere') : t('login.loginHere')}
                         </button>
                     </p>
-                    <p className="mt-4 text-center text-gray-500 text-sm">
-                        (Note: This is a simulated login for demo purposes. Passwords are not securely stored or authenticated.)
-                    </p>
                 </>
             )}
+            {pendingGuestData && (
+                <GuestMergePrompt
+                    taskCount={pendingGuestData.tasks.length}
+                    onMerge={() => completeSignIn(pendingGuestData)}
+                    onSkip={() => completeSignIn(null)}
+                    onCancel={() => setPendingGuestData(null)}
+                />
+            )}
         </div>
     );
 };
@@ -570,44 +6484,114 @@ const LoginPage = ({ onNavigate }) => {
 
 // --- Main App Component ---
 const App = () => {
-    const [currentPage, setCurrentPage] = useState('dashboard'); // Default to dashboard
-    const { currentUser, auth } = useContext(FirebaseContext);
+    const { notify } = useContext(NotificationContext);
+    const { t } = useContext(I18nContext);
+    const [route, navigate] = useHashRoute();
+    const { currentUser, isFirebaseReady, signOutUser } = useContext(FirebaseContext);
+    const { tasks, syncStatus, retryFailed, discardFailed } = useContext(TaskContext);
 
-    const handleNavigate = (page) => {
-        setCurrentPage(page);
-        window.scrollTo(0, 0); // Scroll to top
-    };
+    // Send signed-out visitors of protected routes to login, remembering where they were headed
+    const needsLogin = route.requiresAuth && isFirebaseReady && !currentUser;
+    useEffect(() => {
+        if (needsLogin) {
+            navigate(buildPath('/login', { redirect: buildPath(route.path, route.query) }), { replace: true });
+        }
+    }, [needsLogin, route, navigate]);
 
     const handleLogout = async () => {
         try {
-            await auth.signOut(); // Sign out the anonymous user
-            window.showMessage('Logged out successfully!', 'info');
-            handleNavigate('dashboard'); // Redirect to dashboard, which will prompt login
+            await signOutUser();
+            notify(t('app.loggedOut'), 'info');
+            navigate('/'); // Redirect to dashboard, which will prompt login
         } catch (error) {
             console.error("Logout error:", error);
-            window.showMessage('Failed to log out.', 'error');
+            notify(t('app.logoutFailed'), 'error');
         }
     };
 
+    useCommands('app', [
+        { id: 'go-dashboard', label: t('commands.goTasks'), group: t('commands.group.navigation'), run: () => navigate('/') },
+        { id: 'go-trash', label: t('commands.goTrash'), group: t('commands.group.navigation'), run: () => navigate('/trash') },
+        { id: 'go-insights', label: t('commands.goInsights'), group: t('commands.group.navigation'), run: () => navigate('/insights') },
+        { id: 'go-settings', label: t('commands.goSettings'), group: t('commands.group.navigation'), run: () => navigate('/settings') },
+        currentUser && currentUser.email
+            ? { id: 'logout', label: t('commands.logout'), group: t('commands.group.account'), run: handleLogout }
+            : { id: 'login', label: t('commands.login'), group: t('commands.group.account'), run: () => navigate(buildPath('/login')) },
+        ...tasks.map(task => ({
+            id: `task-${task.id}`,
+            label: task.title,
+            group: t('commands.group.tasks'),
+            keywords: (task.tags || []).map(tag => `#${tag}`).join(' '),
+            isSearchResult: true,
+            run: () => navigate(getTaskPath(task.id)),
+        })),
+    ]);
+
+    const renderPage = () => {
+        if (route.requiresAuth && !isFirebaseReady) {
+            return <div className="text-center text-gray-400 text-xl mt-10">{t('app.loadingAuth')}</div>;
+        }
+        if (needsLogin) {
+            return null;
+        }
+        switch (route.name) {
+            case 'dashboard':
+                return <DashboardPage route={route} onNavigate={navigate} />;
+            case 'login':
+                return <LoginPage route={route} onNavigate={navigate} />;
+            case 'task':
+                return <TaskDetailPage taskId={route.params.taskId} onNavigate={navigate} />;
+            case 'trash':
+                return <TrashPage onNavigate={navigate} />;
+            case 'insights':
+                return <InsightsPage route={route} onNavigate={navigate} />;
+            case 'settings':
+                return <SettingsPage onNavigate={navigate} />;
+            default:
+                return <NotFoundPage />;
+        }
+    };
 
     return (
         <div className="flex flex-col min-h-screen bg-gray-50">
-            <Header onNavigate={handleNavigate} currentUser={currentUser} onLogout={handleLogout} />
+            <Header
+                onNavigate={navigate}
+                currentUser={currentUser}
+                onLogout={handleLogout}
+                syncStatus={syncStatus}
+                onRetrySync={retryFailed}
+                onDiscardFailedSync={discardFailed}
+            />
             <main className="flex-grow container mx-auto p-4">
-                {(() => {
-                    switch (currentPage) {
-                        case 'dashboard':
-                            return <DashboardPage onNavigate={handleNavigate} />;
-                        case 'login':
-                            return <LoginPage onNavigate={handleNavigate} />;
-                        default:
-                            return <DashboardPage onNavigate={handleNavigate} />;
-                    }
-                })()}
+                <ReminderBanner />
+                {renderPage()}
             </main>
-            <Message />
         </div>
     );
 };
 
-export default App;
+// --- Root Component ---
+// App reads from these contexts, so the providers have to wrap it here
+const Root = () => (
+    <I18nProvider>
+        <NotificationProvider>
+            <FirebaseProvider>
+                <SettingsProvider>
+                    <SharedListProvider>
+                        <TaskProvider>
+                            <ReminderProvider>
+                                <ProjectProvider>
+                                    <CommandProvider>
+                                        <App />
+                                    </CommandProvider>
+                                </ProjectProvider>
+                            </ReminderProvider>
+                        </TaskProvider>
+                    </SharedListProvider>
+                </SettingsProvider>
+            </FirebaseProvider>
+        </NotificationProvider>
+    </I18nProvider>
+);
+
+export default Root;
@@ -0,0 +1,182 @@
+// Quick-add parser: turns a typed phrase into task fields. Nothing here needs a browser, so it runs as is under Node.
+import { parseDateString, addDays, addMonths, isValidDateString } from './dates.mjs';
+
+// Tags are stored lowercase without the leading '#', so "#Billing" and "billing" are the same tag
+export const normalizeTag = (tag) => tag.trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase();
+
+// Pure: relative phrases resolve against `referenceDate` (a `YYYY-MM-DD` string), never the clock.
+const QUICK_ADD_PRIORITIES = { high: 'High', h: 'High', 1: 'High', medium: 'Medium', med: 'Medium', m: 'Medium', 2: 'Medium', low: 'Low', l: 'Low', 3: 'Low' };
+const QUICK_ADD_WORD_START = '(?<![\\p{L}\\p{N}#!])'; // Not inside a word, #tag or !priority
+const QUICK_ADD_WORD_END = '(?![\\p{L}\\p{N}])';
+const quickAddGrammars = new Map(); // Date patterns per locale, built once
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A date without a year is the next one on or after the reference date
+const resolveCalendarDate = (year, month, day, referenceDate) => {
+    const build = (fullYear) => `${String(fullYear).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    if (year) {
+        const dateString = build(Number(year) < 100 ? 2000 + Number(year) : Number(year));
+        return isValidDateString(dateString) ? dateString : null;
+    }
+    const referenceYear = parseDateString(referenceDate).getUTCFullYear();
+    const candidates = [build(referenceYear), build(referenceYear + 1)].filter(isValidDateString);
+    return candidates.find(candidate => candidate >= referenceDate) || null;
+};
+
+const getNextWeekday = (referenceDate, weekday, includeReference) => {
+    for (let offset = includeReference ? 0 : 1; offset <= 7; offset++) {
+        const candidate = addDays(referenceDate, offset);
+        if (parseDateString(candidate).getUTCDay() === weekday) return candidate;
+    }
+    return null;
+};
+
+/**
+ * Month and weekday names, day words ("tomorrow", "morgen") and numeric date order come from
+ * the locale via Intl; English is always understood as well.
+ */
+const getQuickAddGrammar = (locale) => {
+    if (quickAddGrammars.has(locale)) return quickAddGrammars.get(locale);
+    const toWord = (value) => value.toLowerCase().replace(/\.$/, '');
+    const months = {};
+    const weekdays = {};
+    const dayWords = {};
+    Array.from(new Set([locale, 'en'])).forEach(name => {
+        ['long', 'short'].forEach(width => {
+            const standalone = new Intl.DateTimeFormat(name, { month: width, timeZone: 'UTC' });
+            const withDay = new Intl.DateTimeFormat(name, { month: width, day: 'numeric', timeZone: 'UTC' }); // Genitive forms, e.g. "октября"
+            for (let monthIndex = 0; monthIndex < 12; monthIndex++) {
+                const date = Date.UTC(2000, monthIndex, 1);
+                months[toWord(standalone.format(date))] = monthIndex;
+                const part = withDay.formatToParts(date).find(candidate => candidate.type === 'month');
+                if (part) months[toWord(part.value)] = monthIndex;
+            }
+        });
+        const weekdayFormat = new Intl.DateTimeFormat(name, { weekday: 'long', timeZone: 'UTC' });
+        for (let day = 0; day < 7; day++) {
+            weekdays[toWord(weekdayFormat.format(Date.UTC(2000, 0, 2 + day)))] = day; // 2000-01-02 was a Sunday
+        }
+        const relative = new Intl.RelativeTimeFormat(name, { numeric: 'auto' });
+        [0, 1, 2].forEach(offset => {
+            const word = toWord(relative.format(offset, 'day'));
+            if (!/\d/.test(word)) dayWords[word] = offset;
+        });
+    });
+    const dateParts = new Intl.DateTimeFormat(locale, { timeZone: 'UTC' }).formatToParts(Date.UTC(2000, 10, 22)).map(part => part.type);
+    const isDayFirst = dateParts.indexOf('day') < dateParts.indexOf('month');
+
+    const alternatives = (words) => Object.keys(words).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+    const phrase = (source, { needsContext = false } = {}) => new RegExp(`${QUICK_ADD_WORD_START}(?:(?:on|by|due)\\s+)${needsContext ? '' : '?'}${source}${QUICK_ADD_WORD_END}`, 'giu');
+    const monthNames = alternatives(months);
+    const grammar = [
+        {
+            pattern: phrase('(\\d{4})-(\\d{1,2})-(\\d{1,2})'),
+            resolve: ([, year, month, day], referenceDate) => resolveCalendarDate(year, Number(month), Number(day), referenceDate),
+        },
+        // Numbers like "3.4" or "5/10" are often not dates ("chapter 3.4", "rated 5/10"), so a
+        // numeric date needs a four-digit year or a leading "on", "by" or "due"
+        ...[
+            phrase('(\\d{1,2})[./](\\d{1,2})[./](\\d{4})'),
+            phrase('(\\d{1,2})[./](\\d{1,2})(?:[./](\\d{4}|\\d{2}))?', { needsContext: true }),
+        ].map(pattern => ({
+            pattern,
+            resolve: ([, first, second, year], referenceDate) => (isDayFirst
+                ? resolveCalendarDate(year, Number(second), Number(first), referenceDate)
+                : resolveCalendarDate(year, Number(first), Number(second), referenceDate)),
+        })),
+        {
+            pattern: phrase(`(${monthNames})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`),
+            resolve: ([, month, day, year], referenceDate) => resolveCalendarDate(year, months[toWord(month)] + 1, Number(day), referenceDate),
+        },
+        {
+            pattern: phrase(`(\\d{1,2})(?:st|nd|rd|th|\\.)?\\s+(?:of\\s+)?(${monthNames})\\.?(?:,?\\s+(\\d{4}))?`),
+            resolve: ([, day, month, year], referenceDate) => resolveCalendarDate(year, months[toWord(month)] + 1, Number(day), referenceDate),
+        },
+        {
+            pattern: phrase('in\\s+(\\d+|an?)\\s+(day|week|month)s?'),
+            resolve: ([, count, unit], referenceDate) => {
+                const amount = /^\d+$/.test(count) ? Number(count) : 1;
+                const lowerUnit = unit.toLowerCase();
+                return lowerUnit === 'month' ? addMonths(referenceDate, amount) : addDays(referenceDate, lowerUnit === 'week' ? amount * 7 : amount);
+            },
+        },
+        {
+            pattern: phrase('next\\s+(week|month|year)'),
+            resolve: ([, unit], referenceDate) => {
+                const lowerUnit = unit.toLowerCase();
+                return lowerUnit === 'week' ? addDays(referenceDate, 7) : addMonths(referenceDate, lowerUnit === 'month' ? 1 : 12);
+            },
+        },
+        {
+            // A bare weekday or "this friday" may be today; "next friday" is always a later day
+            pattern: phrase(`(?:(next|this)\\s+)?(${alternatives(weekdays)})`),
+            resolve: ([, modifier, weekday], referenceDate) => getNextWeekday(referenceDate, weekdays[toWord(weekday)], !modifier || modifier.toLowerCase() !== 'next'),
+        },
+        {
+            pattern: phrase(`(${alternatives(dayWords)})`),
+            resolve: ([, word], referenceDate) => addDays(referenceDate, dayWords[toWord(word)]),
+        },
+    ];
+    quickAddGrammars.set(locale, grammar);
+    return grammar;
+};
+
+/**
+ * The locale to parse with: the app's language, for month and weekday names, with the browser
+ * locale's region, which decides whether "5/10" is the 5th of October or May 10th.
+ */
+export const getQuickAddLocale = (language, browserLocale) => {
+    try {
+        const { region } = new Intl.Locale(browserLocale).maximize();
+        return region ? new Intl.Locale(language, { region }).toString() : language;
+    } catch {
+        return language; // No browser locale, or not a valid tag
+    }
+};
+
+/**
+ * Splits a quick-add phrase such as "Send invoice to ACME next friday !high #billing" into
+ * task fields. The earliest date phrase and priority marker are used; every #tag is kept.
+ * Returns { title, dueDate ('' if none), dateText (the matched phrase), priority (null if none), tags }.
+ */
+export const parseQuickAdd = (text, referenceDate, locale = 'en') => {
+    const spans = [];
+
+    let dateMatch = null;
+    getQuickAddGrammar(locale).forEach(({ pattern, resolve }) => {
+        for (const match of text.matchAll(pattern)) {
+            const dueDate = resolve(match, referenceDate);
+            if (!dueDate) continue;
+            if (!dateMatch || match.index < dateMatch.index || (match.index === dateMatch.index && match[0].length > dateMatch.text.length)) {
+                dateMatch = { index: match.index, text: match[0], dueDate };
+            }
+            break;
+        }
+    });
+    if (dateMatch) spans.push({ index: dateMatch.index, length: dateMatch.text.length });
+
+    const priorityMatch = text.match(/(?<!\S)!(high|medium|med|low|[hml123])(?!\S)/i);
+    if (priorityMatch) spans.push({ index: priorityMatch.index, length: priorityMatch[0].length });
+
+    const tags = [];
+    for (const match of text.matchAll(/(?<!\S)#([\p{L}\p{N}_-]+)/gu)) {
+        const tag = normalizeTag(match[1]);
+        if (!tags.includes(tag)) tags.push(tag);
+        spans.push({ index: match.index, length: match[0].length });
+    }
+
+    const title = spans
+        .sort((a, b) => b.index - a.index)
+        .reduce((remaining, span) => `${remaining.slice(0, span.index)} ${remaining.slice(span.index + span.length)}`, text)
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return {
+        title,
+        dueDate: dateMatch ? dateMatch.dueDate : '',
+        dateText: dateMatch ? dateMatch.text.trim() : '',
+        priority: priorityMatch ? QUICK_ADD_PRIORITIES[priorityMatch[1].toLowerCase()] : null,
+        tags,
+    };
+};
@@ -0,0 +1,84 @@
+/**
+ * One-off migration of the plaintext account records earlier versions stored in
+ * `artifacts/{appId}/users/{email}` (documents with a `password` field). Each one
+ * becomes a Firebase Authentication account with the same email and password, and
+ * the document is deleted. A record whose email already has an account, or whose
+ * password Firebase rejects, is deleted without copying the password; its owner
+ * signs in with "Forgot password?".
+ *
+ * Uses the Admin SDK with application default credentials:
+ *   GOOGLE_APPLICATION_CREDENTIALS=key.json node scripts/migrate-legacy-accounts.mjs --app-id <appId> [--dry-run]
+ * FIRESTORE_EMULATOR_HOST and FIREBASE_AUTH_EMULATOR_HOST point it at the emulators.
+ */
+import { initializeApp, applicationDefault } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+
+const getArgument = (name) => {
+    const index = process.argv.indexOf(name);
+    return index === -1 ? null : process.argv[index + 1];
+};
+
+const appId = getArgument('--app-id') || 'default-task-app';
+const isDryRun = process.argv.includes('--dry-run');
+
+initializeApp({ credential: applicationDefault(), projectId: getArgument('--project') || undefined });
+const auth = getAuth();
+const firestore = getFirestore();
+
+const accountExists = async (email) => {
+    try {
+        await auth.getUserByEmail(email);
+        return true;
+    } catch (error) {
+        if (error.code === 'auth/user-not-found') return false;
+        throw error;
+    }
+};
+
+// Resolves with 'created', 'created-without-password' or 'existing'
+const migrateRecord = async (email, password) => {
+    if (await accountExists(email)) return 'existing';
+    try {
+        await auth.createUser({ email, password });
+        return 'created';
+    } catch (error) {
+        if (error.code !== 'auth/invalid-password') throw error;
+        await auth.createUser({ email });
+        return 'created-without-password';
+    }
+};
+
+const main = async () => {
+    // Per-user data lives in subcollections of `users/{uid}` with no document of its own,
+    // so the documents found here are legacy records
+    const snapshot = await firestore.collection(`artifacts/${appId}/users`).get();
+    const records = snapshot.docs.filter(record => typeof record.get('password') === 'string');
+    console.log(`${records.length} legacy account record(s) in artifacts/${appId}/users${isDryRun ? ' (dry run)' : ''}`);
+
+    let failures = 0;
+    for (const record of records) {
+        const email = record.id.toLowerCase();
+        if (isDryRun) {
+            console.log(`would migrate ${email}`);
+            continue;
+        }
+        try {
+            const outcome = await migrateRecord(email, record.get('password'));
+            await record.ref.delete();
+            console.log(`${email}: ${outcome}, record deleted`);
+        } catch (error) {
+            failures += 1;
+            console.error(`${email}: ${error.message}`);
+        }
+    }
+    if (failures > 0) {
+        console.error(`${failures} record(s) could not be migrated and were kept; run the script again.`);
+        process.exitCode = 1;
+    }
+};
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
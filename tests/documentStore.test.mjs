@@ -0,0 +1,164 @@
+// Run with `node --test tests/`. Node has no IndexedDB, so the local store keeps documents in memory.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_BATCH_SIZE, createLocalStore, sortDocs, pageDocs } from '../documentStore.mjs';
+
+const TASKS = 'artifacts/test/users/u1/tasks';
+const HISTORY = 'artifacts/test/users/u1/taskHistory';
+
+// Resolves with the next value the subscription emits
+const nextEmission = (store, path, options) => new Promise((resolve, reject) => {
+    const unsubscribe = store.subscribe(path, (docs) => {
+        unsubscribe();
+        resolve(docs);
+    }, reject, options);
+});
+
+test('add, get, set, update and remove round-trip a document', async () => {
+    const store = createLocalStore('test');
+    const id = await store.add(TASKS, { title: 'Write tests', completed: false });
+    assert.deepEqual(await store.get(TASKS, id), { id, title: 'Write tests', completed: false });
+
+    await store.update(TASKS, id, { completed: true });
+    assert.deepEqual(await store.get(TASKS, id), { id, title: 'Write tests', completed: true });
+
+    await store.set(TASKS, id, { title: 'Replaced' });
+    assert.deepEqual(await store.get(TASKS, id), { id, title: 'Replaced' });
+
+    await store.remove(TASKS, id);
+    assert.equal(await store.get(TASKS, id), null);
+});
+
+test('updating a missing document rejects', async () => {
+    const store = createLocalStore('test');
+    await assert.rejects(store.update(TASKS, 'missing', { title: 'x' }), /No document to update/);
+});
+
+test('stores and collections are independent', async () => {
+    const store = createLocalStore('test');
+    await store.set(TASKS, 'a', { title: 'Mine' });
+    assert.deepEqual(await store.list('artifacts/test/users/u2/tasks'), []);
+    assert.deepEqual(await createLocalStore('other').list(TASKS), []);
+});
+
+test('list applies every where clause', async () => {
+    const store = createLocalStore('test');
+    await store.commit(TASKS, [
+        { type: 'set', id: 'a', data: { completed: false, tags: ['home'], priority: 'High', dueDate: '2026-10-01' } },
+        { type: 'set', id: 'b', data: { completed: true, tags: ['work', 'home'], priority: 'Low', dueDate: '2026-10-20' } },
+        { type: 'set', id: 'c', data: { completed: true, priority: 'High' } },
+    ]);
+    const ids = async (where) => (await store.list(TASKS, { where })).map(doc => doc.id);
+    assert.deepEqual(await ids([['completed', '==', true]]), ['b', 'c']);
+    assert.deepEqual(await ids([['tags', 'array-contains', 'home']]), ['a', 'b']);
+    assert.deepEqual(await ids([['completed', '==', true], ['priority', 'in', ['High', 'Medium']]]), ['c']);
+    assert.deepEqual(await ids([['dueDate', '>=', '2026-10-01'], ['dueDate', '<=', '2026-10-19']]), ['a']);
+    assert.deepEqual(await ids([['dueDate', '>', '']]), ['a', 'b']); // Documents without the field never match a range
+});
+
+test('list reads a page the way subscribe would', async () => {
+    const store = createLocalStore('test');
+    await store.commit(TASKS, ['a', 'b', 'c', 'd'].map((id, index) => ({ type: 'set', id, data: { completed: true, timestamp: index } })));
+    const options = { where: [['completed', '==', true]], orderBy: ['timestamp', 'desc'], limit: 3 };
+    const firstPage = await store.list(TASKS, options);
+    assert.deepEqual(firstPage.map(doc => doc.id), ['d', 'c', 'b']);
+    assert.deepEqual(firstPage, await nextEmission(store, TASKS, options));
+    const last = firstPage[firstPage.length - 1];
+    assert.deepEqual((await store.list(TASKS, { ...options, startAfter: [last.timestamp, last.id] })).map(doc => doc.id), ['a']);
+});
+
+test('commit applies every operation and notifies subscribers once', async () => {
+    const store = createLocalStore('test');
+    await store.set(TASKS, 'a', { title: 'A' });
+    await store.set(TASKS, 'b', { title: 'B' });
+
+    const emissions = [];
+    const unsubscribe = store.subscribe(TASKS, docs => emissions.push(docs), assert.fail);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    await store.commit(TASKS, [
+        { type: 'update', id: 'a', data: { done: true } },
+        { type: 'delete', id: 'b' },
+        { type: 'set', id: 'c', data: { title: 'C' } },
+    ]);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    unsubscribe();
+
+    assert.equal(emissions.length, 2);
+    assert.deepEqual(emissions[1], [{ id: 'a', title: 'A', done: true }, { id: 'c', title: 'C' }]);
+});
+
+test('a commit with a failing update writes nothing', async () => {
+    const store = createLocalStore('test');
+    await store.set(TASKS, 'a', { title: 'A' });
+    await assert.rejects(store.commit(TASKS, [
+        { type: 'update', id: 'a', data: { title: 'Changed' } },
+        { type: 'update', id: 'missing', data: { title: 'x' } },
+    ]));
+    assert.deepEqual(await store.get(TASKS, 'a'), { id: 'a', title: 'A' });
+});
+
+test('a batch writes across collections, or not at all', async () => {
+    const store = createLocalStore('test');
+    await store.set(TASKS, 'a', { title: 'A' });
+    await store.batch([
+        { type: 'update', path: TASKS, id: 'a', data: { title: 'Changed' } },
+        { type: 'set', path: HISTORY, id: 'h1', data: { taskId: 'a' } },
+    ]);
+    assert.deepEqual(await store.get(TASKS, 'a'), { id: 'a', title: 'Changed' });
+    assert.deepEqual(await store.list(HISTORY), [{ id: 'h1', taskId: 'a' }]);
+
+    await assert.rejects(store.batch([
+        { type: 'set', path: HISTORY, id: 'h2', data: { taskId: 'missing' } },
+        { type: 'update', path: TASKS, id: 'missing', data: { title: 'x' } },
+    ]), /No document to update/);
+    assert.equal(await store.get(HISTORY, 'h2'), null);
+});
+
+test('a batch over the size limit is refused, while commit takes any number', async () => {
+    const store = createLocalStore('test');
+    const operations = Array.from({ length: MAX_BATCH_SIZE + 1 }, (_, index) => ({ type: 'set', id: `t${index}`, data: { index } }));
+    await assert.rejects(store.batch(operations.map(operation => ({ ...operation, path: TASKS }))), /at most 500 writes/);
+    assert.deepEqual(await store.list(TASKS), []);
+    await store.commit(TASKS, operations);
+    assert.equal((await store.list(TASKS)).length, MAX_BATCH_SIZE + 1);
+});
+
+test('subscribe orders, filters and pages like Firestore', async () => {
+    const store = createLocalStore('test');
+    await store.commit(TASKS, [
+        { type: 'set', id: 'a', data: { completed: false, timestamp: 100 } },
+        { type: 'set', id: 'b', data: { completed: false, timestamp: 300 } },
+        { type: 'set', id: 'c', data: { completed: false, timestamp: 300 } },
+        { type: 'set', id: 'd', data: { completed: true, timestamp: 200 } },
+        { type: 'set', id: 'e', data: { completed: false, timestamp: null } }, // Pending server timestamp
+    ]);
+
+    const open = await nextEmission(store, TASKS, { where: [['completed', '==', false]], orderBy: ['timestamp', 'desc'] });
+    assert.deepEqual(open.map(doc => doc.id), ['e', 'c', 'b', 'a']);
+
+    const firstPage = await nextEmission(store, TASKS, { orderBy: ['timestamp', 'desc'], limit: 2 });
+    assert.deepEqual(firstPage.map(doc => doc.id), ['e', 'c']);
+    const last = firstPage[firstPage.length - 1];
+    const secondPage = await nextEmission(store, TASKS, { orderBy: ['timestamp', 'desc'], startAfter: [last.timestamp, last.id], limit: 2 });
+    assert.deepEqual(secondPage.map(doc => doc.id), ['b', 'd']);
+    const upToB = await nextEmission(store, TASKS, { orderBy: ['timestamp', 'desc'], endAt: [300, 'b'] });
+    assert.deepEqual(upToB.map(doc => doc.id), ['e', 'c', 'b']);
+});
+
+test('unsubscribed listeners are not called again', async () => {
+    const store = createLocalStore('test');
+    let calls = 0;
+    const unsubscribe = store.subscribe(TASKS, () => { calls += 1; }, assert.fail);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    unsubscribe();
+    await store.add(TASKS, { title: 'Later' });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.equal(calls, 1);
+});
+
+test('sortDocs breaks ties by id and pageDocs honours cursors', () => {
+    const docs = [{ id: 'b', n: 1 }, { id: 'a', n: 1 }, { id: 'c', n: 2 }];
+    assert.deepEqual(sortDocs(docs, ['n', 'asc']).map(doc => doc.id), ['a', 'b', 'c']);
+    assert.deepEqual(pageDocs(sortDocs(docs, ['n', 'asc']), { orderBy: ['n', 'asc'], startAfter: [1, 'a'] }).map(doc => doc.id), ['b', 'c']);
+});
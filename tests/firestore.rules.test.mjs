@@ -0,0 +1,163 @@
+// Run against the Firestore emulator, which sets FIRESTORE_EMULATOR_HOST for the command it wraps:
+//   npm install --no-save @firebase/rules-unit-testing firebase
+//   firebase emulators:exec --only firestore "node --test tests/"
+// Without the emulator (a plain `node --test tests/`) these tests are skipped.
+import { describe, test, before, after, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+
+const APP = 'artifacts/test-app';
+const LIST = `${APP}/lists/list1`;
+
+const OWNER = { uid: 'owner', email: 'owner@example.com' };
+const EDITOR = { uid: 'editor', email: 'editor@example.com' };
+const VIEWER = { uid: 'viewer', email: 'viewer@example.com' };
+const INVITEE = { uid: 'invitee', email: 'invitee@example.com' };
+const STRANGER = { uid: 'stranger', email: 'stranger@example.com' };
+
+// The shape createListRepository writes: members/memberIds, invites/inviteEmails and memberEmails in step
+const membership = ({ members, invites = {}, memberEmails }) => ({
+    members,
+    memberIds: Object.keys(members),
+    invites,
+    inviteEmails: Object.keys(invites),
+    memberEmails,
+});
+
+const sharedList = (overrides = {}) => ({
+    name: 'Groceries',
+    ownerId: OWNER.uid,
+    ...membership({
+        members: { [OWNER.uid]: 'owner', [EDITOR.uid]: 'editor', [VIEWER.uid]: 'viewer' },
+        invites: { [INVITEE.email]: 'editor' },
+        memberEmails: { [OWNER.uid]: OWNER.email, [EDITOR.uid]: EDITOR.email, [VIEWER.uid]: VIEWER.email },
+    }),
+    ...overrides,
+});
+
+describe('firestore.rules', { skip: !process.env.FIRESTORE_EMULATOR_HOST && 'needs the Firestore emulator' }, () => {
+    let testEnv;
+    let rulesTesting;
+    let firestore;
+
+    const as = (user, { verified = true } = {}) => testEnv.authenticatedContext(user.uid, { email: user.email, email_verified: verified }).firestore();
+    const ref = (db, path) => firestore.doc(db, path);
+    const seed = (path, data) => testEnv.withSecurityRulesDisabled(context => firestore.setDoc(ref(context.firestore(), path), data));
+    const allowed = (promise) => rulesTesting.assertSucceeds(promise);
+    const denied = (promise) => rulesTesting.assertFails(promise);
+
+    before(async () => {
+        rulesTesting = await import('@firebase/rules-unit-testing');
+        firestore = await import('firebase/firestore');
+        testEnv = await rulesTesting.initializeTestEnvironment({
+            projectId: 'demo-taskflow',
+            firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+        });
+    });
+
+    after(() => testEnv && testEnv.cleanup());
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await seed(LIST, sharedList());
+    });
+
+    describe('private data', () => {
+        test('only its owner reads and writes it', async () => {
+            await seed(`${APP}/users/${OWNER.uid}/tasks/t1`, { title: 'Mine' });
+            await allowed(firestore.getDoc(ref(as(OWNER), `${APP}/users/${OWNER.uid}/tasks/t1`)));
+            await allowed(firestore.setDoc(ref(as(OWNER), `${APP}/users/${OWNER.uid}/projects/p1`), { name: 'Work' }));
+            await denied(firestore.getDoc(ref(as(STRANGER), `${APP}/users/${OWNER.uid}/tasks/t1`)));
+            await denied(firestore.setDoc(ref(as(STRANGER), `${APP}/users/${OWNER.uid}/tasks/t2`), { title: 'Not mine' }));
+            await denied(firestore.getDoc(ref(testEnv.unauthenticatedContext().firestore(), `${APP}/users/${OWNER.uid}/tasks/t1`)));
+        });
+
+        test('legacy plaintext account records are never readable or writable', async () => {
+            const legacyPath = `${APP}/users/${OWNER.email}`;
+            await seed(legacyPath, { email: OWNER.email, password: 'hunter2' });
+            await denied(firestore.getDoc(ref(as(STRANGER), legacyPath)));
+            await denied(firestore.getDoc(ref(as(OWNER), legacyPath)));
+            await denied(firestore.deleteDoc(ref(as(OWNER), legacyPath)));
+            await denied(firestore.setDoc(ref(as(OWNER), legacyPath), { email: OWNER.email }));
+        });
+    });
+
+    describe('shared lists', () => {
+        test('members and verified invitees read the list; others do not', async () => {
+            await allowed(firestore.getDoc(ref(as(VIEWER), LIST)));
+            await allowed(firestore.getDoc(ref(as(INVITEE), LIST)));
+            await denied(firestore.getDoc(ref(as(INVITEE, { verified: false }), LIST)));
+            await denied(firestore.getDoc(ref(as(STRANGER), LIST)));
+        });
+
+        test('a new list has its creator as its only member and owner', async () => {
+            const own = (members) => ({ name: 'Mine', ownerId: STRANGER.uid, ...membership({ members, memberEmails: { [STRANGER.uid]: STRANGER.email } }) });
+            await allowed(firestore.setDoc(ref(as(STRANGER), `${APP}/lists/new1`), own({ [STRANGER.uid]: 'owner' })));
+            await denied(firestore.setDoc(ref(as(STRANGER), `${APP}/lists/new2`), own({ [STRANGER.uid]: 'owner', [OWNER.uid]: 'viewer' })));
+            await denied(firestore.setDoc(ref(as(STRANGER), `${APP}/lists/new3`), { ...own({ [STRANGER.uid]: 'owner' }), ownerId: OWNER.uid }));
+        });
+
+        test('the owner manages membership; the copies of it must stay in step', async () => {
+            const members = { [OWNER.uid]: 'owner', [EDITOR.uid]: 'viewer', [VIEWER.uid]: 'viewer' };
+            await allowed(firestore.updateDoc(ref(as(OWNER), LIST), membership({ members, invites: {}, memberEmails: sharedList().memberEmails })));
+            await denied(firestore.updateDoc(ref(as(OWNER), LIST), { members: { ...members, [STRANGER.uid]: 'viewer' } }));
+            await denied(firestore.updateDoc(ref(as(OWNER), LIST), membership({ members: { ...members, [VIEWER.uid]: 'admin' }, memberEmails: sharedList().memberEmails })));
+        });
+
+        test('editors and viewers cannot change roles', async () => {
+            const promoted = { ...sharedList().members, [EDITOR.uid]: 'owner' };
+            await denied(firestore.updateDoc(ref(as(EDITOR), LIST), membership({ members: promoted, invites: sharedList().invites, memberEmails: sharedList().memberEmails })));
+            await denied(firestore.updateDoc(ref(as(VIEWER), LIST), { name: 'Renamed' }));
+        });
+
+        test('an invitee accepts with the invited role or declines', async () => {
+            const { members, memberEmails } = sharedList();
+            const accepted = (role) => membership({
+                members: { ...members, [INVITEE.uid]: role },
+                memberEmails: { ...memberEmails, [INVITEE.uid]: INVITEE.email },
+            });
+            await denied(firestore.updateDoc(ref(as(INVITEE), LIST), accepted('owner')));
+            await denied(firestore.updateDoc(ref(as(INVITEE, { verified: false }), LIST), accepted('editor')));
+            await denied(firestore.updateDoc(ref(as(STRANGER), LIST), accepted('editor')));
+            await allowed(firestore.updateDoc(ref(as(INVITEE), LIST), accepted('editor')));
+
+            await seed(LIST, sharedList());
+            await allowed(firestore.updateDoc(ref(as(INVITEE), LIST), membership({ members, memberEmails })));
+        });
+
+        test('members but the creator may leave', async () => {
+            const without = (uid) => {
+                const { members, invites, memberEmails } = sharedList();
+                const { [uid]: removedRole, ...remaining } = members;
+                return membership({ members: remaining, invites, memberEmails });
+            };
+            await allowed(firestore.updateDoc(ref(as(VIEWER), LIST), without(VIEWER.uid)));
+            await denied(firestore.updateDoc(ref(as(EDITOR), LIST), without(OWNER.uid)));
+        });
+
+        test('only the owner deletes the list', async () => {
+            await denied(firestore.deleteDoc(ref(as(EDITOR), LIST)));
+            await allowed(firestore.deleteDoc(ref(as(OWNER), LIST)));
+        });
+    });
+
+    describe('shared list tasks and history', () => {
+        test('owners and editors write tasks, viewers only read them', async () => {
+            await allowed(firestore.setDoc(ref(as(EDITOR), `${LIST}/tasks/t1`), { title: 'Milk' }));
+            await allowed(firestore.getDoc(ref(as(VIEWER), `${LIST}/tasks/t1`)));
+            await denied(firestore.updateDoc(ref(as(VIEWER), `${LIST}/tasks/t1`), { title: 'Oat milk' }));
+            await denied(firestore.deleteDoc(ref(as(VIEWER), `${LIST}/tasks/t1`)));
+            await denied(firestore.getDoc(ref(as(INVITEE), `${LIST}/tasks/t1`)));
+            await allowed(firestore.deleteDoc(ref(as(OWNER), `${LIST}/tasks/t1`)));
+        });
+
+        test('history entries are written only by the member they name and never edited', async () => {
+            const entry = (user) => ({ taskId: 't1', type: 'updated', actorId: user.uid, actorEmail: user.email, at: 1, changes: null });
+            await allowed(firestore.setDoc(ref(as(EDITOR), `${LIST}/taskHistory/h1`), entry(EDITOR)));
+            await denied(firestore.setDoc(ref(as(EDITOR), `${LIST}/taskHistory/h2`), entry(OWNER)));
+            await denied(firestore.setDoc(ref(as(EDITOR), `${LIST}/taskHistory/h4`), { ...entry(EDITOR), actorEmail: OWNER.email }));
+            await denied(firestore.setDoc(ref(as(VIEWER), `${LIST}/taskHistory/h3`), entry(VIEWER)));
+            await denied(firestore.updateDoc(ref(as(EDITOR), `${LIST}/taskHistory/h1`), { type: 'created' }));
+            await allowed(firestore.getDoc(ref(as(VIEWER), `${LIST}/taskHistory/h1`)));
+        });
+    });
+});
@@ -0,0 +1,60 @@
+// Run with `node --test tests/`. Every catalog is checked against the English one.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LANGUAGES, MESSAGES, findMissingMessages, getLanguageDirection, translate } from '../i18n.mjs';
+
+const placeholdersOf = (message) => {
+    const text = typeof message === 'object' ? Object.values(message).join(' ') : message;
+    return [...new Set(text.match(/\{\w+\}/g) || [])].sort();
+};
+
+test('every language has every message and every plural form it needs', () => {
+    assert.deepEqual(Object.keys(MESSAGES).sort(), LANGUAGES.map(language => language.code).sort());
+    assert.deepEqual(findMissingMessages(), Object.fromEntries(LANGUAGES.map(language => [language.code, []])));
+});
+
+test('findMissingMessages reports missing keys and plural categories', () => {
+    const catalogs = {
+        en: { greeting: 'Hi', tasks: { one: '{count} task', other: '{count} tasks' } },
+        ar: { tasks: { one: 'مهمة واحدة', other: '{count} مهمة' } },
+    };
+    assert.deepEqual(findMissingMessages(catalogs), { en: [], ar: ['greeting', 'tasks.few', 'tasks.many', 'tasks.two', 'tasks.zero'] });
+});
+
+test('translations use the same placeholders as English', () => {
+    for (const { code } of LANGUAGES) {
+        for (const [key, message] of Object.entries(MESSAGES.en)) {
+            assert.deepEqual(placeholdersOf(MESSAGES[code][key]), placeholdersOf(message), `${code} ${key}`);
+        }
+    }
+});
+
+test('plural messages pick the form for the count', () => {
+    assert.equal(translate('en', 'actions.bulkRestored', { count: 1 }), 'Restored 1 task.');
+    assert.equal(translate('en', 'actions.bulkRestored', { count: 3 }), 'Restored 3 tasks.');
+    const counts = [0, 1, 2, 3, 11, 100];
+    const forms = MESSAGES.ar['actions.bulkTrashed'];
+    assert.deepEqual(
+        counts.map(count => translate('ar', 'actions.bulkTrashed', { count })),
+        [forms.zero, forms.one, forms.two, forms.few, forms.many, forms.other].map((form, index) => form.replace('{count}', counts[index].toLocaleString('ar')))
+    );
+});
+
+test('missing messages fall back to English, then to the key', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const catalog = MESSAGES.de;
+    const original = catalog['app.retry'];
+    delete catalog['app.retry'];
+    try {
+        assert.equal(translate('de', 'app.retry'), 'Retry');
+    } finally {
+        catalog['app.retry'] = original;
+    }
+    assert.equal(translate('de', 'no.such.message'), 'no.such.message');
+    assert.equal(translate('de', 'header.welcome'), 'Willkommen, {name}!');
+});
+
+test('Arabic is the only right-to-left language', () => {
+    assert.deepEqual(LANGUAGES.filter(({ code }) => getLanguageDirection(code) === 'rtl').map(({ code }) => code), ['ar']);
+    assert.equal(getLanguageDirection('xx'), 'ltr');
+});
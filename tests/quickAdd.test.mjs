@@ -0,0 +1,75 @@
+// Run with `node --test tests/`. Every phrase resolves against a fixed reference date, never the clock.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuickAdd, normalizeTag, getQuickAddLocale } from '../quickAdd.mjs';
+
+const MONDAY = '2026-10-19';
+
+const dueDateOf = (text, locale) => parseQuickAdd(text, MONDAY, locale).dueDate;
+
+test('splits a phrase into title, due date, priority and tags', () => {
+    assert.deepEqual(parseQuickAdd('Send invoice to ACME next friday !high #billing #Billing', MONDAY), {
+        title: 'Send invoice to ACME',
+        dueDate: '2026-10-23',
+        dateText: 'next friday',
+        priority: 'High',
+        tags: ['billing'],
+    });
+});
+
+test('a phrase without markers is all title', () => {
+    assert.deepEqual(parseQuickAdd('Water the plants', MONDAY), { title: 'Water the plants', dueDate: '', dateText: '', priority: null, tags: [] });
+});
+
+test('relative days, weeks and months count from the reference date', () => {
+    assert.equal(dueDateOf('Call mom today'), MONDAY);
+    assert.equal(dueDateOf('Call mom tomorrow'), '2026-10-20');
+    assert.equal(dueDateOf('Report in 2 weeks'), '2026-11-02');
+    assert.equal(dueDateOf('Report in a month'), '2026-11-19');
+    assert.equal(dueDateOf('Budget next month'), '2026-11-19');
+});
+
+test('a bare weekday may be today, "next" is always later', () => {
+    assert.equal(dueDateOf('Standup monday'), MONDAY);
+    assert.equal(dueDateOf('Standup next monday'), '2026-10-26');
+    assert.equal(dueDateOf('Review friday'), '2026-10-23');
+});
+
+test('dates without a year are the next one on or after the reference date', () => {
+    assert.equal(dueDateOf('Dentist oct 5'), '2027-10-05');
+    assert.equal(dueDateOf('Dentist 25th of October'), '2026-10-25');
+    assert.equal(dueDateOf('Trip 2026-12-01'), '2026-12-01');
+    assert.equal(dueDateOf('Trip feb 30'), '');
+});
+
+test('numeric dates need a year or a leading "on", "by" or "due"', () => {
+    assert.equal(dueDateOf('Read chapter 3.4'), '');
+    assert.equal(dueDateOf('Rate the talk 5/10'), '');
+    assert.equal(dueDateOf('Ship v1.2.10'), '');
+    assert.equal(dueDateOf('Meet by 12/25'), '2026-12-25');
+    assert.equal(dueDateOf('Pay rent due 3/4/2027'), '2027-03-04');
+    assert.equal(dueDateOf('Pay rent 3.4.2027', 'de'), '2027-04-03');
+    assert.equal(parseQuickAdd('Read chapter 3.4 on 11/2', MONDAY).title, 'Read chapter 3.4');
+});
+
+test('numeric dates follow the browser locale\'s region, names the app\'s language', () => {
+    assert.equal(getQuickAddLocale('en', 'en-GB'), 'en-GB');
+    assert.equal(dueDateOf('Meet on 5/10', getQuickAddLocale('en', 'en-GB')), '2027-10-05');
+    assert.equal(dueDateOf('Meet on 5/10', getQuickAddLocale('en', 'en-US')), '2027-05-10');
+    assert.equal(dueDateOf('Zahnarzt 3. November', getQuickAddLocale('de', 'en-GB')), '2026-11-03');
+    assert.equal(getQuickAddLocale('en', undefined), 'en');
+});
+
+test('month names, weekdays and day words follow the locale, with English as well', () => {
+    assert.equal(dueDateOf('Zahnarzt morgen', 'de'), '2026-10-20');
+    assert.equal(dueDateOf('Zahnarzt 3. November', 'de'), '2026-11-03');
+    assert.equal(dueDateOf('Zahnarzt tomorrow', 'de'), '2026-10-20');
+});
+
+test('priority markers and tags', () => {
+    assert.equal(parseQuickAdd('Budget !2', MONDAY).priority, 'Medium');
+    assert.equal(parseQuickAdd('Budget !l', MONDAY).priority, 'Low');
+    assert.equal(parseQuickAdd('Wow!high', MONDAY).priority, null);
+    assert.deepEqual(parseQuickAdd('Plan #Q4-goals and #home', MONDAY).tags, ['q4-goals', 'home']);
+    assert.equal(normalizeTag('  #Home Office '), 'home-office');
+});